@@ -1,8 +1,15 @@
-import React, { useState, useEffect } from 'react';
-import { Input, Button, Card, message, Layout, Typography, Spin, Radio, Tooltip, Alert, Modal } from 'antd';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Input, Button, Card, message, Layout, Typography, Radio, Tooltip, Alert, Modal, Select, Space, Checkbox, Menu } from 'antd';
 import ReactPlayer from 'react-player';
 import axios from 'axios';
 import { io } from 'socket.io-client';
+import ExtractionProgress from './components/ExtractionProgress';
+import HlsPlayer from './components/HlsPlayer';
+import RecordingsPage from './components/RecordingsPage';
+import ClipControl from './components/ClipControl';
+import DvrControl from './components/DvrControl';
+import RestreamPanel from './components/RestreamPanel';
+import AdminDashboard from './components/AdminDashboard';
 
 const { Header, Content, Footer } = Layout;
 const { Title, Text, Paragraph } = Typography;
@@ -11,6 +18,92 @@ const { Search } = Input;
 // 服务器地址
 const SERVER_URL = 'http://localhost:3001';
 
+// 顶部导航的页面
+const PAGES = [
+  { key: 'live', label: '直播转播' },
+  { key: 'recordings', label: '录制文件' },
+  { key: 'clips', label: '剪辑片段' },
+  { key: 'admin', label: '会话管理' }
+];
+
+// 可选的清晰度，与服务端返回的quality对应
+const QUALITY_OPTIONS = [
+  { value: 'auto', label: '自动（最高）' },
+  { value: 'origin', label: '原画' },
+  { value: 'FULL_HD1', label: '蓝光' },
+  { value: 'HD1', label: '超清' },
+  { value: 'SD1', label: '高清' },
+  { value: 'SD2', label: '标清' }
+];
+
+/**
+ * 获取清晰度的显示名称
+ * @param {string} quality - 清晰度标识
+ * @returns {string} 显示名称
+ */
+const qualityLabel = (quality) => {
+  const option = QUALITY_OPTIONS.find(item => item.value === quality);
+  return option ? option.label : (quality || '未知');
+};
+
+/**
+ * 获取候选地址的显示名称
+ * @param {Object} candidate - 候选地址
+ * @returns {string} 清晰度和协议
+ */
+const candidateLabel = (candidate) => {
+  const protocol = candidate.protocol ? candidate.protocol.toUpperCase() : '未知格式';
+  const codec = candidate.codec ? ` ${candidate.codec.toUpperCase()}` : '';
+  return `${qualityLabel(candidate.quality)} · ${protocol}${codec}`;
+};
+
+/**
+ * 判断地址是否为HLS播放列表，HLS使用hls.js播放
+ * @param {string} url - 播放地址
+ * @returns {boolean} 是否为m3u8地址
+ */
+const isHlsUrl = (url) => /\.m3u8(\?|$)/i.test(url || '');
+
+/**
+ * 更新推流地址列表中的一项，不存在时追加
+ * @param {Object[]} list - 推流状态列表
+ * @param {Object} destination - 服务端返回的推流状态
+ * @returns {Object[]} 新的列表
+ */
+const upsertDestination = (list, destination) => (
+  list.some(item => item.id === destination.id)
+    ? list.map(item => (item.id === destination.id ? destination : item))
+    : [...list, destination]
+);
+
+/**
+ * 获取转码流清晰度的显示文本
+ * @param {Object} level - HlsPlayer回调的清晰度
+ * @returns {string} 例如 "720p · 2500kbps"，只有音频时为 "仅音频"
+ */
+const levelLabel = (level) => {
+  const bitrate = level.bitrate ? ` · ${Math.round(level.bitrate / 1000)}kbps` : '';
+  return level.height ? `${level.height}p${bitrate}` : `仅音频${bitrate}`;
+};
+
+/**
+ * 获取服务端探测结果的显示文本
+ * @param {Object} probe - 服务端ffprobe探测结果
+ * @returns {string} 分辨率、编码、帧率和音频编码
+ */
+const probeLabel = (probe) => {
+  const parts = [];
+  if (probe.video) {
+    if (probe.video.width && probe.video.height) parts.push(`${probe.video.width}×${probe.video.height}`);
+    if (probe.video.codec) parts.push(probe.video.codec.toUpperCase());
+    if (probe.video.fps) parts.push(`${probe.video.fps}fps`);
+  }
+  if (probe.audio && probe.audio.codec) {
+    parts.push(`音频 ${probe.audio.codec.toUpperCase()}`);
+  }
+  return parts.join(' · ');
+};
+
 /**
  * 抖音直播转播前端应用
  */
@@ -30,14 +123,109 @@ function App() {
   const [serverError, setServerError] = useState('');
   const [isTestVideo, setIsTestVideo] = useState(false); // 是否为测试视频
   const [testVideoHelpVisible, setTestVideoHelpVisible] = useState(false); // 显示测试视频帮助
+  const [preferredQuality, setPreferredQuality] = useState('auto'); // 偏好的清晰度
+  const [candidates, setCandidates] = useState([]); // 服务端返回的候选直播流，按回退顺序排列
+  const [probeInfo, setProbeInfo] = useState(null); // 服务端对选中直播流的探测结果
+  const [inputMode, setInputMode] = useState('room'); // room: 直播间链接，manual: 直接填写直播流地址
+  const [manualStreamUrl, setManualStreamUrl] = useState('');
+  const [manualReferer, setManualReferer] = useState('');
+  const [manualCookie, setManualCookie] = useState('');
+  const [progressSteps, setProgressSteps] = useState([]); // 服务端推送的启动进度
+  const [transcodeMode, setTranscodeMode] = useState(null); // copy: 服务端直接转封装，transcode: 重新编码
+  const [transcodedLevels, setTranscodedLevels] = useState([]); // 转码流主播放列表中的清晰度
+  const [transcodedLevel, setTranscodedLevel] = useState(-1); // 手动选择的转码流清晰度，-1为自动
+  const [reconnectInfo, setReconnectInfo] = useState(null); // 服务端正在重连直播流时的重连信息
+  const [recordEnabled, setRecordEnabled] = useState(false); // 转播的同时在服务端录制
+  const [recording, setRecording] = useState(null); // 服务端返回的录制状态，未录制时为null
+  const [dvrSeconds, setDvrSeconds] = useState(0); // 转码流可以回看的时长（秒），0表示不支持时移
+  const [restreamUrls, setRestreamUrls] = useState([]); // 开始转播时同时推流的地址
+  const [restreamOnly, setRestreamOnly] = useState(false); // 只推流，服务端不输出转码流
+  const [destinations, setDestinations] = useState([]); // 服务端返回的各推流地址的状态
+  const [viewers, setViewers] = useState(0); // 正在观看同一会话的人数
+  const [page, setPage] = useState('live'); // 当前页面，参见PAGES
+  const hlsPlayerRef = useRef(null); // 用于剪辑时获取当前画面的时间
+  const requestIdRef = useRef(null); // 正在进行的启动请求ID，用于取消和忽略已取消请求的事件
+  const sessionIdRef = useRef(''); // 当前会话ID，供WebSocket事件处理函数判断事件是否属于当前会话
+
+  useEffect(() => {
+    sessionIdRef.current = sessionId;
+  }, [sessionId]);
+
+  /**
+   * 应用服务端返回的直播流信息，WebSocket的stream-ready事件和REST接口的响应共用
+   * @param {Object} data - 服务端整理后的转播启动结果
+   * @returns {boolean} 是否为测试视频
+   */
+  const applyStream = useCallback((data) => {
+    // 优化测试视频检测逻辑，确保更准确
+    // 测试视频的URL通常包含 'douyin-pc-web/uuu_' 标识
+    const isTestUrl = data.streamUrl && typeof data.streamUrl === 'string' && 
+                       data.streamUrl.includes('douyin-pc-web/uuu_');
+    
+    setIsTestVideo(isTestUrl);
+    
+    // 只有确认是测试视频时才显示警告
+    if (isTestUrl) {
+      // 显示测试视频警告
+      message.warning('检测到返回的视频可能是抖音测试视频，而非真实直播流');
+      
+      // 自动显示帮助对话框
+      setTimeout(() => {
+        setTestVideoHelpVisible(true);
+      }, 1000);
+    }
+    
+    setOriginalStreamUrl(data.streamUrl);
+    setTranscodedStreamUrl(data.transcodedUrl || '');
+    setCandidates(data.candidates || []);
+    setProbeInfo(data.probe ? { url: data.streamUrl, ...data.probe } : null);
+    setSessionId(data.sessionId || '');
+    setFfmpegAvailable(data.ffmpegAvailable || false);
+    setServerError(data.error || '');
+    setTranscodeMode(data.transcodeMode || null);
+    setRecording(data.recording || null);
+    setDvrSeconds(data.dvrSeconds || 0);
+    setDestinations(data.destinations || []);
+    setViewers(data.viewers || 0);
+    if (data.shared) {
+      message.info('该直播间已有人在转播，已直接加入');
+    }
+    
+    // 如果FFmpeg不可用，强制使用原始流
+    if (!data.ffmpegAvailable) {
+      setStreamSource('original');
+      setActiveStreamUrl(data.streamUrl);
+      
+      // 显示FFmpeg安装帮助对话框
+      setFfmpegHelpVisible(true);
+    } else if (data.requiresHeaders) {
+      // 需要Referer/Cookie的直播流无法在浏览器中直接播放，使用转码流
+      setActiveStreamUrl(data.transcodedUrl);
+      setStreamSource('transcoded');
+    } else {
+      // 默认使用原始流
+      setActiveStreamUrl(data.streamUrl);
+      setStreamSource('original');
+    }
+    
+    setPlaybackError(false);
+    return isTestUrl;
+  }, []);
 
   // 初始化WebSocket连接
   useEffect(() => {
     const newSocket = io(SERVER_URL);
     
+    // 已取消或被新请求取代的启动请求，其后续事件不再处理
+    const isStale = (data) => data.requestId && data.requestId !== requestIdRef.current;
+    
     newSocket.on('connect', () => {
       console.log('WebSocket连接成功');
       setConnected(true);
+      // 断线重连（包括服务端重启后恢复了会话）后继续计为原来会话的观众
+      if (sessionIdRef.current) {
+        newSocket.emit('rejoin-stream', { sessionId: sessionIdRef.current });
+      }
     });
     
     newSocket.on('disconnect', () => {
@@ -45,52 +233,100 @@ function App() {
       setConnected(false);
     });
     
+    // 启动进度，同一步骤的后续事件替换原有记录
+    newSocket.on('extraction-progress', (step) => {
+      if (isStale(step)) return;
+      setProgressSteps(prev => {
+        const index = prev.findIndex(item => item.step === step.step);
+        if (index === -1) {
+          return [...prev, step];
+        }
+        const next = [...prev];
+        next[index] = step;
+        return next;
+      });
+    });
+    
     newSocket.on('stream-ready', (data) => {
+      if (isStale(data)) return;
+      requestIdRef.current = null;
       console.log('收到直播流地址:', data);
-      
-      // 优化测试视频检测逻辑，确保更准确
-      // 测试视频的URL通常包含 'douyin-pc-web/uuu_' 标识
-      const isTestUrl = data.streamUrl && typeof data.streamUrl === 'string' && 
-                         data.streamUrl.includes('douyin-pc-web/uuu_');
-      
-      setIsTestVideo(isTestUrl);
-      
-      // 只有确认是测试视频时才显示警告
-      if (isTestUrl) {
-        // 显示测试视频警告
-        message.warning('检测到返回的视频可能是抖音测试视频，而非真实直播流');
-        
-        // 自动显示帮助对话框
-        setTimeout(() => {
-          setTestVideoHelpVisible(true);
-        }, 1000);
+      applyStream(data);
+      setLoading(false);
+    });
+    
+    // 直播流输入中断，服务端正在重新获取地址
+    newSocket.on('stream-reconnecting', (data) => {
+      if (data.sessionId !== sessionIdRef.current) return;
+      setReconnectInfo(data);
+    });
+    
+    newSocket.on('stream-resumed', (data) => {
+      if (data.sessionId !== sessionIdRef.current) return;
+      setReconnectInfo(null);
+      message.success('直播流已恢复');
+    });
+    
+    // 服务端检测到转码卡住，随后会重启或结束会话
+    newSocket.on('stream-stalled', (data) => {
+      if (data.sessionId !== sessionIdRef.current) return;
+      message.warning(`直播流处理卡住，${data.action === 'terminate' ? '转播即将结束' : '正在重新启动'}: ${data.reason}`);
+    });
+    
+    // 同一会话的观看人数变化
+    newSocket.on('viewer-count', (data) => {
+      if (data.sessionId !== sessionIdRef.current) return;
+      setViewers(data.viewers);
+    });
+    
+    // 推流状态变化，已停止的推流地址从列表中移除
+    newSocket.on('destination-status', (data) => {
+      if (data.sessionId !== sessionIdRef.current) return;
+      if (data.destination.state === 'stopped') {
+        setDestinations(list => list.filter(item => item.id !== data.destination.id));
+      } else {
+        setDestinations(list => upsertDestination(list, data.destination));
       }
-      
-      setOriginalStreamUrl(data.streamUrl);
-      setTranscodedStreamUrl(data.transcodedUrl || '');
-      setSessionId(data.sessionId || '');
-      setFfmpegAvailable(data.ffmpegAvailable || false);
-      setServerError(data.error || '');
-      
-      // 如果FFmpeg不可用，强制使用原始流
-      if (!data.ffmpegAvailable) {
-        setStreamSource('original');
-        setActiveStreamUrl(data.streamUrl);
-        
-        // 显示FFmpeg安装帮助对话框
-        setFfmpegHelpVisible(true);
+    });
+    
+    // 在会话管理页面开始或停止了录制
+    newSocket.on('recording-status', (data) => {
+      if (data.sessionId !== sessionIdRef.current) return;
+      setRecording(data.recording);
+    });
+    
+    // 会话在服务端结束（例如重连失败）
+    newSocket.on('session-ended', (data) => {
+      if (data.sessionId !== sessionIdRef.current) return;
+      setReconnectInfo(null);
+      setRecording(null);
+      setDestinations([]);
+      setViewers(0);
+      // stopped为有人停止了共享的转播，idle为没有观众后自动停止，shutdown为服务端关闭，
+      // source-ended和error为直播流中断或处理出错
+      const text = data.message || '直播转播已结束';
+      if (data.reason === 'stopped' || data.reason === 'idle') {
+        message.info(text);
+      } else if (data.reason === 'shutdown') {
+        message.warning(text);
       } else {
-        // 默认使用原始流
-        setActiveStreamUrl(data.streamUrl);
-        setStreamSource('original');
+        message.error(text);
+        setServerError(text);
       }
-      
-      setLoading(false);
-      setPlaybackError(false);
+      setSessionId('');
     });
     
     newSocket.on('error', (data) => {
+      if (isStale(data)) return;
+      requestIdRef.current = null;
       message.error(data.message || '发生错误');
+      if (data.progress) {
+        setProgressSteps(data.progress);
+      }
+      // 服务端探测后确认只有测试视频时，提示解决方法
+      if (data.isTestVideo) {
+        setTestVideoHelpVisible(true);
+      }
       setLoading(false);
     });
     
@@ -100,81 +336,76 @@ function App() {
     return () => {
       newSocket.disconnect();
     };
-  }, []); // 移除streamSource依赖
+  }, [applyStream]); // 移除streamSource依赖
 
   /**
    * 开始转播直播
-   * @param {string} url - 抖音直播链接
+   * @param {string} url - 抖音直播间链接、分享文案或房间号
    */
   const startStream = async (url) => {
+    // 链接、分享文案和房间号都由服务端识别，这里只检查是否为空
+    url = url.trim();
+    if (!url) {
+      message.warning('请输入抖音直播间链接');
+      return;
+    }
+    
+    await requestStream({ url, quality: preferredQuality });
+  };
+
+  /**
+   * 使用手动填写的直播流地址开始转播，跳过直播间提取
+   */
+  const startManualStream = async () => {
+    const streamUrl = manualStreamUrl.trim();
+    if (!/^https?:\/\//i.test(streamUrl)) {
+      message.warning('请输入http或https开头的FLV/HLS直播流地址');
+      return;
+    }
+    
+    await requestStream({
+      streamUrl,
+      referer: manualReferer.trim(),
+      cookie: manualCookie.trim()
+    });
+  };
+
+  /**
+   * 请求服务端开始转播
+   * @param {Object} payload - /api/start-stream或join-stream的请求参数
+   */
+  const requestStream = async (payload) => {
+    const requestId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    requestIdRef.current = requestId;
+    payload = { ...payload, requestId, record: recordEnabled };
+    if (restreamUrls.length > 0) {
+      payload.destinations = restreamUrls;
+      payload.playback = !restreamOnly;
+    }
+    // 切换到其他直播间前先离开当前会话
+    if (sessionId && connected && socket) {
+      socket.emit('leave-stream', { sessionId });
+    }
     try {
       setLoading(true);
       setPlaybackError(false);
       setServerError('');
       setIsTestVideo(false); // 重置测试视频状态
-      
-      if (!url) {
-        message.warning('请输入抖音直播间链接');
-        setLoading(false);
-        return;
-      }
-      
-      // 验证URL是否是抖音直播链接
-      if (!url.includes('douyin.com') && !url.includes('tiktok.com')) {
-        if (!url.includes('http')) {
-          url = 'https://' + url;
-        }
-        // 确保URL指向直播间
-        if (!url.includes('/live/')) {
-          message.error('请输入有效的抖音直播间链接，例如: https://live.douyin.com/123456');
-          setLoading(false);
-          return;
-        }
-      }
+      setReconnectInfo(null);
+      setProgressSteps([]);
       
       if (connected && socket) {
         // 使用WebSocket请求直播流
-        socket.emit('join-stream', { url });
+        socket.emit('join-stream', payload);
       } else {
         // 使用REST API请求直播流
-        const response = await axios.post(`${SERVER_URL}/api/start-stream`, { url });
+        const response = await axios.post(`${SERVER_URL}/api/start-stream`, payload);
+        if (requestIdRef.current !== requestId) return;
+        requestIdRef.current = null;
+        setProgressSteps(response.data.progress || []);
         
         if (response.data.success) {
-          // 优化测试视频检测逻辑，确保更准确
-          const isTestUrl = response.data.streamUrl && typeof response.data.streamUrl === 'string' && 
-                            response.data.streamUrl.includes('douyin-pc-web/uuu_');
-          
-          setIsTestVideo(isTestUrl);
-          
-          // 只有确认是测试视频时才显示警告
-          if (isTestUrl) {
-            // 显示测试视频警告
-            message.warning('检测到返回的视频可能是抖音测试视频，而非真实直播流');
-            
-            // 自动显示帮助对话框
-            setTimeout(() => {
-              setTestVideoHelpVisible(true);
-            }, 1000);
-          }
-          
-          setOriginalStreamUrl(response.data.streamUrl);
-          setTranscodedStreamUrl(response.data.transcodedUrl || '');
-          setSessionId(response.data.sessionId);
-          setFfmpegAvailable(response.data.ffmpegAvailable || false);
-          setServerError(response.data.error || '');
-          
-          // 如果FFmpeg不可用，强制使用原始流
-          if (!response.data.ffmpegAvailable) {
-            setStreamSource('original');
-            setActiveStreamUrl(response.data.streamUrl);
-            
-            // 显示FFmpeg安装帮助对话框
-            setFfmpegHelpVisible(true);
-          } else {
-            // 默认使用原始流
-            setActiveStreamUrl(response.data.streamUrl);
-            setStreamSource('original');
-          }
+          const isTestUrl = applyStream(response.data);
           
           // 根据是否为测试视频显示不同提示
           if (isTestUrl) {
@@ -189,12 +420,41 @@ function App() {
         setLoading(false);
       }
     } catch (error) {
+      // 已取消的请求由cancelStream处理
+      if (requestIdRef.current !== requestId) return;
+      requestIdRef.current = null;
       console.error('启动直播转播失败:', error);
       message.error(error.response?.data?.error || '无法连接到抖音直播间');
+      setProgressSteps(error.response?.data?.progress || []);
+      if (error.response?.data?.isTestVideo) {
+        setTestVideoHelpVisible(true);
+      }
       setLoading(false);
     }
   };
 
+  /**
+   * 取消正在进行的启动请求
+   */
+  const cancelStream = async () => {
+    const requestId = requestIdRef.current;
+    if (!requestId) return;
+    requestIdRef.current = null;
+    setLoading(false);
+    message.info('已取消获取直播流');
+    
+    try {
+      if (connected && socket) {
+        socket.emit('cancel-stream', { requestId });
+      } else {
+        await axios.post(`${SERVER_URL}/api/cancel-stream/${encodeURIComponent(requestId)}`);
+      }
+    } catch (error) {
+      // 请求可能刚好已经结束，忽略
+      console.warn('取消启动请求失败:', error);
+    }
+  };
+
   /**
    * 切换视频源
    * @param {event} e - 事件对象
@@ -218,6 +478,21 @@ function App() {
     }
   };
 
+  /**
+   * 切换原始流的清晰度
+   * @param {string} url - 候选直播流地址
+   */
+  const handleCandidateChange = (url) => {
+    const candidate = candidates.find(item => item.url === url);
+    setOriginalStreamUrl(url);
+    setStreamSource('original');
+    setActiveStreamUrl(url);
+    setPlaybackError(false);
+    if (candidate) {
+      message.info(`已切换到${candidateLabel(candidate)}`);
+    }
+  };
+
   /**
    * 视频播放错误处理
    * @param {error} error - 错误对象
@@ -226,8 +501,16 @@ function App() {
     console.error('视频播放错误:', error);
     setPlaybackError(true);
     
-    // 如果当前使用的是原始流且播放失败，且FFmpeg可用，自动切换到转码流
-    if (streamSource === 'original' && transcodedStreamUrl && ffmpegAvailable) {
+    // 原始流播放失败时，先按回退顺序尝试下一个候选直播流
+    const currentIndex = candidates.findIndex(item => item.url === originalStreamUrl);
+    const nextCandidate = currentIndex !== -1 ? candidates[currentIndex + 1] : null;
+    if (streamSource === 'original' && nextCandidate) {
+      message.info(`当前直播流播放失败，正在尝试${candidateLabel(nextCandidate)}`);
+      setOriginalStreamUrl(nextCandidate.url);
+      setActiveStreamUrl(nextCandidate.url);
+      setPlaybackError(false);
+    } else if (streamSource === 'original' && transcodedStreamUrl && ffmpegAvailable) {
+      // 如果当前使用的是原始流且播放失败，且FFmpeg可用，自动切换到转码流
       message.info('原始流播放失败，正在自动切换到转码流以提高兼容性');
       setStreamSource('transcoded');
       setActiveStreamUrl(transcodedStreamUrl);
@@ -237,6 +520,15 @@ function App() {
     }
   };
 
+  /**
+   * 记录HLS播放列表中的清晰度，新的播放列表恢复自动切换
+   * @param {Object[]} levels - HlsPlayer回调的清晰度
+   */
+  const handleLevels = (levels) => {
+    setTranscodedLevels(levels);
+    setTranscodedLevel(-1);
+  };
+
   /**
    * 停止转播直播
    */
@@ -245,16 +537,32 @@ function App() {
       setOriginalStreamUrl('');
       setTranscodedStreamUrl('');
       setActiveStreamUrl('');
+      setCandidates([]);
+      setProbeInfo(null);
       return;
     }
     
     try {
-      await axios.post(`${SERVER_URL}/api/stop-stream/${sessionId}`);
-      message.success('直播转播已停止');
+      if (connected && socket) {
+        // 会话可能还有其他观众，只离开会话，最后一个观众离开后由服务端停止
+        socket.emit('leave-stream', { sessionId });
+        message.success(viewers > 1 ? '已停止观看，其他人仍在观看该直播' : '直播转播已停止');
+      } else {
+        // 会话还有其他观众时服务端只让本次请求离开会话
+        const response = await axios.post(`${SERVER_URL}/api/stop-stream/${sessionId}`);
+        message.success(response.data.message || '直播转播已停止');
+      }
       setOriginalStreamUrl('');
       setTranscodedStreamUrl('');
       setActiveStreamUrl('');
+      setCandidates([]);
+      setProbeInfo(null);
       setSessionId('');
+      setReconnectInfo(null);
+      setRecording(null);
+      setDvrSeconds(0);
+      setDestinations([]);
+      setViewers(0);
       setPlaybackError(false);
       setServerError('');
       setIsTestVideo(false);
@@ -280,11 +588,37 @@ function App() {
 
   return (
     <Layout style={{ minHeight: '100vh' }}>
-      <Header style={{ background: '#fff', padding: '0 20px' }}>
-        <Title level={3} style={{ margin: '16px 0' }}>抖音直播转播系统</Title>
+      <Header style={{ background: '#fff', padding: '0 20px', display: 'flex', alignItems: 'center' }}>
+        <Title level={3} style={{ margin: '16px 40px 16px 0', whiteSpace: 'nowrap' }}>抖音直播转播系统</Title>
+        <Menu
+          mode="horizontal"
+          selectedKeys={[page]}
+          items={PAGES}
+          onClick={({ key }) => setPage(key)}
+          style={{ flex: 1, borderBottom: 'none' }}
+        />
       </Header>
       
-      <Content style={{ padding: '20px 50px' }}>
+      {page === 'recordings' && (
+        <Content style={{ padding: '20px 50px' }}>
+          <RecordingsPage serverUrl={SERVER_URL} />
+        </Content>
+      )}
+      
+      {page === 'clips' && (
+        <Content style={{ padding: '20px 50px' }}>
+          <RecordingsPage serverUrl={SERVER_URL} library="clips" />
+        </Content>
+      )}
+      
+      {page === 'admin' && (
+        <Content style={{ padding: '20px 50px' }}>
+          <AdminDashboard serverUrl={SERVER_URL} socket={socket} />
+        </Content>
+      )}
+      
+      {/* 切换到其他页面时只隐藏转播页面，正在播放的直播不会中断 */}
+      <Content style={{ padding: '20px 50px', display: page === 'live' ? undefined : 'none' }}>
         {/* 只在确认为测试视频时显示警告 */}
         {isTestVideo && (
           <Alert
@@ -322,6 +656,16 @@ function App() {
           />
         )}
         
+        {reconnectInfo && (
+          <Alert
+            message={`直播流中断，正在重连（第 ${reconnectInfo.attempt}/${reconnectInfo.maxRetries} 次）`}
+            description={`原因: ${reconnectInfo.reason}。服务端会重新获取直播间的最新地址，恢复后继续播放。`}
+            type="warning"
+            showIcon
+            style={{ marginBottom: 20 }}
+          />
+        )}
+        
         {serverError && (
           <Alert
             message="服务器错误"
@@ -334,14 +678,111 @@ function App() {
         )}
         
         <Card title="转播控制面板" style={{ width: '100%', marginBottom: 20 }}>
-          <Search
-            placeholder="请输入抖音直播间链接 (例如: https://live.douyin.com/123456)"
-            enterButton="开始转播"
-            size="large"
-            loading={loading}
-            onSearch={startStream}
+          <Radio.Group
+            value={inputMode}
+            onChange={(e) => setInputMode(e.target.value)}
+            disabled={loading}
             style={{ marginBottom: 20 }}
-          />
+          >
+            <Radio.Button value="room">直播间链接</Radio.Button>
+            <Tooltip title="已经从开发者工具中找到.flv或.m3u8地址时，可以直接转播">
+              <Radio.Button value="manual">直播流地址</Radio.Button>
+            </Tooltip>
+          </Radio.Group>
+          
+          {inputMode === 'room' ? (
+            <>
+              <Search
+                placeholder="请输入抖音直播间链接、分享文案或房间号 (例如: https://live.douyin.com/123456)"
+                enterButton="开始转播"
+                size="large"
+                loading={loading}
+                onSearch={startStream}
+                style={{ marginBottom: 20 }}
+              />
+              
+              <div style={{ marginBottom: 20 }}>
+                <Space>
+                  <Text>清晰度偏好:</Text>
+                  <Tooltip title="直播间没有所选清晰度时，会自动选择更低一档的清晰度">
+                    <Select
+                      value={preferredQuality}
+                      onChange={setPreferredQuality}
+                      options={QUALITY_OPTIONS}
+                      style={{ width: 140 }}
+                      disabled={loading}
+                    />
+                  </Tooltip>
+                </Space>
+              </div>
+            </>
+          ) : (
+            <div style={{ marginBottom: 20 }}>
+              <Input
+                placeholder="直播流地址 (以.flv或.m3u8结尾)"
+                size="large"
+                value={manualStreamUrl}
+                onChange={(e) => setManualStreamUrl(e.target.value)}
+                style={{ marginBottom: 10 }}
+              />
+              <Space.Compact style={{ width: '100%', marginBottom: 10 }}>
+                <Input
+                  addonBefore="Referer"
+                  placeholder="可选，例如 https://live.douyin.com/"
+                  value={manualReferer}
+                  onChange={(e) => setManualReferer(e.target.value)}
+                />
+                <Input.Password
+                  addonBefore="Cookie"
+                  placeholder="可选"
+                  value={manualCookie}
+                  onChange={(e) => setManualCookie(e.target.value)}
+                />
+              </Space.Compact>
+              <Tooltip title="填写了Referer或Cookie时，浏览器无法直接播放原始流，将使用转码流">
+                <Button type="primary" size="large" loading={loading} onClick={startManualStream}>
+                  开始转播
+                </Button>
+              </Tooltip>
+            </div>
+          )}
+          
+          <div style={{ marginBottom: 20 }}>
+            <Tooltip title="录制文件保存在服务端的录制目录，按时长或大小自动分割">
+              <Checkbox
+                checked={recordEnabled}
+                onChange={(e) => setRecordEnabled(e.target.checked)}
+                disabled={loading}
+              >
+                同时录制
+              </Checkbox>
+            </Tooltip>
+          </div>
+          
+          <div style={{ marginBottom: 20 }}>
+            <Space wrap>
+              <Text>同时推流到:</Text>
+              <Select
+                mode="tags"
+                value={restreamUrls}
+                onChange={setRestreamUrls}
+                open={false}
+                tokenSeparators={[' ', '\n']}
+                placeholder="rtmp:// 或 srt:// 开头的推流地址，回车添加多个"
+                style={{ width: 420 }}
+                disabled={loading}
+              />
+              <Tooltip title="服务端不生成转码流，直播流只推送到上面的地址，本页仍可播放原始流">
+                <Checkbox
+                  checked={restreamOnly}
+                  onChange={(e) => setRestreamOnly(e.target.checked)}
+                  disabled={loading || restreamUrls.length === 0}
+                >
+                  仅推流
+                </Checkbox>
+              </Tooltip>
+            </Space>
+          </div>
           
           <Button 
             type="primary" 
@@ -355,6 +796,34 @@ function App() {
           
           {(originalStreamUrl || transcodedStreamUrl) && (
             <div style={{ marginBottom: 20 }}>
+              {candidates.length > 0 && (
+                <Space style={{ marginRight: 20 }}>
+                  <Text>原始流清晰度:</Text>
+                  <Select
+                    value={originalStreamUrl}
+                    onChange={handleCandidateChange}
+                    options={candidates.map(candidate => ({
+                      value: candidate.url,
+                      label: candidateLabel(candidate)
+                    }))}
+                    style={{ width: 200 }}
+                  />
+                </Space>
+              )}
+              {streamSource === 'transcoded' && transcodedLevels.length > 1 && (
+                <Space style={{ marginRight: 20 }}>
+                  <Text>转码流清晰度:</Text>
+                  <Select
+                    value={transcodedLevel}
+                    onChange={setTranscodedLevel}
+                    options={[
+                      { value: -1, label: '自动（按网速切换）' },
+                      ...transcodedLevels.map((level, index) => ({ value: index, label: levelLabel(level) }))
+                    ]}
+                    style={{ width: 200 }}
+                  />
+                </Space>
+              )}
               <Radio.Group 
                 value={streamSource} 
                 onChange={handleSourceChange}
@@ -363,8 +832,8 @@ function App() {
                 <Tooltip title="原始流可能在某些浏览器无法播放">
                   <Radio.Button value="original">原始流</Radio.Button>
                 </Tooltip>
-                <Tooltip title={ffmpegAvailable ? "转码流提供更好的兼容性" : "FFmpeg未安装，此选项不可用"}>
-                  <Radio.Button value="transcoded" disabled={!ffmpegAvailable}>转码流</Radio.Button>
+                <Tooltip title={!ffmpegAvailable ? "FFmpeg未安装，此选项不可用" : (transcodedStreamUrl ? "转码流提供更好的兼容性" : "仅推流时服务端不生成转码流")}>
+                  <Radio.Button value="transcoded" disabled={!ffmpegAvailable || !transcodedStreamUrl}>转码流</Radio.Button>
                 </Tooltip>
               </Radio.Group>
             </div>
@@ -377,10 +846,19 @@ function App() {
           </div>
         </Card>
         
-        {loading && (
-          <div style={{ textAlign: 'center', margin: '50px 0' }}>
-            <Spin size="large" tip="正在获取直播流..." />
-          </div>
+        {/* 启动过程中以及启动失败后显示各步骤状态 */}
+        {(loading || progressSteps.some(step => step.status === 'error')) && (
+          <ExtractionProgress steps={progressSteps} loading={loading} onCancel={cancelStream} />
+        )}
+        
+        {sessionId && ffmpegAvailable && (
+          <RestreamPanel
+            serverUrl={SERVER_URL}
+            sessionId={sessionId}
+            destinations={destinations}
+            onUpdate={destination => setDestinations(list => upsertDestination(list, destination))}
+            onRemove={id => setDestinations(list => list.filter(item => item.id !== id))}
+          />
         )}
         
         {activeStreamUrl && (
@@ -408,31 +886,81 @@ function App() {
                     {streamSource === 'original' ? '(原始流播放中)' : '(转码流播放中)'}
                   </Text>
                 )}
+                {streamSource === 'transcoded' && transcodeMode === 'copy' && (
+                  <Tooltip title="源直播流已是H.264/AAC，服务端直接转封装，未重新编码">
+                    <Text type="secondary" style={{ marginLeft: 10 }}>（直接转封装）</Text>
+                  </Tooltip>
+                )}
+                {recording && (
+                  <Tooltip title={`服务端正在录制，每${recording.segmentMinutes}分钟${recording.segmentMegabytes > 0 ? `或${recording.segmentMegabytes}MB` : ''}分割为一个${recording.format}文件`}>
+                    <Text type="danger" style={{ marginLeft: 10 }}>● 录制中</Text>
+                  </Tooltip>
+                )}
+                {viewers > 1 && (
+                  <Tooltip title="同一直播间的观众共用服务端的同一个转播">
+                    <Text type="secondary" style={{ marginLeft: 10 }}>{viewers} 人正在观看</Text>
+                  </Tooltip>
+                )}
                 {isTestVideo && <Text type="warning" style={{ marginLeft: 10 }}>（测试视频，非真实直播）</Text>}
               </div>
             } 
+            extra={probeInfo && probeInfo.url === originalStreamUrl && (
+              <Tooltip title="服务端转播前用ffprobe检查到的源直播流信息">
+                <Text type="secondary">
+                  {qualityLabel(candidates.find(item => item.url === probeInfo.url)?.quality)} · {probeLabel(probeInfo)}
+                </Text>
+              </Tooltip>
+            )}
             style={{ width: '100%' }}
           >
             <div style={{ position: 'relative', paddingTop: '56.25%' }}>
-              <ReactPlayer
-                url={activeStreamUrl}
-                playing
-                controls
-                width="100%"
-                height="100%"
-                style={{ position: 'absolute', top: 0, left: 0 }}
-                onError={handlePlayerError}
-                config={{
-                  file: {
-                    attributes: {
-                      crossOrigin: 'anonymous',
-                      controlsList: 'nodownload'
-                    },
-                    forceVideo: true
-                  }
-                }}
-              />
+              {isHlsUrl(activeStreamUrl) ? (
+                <HlsPlayer
+                  ref={hlsPlayerRef}
+                  url={activeStreamUrl}
+                  level={activeStreamUrl === transcodedStreamUrl ? transcodedLevel : -1}
+                  onLevels={handleLevels}
+                  onError={handlePlayerError}
+                  dvr={dvrSeconds > 0 && activeStreamUrl === transcodedStreamUrl}
+                  style={{ position: 'absolute', top: 0, left: 0 }}
+                />
+              ) : (
+                <ReactPlayer
+                  url={activeStreamUrl}
+                  playing
+                  controls
+                  width="100%"
+                  height="100%"
+                  style={{ position: 'absolute', top: 0, left: 0 }}
+                  onError={handlePlayerError}
+                  config={{
+                    file: {
+                      attributes: {
+                        crossOrigin: 'anonymous',
+                        controlsList: 'nodownload'
+                      },
+                      forceVideo: true
+                    }
+                  }}
+                />
+              )}
             </div>
+            {dvrSeconds > 0 && activeStreamUrl === transcodedStreamUrl && isHlsUrl(activeStreamUrl) && (
+              <div style={{ marginTop: 10 }}>
+                <DvrControl playerRef={hlsPlayerRef} windowSeconds={dvrSeconds} />
+              </div>
+            )}
+            {/* 只有服务端的HLS转码流带有时间信息，可以剪辑 */}
+            {sessionId && activeStreamUrl === transcodedStreamUrl && isHlsUrl(activeStreamUrl) && (
+              <div style={{ marginTop: 10 }}>
+                <ClipControl
+                  serverUrl={SERVER_URL}
+                  source={{ sessionId }}
+                  getPosition={() => hlsPlayerRef.current?.getPlayingDate()?.getTime() ?? null}
+                  formatPosition={value => new Date(value).toLocaleTimeString()}
+                />
+              </div>
+            )}
           </Card>
         )}
         
@@ -505,6 +1033,20 @@ const FFPROBE_PATH = 'D:/ffmpeg/bin/ffprobe.exe'; // 修改为实际路径`}
                   <li>在过滤器中输入"m3u8"或"flv"</li>
                   <li>刷新页面并观察网络请求</li>
                   <li>找到直播流地址(通常以.m3u8或.flv结尾)</li>
+                  <li>
+                    复制地址后，在控制面板中切换到
+                    <Button
+                      type="link"
+                      size="small"
+                      onClick={() => {
+                        setInputMode('manual');
+                        handleCloseTestVideoHelp();
+                      }}
+                    >
+                      直播流地址
+                    </Button>
+                    模式粘贴并开始转播
+                  </li>
                 </ol>
               </Paragraph>
             </li>
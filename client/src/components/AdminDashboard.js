@@ -0,0 +1,273 @@
+import React, { useEffect, useState } from 'react';
+import { Button, Card, Popconfirm, Space, Table, Tag, Tooltip, Typography, message } from 'antd';
+import axios from 'axios';
+
+const { Text } = Typography;
+
+// 会话状态，与服务端StreamSession的state对应
+const STATE_TAGS = {
+  starting: { color: 'processing', label: '启动中' },
+  running: { color: 'green', label: '运行中' },
+  reconnecting: { color: 'orange', label: '重连中' },
+  ended: { color: 'default', label: '已结束' }
+};
+
+// 缩略图的刷新间隔（毫秒），服务端也会缓存一段时间
+const THUMBNAIL_REFRESH = 10000;
+
+// 处理速度低于该值时提示处理较慢，与服务端卡顿检测的默认最低速度相同
+const SLOW_SPEED = 0.8;
+
+/**
+ * 格式化运行时长
+ * @param {number|null} startedAt - 启动时间（毫秒）
+ * @returns {string} 例如 "1:02:03"，未知时为 "-"
+ */
+const formatUptime = (startedAt) => {
+  if (!startedAt) return '-';
+  const total = Math.max(Math.floor((Date.now() - startedAt) / 1000), 0);
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const seconds = String(total % 60).padStart(2, '0');
+  return `${hours}:${minutes}:${seconds}`;
+};
+
+/**
+ * 格式化可能为空的数值
+ * @param {number|null} value - 数值
+ * @param {string} unit - 单位
+ * @param {number} [digits] - 小数位数
+ * @returns {string} 例如 "2048 kbps"，为空时为 "-"
+ */
+const formatValue = (value, unit, digits = 0) => (value === null || value === undefined ? '-' : `${value.toFixed(digits)}${unit}`);
+
+/**
+ * 会话缩略图，还没有画面或截取失败时显示占位文字
+ * @param {Object} props
+ * @param {string} props.src - 缩略图地址
+ */
+function Thumbnail({ src }) {
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    setFailed(false);
+  }, [src]);
+
+  if (failed) {
+    return (
+      <div style={{ width: 160, height: 90, background: '#f5f5f5', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+        <Text type="secondary">暂无画面</Text>
+      </div>
+    );
+  }
+  return <img src={src} alt="缩略图" width={160} style={{ display: 'block', background: '#000' }} onError={() => setFailed(true)} />;
+}
+
+/**
+ * 会话管理
+ *
+ * 列出服务端所有正在运行的会话（不只是当前页面发起的），显示缩略图、观众数量、码率、FPS、运行时长和处理状态，
+ * 可以停止、重启会话或开始、停止录制。打开页面时通过WebSocket订阅，服务端定时推送所有会话的状态。
+ *
+ * @param {Object} props
+ * @param {string} props.serverUrl - 服务端地址
+ * @param {Object|null} props.socket - 与服务端的WebSocket连接
+ */
+function AdminDashboard({ serverUrl, socket }) {
+  const [sessions, setSessions] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [thumbnailTick, setThumbnailTick] = useState(Date.now());
+  // 正在执行操作的会话，sessionId -> 操作名称
+  const [pending, setPending] = useState({});
+
+  useEffect(() => {
+    if (!socket) return undefined;
+    const subscribe = () => socket.emit('dashboard-subscribe');
+    const handleSessions = (data) => {
+      setSessions(data.sessions || []);
+      setLoaded(true);
+    };
+
+    socket.on('dashboard-sessions', handleSessions);
+    // 断线重连后服务端不再记得订阅，需要重新订阅
+    socket.on('connect', subscribe);
+    subscribe();
+    return () => {
+      socket.emit('dashboard-unsubscribe');
+      socket.off('dashboard-sessions', handleSessions);
+      socket.off('connect', subscribe);
+    };
+  }, [socket]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setThumbnailTick(Date.now()), THUMBNAIL_REFRESH);
+    return () => clearInterval(timer);
+  }, []);
+
+  /**
+   * 执行会话操作，结果通过下一次推送更新到列表
+   * @param {string} sessionId - 会话ID
+   * @param {string} action - 操作名称
+   * @param {Function} request - 发送请求的函数
+   * @param {string} success - 成功时的提示
+   */
+  const runAction = async (sessionId, action, request, success) => {
+    setPending(prev => ({ ...prev, [sessionId]: action }));
+    try {
+      await request();
+      message.success(success);
+    } catch (error) {
+      message.error(error.response?.data?.error || '操作失败');
+    } finally {
+      setPending(prev => {
+        const next = { ...prev };
+        delete next[sessionId];
+        return next;
+      });
+    }
+  };
+
+  const columns = [
+    {
+      title: '画面',
+      key: 'thumbnail',
+      width: 176,
+      render: (_, record) => (
+        <Thumbnail src={`${serverUrl}/api/sessions/${encodeURIComponent(record.sessionId)}/thumbnail?t=${thumbnailTick}`} />
+      )
+    },
+    {
+      title: '直播间',
+      key: 'room',
+      render: (_, record) => (
+        <Space direction="vertical" size={0}>
+          <Text ellipsis style={{ maxWidth: 260 }}>{record.roomUrl || '手动填写的直播流'}</Text>
+          <Text type="secondary">
+            {record.quality || '默认清晰度'} · {record.output ? record.output.toUpperCase() : '只推流'}
+            {record.destinations > 0 ? ` · 推流${record.destinations}个` : ''}
+          </Text>
+          <Text type="secondary" style={{ fontSize: 12 }}>{record.sessionId}</Text>
+        </Space>
+      )
+    },
+    {
+      title: '状态',
+      dataIndex: 'state',
+      render: (state, record) => {
+        const tag = STATE_TAGS[state] || STATE_TAGS.starting;
+        return (
+          <Space direction="vertical" size={4}>
+            <Tooltip title={record.lastError ? `最近一次错误: ${record.lastError}` : ''}>
+              <Tag color={tag.color}>{tag.label}</Tag>
+            </Tooltip>
+            {record.recording && <Tag color="red">录制中</Tag>}
+            {record.resumed && <Tag color="blue">重启后恢复</Tag>}
+          </Space>
+        );
+      }
+    },
+    {
+      title: '观众',
+      dataIndex: 'viewers',
+      render: (viewers, record) => (
+        <Tooltip title={record.startedBy === 'api' ? '通过接口发起，没有观众时不会自动停止' : ''}>
+          <Text>{viewers}</Text>
+        </Tooltip>
+      )
+    },
+    {
+      title: '码率',
+      dataIndex: 'bitrate',
+      render: value => formatValue(value, ' kbps')
+    },
+    {
+      title: 'FPS',
+      dataIndex: 'fps',
+      render: value => formatValue(value, '', 1)
+    },
+    {
+      title: '运行时长',
+      dataIndex: 'startedAt',
+      render: value => formatUptime(value)
+    },
+    {
+      title: '处理状态',
+      key: 'health',
+      render: (_, record) => {
+        if (record.state !== 'running' || record.speed === null) {
+          return <Text type="secondary">{record.restarts > 0 ? `已重连${record.restarts}次` : '-'}</Text>;
+        }
+        const slow = record.speed < SLOW_SPEED;
+        return (
+          <Tooltip title={record.health ? `已处理 ${record.health.frames} 帧` : ''}>
+            <span>
+              <Tag color={slow ? 'orange' : 'green'}>{slow ? '处理较慢' : '正常'} {record.speed.toFixed(2)}x</Tag>
+              {record.restarts > 0 && <Text type="secondary">已重连{record.restarts}次</Text>}
+            </span>
+          </Tooltip>
+        );
+      }
+    },
+    {
+      title: '操作',
+      key: 'actions',
+      render: (_, record) => {
+        const { sessionId } = record;
+        const api = `${serverUrl}/api/sessions/${encodeURIComponent(sessionId)}`;
+        const busy = pending[sessionId];
+        return (
+          <Space wrap>
+            <Popconfirm
+              title="停止该会话吗？正在观看的观众都会中断"
+              onConfirm={() => runAction(sessionId, 'stop', () => axios.post(`${api}/stop`), '已停止')}
+            >
+              <Button size="small" danger loading={busy === 'stop'} disabled={Boolean(busy)}>停止</Button>
+            </Popconfirm>
+            <Button
+              size="small"
+              loading={busy === 'restart'}
+              disabled={Boolean(busy) || record.state !== 'running'}
+              onClick={() => runAction(sessionId, 'restart', () => axios.post(`${api}/restart`), '正在重新获取直播流并重启')}
+            >
+              重启
+            </Button>
+            {record.recording ? (
+              <Button
+                size="small"
+                loading={busy === 'record'}
+                disabled={Boolean(busy)}
+                onClick={() => runAction(sessionId, 'record', () => axios.delete(`${api}/recording`), '已停止录制')}
+              >
+                停止录制
+              </Button>
+            ) : (
+              <Button
+                size="small"
+                loading={busy === 'record'}
+                disabled={Boolean(busy)}
+                onClick={() => runAction(sessionId, 'record', () => axios.post(`${api}/recording`), '已开始录制')}
+              >
+                录制
+              </Button>
+            )}
+          </Space>
+        );
+      }
+    }
+  ];
+
+  return (
+    <Card title={`会话管理（${sessions.length}个会话）`}>
+      <Table
+        rowKey="sessionId"
+        columns={columns}
+        dataSource={sessions}
+        loading={!loaded && Boolean(socket)}
+        pagination={false}
+        locale={{ emptyText: socket ? '没有正在运行的会话' : '未连接到服务器' }}
+      />
+    </Card>
+  );
+}
+
+export default AdminDashboard;
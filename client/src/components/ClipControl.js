@@ -0,0 +1,120 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Button, Progress, Select, Space, Typography, message } from 'antd';
+import axios from 'axios';
+
+const { Text } = Typography;
+
+// 查询剪辑任务状态的间隔（毫秒）
+const POLL_INTERVAL = 1000;
+
+const FORMAT_OPTIONS = [
+  { value: 'mp4', label: 'MP4' },
+  { value: 'gif', label: 'GIF' }
+];
+
+/**
+ * 剪辑控制
+ *
+ * 点击“剪辑”后在播放器当前位置标记起点和终点，提交给服务端导出为MP4或GIF，
+ * 然后轮询任务状态，完成后给出下载链接。
+ *
+ * @param {Object} props
+ * @param {string} props.serverUrl - 服务端地址
+ * @param {Object} props.source - 剪辑来源，{ sessionId } 或 { recording }
+ * @param {Function} props.getPosition - 返回播放器当前位置：会话为毫秒时间戳，录制文件为秒数；无法获取时返回null
+ * @param {Function} props.formatPosition - 把位置格式化为显示的文字
+ */
+function ClipControl({ serverUrl, source, getPosition, formatPosition }) {
+  const [open, setOpen] = useState(false);
+  const [start, setStart] = useState(null);
+  const [end, setEnd] = useState(null);
+  const [format, setFormat] = useState('mp4');
+  const [job, setJob] = useState(null); // 服务端返回的剪辑任务状态
+  const timerRef = useRef(null);
+
+  // 来源变化或组件卸载时停止轮询
+  useEffect(() => {
+    setStart(null);
+    setEnd(null);
+    setJob(null);
+    return () => clearTimeout(timerRef.current);
+  }, [source.sessionId, source.recording]);
+
+  /**
+   * 在播放器当前位置标记起点或终点
+   * @param {Function} setter - setStart或setEnd
+   */
+  const mark = (setter) => {
+    const position = getPosition();
+    if (position === null || position === undefined) {
+      message.warning('无法获取当前播放位置');
+      return;
+    }
+    setter(position);
+  };
+
+  /**
+   * 轮询剪辑任务直到结束
+   * @param {string} jobId - 任务ID
+   */
+  const poll = (jobId) => {
+    timerRef.current = setTimeout(async () => {
+      try {
+        const response = await axios.get(`${serverUrl}/api/clips/jobs/${jobId}`);
+        const current = response.data.job;
+        setJob(current);
+        if (current.status === 'completed') {
+          message.success('剪辑完成');
+        } else if (current.status === 'failed') {
+          message.error(`剪辑失败: ${current.error}`);
+        } else {
+          poll(jobId);
+        }
+      } catch (error) {
+        message.error(error.response?.data?.error || '查询剪辑任务失败');
+      }
+    }, POLL_INTERVAL);
+  };
+
+  const exportClip = async () => {
+    if (start === null || end === null) {
+      message.warning('请先标记起点和终点');
+      return;
+    }
+    if (end <= start) {
+      message.warning('终点必须晚于起点');
+      return;
+    }
+    try {
+      clearTimeout(timerRef.current);
+      const response = await axios.post(`${serverUrl}/api/clips`, { ...source, start, end, format });
+      setJob(response.data.job);
+      poll(response.data.job.id);
+    } catch (error) {
+      message.error(error.response?.data?.error || '提交剪辑失败');
+    }
+  };
+
+  if (!open) {
+    return <Button size="small" onClick={() => setOpen(true)}>剪辑</Button>;
+  }
+
+  const busy = job && (job.status === 'queued' || job.status === 'running');
+  return (
+    <Space wrap>
+      <Button size="small" onClick={() => mark(setStart)}>标记起点</Button>
+      <Text type="secondary">{start === null ? '-' : formatPosition(start)}</Text>
+      <Button size="small" onClick={() => mark(setEnd)}>标记终点</Button>
+      <Text type="secondary">{end === null ? '-' : formatPosition(end)}</Text>
+      <Select size="small" value={format} onChange={setFormat} options={FORMAT_OPTIONS} style={{ width: 80 }} />
+      <Button size="small" type="primary" onClick={exportClip} loading={busy}>导出</Button>
+      {busy && <Progress percent={Math.round(job.progress * 100)} size="small" style={{ width: 120 }} />}
+      {job?.status === 'completed' && (
+        <a href={`${serverUrl}/api/clips/${encodeURIComponent(job.file)}/download`}>下载 {job.file}</a>
+      )}
+      <Button size="small" type="text" onClick={() => setOpen(false)}>收起</Button>
+    </Space>
+  );
+}
+
+export default ClipControl;
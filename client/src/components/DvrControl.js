@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import { Button, Slider, Space, Typography } from 'antd';
+
+const { Text } = Typography;
+
+// 刷新播放位置的间隔（毫秒）
+const REFRESH_INTERVAL = 500;
+
+// 落后直播位置不超过该时长（秒）时视为正在看直播
+const LIVE_THRESHOLD = 5;
+
+// 每次后退的时长（秒）
+const REWIND_SECONDS = 30;
+
+/**
+ * 格式化落后直播的时长
+ * @param {number} seconds - 秒数
+ * @returns {string} 例如 "-1:02:03"
+ */
+const formatBehind = (seconds) => {
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const rest = String(total % 60).padStart(2, '0');
+  return `-${hours > 0 ? `${hours}:` : ''}${minutes}:${rest}`;
+};
+
+/**
+ * 时移控制
+ *
+ * 服务端开启时移后，HLS播放列表保留了最近一段时间的分片。
+ * 在播放器下方显示可回看的进度条，可以暂停、后退、拖动到任意位置，以及回到直播。
+ *
+ * @param {Object} props
+ * @param {Object} props.playerRef - HlsPlayer的ref，参见HlsPlayer的getLiveState()
+ * @param {number} props.windowSeconds - 服务端保留的时长（秒）
+ */
+function DvrControl({ playerRef, windowSeconds }) {
+  const [state, setState] = useState(null); // getLiveState()的结果
+  const [dragging, setDragging] = useState(null); // 拖动进度条时的位置
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setState(playerRef.current?.getLiveState() || null);
+    }, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [playerRef]);
+
+  if (!state) {
+    return null;
+  }
+
+  const behind = Math.max(0, state.live - state.current);
+  const atLive = behind <= LIVE_THRESHOLD;
+  const seek = (time) => {
+    playerRef.current?.seek(time);
+    setState({ ...state, current: time });
+  };
+
+  return (
+    <Space style={{ width: '100%' }} wrap>
+      <Button size="small" onClick={() => playerRef.current?.togglePause()}>
+        {state.paused ? '播放' : '暂停'}
+      </Button>
+      <Button size="small" onClick={() => seek(Math.max(state.start, state.current - REWIND_SECONDS))}>
+        后退{REWIND_SECONDS}秒
+      </Button>
+      <Slider
+        style={{ width: 320, margin: '0 10px' }}
+        min={state.start}
+        max={state.end}
+        step={1}
+        value={dragging ?? state.current}
+        tooltip={{ formatter: value => (state.live - value > LIVE_THRESHOLD ? formatBehind(state.live - value) : '直播') }}
+        onChange={setDragging}
+        onChangeComplete={(value) => {
+          setDragging(null);
+          seek(value);
+        }}
+      />
+      {atLive ? (
+        <Text type="danger">● 直播</Text>
+      ) : (
+        <Text type="secondary">{formatBehind(behind)}</Text>
+      )}
+      <Button size="small" type={atLive ? 'default' : 'primary'} disabled={atLive} onClick={() => playerRef.current?.seekToLive()}>
+        回到直播
+      </Button>
+      <Text type="secondary">可回看最近{Math.round(windowSeconds / 60)}分钟</Text>
+    </Space>
+  );
+}
+
+export default DvrControl;
@@ -0,0 +1,66 @@
+import React from 'react';
+import { Button, Card, Timeline, Typography } from 'antd';
+
+const { Text } = Typography;
+
+// 步骤状态对应的时间线颜色
+const STATUS_COLORS = {
+  running: 'blue',
+  success: 'green',
+  warning: 'orange',
+  error: 'red'
+};
+
+/**
+ * 格式化步骤耗时
+ * @param {Object} step - 服务端推送的步骤记录
+ * @returns {string} 例如 "1.2秒"，进行中的步骤为空字符串
+ */
+const formatDuration = (step) => {
+  if (step.status === 'running' || !step.startedAt || !step.updatedAt) {
+    return '';
+  }
+  return `${((step.updatedAt - step.startedAt) / 1000).toFixed(1)}秒`;
+};
+
+/**
+ * 转播启动进度时间线
+ * @param {Object} props
+ * @param {Object[]} props.steps - 服务端推送的步骤记录，按开始顺序排列
+ * @param {boolean} props.loading - 是否仍在启动中
+ * @param {Function} [props.onCancel] - 点击取消按钮时调用，仅在启动中显示
+ */
+function ExtractionProgress({ steps, loading, onCancel }) {
+  const failed = steps.find(step => step.status === 'error');
+
+  return (
+    <Card
+      title={loading ? '正在获取直播流...' : (failed ? '启动失败' : '启动完成')}
+      style={{ width: '100%', marginBottom: 20 }}
+      extra={loading && onCancel && (
+        <Button size="small" danger onClick={onCancel}>取消</Button>
+      )}
+    >
+      <Timeline
+        pending={loading ? '处理中...' : false}
+        items={steps.map(step => ({
+          key: step.step,
+          color: STATUS_COLORS[step.status] || 'gray',
+          children: (
+            <>
+              <Text type={step.status === 'error' ? 'danger' : undefined}>{step.message}</Text>
+              {formatDuration(step) && (
+                <Text type="secondary" style={{ marginLeft: 8 }}>{formatDuration(step)}</Text>
+              )}
+            </>
+          )
+        }))}
+      />
+      {failed && (
+        <Text type="danger">失败步骤: {failed.message}</Text>
+      )}
+    </Card>
+  );
+}
+
+export default ExtractionProgress;
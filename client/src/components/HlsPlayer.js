@@ -0,0 +1,179 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef } from 'react';
+import Hls from 'hls.js';
+
+// 转码刚启动时播放列表还没有生成，加载失败后重试的次数和间隔
+const MANIFEST_RETRIES = 15;
+const MANIFEST_RETRY_DELAY = 1000;
+
+/**
+ * 使用hls.js播放HLS直播
+ *
+ * 不支持MSE的浏览器（如iOS Safari）使用原生HLS播放。
+ * 主播放列表包含多个清晰度时，默认由hls.js根据带宽自动切换。
+ * 通过ref的getPlayingDate()获取当前画面对应的绝对时间（来自播放列表的EXT-X-PROGRAM-DATE-TIME），用于剪辑。
+ * 开启时移（dvr）时，播放列表保留了最近一段时间的分片，可以通过ref暂停、回看和回到直播。
+ *
+ * @param {Object} props
+ * @param {string} props.url - m3u8播放列表地址
+ * @param {number} [props.level] - 手动选择的清晰度序号，-1或未提供时自动切换
+ * @param {Function} [props.onLevels] - 播放列表解析后回调，接收各清晰度的height、bitrate和name
+ * @param {Function} [props.onError] - 无法恢复的播放错误
+ * @param {boolean} [props.dvr] - 是否开启时移
+ * @param {Object} [props.style] - video元素的样式
+ * @param {Object} ref - 暴露getPlayingDate()，以及时移用的getLiveState()、seek()、seekToLive()和togglePause()
+ */
+const HlsPlayer = forwardRef(function HlsPlayer({ url, level = -1, onLevels, onError, dvr = false, style }, ref) {
+  const videoRef = useRef(null);
+  const hlsRef = useRef(null);
+
+  useImperativeHandle(ref, () => ({
+    /**
+     * 当前画面对应的绝对时间
+     * @returns {Date|null} 播放列表没有时间信息或使用原生HLS播放时为null
+     */
+    getPlayingDate: () => hlsRef.current?.playingDate || null,
+
+    /**
+     * 当前可以回看的范围和播放位置
+     * @returns {Object|null} 可回看范围的起点start和终点end、播放位置current、直播位置live（秒）以及是否暂停paused，
+     *   播放列表尚未加载时为null
+     */
+    getLiveState: () => {
+      const video = videoRef.current;
+      if (!video || video.seekable.length === 0) {
+        return null;
+      }
+      const start = video.seekable.start(0);
+      const end = video.seekable.end(video.seekable.length - 1);
+      return {
+        start,
+        end,
+        current: video.currentTime,
+        live: hlsRef.current?.liveSyncPosition ?? end,
+        paused: video.paused
+      };
+    },
+
+    /**
+     * 跳转到指定位置
+     * @param {number} time - 播放位置（秒），参见getLiveState
+     */
+    seek: (time) => {
+      if (videoRef.current) {
+        videoRef.current.currentTime = time;
+      }
+    },
+
+    // 回到直播的最新位置并继续播放
+    seekToLive: () => {
+      const video = videoRef.current;
+      if (!video || video.seekable.length === 0) {
+        return;
+      }
+      video.currentTime = hlsRef.current?.liveSyncPosition ?? video.seekable.end(video.seekable.length - 1);
+      video.play().catch(() => {});
+    },
+
+    togglePause: () => {
+      const video = videoRef.current;
+      if (!video) {
+        return;
+      }
+      if (video.paused) {
+        video.play().catch(() => {});
+      } else {
+        video.pause();
+      }
+    }
+  }), []);
+  // 保存最新的回调，避免回调变化时重新创建播放器
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+  const onLevelsRef = useRef(onLevels);
+  onLevelsRef.current = onLevels;
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!url || !video) {
+      return undefined;
+    }
+
+    if (!Hls.isSupported()) {
+      if (video.canPlayType('application/vnd.apple.mpegurl')) {
+        video.src = url;
+        return () => {
+          video.removeAttribute('src');
+          video.load();
+        };
+      }
+      onErrorRef.current?.(new Error('当前浏览器不支持HLS播放'));
+      return undefined;
+    }
+
+    // 时移时使用播放列表的实际时长，原生进度条才能拖动；
+    // 回看窗口可能长达数小时，只在内存中保留最近90秒已播放的内容，回看时重新加载分片
+    const hls = new Hls(dvr
+      ? { liveDurationInfinity: false, backBufferLength: 90 }
+      : { liveDurationInfinity: true });
+    hlsRef.current = hls;
+    let retries = 0;
+    let retryTimer = null;
+
+    hls.on(Hls.Events.ERROR, (event, data) => {
+      if (!data.fatal) {
+        return;
+      }
+      if (data.details === Hls.ErrorDetails.MANIFEST_LOAD_ERROR && retries < MANIFEST_RETRIES) {
+        // 播放列表尚未生成，稍后重新加载
+        retries++;
+        retryTimer = setTimeout(() => hls.loadSource(url), MANIFEST_RETRY_DELAY);
+      } else if (data.type === Hls.ErrorTypes.NETWORK_ERROR) {
+        hls.startLoad();
+      } else if (data.type === Hls.ErrorTypes.MEDIA_ERROR) {
+        hls.recoverMediaError();
+      } else {
+        onErrorRef.current?.(data);
+      }
+    });
+    hls.on(Hls.Events.MANIFEST_PARSED, (event, data) => {
+      retries = 0;
+      onLevelsRef.current?.(data.levels.map(item => ({
+        height: item.height,
+        bitrate: item.bitrate,
+        name: item.name
+      })));
+      video.play().catch(() => {
+        // 浏览器阻止自动播放时由用户点击播放
+      });
+    });
+
+    hls.loadSource(url);
+    hls.attachMedia(video);
+
+    return () => {
+      clearTimeout(retryTimer);
+      hls.destroy();
+      hlsRef.current = null;
+    };
+  }, [url, dvr]);
+
+  // 切换清晰度，-1表示恢复自动切换
+  useEffect(() => {
+    if (hlsRef.current) {
+      hlsRef.current.currentLevel = level;
+    }
+  }, [level]);
+
+  return (
+    <video
+      ref={videoRef}
+      controls
+      autoPlay
+      crossOrigin="anonymous"
+      controlsList="nodownload"
+      style={{ width: '100%', height: '100%', background: '#000', ...style }}
+    />
+  );
+});
+
+export default HlsPlayer;
@@ -0,0 +1,316 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Button, Card, Modal, Popconfirm, Space, Table, Tag, Tooltip, Typography, message } from 'antd';
+import axios from 'axios';
+import ClipControl from './ClipControl';
+
+const { Text } = Typography;
+
+// 录制文件和剪辑片段两个文件库，接口为 /api/<key>
+const LIBRARIES = {
+  recordings: {
+    title: '录制文件',
+    emptyText: '还没有录制文件，开始转播时勾选“同时录制”即可录制'
+  },
+  clips: {
+    title: '剪辑片段',
+    emptyText: '还没有剪辑片段，可以在直播画面或录制文件的播放器中点击“剪辑”导出'
+  }
+};
+
+// 录制文件的状态，与服务端返回的status对应
+const STATUS_TAGS = {
+  recording: { color: 'red', label: '录制中' },
+  completed: { color: 'green', label: '已完成' },
+  incomplete: { color: 'orange', label: '未正常结束' },
+  unknown: { color: 'default', label: '未知' }
+};
+
+/**
+ * 格式化文件大小
+ * @param {number} bytes - 字节数
+ * @returns {string} 例如 "1.2 GB"
+ */
+const formatSize = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+/**
+ * 格式化时长
+ * @param {number|null} seconds - 秒数
+ * @returns {string} 例如 "1:02:03"，未知时为 "-"
+ */
+const formatDuration = (seconds) => {
+  if (!seconds && seconds !== 0) return '-';
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const rest = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes}:${rest}` : `${minutes}:${rest}`;
+};
+
+/**
+ * 录制时源直播流的编码
+ * @param {Object} recording - 服务端返回的录制文件信息
+ * @returns {string} 例如 "h264 1920x1080 · aac"
+ */
+const codecLabel = (recording) => {
+  const parts = [];
+  if (recording.video) {
+    const size = recording.video.width ? ` ${recording.video.width}x${recording.video.height}` : '';
+    parts.push(`${recording.video.codec}${size}`);
+  }
+  if (recording.audio) parts.push(recording.audio.codec);
+  return parts.length > 0 ? parts.join(' · ') : '-';
+};
+
+/**
+ * 录制文件列表
+ *
+ * 列出服务端录制目录（或剪辑目录）中的文件，可以在线播放、查看详细信息、下载和批量删除。
+ * 播放录制文件时可以剪辑其中的一段。
+ *
+ * @param {Object} props
+ * @param {string} props.serverUrl - 服务端地址
+ * @param {string} [props.library] - recordings（默认）或clips
+ */
+function RecordingsPage({ serverUrl, library = 'recordings' }) {
+  const { title, emptyText } = LIBRARIES[library];
+  const apiUrl = `${serverUrl}/api/${library}`;
+  const [recordings, setRecordings] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedNames, setSelectedNames] = useState([]);
+  const [playing, setPlaying] = useState(null); // 正在播放的录制文件
+  const [details, setDetails] = useState(null); // 正在查看详细信息的录制文件
+  const videoRef = useRef(null); // 用于剪辑时获取播放位置
+
+  const fileUrl = (name, action) => `${apiUrl}/${encodeURIComponent(name)}/${action}`;
+
+  const loadRecordings = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(apiUrl);
+      const list = response.data.recordings || [];
+      setRecordings(list);
+      // 去掉已经不存在的选中项
+      setSelectedNames(names => names.filter(name => list.some(item => item.name === name)));
+    } catch (error) {
+      console.error(`获取${title}失败:`, error);
+      message.error(`获取${title}失败`);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiUrl, title]);
+
+  useEffect(() => {
+    loadRecordings();
+  }, [loadRecordings]);
+
+  /**
+   * 查看录制文件的详细信息，服务端会用ffprobe探测实际的时长和编码
+   * @param {string} name - 录制文件名
+   */
+  const showDetails = async (name) => {
+    try {
+      const response = await axios.get(`${apiUrl}/${encodeURIComponent(name)}`);
+      setDetails(response.data.recording);
+    } catch (error) {
+      message.error(error.response?.data?.error || '获取文件信息失败');
+    }
+  };
+
+  /**
+   * 删除录制文件
+   * @param {string[]} names - 录制文件名
+   */
+  const deleteRecordings = async (names) => {
+    try {
+      const response = await axios.delete(apiUrl, { data: { names } });
+      const { deleted = [], failed = [] } = response.data;
+      if (deleted.length > 0) {
+        message.success(`已删除 ${deleted.length} 个文件`);
+      }
+      failed.forEach(item => message.error(`${item.name}: ${item.error}`));
+      if (playing && deleted.includes(playing.name)) {
+        setPlaying(null);
+      }
+    } catch (error) {
+      message.error(error.response?.data?.error || '删除失败');
+    }
+    loadRecordings();
+  };
+
+  const columns = [
+    {
+      title: '文件名',
+      dataIndex: 'name',
+      render: (name, record) => (
+        <Tooltip title={record.roomUrl}>
+          <Button type="link" style={{ padding: 0 }} onClick={() => showDetails(name)}>{name}</Button>
+        </Tooltip>
+      )
+    },
+    {
+      title: '开始时间',
+      dataIndex: 'startedAt',
+      render: value => new Date(value).toLocaleString()
+    },
+    {
+      title: '时长',
+      dataIndex: 'duration',
+      render: formatDuration
+    },
+    {
+      title: '大小',
+      dataIndex: 'size',
+      render: formatSize
+    },
+    {
+      title: '编码',
+      key: 'codec',
+      render: (_, record) => codecLabel(record)
+    },
+    {
+      title: '状态',
+      dataIndex: 'status',
+      render: (status) => {
+        const tag = STATUS_TAGS[status] || STATUS_TAGS.unknown;
+        return <Tag color={tag.color}>{tag.label}</Tag>;
+      }
+    },
+    {
+      title: '操作',
+      key: 'actions',
+      render: (_, record) => (
+        <Space>
+          <Tooltip title={record.status === 'recording' && record.format === 'mp4' ? 'MP4文件写完后才能播放' : ''}>
+            <Button
+              size="small"
+              onClick={() => setPlaying(record)}
+              disabled={record.status === 'recording' && record.format === 'mp4'}
+            >
+              播放
+            </Button>
+          </Tooltip>
+          <Button size="small" href={fileUrl(record.name, 'download')}>下载</Button>
+          <Popconfirm
+            title="删除文件"
+            description="删除后无法恢复，确定删除吗？"
+            onConfirm={() => deleteRecordings([record.name])}
+            disabled={record.status === 'recording'}
+          >
+            <Button size="small" danger disabled={record.status === 'recording'}>删除</Button>
+          </Popconfirm>
+        </Space>
+      )
+    }
+  ];
+
+  return (
+    <>
+      <Card
+        title={title}
+        extra={
+          <Space>
+            <Popconfirm
+              title="批量删除"
+              description={`确定删除选中的 ${selectedNames.length} 个文件吗？`}
+              onConfirm={() => deleteRecordings(selectedNames)}
+              disabled={selectedNames.length === 0}
+            >
+              <Button danger disabled={selectedNames.length === 0}>删除选中（{selectedNames.length}）</Button>
+            </Popconfirm>
+            <Button onClick={loadRecordings} loading={loading}>刷新</Button>
+          </Space>
+        }
+        style={{ width: '100%', marginBottom: 20 }}
+      >
+        <Table
+          rowKey="name"
+          size="middle"
+          columns={columns}
+          dataSource={recordings}
+          loading={loading}
+          rowSelection={{
+            selectedRowKeys: selectedNames,
+            onChange: setSelectedNames,
+            // 正在写入的文件不能删除
+            getCheckboxProps: record => ({ disabled: record.status === 'recording' })
+          }}
+          locale={{ emptyText }}
+        />
+      </Card>
+
+      {playing && (
+        <Card
+          title={`播放: ${playing.name}`}
+          extra={<Button onClick={() => setPlaying(null)}>关闭</Button>}
+          style={{ width: '100%' }}
+        >
+          {!['mp4', 'gif'].includes(playing.format) && (
+            <Text type="secondary" style={{ display: 'block', marginBottom: 10 }}>
+              部分浏览器不支持直接播放{playing.format}文件，无法播放时请下载后使用本地播放器
+            </Text>
+          )}
+          {playing.format === 'gif' ? (
+            <img src={fileUrl(playing.name, 'stream')} alt={playing.name} style={{ maxWidth: '100%' }} />
+          ) : (
+            // 服务端支持Range请求，可以拖动进度
+            <video
+              key={playing.name}
+              ref={videoRef}
+              src={fileUrl(playing.name, 'stream')}
+              controls
+              autoPlay
+              style={{ width: '100%', maxHeight: '70vh', background: '#000' }}
+            />
+          )}
+          {library === 'recordings' && (
+            <div style={{ marginTop: 10 }}>
+              <ClipControl
+                serverUrl={serverUrl}
+                source={{ recording: playing.name }}
+                getPosition={() => videoRef.current?.currentTime ?? null}
+                formatPosition={formatDuration}
+              />
+            </div>
+          )}
+        </Card>
+      )}
+
+      <Modal
+        title={details?.name}
+        open={!!details}
+        onCancel={() => setDetails(null)}
+        footer={null}
+      >
+        {details && (
+          <div>
+            <p><Text strong>直播间:</Text> {details.roomUrl || '-'}</p>
+            <p><Text strong>开始时间:</Text> {new Date(details.startedAt).toLocaleString()}</p>
+            <p><Text strong>结束时间:</Text> {details.endedAt ? new Date(details.endedAt).toLocaleString() : '-'}</p>
+            <p><Text strong>大小:</Text> {formatSize(details.size)}</p>
+            {details.media ? (
+              <>
+                <p><Text strong>实际时长:</Text> {formatDuration(details.media.duration)}</p>
+                <p><Text strong>视频:</Text> {details.media.video ? `${details.media.video.codec} ${details.media.video.width}x${details.media.video.height}` : '无'}</p>
+                <p><Text strong>音频:</Text> {details.media.audio ? `${details.media.audio.codec} ${details.media.audio.sampleRate || ''}Hz` : '无'}</p>
+              </>
+            ) : (
+              <p><Text type="secondary">无法探测文件信息: {details.probeError}</Text></p>
+            )}
+            {details.error && <p><Text type="warning">录制中断原因: {details.error}</Text></p>}
+          </div>
+        )}
+      </Modal>
+    </>
+  );
+}
+
+export default RecordingsPage;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { Button, Card, Input, Popconfirm, Space, Table, Tag, Tooltip, Typography, message } from 'antd';
+import axios from 'axios';
+
+const { Text } = Typography;
+
+// 推流状态，与服务端Restreamer的state对应
+const STATE_TAGS = {
+  idle: { color: 'default', label: '等待直播流' },
+  connecting: { color: 'processing', label: '连接中' },
+  live: { color: 'green', label: '推流中' },
+  retrying: { color: 'orange', label: '重试中' },
+  stopped: { color: 'default', label: '已停止' }
+};
+
+/**
+ * 推流地址管理
+ *
+ * 列出会话的各推流地址及其状态，可以在转播期间增加或移除推流地址。
+ * 状态变化由服务端通过destination-status事件推送，由父组件更新destinations。
+ *
+ * @param {Object} props
+ * @param {string} props.serverUrl - 服务端地址
+ * @param {string} props.sessionId - 会话ID
+ * @param {Object[]} props.destinations - 服务端返回的推流状态，地址中的密钥已隐藏
+ * @param {Function} props.onUpdate - 推流地址增加后回调，接收服务端返回的推流状态
+ * @param {Function} props.onRemove - 推流地址移除后回调，接收推流地址编号
+ */
+function RestreamPanel({ serverUrl, sessionId, destinations, onUpdate, onRemove }) {
+  const [url, setUrl] = useState('');
+  const [name, setName] = useState('');
+  const [adding, setAdding] = useState(false);
+  const apiUrl = `${serverUrl}/api/stream/${sessionId}/destinations`;
+
+  const addDestination = async () => {
+    if (!url.trim()) {
+      message.warning('请输入rtmp://或srt://开头的推流地址');
+      return;
+    }
+    setAdding(true);
+    try {
+      const response = await axios.post(apiUrl, { url: url.trim(), name: name.trim() || undefined });
+      onUpdate(response.data.destination);
+      setUrl('');
+      setName('');
+    } catch (error) {
+      message.error(error.response?.data?.error || '增加推流地址失败');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  /**
+   * 移除推流地址
+   * @param {string} id - 推流地址编号
+   */
+  const removeDestination = async (id) => {
+    try {
+      await axios.delete(`${apiUrl}/${id}`);
+      onRemove(id);
+    } catch (error) {
+      message.error(error.response?.data?.error || '移除推流地址失败');
+    }
+  };
+
+  const columns = [
+    {
+      title: '名称',
+      dataIndex: 'name'
+    },
+    {
+      title: '地址',
+      dataIndex: 'url',
+      render: value => <Text type="secondary">{value}</Text>
+    },
+    {
+      title: '状态',
+      dataIndex: 'state',
+      render: (state, record) => {
+        const tag = STATE_TAGS[state] || STATE_TAGS.idle;
+        return (
+          <Tooltip title={record.error ? `${record.error}${record.failures > 0 ? `（已失败${record.failures}次）` : ''}` : ''}>
+            <Tag color={tag.color}>{tag.label}</Tag>
+          </Tooltip>
+        );
+      }
+    },
+    {
+      title: '方式',
+      dataIndex: 'mode',
+      render: (mode, record) => (mode ? (
+        <Tooltip title={record.modeReason}>
+          <Text>{mode === 'copy' ? '直接推流' : '转码推流'}</Text>
+        </Tooltip>
+      ) : '-')
+    },
+    {
+      title: '操作',
+      key: 'actions',
+      render: (_, record) => (
+        <Popconfirm title="停止推流到该地址吗？" onConfirm={() => removeDestination(record.id)}>
+          <Button size="small" danger>移除</Button>
+        </Popconfirm>
+      )
+    }
+  ];
+
+  return (
+    <Card title="推流" style={{ width: '100%', marginBottom: 20 }}>
+      <Table
+        rowKey="id"
+        size="small"
+        columns={columns}
+        dataSource={destinations}
+        pagination={false}
+        locale={{ emptyText: '没有推流地址，可以在下方增加' }}
+        style={{ marginBottom: 10 }}
+      />
+      <Space.Compact style={{ width: '100%' }}>
+        <Input
+          placeholder="推流地址，例如 rtmp://host/live/推流码 或 srt://host:port?streamid=..."
+          value={url}
+          onChange={e => setUrl(e.target.value)}
+          onPressEnter={addDestination}
+        />
+        <Input
+          placeholder="名称（可选）"
+          value={name}
+          onChange={e => setName(e.target.value)}
+          style={{ width: 160 }}
+        />
+        <Button type="primary" loading={adding} onClick={addDestination}>增加</Button>
+      </Space.Compact>
+    </Card>
+  );
+}
+
+export default RestreamPanel;
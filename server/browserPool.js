@@ -0,0 +1,348 @@
+/**
+ * 共享浏览器池
+ *
+ * 维护若干个长期运行的Chrome实例，每次提取从中借出一个全新的隐身上下文，
+ * 用完即关闭上下文而不是关闭浏览器。池会限制同时进行的提取数量，
+ * 超出时排队等待；崩溃或无响应的浏览器会被回收并在需要时重新启动。
+ */
+
+const puppeteer = require('puppeteer');
+const config = require('./config');
+const { cancelledError } = require('./cancellation');
+
+// 浏览器启动参数
+const LAUNCH_OPTIONS = {
+  headless: "new", // 使用新的headless模式
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-web-security',
+    '--disable-features=IsolateOrigins,site-per-process',
+    '--window-size=1920,1080',
+    '--disable-blink-features=AutomationControlled', // 禁用自动化控制检测
+    '--disable-extensions',
+    '--disable-component-extensions-with-background-pages',
+    '--disable-default-apps',
+    '--lang=zh-CN,zh' // 设置中文语言环境
+  ],
+  defaultViewport: {
+    width: 1920,
+    height: 1080
+  }
+};
+
+/**
+ * 为Promise添加超时
+ * @param {Promise} promise - 原Promise
+ * @param {number} ms - 超时时间
+ * @param {string} message - 超时错误信息
+ * @returns {Promise} 超时后拒绝的Promise
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class BrowserPool {
+  /**
+   * @param {Object} [options] - 池配置，未提供的项使用config.browserPool
+   * @param {number} [options.size] - 最多同时运行的浏览器数量
+   * @param {number} [options.maxConcurrency] - 最多同时借出的上下文数量
+   * @param {number} [options.maxQueue] - 最多排队等待的请求数量
+   * @param {number} [options.acquireTimeout] - 排队等待的超时时间（毫秒）
+   * @param {number} [options.maxUsesPerBrowser] - 每个浏览器最多借出的次数，达到后回收
+   * @param {number} [options.healthCheckInterval] - 健康检查间隔（毫秒），0表示不检查
+   * @param {number} [options.healthCheckTimeout] - 健康检查等待浏览器响应的时间（毫秒）
+   * @param {Function} [options.launch] - 启动浏览器的函数，默认使用puppeteer.launch
+   */
+  constructor(options = {}) {
+    this.options = { ...config.browserPool, ...options };
+    this.launch = options.launch || (() => puppeteer.launch(LAUNCH_OPTIONS));
+    this.entries = [];
+    this.waiters = [];
+    this.active = 0;
+    this.closed = false;
+
+    if (this.options.healthCheckInterval > 0) {
+      this.healthTimer = setInterval(() => this.checkHealth(), this.options.healthCheckInterval);
+      this.healthTimer.unref();
+    }
+  }
+
+  /**
+   * 借出一个隐身上下文，池满时排队等待
+   * @param {Object} [options] - 借出选项
+   * @param {AbortSignal} [options.signal] - 取消信号，排队期间触发时退出队列
+   * @returns {Promise<Object>} browser、context以及归还用的release()
+   */
+  acquire(options = {}) {
+    const { signal } = options;
+    if (this.closed) {
+      return Promise.reject(new Error('浏览器池已关闭'));
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(cancelledError());
+    }
+
+    if (this.active < this.options.maxConcurrency && this.waiters.length === 0) {
+      return this.lease();
+    }
+
+    if (this.waiters.length >= this.options.maxQueue) {
+      return Promise.reject(new Error('当前提取任务过多，请稍后再试'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        reject(cancelledError());
+      };
+      const cleanup = () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      const waiter = {
+        resolve: (lease) => {
+          cleanup();
+          resolve(lease);
+        },
+        reject: (error) => {
+          cleanup();
+          reject(error);
+        }
+      };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        waiter.reject(new Error('等待可用浏览器超时'));
+      }, this.options.acquireTimeout);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      this.waiters.push(waiter);
+      console.log(`浏览器池已满，提取任务排队中（队列长度: ${this.waiters.length}）`);
+    });
+  }
+
+  /**
+   * 借出上下文执行函数，结束后自动归还
+   * @param {Function} fn - 接收BrowserContext的异步函数
+   * @param {Object} [options] - 借出选项，参见acquire
+   * @returns {Promise<*>} fn的返回值
+   */
+  async withContext(fn, options) {
+    const lease = await this.acquire(options);
+    try {
+      return await fn(lease.context);
+    } finally {
+      await lease.release();
+    }
+  }
+
+  /**
+   * 占用一个并发名额并创建上下文
+   * @returns {Promise<Object>} 借出记录
+   */
+  async lease() {
+    // 同步占用名额，避免并发请求同时越过上限
+    this.active++;
+    let entry = null;
+
+    try {
+      entry = this.pickEntry();
+      entry.active++;
+      entry.uses++;
+      const browser = await entry.ready;
+      const context = await browser.createIncognitoBrowserContext();
+
+      let released = false;
+      return {
+        browser,
+        context,
+        release: async () => {
+          if (released) return;
+          released = true;
+          await context.close().catch(() => {});
+          this.releaseEntry(entry);
+        }
+      };
+    } catch (error) {
+      if (entry) {
+        this.releaseEntry(entry);
+      } else {
+        this.active--;
+        this.drain();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 选择负载最低的浏览器，所有浏览器都在使用且未达上限时启动新的
+   * @returns {Object} 浏览器记录
+   */
+  pickEntry() {
+    const available = this.entries.filter(entry => !entry.retired);
+    const idle = available.find(entry => entry.active === 0);
+    if (idle) {
+      return idle;
+    }
+    if (available.length < this.options.size) {
+      return this.spawn();
+    }
+    return available.reduce((least, entry) => (entry.active < least.active ? entry : least));
+  }
+
+  /**
+   * 启动一个新的浏览器并加入池中
+   * @returns {Object} 浏览器记录，ready在浏览器启动完成后resolve
+   */
+  spawn() {
+    const entry = { browser: null, active: 0, uses: 0, retired: false };
+    entry.ready = this.launch().then(browser => {
+      entry.browser = browser;
+      browser.on('disconnected', () => {
+        if (!entry.retired) {
+          console.warn('池中的浏览器意外断开，将在需要时重新启动');
+        }
+        this.remove(entry);
+      });
+      console.log(`浏览器池启动了新的浏览器（当前数量: ${this.entries.length}）`);
+      return browser;
+    });
+    // 启动失败时移出池，错误由借出方处理
+    entry.ready.catch(() => this.remove(entry));
+
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * 归还名额，并处理达到使用次数上限的浏览器
+   * @param {Object} entry - 浏览器记录
+   */
+  releaseEntry(entry) {
+    entry.active--;
+    this.active--;
+
+    if (entry.uses >= this.options.maxUsesPerBrowser) {
+      entry.retired = true;
+    }
+    if (entry.retired && entry.active === 0) {
+      this.destroy(entry);
+    }
+    this.drain();
+  }
+
+  /**
+   * 有空闲名额时唤醒排队的请求
+   */
+  drain() {
+    while (!this.closed && this.waiters.length > 0 && this.active < this.options.maxConcurrency) {
+      const waiter = this.waiters.shift();
+      clearTimeout(waiter.timer);
+      this.lease().then(waiter.resolve, waiter.reject);
+    }
+  }
+
+  /**
+   * 从池中移除浏览器记录
+   * @param {Object} entry - 浏览器记录
+   */
+  remove(entry) {
+    entry.retired = true;
+    const index = this.entries.indexOf(entry);
+    if (index !== -1) {
+      this.entries.splice(index, 1);
+    }
+  }
+
+  /**
+   * 关闭并移除浏览器
+   * @param {Object} entry - 浏览器记录
+   */
+  async destroy(entry) {
+    this.remove(entry);
+    try {
+      const browser = await entry.ready;
+      await browser.close();
+    } catch (e) {
+      // 浏览器已经崩溃或启动失败，无需处理
+    }
+  }
+
+  /**
+   * 检查空闲浏览器是否仍可响应，无响应的浏览器将被回收
+   */
+  async checkHealth() {
+    const idle = this.entries.filter(entry => entry.browser && !entry.retired && entry.active === 0);
+    for (const entry of idle) {
+      try {
+        await withTimeout(entry.browser.version(), this.options.healthCheckTimeout, '浏览器无响应');
+      } catch (e) {
+        console.warn(`浏览器健康检查失败，回收该浏览器: ${e.message}`);
+        this.destroy(entry);
+      }
+    }
+  }
+
+  /**
+   * 获取池的运行状态
+   * @returns {Object} 浏览器数量、借出数量和排队数量
+   */
+  stats() {
+    return {
+      browsers: this.entries.length,
+      active: this.active,
+      queued: this.waiters.length,
+      maxConcurrency: this.options.maxConcurrency
+    };
+  }
+
+  /**
+   * 关闭池：拒绝所有排队请求并关闭全部浏览器
+   */
+  async shutdown() {
+    this.closed = true;
+    clearInterval(this.healthTimer);
+
+    for (const waiter of this.waiters.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('浏览器池已关闭'));
+    }
+
+    await Promise.all(this.entries.slice().map(entry => this.destroy(entry)));
+    console.log('浏览器池已关闭');
+  }
+}
+
+let sharedPool = null;
+
+/**
+ * 获取全局共享的浏览器池，首次调用时创建
+ * @returns {BrowserPool} 浏览器池
+ */
+function getBrowserPool() {
+  if (!sharedPool) {
+    sharedPool = new BrowserPool();
+  }
+  return sharedPool;
+}
+
+/**
+ * 关闭全局共享的浏览器池（如果已创建）
+ */
+async function shutdownBrowserPool() {
+  if (sharedPool) {
+    const pool = sharedPool;
+    sharedPool = null;
+    await pool.shutdown();
+  }
+}
+
+module.exports = {
+  BrowserPool,
+  LAUNCH_OPTIONS,
+  getBrowserPool,
+  shutdownBrowserPool
+};
@@ -0,0 +1,80 @@
+/**
+ * 取消正在进行的提取
+ *
+ * 启动请求会创建一个AbortController，其signal随选项传给规范化、提取、浏览器池和探测等模块。
+ * 各模块在长时间等待前后检查signal，被取消时抛出cancelled为true的错误。
+ */
+
+/**
+ * 创建表示已取消的错误
+ * @returns {Error} cancelled为true的错误
+ */
+function cancelledError() {
+  const error = new Error('已取消获取直播流');
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * 已取消时抛出错误
+ * @param {AbortSignal} [signal] - 取消信号
+ * @throws {Error} signal已触发时抛出cancelledError
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw cancelledError();
+  }
+}
+
+/**
+ * 可取消的等待
+ * @param {number} ms - 等待时间（毫秒）
+ * @param {AbortSignal} [signal] - 取消信号，触发后立即以cancelledError拒绝
+ * @returns {Promise<void>} 等待结束后resolve
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(cancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 可取消地等待另一个Promise，取消时不影响被等待的Promise本身
+ * @param {Promise} promise - 被等待的Promise
+ * @param {AbortSignal} [signal] - 取消信号，触发后立即以cancelledError拒绝
+ * @returns {Promise} 与promise的结果相同
+ */
+function waitFor(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(cancelledError());
+      return;
+    }
+    const onAbort = () => reject(cancelledError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+module.exports = {
+  cancelledError,
+  throwIfCancelled,
+  delay,
+  waitFor
+};
@@ -0,0 +1,491 @@
+/**
+ * 剪辑导出
+ *
+ * 从转播会话或录制文件中截取一段，使用ffmpeg导出为MP4或GIF。导出任务在后台排队执行，
+ * 通过任务ID查询进度；导出的片段和录制文件一样带有同名的JSON记录，保存在剪辑目录中，
+ * 由录制文件库的接口列出、播放、下载和删除。
+ *
+ * 会话的片段来自其HLS输出。播放列表带有EXT-X-PROGRAM-DATE-TIME，起止时间使用绝对时间
+ * （播放器可以从hls.js得到当前画面的时间），也可以用不大于0的秒数表示相对直播最新位置的时间。
+ * 任务开始执行时才把需要的分片复制到临时目录，任务结束后删除；排队的任务数量有上限，
+ * 排队期间分片可能已被滚动删除，此时任务失败。录制文件的起止时间为相对文件开头的秒数。
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const config = require('./config');
+const { mediaPlaylist } = require('./transcoder');
+const { formatTimestamp, sanitizeLabel, sidecarPath } = require('./recorder');
+const { parseTimemark } = require('./watchdog');
+
+// 支持的导出格式
+const CLIP_FORMATS = ['mp4', 'gif'];
+
+// 复制会话分片的临时目录
+const JOBS_TMP_DIR = path.join(os.tmpdir(), 'douyin-clip-jobs');
+
+/**
+ * 创建参数错误
+ * @param {string} message - 错误信息
+ * @returns {Error} error.invalidInput为true
+ */
+function invalidInput(message) {
+  const error = new Error(message);
+  error.invalidInput = true;
+  return error;
+}
+
+/**
+ * 创建排队已满的错误
+ * @returns {Error} error.queueFull为true
+ */
+function queueFullError() {
+  const error = new Error('剪辑任务排队过多，请稍后再试');
+  error.queueFull = true;
+  return error;
+}
+
+/**
+ * 解析HLS媒体播放列表
+ * @param {string} text - m3u8内容
+ * @returns {Object[]} 分片列表，每项包含相对路径uri、时长duration（秒）和开始时间start（毫秒，没有时间标记时为null）
+ */
+function parsePlaylist(text) {
+  const segments = [];
+  let duration = null;
+  let programDate = null;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (line.startsWith('#EXT-X-PROGRAM-DATE-TIME:')) {
+      programDate = Date.parse(line.slice('#EXT-X-PROGRAM-DATE-TIME:'.length));
+    } else if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line && !line.startsWith('#') && duration !== null) {
+      // 没有时间标记的分片接在上一个分片之后
+      const previous = segments[segments.length - 1];
+      let start = Number.isFinite(programDate) ? programDate : null;
+      if (start === null && previous && previous.start !== null) {
+        start = previous.start + previous.duration * 1000;
+      }
+      segments.push({ uri: line, duration, start });
+      duration = null;
+      programDate = null;
+    }
+  }
+  return segments;
+}
+
+/**
+ * 选出覆盖指定时间范围的分片
+ * @param {Object[]} segments - parsePlaylist的结果
+ * @param {number} start - 开始时间（毫秒）
+ * @param {number} end - 结束时间（毫秒）
+ * @returns {Object} 选中的分片segments、实际的开始和结束时间start/end（超出可用范围时被截短），
+ *   以及开始时间相对第一个选中分片的偏移offset（秒）
+ * @throws {Error} 播放列表没有时间标记或范围内没有分片时抛出，error.invalidInput为true
+ */
+function selectSegments(segments, start, end) {
+  const timed = segments.filter(segment => segment.start !== null);
+  if (timed.length === 0) {
+    throw invalidInput('会话的播放列表没有时间信息，无法剪辑');
+  }
+
+  const selected = timed.filter(segment => segment.start + segment.duration * 1000 > start && segment.start < end);
+  if (selected.length === 0) {
+    const first = timed[0];
+    const last = timed[timed.length - 1];
+    const available = (last.start + last.duration * 1000 - first.start) / 1000;
+    throw invalidInput(`所选时间已不在会话保留的最近${Math.round(available)}秒内`);
+  }
+
+  const first = selected[0];
+  const last = selected[selected.length - 1];
+  const actualStart = Math.max(start, first.start);
+  const actualEnd = Math.min(end, last.start + last.duration * 1000);
+  return {
+    segments: selected,
+    start: actualStart,
+    end: actualEnd,
+    offset: (actualStart - first.start) / 1000
+  };
+}
+
+/**
+ * 会话当前的媒体播放列表路径
+ * @param {Object} plan - 会话的输出规划，参见planOutput
+ * @returns {string} 单清晰度时为index.m3u8，多清晰度时为第一个带视频的清晰度的子播放列表
+ * @throws {Error} 会话不是HLS输出时抛出，error.invalidInput为true
+ */
+function sessionPlaylist(plan) {
+  if (!plan || plan.output !== 'hls') {
+    throw invalidInput('只能剪辑HLS输出的会话');
+  }
+  return mediaPlaylist(plan);
+}
+
+/**
+ * 把会话片段的起止时间转换为绝对时间
+ * @param {number|string} value - ISO时间、毫秒时间戳，或不大于0的秒数（相对直播最新位置）
+ * @param {number} liveEdge - 直播最新位置的时间（毫秒）
+ * @returns {number} 绝对时间（毫秒）
+ * @throws {Error} 无法解析时抛出，error.invalidInput为true
+ */
+function parseSessionTime(value, liveEdge) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number === 'number' && Number.isFinite(number)) {
+    return number <= 0 ? liveEdge + number * 1000 : number;
+  }
+  const time = Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw invalidInput('剪辑的开始和结束时间格式不正确');
+  }
+  return time;
+}
+
+/**
+ * 检查导出格式和时长
+ * @param {string} format - mp4或gif
+ * @param {number} duration - 片段时长（秒）
+ * @param {Object} options - 剪辑配置，参见config.clips
+ * @throws {Error} 格式不支持或时长不正确时抛出，error.invalidInput为true
+ */
+function checkClip(format, duration, options) {
+  if (!CLIP_FORMATS.includes(format)) {
+    throw invalidInput(`剪辑格式只支持${CLIP_FORMATS.join('、')}`);
+  }
+  if (!(duration > 0)) {
+    throw invalidInput('剪辑的结束时间必须晚于开始时间');
+  }
+  const maxSeconds = format === 'gif' ? options.gifMaxSeconds : options.maxSeconds;
+  if (duration > maxSeconds) {
+    throw invalidInput(`${format.toUpperCase()}片段最长${maxSeconds}秒`);
+  }
+}
+
+/**
+ * 拼接导出片段的ffmpeg输出参数
+ * @param {string} format - mp4或gif
+ * @param {Object} options - 剪辑配置，参见config.clips
+ * @returns {string[]} ffmpeg输出参数
+ */
+function clipOutputArgs(format, options) {
+  if (format === 'gif') {
+    // 先为片段生成调色板再使用，颜色比默认调色板准确得多
+    const filter = `fps=${options.gifFps},scale=${options.gifWidth}:-1:flags=lanczos,`
+      + 'split[a][b];[a]palettegen[p];[b][p]paletteuse';
+    return ['-an', '-vf', filter, '-f', 'gif'];
+  }
+  // 重新编码以便在任意位置精确切分
+  return [
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-crf', '23',
+    '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac',
+    '-b:a', '128k',
+    '-movflags', '+faststart',
+    '-f', 'mp4'
+  ];
+}
+
+class ClipJobs {
+  /**
+   * @param {Object} [options] - 剪辑配置，未提供的项使用config.clips
+   * @param {Function} [options.createCommand] - 创建ffmpeg命令的函数，默认使用fluent-ffmpeg，便于测试替换
+   */
+  constructor(options = {}) {
+    this.options = { ...config.clips, ...options };
+    this.createCommand = options.createCommand || (input => ffmpeg(input));
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+  }
+
+  /**
+   * 从录制文件创建导出任务
+   * @param {Object} recording - 录制文件库整理后的录制文件信息，另外包含文件路径file
+   * @param {Object} request - 导出请求
+   * @param {number} request.start - 开始位置（秒）
+   * @param {number} request.end - 结束位置（秒）
+   * @param {string} [request.format] - mp4（默认）或gif
+   * @returns {Object} 任务状态，参见describe
+   * @throws {Error} 参数不正确时error.invalidInput为true，MP4文件仍在写入时error.busy为true
+   */
+  fromRecording(recording, { start, end, format = 'mp4' }) {
+    start = Number(start);
+    end = Number(end);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0) {
+      throw invalidInput('剪辑的开始和结束位置必须是不小于0的秒数');
+    }
+    checkClip(format, end - start, this.options);
+    if (recording.status === 'recording' && recording.format === 'mp4') {
+      const error = new Error('MP4录制文件写完后才能剪辑');
+      error.busy = true;
+      throw error;
+    }
+
+    return this.enqueue({
+      format,
+      duration: end - start,
+      input: recording.file,
+      // 输入前定位，跳过不需要的部分
+      inputOptions: ['-ss', String(start)],
+      outputOptions: ['-t', String(end - start)],
+      label: path.basename(recording.name, path.extname(recording.name)),
+      source: { type: 'recording', name: recording.name, start, end },
+      roomUrl: recording.roomUrl,
+      room: recording.room,
+      probe: recording.video || recording.audio ? { video: recording.video, audio: recording.audio } : null
+    });
+  }
+
+  /**
+   * 从转播会话的HLS输出创建导出任务，所需的分片在任务开始执行时复制
+   * @param {Object} session - 转播会话，使用sessionId、plan和source
+   * @param {Object} request - 导出请求
+   * @param {number|string} request.start - 开始时间，参见parseSessionTime
+   * @param {number|string} request.end - 结束时间
+   * @param {string} [request.format] - mp4（默认）或gif
+   * @param {Object} [info] - 写入JSON记录的直播间地址roomUrl和直播间信息room
+   * @returns {Object} 任务状态，参见describe
+   * @throws {Error} 参数不正确或所选时间已不在播放列表中时抛出，error.invalidInput为true；
+   *   排队已满时error.queueFull为true
+   */
+  fromSession(session, { start, end, format = 'mp4' }, info = {}) {
+    const playlist = sessionPlaylist(session.plan);
+    let segments = [];
+    try {
+      segments = parsePlaylist(fs.readFileSync(playlist, 'utf8'));
+    } catch (e) {
+      // 播放列表还没有生成
+    }
+    if (segments.length === 0) {
+      throw invalidInput('会话还没有可以剪辑的内容');
+    }
+
+    const last = segments[segments.length - 1];
+    const liveEdge = last.start === null ? Date.now() : last.start + last.duration * 1000;
+    const range = selectSegments(segments, parseSessionTime(start, liveEdge), parseSessionTime(end, liveEdge));
+    const duration = (range.end - range.start) / 1000;
+    checkClip(format, duration, this.options);
+
+    const files = range.segments.map(segment => path.resolve(path.dirname(playlist), segment.uri));
+    if (!files.every(file => fs.existsSync(file))) {
+      // 读取播放列表后分片刚好被滚动删除
+      throw invalidInput('所选时间的分片已被删除');
+    }
+
+    return this.enqueue({
+      format,
+      duration,
+      // 开始执行时复制到任务目录，再用concat拼接
+      segments: files,
+      inputOptions: ['-f', 'concat', '-safe', '0'],
+      // 拼接后的输入从第一个分片开头算起，在输出端精确定位
+      outputOptions: ['-ss', String(range.offset), '-t', String(duration)],
+      label: info.room ? (info.room.webRid || info.room.roomId) : session.sessionId,
+      source: {
+        type: 'session',
+        sessionId: session.sessionId,
+        start: new Date(range.start).toISOString(),
+        end: new Date(range.end).toISOString()
+      },
+      roomUrl: info.roomUrl || null,
+      room: info.room || null,
+      probe: session.source ? session.source.probe || null : null
+    });
+  }
+
+  /**
+   * 登记任务并在有空闲时开始执行
+   * @param {Object} spec - 任务的输入、参数和来源信息
+   * @returns {Object} 任务状态
+   * @throws {Error} 排队的任务数量达到maxQueue时抛出，error.queueFull为true
+   */
+  enqueue(spec) {
+    this.prune();
+    if (this.queue.length >= this.options.maxQueue) {
+      throw queueFullError();
+    }
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      progress: 0,
+      file: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      spec
+    };
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    console.log(`剪辑任务已排队: ${job.id}（${spec.format}，${spec.duration.toFixed(1)}秒）`);
+    this.runNext();
+    return this.describe(job);
+  }
+
+  /**
+   * 查询任务状态
+   * @param {string} id - 任务ID
+   * @returns {Object|null} 任务状态，不存在或已过期时为null
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.describe(job) : null;
+  }
+
+  /**
+   * 整理任务状态，供接口返回
+   * @param {Object} job - 任务
+   * @returns {Object} 任务ID、状态status（queued、running、completed或failed）、进度progress（0到1）、
+   *   导出的文件名file、错误error，以及来源source、格式format和时长duration
+   */
+  describe(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      progress: job.progress,
+      file: job.file,
+      error: job.error,
+      format: job.spec.format,
+      duration: job.spec.duration,
+      source: job.spec.source,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * 删除结束超过jobTtl的任务记录
+   */
+  prune() {
+    const deadline = Date.now() - this.options.jobTtl;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < deadline) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * 并发数量未满时开始执行排队的任务
+   */
+  runNext() {
+    while (this.running < this.options.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.running++;
+      this.run(job).finally(() => {
+        this.running--;
+        this.runNext();
+      });
+    }
+  }
+
+  /**
+   * 把会话的分片复制到任务目录，生成concat使用的文件列表
+   * @param {string[]} segments - 分片文件路径
+   * @param {string} tmpDir - 任务目录
+   * @returns {string} 文件列表路径
+   * @throws {Error} 分片已被滚动删除时抛出
+   */
+  copySegments(segments, tmpDir) {
+    let lines = [];
+    try {
+      lines = segments.map((segment, index) => {
+        const copy = path.join(tmpDir, `${index}${path.extname(segment) || '.ts'}`);
+        fs.copyFileSync(segment, copy);
+        return `file '${copy.replace(/'/g, "'\\''")}'`;
+      });
+    } catch (error) {
+      throw new Error(`所选时间的分片已被删除: ${error.message}`);
+    }
+    const list = path.join(tmpDir, 'list.txt');
+    fs.writeFileSync(list, `${lines.join('\n')}\n`);
+    return list;
+  }
+
+  /**
+   * 执行导出，先写到临时文件，完成后连同JSON记录移动到剪辑目录
+   * @param {Object} job - 任务
+   * @returns {Promise<void>} 任务结束后resolve
+   */
+  async run(job) {
+    const { spec } = job;
+    const { dir } = this.options;
+    const createdAt = new Date(job.createdAt);
+    const tmpDir = path.join(JOBS_TMP_DIR, job.id);
+    const tmpFile = path.join(tmpDir, `clip.${spec.format}`);
+    job.status = 'running';
+
+    try {
+      fs.mkdirSync(tmpDir, { recursive: true });
+      const input = spec.segments ? this.copySegments(spec.segments, tmpDir) : spec.input;
+      await new Promise((resolve, reject) => {
+        const command = this.createCommand(input);
+        command
+          .inputOptions(...spec.inputOptions)
+          .outputOptions(...spec.outputOptions, ...clipOutputArgs(spec.format, this.options))
+          .output(tmpFile)
+          .on('progress', (progress) => {
+            const time = parseTimemark(progress && progress.timemark);
+            if (time !== null) {
+              job.progress = Math.min(time / spec.duration, 1);
+            }
+          })
+          .on('error', reject)
+          .on('end', resolve);
+        command.run();
+      });
+
+      fs.mkdirSync(dir, { recursive: true });
+      const base = `${sanitizeLabel(spec.label)}_${formatTimestamp(createdAt)}_clip`;
+      let file = path.join(dir, `${base}.${spec.format}`);
+      for (let index = 1; fs.existsSync(file); index++) {
+        file = path.join(dir, `${base}-${index}.${spec.format}`);
+      }
+      // 临时目录可能在其他文件系统上，不能直接改名
+      fs.copyFileSync(tmpFile, file);
+      const finishedAt = new Date();
+      fs.writeFileSync(sidecarPath(file), JSON.stringify({
+        file: path.basename(file),
+        jobId: job.id,
+        format: spec.format,
+        source: spec.source,
+        roomUrl: spec.roomUrl || null,
+        room: spec.room || null,
+        startedAt: createdAt.toISOString(),
+        endedAt: finishedAt.toISOString(),
+        duration: spec.duration,
+        size: fs.statSync(file).size,
+        status: 'completed',
+        probe: spec.probe || null
+      }, null, 2));
+
+      job.status = 'completed';
+      job.progress = 1;
+      job.file = path.basename(file);
+      console.log(`剪辑完成: ${job.file}`);
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      console.error(`剪辑失败: ${job.id}`, error.message);
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = {
+  CLIP_FORMATS,
+  parsePlaylist,
+  selectSegments,
+  sessionPlaylist,
+  parseSessionTime,
+  clipOutputArgs,
+  ClipJobs
+};
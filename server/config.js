@@ -0,0 +1,256 @@
+/**
+ * 服务端配置
+ *
+ * 所有配置项都可以通过环境变量覆盖，未设置时使用默认值。
+ */
+
+const path = require('path');
+
+/**
+ * 解析逗号分隔的列表型环境变量
+ * @param {string|undefined} value - 环境变量值
+ * @param {string[]} fallback - 未设置时使用的默认值
+ * @returns {string[]} 去除空白后的列表
+ */
+function parseList(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  return value
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// 直播流提取配置
+const extractor = {
+  // 是否先尝试直接请求页面HTML解析直播间数据，失败后再启动浏览器
+  httpFastPath: process.env.EXTRACTOR_HTTP_FAST_PATH !== 'false',
+  // 直接请求页面HTML的超时时间（毫秒）
+  httpTimeout: parseInt(process.env.EXTRACTOR_HTTP_TIMEOUT, 10) || 10000,
+  // 直接请求页面时附带的Cookie，例如从浏览器复制的ttwid
+  httpCookie: process.env.EXTRACTOR_HTTP_COOKIE || '',
+  // 提取策略的执行顺序，未列出的策略不会执行
+  // 例如 EXTRACTOR_STRATEGIES=reflowApi,dom 表示先查询API再解析DOM，并禁用其他策略
+  strategies: parseList(process.env.EXTRACTOR_STRATEGIES, [
+    'dom',
+    'network',
+    'cdp',
+    'performance',
+    'reflowApi'
+  ]),
+  // 为true时即使已找到直播流也继续执行剩余策略，便于对比各策略的结果
+  exhaustive: process.env.EXTRACTOR_EXHAUSTIVE === 'true',
+  // 抖音直播间信息接口地址
+  reflowApiUrl: process.env.REFLOW_API_URL || 'https://webcast.amemv.com/webcast/room/reflow/info/',
+  // 是否在页面上模拟鼠标移动、滚动等用户行为
+  simulateHuman: process.env.EXTRACTOR_SIMULATE_HUMAN !== 'false',
+  // 页面交互过程中各阶段的等待时间（毫秒）
+  timings: {
+    navigationTimeout: parseInt(process.env.EXTRACTOR_NAVIGATION_TIMEOUT, 10) || 60000,
+    settle: parseInt(process.env.EXTRACTOR_SETTLE_MS, 10) || 8000,
+    playback: parseInt(process.env.EXTRACTOR_PLAYBACK_MS, 10) || 10000,
+    cdpCapture: parseInt(process.env.EXTRACTOR_CDP_CAPTURE_MS, 10) || 15000
+  },
+  // 提取失败时保存页面HTML和截图的目录
+  debugDir: process.env.EXTRACTOR_DEBUG_DIR || '.'
+};
+
+// 直播间输入规范化配置
+const roomInput = {
+  // 需要跟随跳转才能得到直播间地址的短链接域名
+  shortLinkHosts: parseList(process.env.ROOM_SHORT_LINK_HOSTS, ['v.douyin.com']),
+  // 请求短链接的超时时间（毫秒）
+  resolveTimeout: parseInt(process.env.ROOM_RESOLVE_TIMEOUT, 10) || 10000,
+  // 最多跟随的跳转次数
+  maxRedirects: 5
+};
+
+// 浏览器池配置
+const browserPool = {
+  // 最多同时运行的浏览器数量
+  size: parseInt(process.env.BROWSER_POOL_SIZE, 10) || 2,
+  // 最多同时进行的浏览器提取任务数量，每个任务占用一个隐身上下文
+  maxConcurrency: parseInt(process.env.BROWSER_POOL_MAX_CONCURRENCY, 10) || 4,
+  // 超出并发上限后最多排队的任务数量
+  maxQueue: parseInt(process.env.BROWSER_POOL_MAX_QUEUE, 10) || 20,
+  // 排队等待的超时时间（毫秒）
+  acquireTimeout: parseInt(process.env.BROWSER_POOL_ACQUIRE_TIMEOUT, 10) || 120000,
+  // 每个浏览器最多处理的任务数量，达到后关闭并重新启动，避免内存持续增长
+  maxUsesPerBrowser: parseInt(process.env.BROWSER_POOL_MAX_USES, 10) || 50,
+  // 空闲浏览器的健康检查间隔（毫秒）
+  healthCheckInterval: parseInt(process.env.BROWSER_POOL_HEALTH_CHECK_INTERVAL, 10) || 30000,
+  // 健康检查等待浏览器响应的时间（毫秒）
+  healthCheckTimeout: 5000
+};
+
+// 直播流探测配置
+const probe = {
+  // 是否在转播前使用ffprobe检查候选直播流
+  enabled: process.env.PROBE_ENABLED !== 'false',
+  // 单个候选地址的探测超时时间（毫秒）
+  timeout: parseInt(process.env.PROBE_TIMEOUT, 10) || 10000,
+  // 最多探测的候选地址数量，避免所有地址都失效时等待过久
+  maxCandidates: parseInt(process.env.PROBE_MAX_CANDIDATES, 10) || 4
+};
+
+// 转码输出配置
+const transcode = {
+  // 输出格式：hls为滚动的m3u8播放列表加分片，mp4为单个持续增长的分片MP4文件
+  output: process.env.TRANSCODE_OUTPUT === 'mp4' ? 'mp4' : 'hls',
+  // 转码方式：auto在源直播流已是浏览器兼容的H.264/AAC时直接转封装（不重新编码），
+  // 否则转码；copy始终转封装；transcode始终转码
+  mode: ['copy', 'transcode'].includes(process.env.TRANSCODE_MODE) ? process.env.TRANSCODE_MODE : 'auto',
+  // 输出的清晰度，多个清晰度时生成HLS主播放列表，由播放器根据带宽切换
+  // 例如 TRANSCODE_RENDITIONS=1080p,720p,480p,audio；source表示保持源分辨率
+  renditions: parseList(process.env.TRANSCODE_RENDITIONS, ['source']),
+  hls: {
+    // 每个分片的时长（秒），关键帧按该间隔强制插入
+    segmentSeconds: parseFloat(process.env.HLS_SEGMENT_SECONDS) || 4,
+    // 播放列表中保留的分片数量，更早的分片会被删除
+    listSize: parseInt(process.env.HLS_LIST_SIZE, 10) || 6,
+    // 时移窗口（分钟）：每个会话在磁盘上保留最近这段时间的分片，观众可以暂停、回看和回到直播；
+    // 0表示不开启，只保留listSize个分片
+    dvrMinutes: parseFloat(process.env.HLS_DVR_MINUTES) || 0
+  }
+};
+
+// 转播会话的断线重连配置
+const supervisor = {
+  // 直播流输入中断后最多连续重连的次数，超过后结束会话
+  maxRetries: parseInt(process.env.SUPERVISOR_MAX_RETRIES, 10) || 5,
+  // 第一次重连前的等待时间（毫秒），之后每次翻倍
+  backoff: parseInt(process.env.SUPERVISOR_BACKOFF_MS, 10) || 2000,
+  // 重连等待时间的上限（毫秒）
+  maxBackoff: parseInt(process.env.SUPERVISOR_MAX_BACKOFF_MS, 10) || 30000,
+  // 恢复后稳定运行超过该时间（毫秒）才重置重连次数，避免反复断开时无限重连
+  stableAfter: parseInt(process.env.SUPERVISOR_STABLE_AFTER_MS, 10) || 60000
+};
+
+// 共享会话配置
+const sessions = {
+  // 最后一个观众离开后保留会话的时间（毫秒），期间有人重新打开同一直播间时直接继续观看；0表示立即停止
+  graceMs: process.env.SESSION_GRACE_MS !== undefined ? Math.max(parseInt(process.env.SESSION_GRACE_MS, 10) || 0, 0) : 60000,
+  // 会话结束后如何处理转码输出：delete删除，archive移动到archiveDir保留
+  outputOnEnd: process.env.SESSION_OUTPUT_ON_END === 'archive' ? 'archive' : 'delete',
+  // 归档转码输出的目录
+  archiveDir: process.env.SESSION_ARCHIVE_DIR || path.join(__dirname, 'archive'),
+  // 保存正在运行的会话的文件，服务端重启后据此恢复
+  storeFile: process.env.SESSION_STORE_FILE || path.join(__dirname, 'data', 'sessions.json'),
+  // 启动时是否恢复上次运行时仍在运行的会话
+  resume: process.env.SESSION_RESUME !== 'false',
+  // 是否在会话记录中保存拉流Cookie和推流地址（含推流码），不保存时恢复的会话不再使用Cookie、也不再推流
+  persistSecrets: process.env.SESSION_PERSIST_SECRETS === 'true'
+};
+
+// 转码卡顿检测配置
+const watchdog = {
+  // 是否检测卡住的转码
+  enabled: process.env.WATCHDOG_ENABLED !== 'false',
+  // 检测窗口（毫秒），在窗口内没有进度、输出没有更新或速度持续过低时判定为卡住
+  window: parseInt(process.env.WATCHDOG_WINDOW_MS, 10) || 30000,
+  // 最低处理速度，1表示实时，直播转码持续低于实时会越来越落后
+  minSpeed: parseFloat(process.env.WATCHDOG_MIN_SPEED) || 0.8,
+  // 检查间隔（毫秒）
+  interval: parseInt(process.env.WATCHDOG_INTERVAL_MS, 10) || 5000,
+  // 卡住后的处理方式：restart重新获取地址并重启，terminate结束会话
+  action: process.env.WATCHDOG_ACTION === 'terminate' ? 'terminate' : 'restart'
+};
+
+// 录制配置
+const recording = {
+  // 录制文件的保存目录
+  dir: process.env.RECORDINGS_DIR || path.join(__dirname, 'recordings'),
+  // 录制文件的格式：mp4、mkv或ts，录制时不重新编码
+  format: ['mkv', 'ts'].includes(process.env.RECORDING_FORMAT) ? process.env.RECORDING_FORMAT : 'mp4',
+  // 每个文件的最长时长（分钟），达到后开始写入下一个文件
+  segmentMinutes: parseFloat(process.env.RECORDING_SEGMENT_MINUTES) || 30,
+  // 每个文件的最大大小（MB），0表示不按大小分割。超过后结束录制进程并开始新的进程，文件之间会有几秒的间隔
+  segmentMegabytes: parseFloat(process.env.RECORDING_SEGMENT_MB) || 0,
+  // 设置了大小上限时检查当前文件大小的间隔（毫秒）
+  sizeCheckInterval: 5000,
+  // 录制进程异常退出后重新开始录制前的等待时间（毫秒）
+  retryDelay: parseInt(process.env.RECORDING_RETRY_MS, 10) || 5000,
+  // 停止录制时等待ffmpeg写完文件的时间（毫秒），超时后强制结束
+  stopTimeout: parseInt(process.env.RECORDING_STOP_TIMEOUT_MS, 10) || 30000
+};
+
+// 推流到外部地址（RTMP/SRT）的配置
+const restream = {
+  // 每个会话最多的推流地址数量
+  maxDestinations: parseInt(process.env.RESTREAM_MAX_DESTINATIONS, 10) || 5,
+  // 推流方式：auto在目标能直接接收源直播流的编码时不重新编码（RTMP需要H.264/AAC，SRT不限），
+  // 否则转码；copy始终不重新编码；transcode始终转码
+  mode: ['copy', 'transcode'].includes(process.env.RESTREAM_MODE) ? process.env.RESTREAM_MODE : 'auto',
+  // 转码推流时的视频和音频码率（kbps）
+  videoBitrate: parseInt(process.env.RESTREAM_VIDEO_BITRATE, 10) || 2500,
+  audioBitrate: parseInt(process.env.RESTREAM_AUDIO_BITRATE, 10) || 128,
+  // 推流失败后第一次重试前的等待时间（毫秒），之后每次翻倍
+  retryDelay: parseInt(process.env.RESTREAM_RETRY_MS, 10) || 5000,
+  // 重试等待时间的上限（毫秒），推流地址不可用时一直按该间隔重试
+  maxRetryDelay: parseInt(process.env.RESTREAM_MAX_RETRY_MS, 10) || 60000,
+  // 会话刚启动、推流中转的播放列表还没有写出时，推流等待并按该间隔（毫秒）检查
+  waitInterval: 1000,
+  // 停止推流时等待ffmpeg退出的时间（毫秒），超时后强制结束
+  stopTimeout: parseInt(process.env.RESTREAM_STOP_TIMEOUT_MS, 10) || 10000
+};
+
+// 剪辑导出配置
+const clips = {
+  // 导出的片段的保存目录
+  dir: process.env.CLIPS_DIR || path.join(__dirname, 'clips'),
+  // 单个MP4片段的最长时长（秒）
+  maxSeconds: parseFloat(process.env.CLIP_MAX_SECONDS) || 300,
+  // 单个GIF片段的最长时长（秒），GIF体积随时长增长很快
+  gifMaxSeconds: parseFloat(process.env.CLIP_GIF_MAX_SECONDS) || 30,
+  // GIF的宽度（像素）和帧率
+  gifWidth: parseInt(process.env.CLIP_GIF_WIDTH, 10) || 480,
+  gifFps: parseInt(process.env.CLIP_GIF_FPS, 10) || 12,
+  // 同时执行的导出任务数量，其余任务排队
+  concurrency: parseInt(process.env.CLIP_CONCURRENCY, 10) || 1,
+  // 最多排队的任务数量，已满时拒绝新的任务
+  maxQueue: parseInt(process.env.CLIP_MAX_QUEUE, 10) || 10,
+  // 已结束的任务保留多久后不再能查询（毫秒）
+  jobTtl: parseInt(process.env.CLIP_JOB_TTL_MS, 10) || 60 * 60 * 1000
+};
+
+// 管理页面配置
+const dashboard = {
+  // 向管理页面推送所有会话状态的间隔（毫秒）
+  interval: parseInt(process.env.DASHBOARD_INTERVAL_MS, 10) || 2000,
+  // 保存会话缩略图的目录
+  thumbnailDir: process.env.THUMBNAILS_DIR || path.join(__dirname, 'data', 'thumbnails'),
+  // 缩略图的缓存时间（毫秒），期间重复请求直接返回上次截取的图片
+  thumbnailTtl: parseInt(process.env.THUMBNAIL_TTL_MS, 10) || 10000,
+  // 缩略图宽度（像素）
+  thumbnailWidth: parseInt(process.env.THUMBNAIL_WIDTH, 10) || 320,
+  // 截取缩略图的超时（毫秒），从直播流来源截取时可能较慢
+  thumbnailTimeout: parseInt(process.env.THUMBNAIL_TIMEOUT_MS, 10) || 15000
+};
+
+// 过期文件清理配置
+const cleanup = {
+  // 检查间隔（毫秒）
+  interval: parseInt(process.env.CLEANUP_INTERVAL_MS, 10) || 10 * 60 * 1000,
+  // 不属于任何会话的转码输出在最后一次修改后保留的时间（毫秒）
+  streamsMaxAge: parseInt(process.env.STREAMS_MAX_AGE_MS, 10) || 60 * 60 * 1000,
+  // 录制文件保留的天数，0表示一直保留
+  recordingsMaxAgeDays: parseFloat(process.env.RECORDINGS_MAX_AGE_DAYS) || 0
+};
+
+module.exports = {
+  parseList,
+  extractor,
+  roomInput,
+  browserPool,
+  probe,
+  transcode,
+  supervisor,
+  sessions,
+  watchdog,
+  recording,
+  restream,
+  clips,
+  dashboard,
+  cleanup
+};
@@ -0,0 +1,449 @@
+/**
+ * 基于Puppeteer的直播流提取
+ *
+ * 使用无头浏览器打开直播间页面，按配置的顺序依次执行各提取策略，
+ * 返回找到的直播流地址以及每个策略的执行结果。
+ */
+
+const fs = require('fs');
+const { getBrowserPool } = require('../browserPool');
+const path = require('path');
+const { isTestVideoUrl, reportProgress } = require('./utils');
+const { cancelledError, throwIfCancelled, delay } = require('../cancellation');
+const { toCandidate, sortCandidates } = require('./candidates');
+
+// 获取可用的用户代理列表，随机选择一个，模拟真实浏览器
+const userAgents = [
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36 Edg/122.0.0.0',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:123.0) Gecko/20100101 Firefox/123.0'
+];
+
+/**
+ * 配置页面，尽量模拟真实用户的浏览器环境
+ * @param {Page} page - Puppeteer页面
+ * @param {Object} timings - 等待时间配置
+ */
+async function preparePage(page, timings) {
+  const randomUserAgent = userAgents[Math.floor(Math.random() * userAgents.length)];
+
+  // 修改WebDriver相关标记，避免被检测为自动化工具
+  await page.evaluateOnNewDocument(() => {
+    // 重写navigator.webdriver属性，防止被检测为自动化浏览器
+    Object.defineProperty(navigator, 'webdriver', {
+      get: () => false,
+    });
+    
+    // 移除window.navigator.chrome.runtime，这是自动化检测的一个标志
+    if (window.navigator.chrome) {
+      window.navigator.chrome = {};
+    }
+    
+    // 添加浏览器特征以模拟真实环境
+    const originalQuery = window.navigator.permissions.query;
+    window.navigator.permissions.query = (parameters) => (
+      parameters.name === 'notifications' ?
+        Promise.resolve({ state: Notification.permission }) :
+        originalQuery(parameters)
+    );
+    
+    // 模拟WebGL
+    const getParameter = WebGLRenderingContext.prototype.getParameter;
+    WebGLRenderingContext.prototype.getParameter = function(parameter) {
+      // 使用UNMASKED_VENDOR_WEBGL和UNMASKED_RENDERER_WEBGL模拟真实显卡信息
+      if (parameter === 37445) {
+        return 'Intel Inc.'; // UNMASKED_VENDOR_WEBGL
+      }
+      if (parameter === 37446) {
+        return 'Intel Iris Graphics 6100'; // UNMASKED_RENDERER_WEBGL
+      }
+      return getParameter.apply(this, arguments);
+    };
+    
+    // 添加更多浏览器插件，使浏览器特征更真实
+    Object.defineProperty(navigator, 'plugins', {
+      get: () => {
+        return [
+          {
+            description: "Portable Document Format",
+            filename: "internal-pdf-viewer",
+            name: "Chrome PDF Plugin"
+          },
+          {
+            description: "Portable Document Format",
+            filename: "internal-pdf-viewer",
+            name: "Chrome PDF Viewer"
+          },
+          {
+            description: "Microsoft Edge PDF Viewer",
+            filename: "internal-pdf-viewer",
+            name: "Microsoft Edge PDF Viewer"
+          }
+        ];
+      },
+    });
+  });
+  
+  // 设置用户代理，模拟真实浏览器环境
+  await page.setUserAgent(randomUserAgent);
+  
+  // 设置屏幕和窗口尺寸以模拟真实浏览环境
+  await page.setViewport({
+    width: 1920,
+    height: 1080,
+    deviceScaleFactor: 1,
+    hasTouch: false,
+    isLandscape: true,
+    isMobile: false
+  });
+  
+  // 设置语言和地区偏好头以模拟中国用户
+  await page.setExtraHTTPHeaders({
+    'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+    'Sec-Fetch-Site': 'none',
+    'Sec-Fetch-Mode': 'navigate',
+    'Sec-Fetch-User': '?1',
+    'Sec-Fetch-Dest': 'document',
+    'Sec-Ch-Ua': '"Chromium";v="122", "Google Chrome";v="122", "Not(A:Brand";v="24"',
+    'Sec-Ch-Ua-Mobile': '?0',
+    'Sec-Ch-Ua-Platform': '"Windows"'
+  });
+  
+  // 设置超时时间更长
+  await page.setDefaultNavigationTimeout(timings.navigationTimeout);
+  
+  // 减少拦截，只拦截媒体文件和广告类资源
+  await page.setRequestInterception(true);
+  page.on('request', (req) => {
+    const url = req.url();
+    
+    // 只拦截广告或分析类资源，允许大部分资源加载
+    if (
+      url.includes('analytics') || 
+      url.includes('tracker') ||
+      url.includes('advertisement') ||
+      url.includes('doubleclick.net')
+    ) {
+      req.abort();
+    } else {
+      req.continue();
+    }
+  });
+  
+  // 监听控制台输出，帮助调试
+  page.on('console', msg => console.log('浏览器控制台:', msg.text()));
+}
+
+/**
+ * 随机模拟常见移动痕迹
+ * @param {Page} page - Puppeteer页面
+ */
+async function simulateHumanBehavior(page) {
+  // 随机移动鼠标到页面的不同区域
+  for (let i = 0; i < 5; i++) {
+    const x = Math.floor(Math.random() * 1000);
+    const y = Math.floor(Math.random() * 600);
+    await page.mouse.move(x, y, { steps: 10 });
+    await page.waitForTimeout(Math.random() * 1000 + 500);
+  }
+  
+  // 随机滚动页面
+  await page.evaluate(() => {
+    const scrollHeight = Math.floor(Math.random() * 500);
+    window.scrollTo(0, scrollHeight);
+    setTimeout(() => {
+      window.scrollTo(0, 0);
+    }, 500);
+  });
+  
+  await page.waitForTimeout(1000);
+  
+  // 模拟用户鼠标悬停在视频播放器上
+  await page.evaluate(() => {
+    const videoElements = document.querySelectorAll('video, .player-container, .video-player, .webcast-video');
+    if (videoElements.length > 0) {
+      // 创建并触发鼠标悬停事件
+      const element = videoElements[0];
+      const rect = element.getBoundingClientRect();
+      const centerX = rect.left + rect.width / 2;
+      const centerY = rect.top + rect.height / 2;
+      
+      const hoverEvent = new MouseEvent('mouseover', {
+        view: window,
+        bubbles: true,
+        cancelable: true,
+        clientX: centerX,
+        clientY: centerY
+      });
+      element.dispatchEvent(hoverEvent);
+    }
+  });
+}
+
+/**
+ * 打开直播间并与页面互动，触发播放器加载直播流
+ * @param {Page} page - Puppeteer页面
+ * @param {string} douyinUrl - 抖音直播间URL
+ * @param {Object} options - 提取选项
+ */
+async function loadRoomPage(page, douyinUrl, options) {
+  const { timings, simulateHuman } = options;
+
+  console.log('正在访问抖音直播间页面...');
+  
+  // 添加cookie以模拟已登录状态，这里使用空值作为示例
+  await page.setCookie({
+    name: 'sessionid_ss',
+    value: '',
+    domain: '.douyin.com',
+    path: '/',
+    httpOnly: true,
+    secure: true,
+    sameSite: 'None'
+  });
+  
+  // 访问页面
+  await page.goto(douyinUrl, { 
+    waitUntil: 'networkidle2',
+    timeout: timings.navigationTimeout 
+  });
+  
+  console.log('页面加载完成，准备查找视频元素');
+  
+  // 模拟人类用户交互行为
+  if (simulateHuman) {
+    console.log('模拟用户互动...');
+    await simulateHumanBehavior(page);
+  }
+  
+  // 先滚动页面以触发懒加载资源
+  await page.evaluate(() => {
+    window.scrollTo(0, 300);
+    setTimeout(() => window.scrollTo(0, 0), 300);
+  });
+  
+  // 模拟鼠标移动
+  await page.mouse.move(Math.random() * 1000, Math.random() * 600);
+  
+  // 等待更长时间，让页面完全加载
+  await delay(timings.settle, options.signal);
+  
+  // 尝试点击可能的播放按钮和同意提示
+  try {
+    await page.evaluate(() => {
+      // 查找并点击同意条款按钮
+      const agreeButtons = document.querySelectorAll('[class*="agree"], [class*="consent"], [class*="allow"], [class*="accept"]');
+      for (const button of agreeButtons) {
+        if (button.offsetWidth > 0 && button.offsetHeight > 0) {
+          button.click();
+        }
+      }
+      
+      // 尝试查找并点击各种可能的播放按钮
+      const playButtons = document.querySelectorAll('button, [role="button"], .play-button, .xgplayer-play, .xgplayer-start, [class*="play"], [aria-label*="播放"]');
+      if (playButtons.length > 0) {
+        for (const button of playButtons) {
+          if (button.offsetWidth > 0 && button.offsetHeight > 0) { // 只点击可见元素
+            button.click();
+          }
+        }
+      }
+      
+      // 点击视频区域，可能会触发播放
+      const videoContainers = document.querySelectorAll('.video-container, .player-container, .webcast-video');
+      if (videoContainers.length > 0) {
+        videoContainers[0].click();
+      }
+    });
+  } catch (e) {
+    console.log('尝试点击播放按钮时出错:', e.message);
+  }
+  
+  // 等待视频加载并开始播放
+  await delay(timings.playback, options.signal);
+  
+  // 再次模拟人类行为
+  if (simulateHuman) {
+    await simulateHumanBehavior(page);
+  }
+}
+
+/**
+ * 依次执行提取策略
+ * @param {Object[]} strategies - 已排序的策略列表
+ * @param {Object} ctx - 提取上下文
+ * @param {boolean} exhaustive - 找到直播流后是否继续执行剩余策略
+ * @returns {Promise<Object>} 提取结果记录
+ */
+async function runStrategies(strategies, ctx, exhaustive) {
+  const attempts = [];
+  const candidates = [];
+  let streamUrl = null;
+  let winner = null;
+  let testVideoUrl = null;
+
+  for (const [index, strategy] of strategies.entries()) {
+    throwIfCancelled(ctx.options && ctx.options.signal);
+    if (winner && !exhaustive) {
+      attempts.push({ strategy: strategy.name, status: 'skipped', urls: [] });
+      continue;
+    }
+
+    const step = `strategy:${strategy.name}`;
+    const label = `策略 ${index + 1}/${strategies.length}: ${strategy.description}`;
+    console.log(`执行提取策略: ${strategy.name} (${strategy.description})`);
+    reportProgress(ctx.options, step, 'running', label);
+    const startedAt = Date.now();
+    const attempt = { strategy: strategy.name, status: 'empty', urls: [] };
+
+    try {
+      const items = await strategy.run(ctx);
+      // 策略可以返回地址字符串或带url的对象，部分页面数据中的stream_url是无法直接使用的对象
+      const found = (items || [])
+        .map(item => toCandidate(item, strategy.name))
+        .filter(Boolean);
+      attempt.urls = found.map(candidate => candidate.url);
+      candidates.push(...found.filter(candidate => !isTestVideoUrl(candidate.url)));
+
+      const liveUrl = attempt.urls.find(url => !isTestVideoUrl(url));
+      if (liveUrl) {
+        attempt.status = 'found';
+        if (!winner) {
+          winner = strategy.name;
+          streamUrl = liveUrl;
+        }
+      } else if (attempt.urls.length > 0) {
+        attempt.status = 'test-video';
+        testVideoUrl = testVideoUrl || attempt.urls[0];
+      }
+    } catch (e) {
+      if (e.cancelled) throw e;
+      attempt.status = 'error';
+      attempt.error = e.message;
+      console.error(`提取策略 ${strategy.name} 执行失败:`, e);
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+    console.log(`提取策略 ${strategy.name} 结果: ${attempt.status}，找到 ${attempt.urls.length} 个地址，用时 ${attempt.durationMs}ms`);
+    attempts.push(attempt);
+
+    const outcome = {
+      found: ['success', `找到 ${attempt.urls.length} 个地址`],
+      'test-video': ['warning', '只找到测试视频'],
+      empty: ['warning', '未找到直播流'],
+      error: ['error', `执行失败: ${attempt.error}`]
+    }[attempt.status];
+    reportProgress(ctx.options, step, outcome[0], `${label}（${outcome[1]}）`);
+  }
+
+  return { streamUrl, strategy: winner, testVideoUrl, attempts, candidates };
+}
+
+/**
+ * 在已创建的页面中打开直播间并执行提取策略
+ * @param {Page} page - Puppeteer页面
+ * @param {string} douyinUrl - 抖音直播间URL
+ * @param {Object[]} strategies - 按执行顺序排列的策略
+ * @param {Object} options - 已合并默认配置的提取选项
+ * @returns {Promise<Object>} 同extractWithBrowser
+ */
+async function extractFromPage(page, douyinUrl, strategies, options) {
+  await preparePage(page, options.timings);
+
+  const ctx = { page, douyinUrl, options };
+
+  // 部分策略需要在导航前注册监听
+  for (const strategy of strategies) {
+    if (strategy.setup) {
+      await strategy.setup(ctx);
+    }
+  }
+
+  reportProgress(options, 'page', 'running', '正在加载直播间页面');
+  await loadRoomPage(page, douyinUrl, options);
+  reportProgress(options, 'page', 'success', '直播间页面已加载');
+
+  console.log('正在按顺序执行提取策略:', strategies.map(s => s.name).join(' -> '));
+  const result = await runStrategies(strategies, ctx, options.exhaustive);
+  
+  // 如果仍然没找到，或者找到的还是测试视频，则保存调试信息
+  if (!result.streamUrl) {
+    // 保存页面HTML内容和截图进行调试
+    const contentPath = path.join(options.debugDir, 'debug-page-content.html');
+    const screenshotPath = path.join(options.debugDir, 'debug-screenshot.png');
+
+    const pageContent = await page.content();
+    fs.writeFileSync(contentPath, pageContent);
+    console.log(`已保存页面HTML内容到${contentPath}`);
+    
+    await page.screenshot({ path: screenshotPath, fullPage: true });
+    console.log(`已保存页面截图到${screenshotPath}`);
+    
+    // 如果找到了测试视频，可以返回它，同时提供警告
+    if (result.testVideoUrl) {
+      console.warn('只能找到测试视频，可能是抖音的反爬虫机制导致。可以尝试手动获取直播链接。');
+      return {
+        streamUrl: result.testVideoUrl,
+        strategy: null,
+        isTestVideo: true,
+        attempts: result.attempts,
+        candidates: []
+      };
+    }
+    
+    const error = new Error('无法获取直播流地址，请查看截图和页面HTML内容了解详情');
+    error.attempts = result.attempts;
+    throw error;
+  }
+  
+  console.log(`成功提取直播流地址（策略: ${result.strategy}）:`, result.streamUrl);
+  return {
+    streamUrl: result.streamUrl,
+    strategy: result.strategy,
+    isTestVideo: false,
+    attempts: result.attempts,
+    candidates: sortCandidates(result.candidates)
+  };
+}
+
+/**
+ * 使用浏览器打开直播间并提取直播流URL
+ * @param {string} douyinUrl - 抖音直播间URL
+ * @param {Object[]} strategies - 按执行顺序排列的策略
+ * @param {Object} options - 已合并默认配置的提取选项，参见 extractLiveStreamUrl
+ * @returns {Promise<Object>} 提取结果：streamUrl、命中的策略strategy、是否测试视频isTestVideo、
+ *   各策略找到的候选地址candidates以及各策略执行记录attempts
+ * @throws {Error} options.signal触发时抛出cancelled为true的错误
+ */
+async function extractWithBrowser(douyinUrl, strategies, options) {
+  const { signal } = options;
+  throwIfCancelled(signal);
+
+  // 从共享浏览器池借出隐身模式上下文，避免使用任何已保存数据
+  reportProgress(options, 'browser', 'running', '等待可用的浏览器');
+  return getBrowserPool().withContext(async (context) => {
+    throwIfCancelled(signal);
+    reportProgress(options, 'browser', 'success', '浏览器已就绪');
+    const page = await context.newPage();
+
+    // 取消时关闭页面，使正在进行的导航和页面操作立即失败
+    const closePage = () => page.close().catch(() => {});
+    if (signal) signal.addEventListener('abort', closePage, { once: true });
+    try {
+      return await extractFromPage(page, douyinUrl, strategies, options);
+    } catch (error) {
+      if (signal && signal.aborted) throw cancelledError();
+      throw error;
+    } finally {
+      if (signal) signal.removeEventListener('abort', closePage);
+    }
+  }, { signal });
+}
+
+module.exports = {
+  extractWithBrowser,
+  runStrategies
+};
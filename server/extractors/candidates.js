@@ -0,0 +1,149 @@
+/**
+ * 直播流候选地址
+ *
+ * 候选地址对象格式：
+ * - url: 拉流地址
+ * - protocol: 'flv' 或 'hls'，无法判断时为null
+ * - quality: 清晰度标识，如 origin、FULL_HD1、HD1、SD1、SD2，无法判断时为 unknown
+ * - codec: 视频编码（如 h264、h265），未知时为null
+ * - source: 找到该地址的提取策略
+ */
+
+// 清晰度从高到低排序，未知清晰度排在最后
+const QUALITY_ORDER = ['origin', 'FULL_HD1', 'HD1', 'SD1', 'SD2'];
+
+// live_core_sdk_data 中的清晰度名称与 flv_pull_url 中清晰度标识的对应关系
+const SDK_QUALITY_MAP = {
+  origin: 'origin',
+  uhd: 'FULL_HD1',
+  hd: 'HD1',
+  sd: 'SD1',
+  ld: 'SD2'
+};
+
+// 拉流地址文件名后缀与清晰度的对应关系，例如 stream-123_or4.flv 为原画
+const URL_QUALITY_PATTERNS = [
+  [/_or\d*\.(flv|m3u8)$/, 'origin'],
+  [/_uhd\.(flv|m3u8)$/, 'FULL_HD1'],
+  [/_hd\.(flv|m3u8)$/, 'HD1'],
+  [/_sd\.(flv|m3u8)$/, 'SD1'],
+  [/_ld\.(flv|m3u8)$/, 'SD2']
+];
+
+/**
+ * 根据地址推断拉流协议
+ * @param {string} url - 拉流地址
+ * @returns {string|null} 'flv'、'hls'，无法判断时为null
+ */
+function detectProtocol(url) {
+  const pathname = url.split('?')[0];
+  if (pathname.endsWith('.m3u8')) return 'hls';
+  if (pathname.endsWith('.flv')) return 'flv';
+  return null;
+}
+
+/**
+ * 根据地址文件名推断清晰度
+ * @param {string} url - 拉流地址
+ * @returns {string} 清晰度标识，无法判断时为 unknown
+ */
+function inferQuality(url) {
+  const pathname = url.split('?')[0];
+  for (const [pattern, quality] of URL_QUALITY_PATTERNS) {
+    if (pattern.test(pathname)) {
+      return quality;
+    }
+  }
+  return 'unknown';
+}
+
+/**
+ * 将策略返回的地址或部分字段补全为候选地址对象
+ * @param {string|Object} item - 地址字符串，或至少包含url的对象
+ * @param {string} source - 提取策略名称
+ * @returns {Object|null} 候选地址，无法识别时为null
+ */
+function toCandidate(item, source) {
+  const fields = typeof item === 'string' ? { url: item } : item;
+  if (!fields || typeof fields.url !== 'string' || !fields.url) {
+    return null;
+  }
+  return {
+    url: fields.url,
+    protocol: fields.protocol || detectProtocol(fields.url),
+    quality: fields.quality || inferQuality(fields.url),
+    codec: fields.codec || null,
+    source: fields.source || source
+  };
+}
+
+/**
+ * 获取清晰度的排序权重
+ * @param {string} quality - 清晰度标识
+ * @returns {number} 越小越清晰
+ */
+function qualityRank(quality) {
+  const index = QUALITY_ORDER.indexOf(quality);
+  return index === -1 ? QUALITY_ORDER.length : index;
+}
+
+/**
+ * 去重并按清晰度从高到低排序，同一清晰度下FLV优先
+ * @param {Object[]} candidates - 候选地址列表
+ * @returns {Object[]} 排序后的新列表
+ */
+function sortCandidates(candidates) {
+  const seen = new Set();
+  return candidates
+    .filter(candidate => {
+      if (seen.has(candidate.url)) return false;
+      seen.add(candidate.url);
+      return true;
+    })
+    .sort((a, b) => {
+      const byQuality = qualityRank(a.quality) - qualityRank(b.quality);
+      if (byQuality !== 0) return byQuality;
+      return (a.protocol === 'flv' ? 0 : 1) - (b.protocol === 'flv' ? 0 : 1);
+    });
+}
+
+/**
+ * 按用户偏好排列候选地址，第一个即为首选，其余为依次回退的顺序
+ *
+ * 先选偏好的清晰度，没有时依次降低清晰度，仍没有时再尝试更高的清晰度，
+ * 未知清晰度的地址排在最后。同一清晰度下优先使用偏好的协议。
+ *
+ * @param {Object[]} candidates - 候选地址列表
+ * @param {Object} [preference] - 偏好
+ * @param {string} [preference.quality] - 偏好的清晰度，为空或 auto 时选择最高清晰度
+ * @param {string} [preference.protocol] - 偏好的协议 flv 或 hls
+ * @returns {Object[]} 排序后的新列表
+ */
+function orderCandidates(candidates, preference = {}) {
+  const preferredRank = QUALITY_ORDER.includes(preference.quality) ? qualityRank(preference.quality) : 0;
+  const preferredProtocol = preference.protocol || 'flv';
+
+  // 偏好及更低的清晰度按从高到低排在前面，更高的清晰度按从低到高排在后面
+  const distance = (quality) => {
+    const rank = qualityRank(quality);
+    if (rank === QUALITY_ORDER.length) return Infinity;
+    return rank >= preferredRank ? rank - preferredRank : QUALITY_ORDER.length + (preferredRank - rank);
+  };
+
+  return sortCandidates(candidates).sort((a, b) => {
+    const byDistance = distance(a.quality) - distance(b.quality);
+    if (byDistance !== 0 && !Number.isNaN(byDistance)) return byDistance;
+    return (a.protocol === preferredProtocol ? 0 : 1) - (b.protocol === preferredProtocol ? 0 : 1);
+  });
+}
+
+module.exports = {
+  QUALITY_ORDER,
+  SDK_QUALITY_MAP,
+  detectProtocol,
+  inferQuality,
+  toCandidate,
+  qualityRank,
+  sortCandidates,
+  orderCandidates
+};
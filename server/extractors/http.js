@@ -0,0 +1,202 @@
+/**
+ * 基于HTTP的快速直播流提取
+ *
+ * 直接请求直播间页面HTML，解析其中内嵌的直播间数据（RENDER_DATA、__INIT_PROPS__、
+ * self.__pace_f 数据块），从 stream_url 中读取各清晰度的拉流地址，无需启动浏览器。
+ */
+
+const axios = require('axios');
+const { isTestVideoUrl } = require('./utils');
+const { SDK_QUALITY_MAP, toCandidate, sortCandidates } = require('./candidates');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36';
+
+/**
+ * 安全地解析JSON，失败时返回null
+ * @param {string} text - JSON文本
+ * @returns {*} 解析结果
+ */
+function tryParseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 从页面HTML中收集所有内嵌的JSON数据
+ * @param {string} html - 页面HTML
+ * @returns {Object[]} 解析出的数据对象
+ */
+function collectEmbeddedData(html) {
+  const blobs = [];
+
+  // RENDER_DATA 是URL编码后的JSON
+  const renderData = html.match(/<script[^>]*id="RENDER_DATA"[^>]*>([\s\S]*?)<\/script>/);
+  if (renderData) {
+    try {
+      blobs.push(tryParseJson(decodeURIComponent(renderData[1])));
+    } catch (e) {
+      console.log('RENDER_DATA解码失败:', e.message);
+    }
+  }
+
+  // window.__INIT_PROPS__ = {...}
+  const initProps = html.match(/window\.__INIT_PROPS__\s*=\s*(\{[\s\S]*?\})\s*;?\s*<\/script>/);
+  if (initProps) {
+    blobs.push(tryParseJson(initProps[1]));
+  }
+
+  // self.__pace_f.push([1,"<id>:<json>"])，字符串内是转义后的JSON
+  const paceChunks = html.matchAll(/self\.__pace_f\.push\(\[1,\s*("(?:[^"\\]|\\.)*")\]\)/g);
+  for (const chunk of paceChunks) {
+    const text = tryParseJson(chunk[1]);
+    if (typeof text === 'string' && text.includes('stream_url')) {
+      blobs.push(tryParseJson(text.slice(text.indexOf(':') + 1)));
+    }
+  }
+
+  return blobs.filter(Boolean);
+}
+
+/**
+ * 递归查找所有 stream_url 对象
+ * @param {*} obj - 待搜索的数据
+ * @param {Object[]} results - 结果累加器
+ * @returns {Object[]} stream_url 对象列表
+ */
+function findStreamUrlObjects(obj, results = []) {
+  if (!obj || typeof obj !== 'object') return results;
+
+  for (const key of Object.keys(obj)) {
+    const value = obj[key];
+    if (key === 'stream_url' && value && typeof value === 'object' && !Array.isArray(value)) {
+      results.push(value);
+    } else if (value && typeof value === 'object') {
+      findStreamUrlObjects(value, results);
+    }
+  }
+  return results;
+}
+
+/**
+ * 将 stream_url 对象展开为候选地址
+ * @param {Object} streamUrl - 直播间数据中的 stream_url 对象
+ * @param {string} [source='http'] - 记录在候选地址上的提取策略
+ * @returns {Object[]} 候选地址列表
+ */
+function candidatesFromStreamUrl(streamUrl, source = 'http') {
+  const candidates = [];
+  const add = (url, protocol, quality, codec) => {
+    if (typeof url === 'string' && url.startsWith('http') && !isTestVideoUrl(url)) {
+      candidates.push(toCandidate({ url, protocol, quality, codec }, source));
+    }
+  };
+
+  // live_core_sdk_data 中包含原画等完整清晰度列表，sdk_params中带有编码信息
+  const sdkStreamData = streamUrl.live_core_sdk_data &&
+    streamUrl.live_core_sdk_data.pull_data &&
+    streamUrl.live_core_sdk_data.pull_data.stream_data;
+  const sdkData = typeof sdkStreamData === 'string' ? tryParseJson(sdkStreamData) : sdkStreamData;
+  if (sdkData && sdkData.data) {
+    for (const [name, item] of Object.entries(sdkData.data)) {
+      const quality = SDK_QUALITY_MAP[name] || name;
+      if (item && item.main) {
+        const params = typeof item.main.sdk_params === 'string' ? tryParseJson(item.main.sdk_params) : item.main.sdk_params;
+        const codec = params && params.VCodec ? params.VCodec : null;
+        add(item.main.flv, 'flv', quality, codec);
+        add(item.main.hls, 'hls', quality, codec);
+      }
+    }
+  }
+
+  for (const [quality, url] of Object.entries(streamUrl.flv_pull_url || {})) {
+    add(url, 'flv', quality);
+  }
+  for (const [quality, url] of Object.entries(streamUrl.hls_pull_url_map || {})) {
+    add(url, 'hls', quality);
+  }
+  add(streamUrl.hls_pull_url, 'hls', streamUrl.default_resolution);
+  add(streamUrl.rtmp_pull_url, 'flv', streamUrl.default_resolution);
+
+  return candidates;
+}
+
+/**
+ * 从页面HTML中解析直播流候选地址
+ * @param {string} html - 页面HTML
+ * @returns {Object[]} 按清晰度排序的候选地址
+ */
+function parseRoomHtml(html) {
+  const candidates = [];
+  for (const blob of collectEmbeddedData(html)) {
+    for (const streamUrl of findStreamUrlObjects(blob)) {
+      candidates.push(...candidatesFromStreamUrl(streamUrl));
+    }
+  }
+  return sortCandidates(candidates);
+}
+
+/**
+ * 从响应头中提取Cookie
+ * @param {Object} headers - axios响应头
+ * @returns {string} name=value形式的Cookie串
+ */
+function cookiesFromResponse(headers) {
+  const setCookie = headers['set-cookie'] || [];
+  return setCookie.map(cookie => cookie.split(';')[0]).join('; ');
+}
+
+/**
+ * 请求直播间页面HTML
+ * @param {string} douyinUrl - 抖音直播间URL
+ * @param {Object} options - 提取选项
+ * @param {string} cookie - 请求时附带的Cookie
+ * @returns {Promise<Object>} axios响应
+ */
+function fetchRoomPage(douyinUrl, options, cookie) {
+  return axios.get(douyinUrl, {
+    timeout: options.httpTimeout,
+    signal: options.signal,
+    responseType: 'text',
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
+      'Referer': 'https://live.douyin.com/',
+      ...(cookie ? { Cookie: cookie } : {})
+    }
+  });
+}
+
+/**
+ * 不启动浏览器，直接请求页面HTML提取直播流
+ * @param {string} douyinUrl - 抖音直播间URL
+ * @param {Object} options - 提取选项
+ * @param {number} options.httpTimeout - 请求超时时间
+ * @param {string} [options.httpCookie] - 请求时附带的Cookie
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @returns {Promise<Object[]>} 按清晰度排序的候选地址，未找到时为空数组
+ */
+async function extractWithHttp(douyinUrl, options) {
+  let response = await fetchRoomPage(douyinUrl, options, options.httpCookie);
+  let candidates = parseRoomHtml(response.data);
+
+  // 首次访问时页面可能只下发Cookie（如ttwid、__ac_nonce），带上后重试一次
+  const issuedCookie = cookiesFromResponse(response.headers);
+  if (candidates.length === 0 && issuedCookie) {
+    console.log('页面未包含直播间数据，携带服务端下发的Cookie重试');
+    const cookie = [options.httpCookie, issuedCookie].filter(Boolean).join('; ');
+    response = await fetchRoomPage(douyinUrl, options, cookie);
+    candidates = parseRoomHtml(response.data);
+  }
+
+  return candidates;
+}
+
+module.exports = {
+  extractWithHttp,
+  parseRoomHtml,
+  candidatesFromStreamUrl
+};
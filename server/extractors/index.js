@@ -0,0 +1,123 @@
+/**
+ * 抖音直播流提取
+ *
+ * 优先直接请求页面HTML解析直播间数据（通常一两秒内完成），
+ * 失败时再启动浏览器按配置的策略顺序提取。
+ */
+
+const config = require('../config');
+const { resolveStrategies } = require('./strategies');
+const { extractWithHttp } = require('./http');
+const { extractWithBrowser, runStrategies } = require('./browser');
+const { QUALITY_ORDER, orderCandidates } = require('./candidates');
+const { normalizeRoomInput } = require('./roomInput');
+const { reportProgress } = require('./utils');
+const { cancelledError } = require('../cancellation');
+
+/**
+ * 执行HTTP快速提取，并记录为一次策略尝试
+ * @param {string} douyinUrl - 抖音直播间URL
+ * @param {Object} options - 提取选项
+ * @returns {Promise<Object>} attempt 为执行记录，candidates 为找到的候选地址
+ */
+async function tryHttpFastPath(douyinUrl, options) {
+  const startedAt = Date.now();
+  const attempt = { strategy: 'http', status: 'empty', urls: [] };
+  let candidates = [];
+
+  console.log('尝试直接解析页面HTML获取直播流...');
+  reportProgress(options, 'http', 'running', '直接解析直播间页面');
+  try {
+    candidates = await extractWithHttp(douyinUrl, options);
+    attempt.urls = candidates.map(candidate => candidate.url);
+    if (candidates.length > 0) {
+      attempt.status = 'found';
+    }
+  } catch (e) {
+    if (options.signal && options.signal.aborted) {
+      throw cancelledError();
+    }
+    attempt.status = 'error';
+    attempt.error = e.message;
+    console.log('直接解析页面HTML失败:', e.message);
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  console.log(`提取策略 http 结果: ${attempt.status}，找到 ${attempt.urls.length} 个地址，用时 ${attempt.durationMs}ms`);
+  if (attempt.status === 'found') {
+    reportProgress(options, 'http', 'success', `直接解析直播间页面（找到 ${attempt.urls.length} 个地址）`);
+  } else {
+    // 快速提取失败不是致命错误，随后会改用浏览器
+    reportProgress(options, 'http', 'warning', `直接解析直播间页面（${attempt.error || '未找到直播流'}），改用浏览器提取`);
+  }
+  return { attempt, candidates };
+}
+
+/**
+ * 从抖音直播页面提取直播流URL
+ *
+ * 用户输入应先经过normalizeRoomInput规范化，这里不再校验链接格式。
+ *
+ * @param {string} douyinUrl - 抖音直播间URL
+ * @param {Object} [options] - 提取选项，未提供的项使用config.extractor中的配置
+ * @param {Object} [options.room] - normalizeRoomInput解析出的webRid和roomId
+ * @param {Function} [options.onProgress] - 进度回调，接收{step, status, message}
+ * @param {AbortSignal} [options.signal] - 取消信号，触发后停止提取并抛出cancelled为true的错误
+ * @param {boolean} [options.httpFastPath] - 是否先尝试直接解析页面HTML
+ * @param {string[]} [options.strategies] - 浏览器提取策略的执行顺序
+ * @param {boolean} [options.exhaustive] - 找到直播流后是否继续执行剩余策略
+ * @param {string} [options.reflowApiUrl] - 直播间信息接口地址
+ * @param {boolean} [options.simulateHuman] - 是否模拟用户行为
+ * @param {Object} [options.timings] - 各阶段等待时间，可只覆盖部分字段
+ * @param {string} [options.debugDir] - 提取失败时保存调试文件的目录
+ * @returns {Promise<Object>} 提取结果：streamUrl、命中的策略strategy、是否测试视频isTestVideo、
+ *   按清晰度排序的候选地址candidates以及各策略执行记录attempts
+ */
+async function extractLiveStreamUrl(douyinUrl, options = {}) {
+  console.log('正在尝试提取直播流地址...');
+  options = {
+    ...config.extractor,
+    ...options,
+    timings: { ...config.extractor.timings, ...options.timings }
+  };
+  const strategies = resolveStrategies(options.strategies);
+
+  const attempts = [];
+  if (options.httpFastPath) {
+    const { attempt, candidates } = await tryHttpFastPath(douyinUrl, options);
+    attempts.push(attempt);
+
+    if (candidates.length > 0) {
+      console.log('成功提取直播流地址（策略: http）:', candidates[0].url);
+      return {
+        streamUrl: candidates[0].url,
+        strategy: 'http',
+        isTestVideo: false,
+        attempts,
+        candidates
+      };
+    }
+    console.log('快速提取未找到直播流，改用浏览器提取');
+  }
+
+  try {
+    const result = await extractWithBrowser(douyinUrl, strategies, options);
+    return { ...result, attempts: [...attempts, ...result.attempts] };
+  } catch (error) {
+    if (error.cancelled) {
+      console.log('提取直播流地址已取消');
+      throw error;
+    }
+    error.attempts = [...attempts, ...(error.attempts || [])];
+    console.error('提取直播流地址失败:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  QUALITY_ORDER,
+  extractLiveStreamUrl,
+  normalizeRoomInput,
+  orderCandidates,
+  runStrategies
+};
@@ -0,0 +1,209 @@
+/**
+ * 直播间输入规范化
+ *
+ * 用户可能粘贴各种形式的内容：v.douyin.com 短链接、live.douyin.com/<web_rid>、
+ * www.douyin.com/follow/live/<web_rid>、夹杂表情和中文的分享文案，或者只有房间号。
+ * 这里统一从中找出链接、跟随短链接跳转、解析出 web_rid / room_id，
+ * 并拒绝非抖音域名，最终得到可以交给提取器的标准直播间地址。
+ */
+
+const axios = require('axios');
+const config = require('../config');
+const { cancelledError } = require('../cancellation');
+
+// 允许的抖音域名，包括其子域名
+const DOUYIN_DOMAINS = ['douyin.com', 'iesdouyin.com', 'amemv.com'];
+
+// 纯数字房间号中，达到该长度的视为 room_id（通常19位），否则视为 web_rid
+const ROOM_ID_MIN_LENGTH = 16;
+
+// 分享文案中紧跟在链接后面、不属于链接的字符
+const URL_STOP_CHARS = '\\s"\'<>，。！？、；：“”‘’（）【】《》';
+const URL_IN_TEXT = new RegExp(`https?://[^${URL_STOP_CHARS}]+`, 'i');
+const BARE_URL_IN_TEXT = new RegExp(`(?:[\\w-]+\\.)*(?:${DOUYIN_DOMAINS.map(d => d.replace('.', '\\.')).join('|')})/[^${URL_STOP_CHARS}]*`, 'i');
+
+/**
+ * 创建输入无效的错误
+ * @param {string} message - 错误信息
+ * @returns {Error} invalidInput为true的错误
+ */
+function invalidInput(message) {
+  const error = new Error(message);
+  error.invalidInput = true;
+  return error;
+}
+
+/**
+ * 从分享文案中找出第一个链接
+ * @param {string} text - 用户粘贴的内容
+ * @returns {string|null} 链接，没有协议的抖音链接会补上https://，找不到时为null
+ */
+function extractUrlFromText(text) {
+  const match = text.match(URL_IN_TEXT) || text.match(BARE_URL_IN_TEXT);
+  if (!match) {
+    return null;
+  }
+  // 去掉句末的标点
+  const url = match[0].replace(/[.,;:!?)\]]+$/, '');
+  return /^https?:\/\//i.test(url) ? url : `https://${url}`;
+}
+
+/**
+ * 判断域名是否属于抖音
+ * @param {string} hostname - 域名
+ * @param {string[]} [extraHosts] - 额外允许的域名
+ * @returns {boolean} 是否允许
+ */
+function isDouyinHost(hostname, extraHosts = []) {
+  hostname = hostname.toLowerCase();
+  return extraHosts.includes(hostname) ||
+    DOUYIN_DOMAINS.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+/**
+ * 按长度把纯数字ID归类为 web_rid 或 room_id
+ * @param {string} id - 数字ID
+ * @returns {Object} webRid和roomId，其中一个为null
+ */
+function classifyId(id) {
+  return id.length >= ROOM_ID_MIN_LENGTH
+    ? { webRid: null, roomId: id }
+    : { webRid: id, roomId: null };
+}
+
+/**
+ * 从直播间链接中解析 web_rid 和 room_id
+ * @param {string} url - 直播间链接
+ * @returns {Object} webRid和roomId，无法解析的字段为null
+ */
+function parseRoomUrl(url) {
+  const parsed = new URL(url);
+  const hostname = parsed.hostname.toLowerCase();
+  let ids = { webRid: null, roomId: null };
+
+  let match;
+  if (hostname === 'live.douyin.com' && (match = parsed.pathname.match(/^\/(\w+)\/?$/))) {
+    // live.douyin.com/<web_rid>
+    ids = { webRid: match[1], roomId: null };
+  } else if ((match = parsed.pathname.match(/\/(?:share\/live|webcast\/reflow)\/(\d+)/))) {
+    // www.iesdouyin.com/share/live/<room_id>、webcast.amemv.com/douyin/webcast/reflow/<room_id>
+    ids = { webRid: null, roomId: match[1] };
+  } else if ((match = parsed.pathname.match(/\/live\/(\d+)/))) {
+    // www.douyin.com/follow/live/<web_rid>、www.douyin.com/root/live/<web_rid>
+    ids = classifyId(match[1]);
+  }
+
+  return {
+    webRid: parsed.searchParams.get('web_rid') || ids.webRid,
+    roomId: parsed.searchParams.get('room_id') || ids.roomId
+  };
+}
+
+/**
+ * 跟随短链接跳转，直到离开短链接域名
+ * @param {string} url - 短链接
+ * @param {Object} options - 规范化选项
+ * @returns {Promise<string>} 跳转后的地址
+ */
+async function resolveShortLink(url, options) {
+  for (let hops = 0; hops < options.maxRedirects; hops++) {
+    const hostname = new URL(url).hostname.toLowerCase();
+    if (!options.shortLinkHosts.includes(hostname)) {
+      return url;
+    }
+
+    let response;
+    try {
+      response = await axios.get(url, {
+        timeout: options.resolveTimeout,
+        signal: options.signal,
+        maxRedirects: 0,
+        responseType: 'text',
+        validateStatus: () => true
+      });
+    } catch (e) {
+      if (options.signal && options.signal.aborted) throw cancelledError();
+      throw invalidInput(`无法打开短链接: ${e.message}`);
+    }
+
+    const location = response.headers.location;
+    if (response.status < 300 || response.status >= 400 || !location) {
+      throw invalidInput('短链接已失效或不是直播间分享链接');
+    }
+    url = new URL(location, url).toString();
+    console.log(`短链接跳转到: ${url}`);
+
+    if (!isDouyinHost(new URL(url).hostname, options.shortLinkHosts)) {
+      throw invalidInput('短链接跳转到了非抖音网站');
+    }
+  }
+  throw invalidInput('短链接跳转次数过多');
+}
+
+/**
+ * 根据 web_rid / room_id 生成标准直播间地址
+ * @param {Object} ids - webRid和roomId
+ * @returns {string} 有web_rid时为live.douyin.com地址，否则为分享页地址
+ */
+function canonicalRoomUrl(ids) {
+  if (ids.webRid) {
+    return `https://live.douyin.com/${ids.webRid}`;
+  }
+  return `https://webcast.amemv.com/douyin/webcast/reflow/${ids.roomId}`;
+}
+
+/**
+ * 规范化用户输入的直播间链接、分享文案或房间号
+ * @param {string} input - 用户输入
+ * @param {Object} [options] - 规范化选项，未提供的项使用config.roomInput
+ * @param {string[]} [options.shortLinkHosts] - 需要跟随跳转的短链接域名
+ * @param {number} [options.resolveTimeout] - 请求短链接的超时时间（毫秒）
+ * @param {number} [options.maxRedirects] - 最多跟随的跳转次数
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @returns {Promise<Object>} 标准直播间地址url、webRid、roomId，以及跳转后的原始地址sourceUrl
+ * @throws {Error} 无法识别或不是抖音链接时抛出，error.invalidInput为true
+ */
+async function normalizeRoomInput(input, options = {}) {
+  options = { ...config.roomInput, ...options };
+  const text = typeof input === 'string' ? input.trim() : '';
+  if (!text) {
+    throw invalidInput('缺少抖音直播间链接');
+  }
+
+  // 只输入了房间号
+  if (/^\d+$/.test(text)) {
+    const ids = classifyId(text);
+    return { url: canonicalRoomUrl(ids), ...ids, sourceUrl: null };
+  }
+
+  const url = extractUrlFromText(text);
+  if (!url) {
+    throw invalidInput('没有找到直播间链接，请粘贴抖音直播间链接、分享文案或房间号');
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (e) {
+    throw invalidInput('链接格式不正确，请提供有效的抖音直播间链接');
+  }
+  if (!isDouyinHost(hostname, options.shortLinkHosts)) {
+    throw invalidInput('只支持抖音直播间链接');
+  }
+
+  const sourceUrl = await resolveShortLink(url, options);
+  const ids = parseRoomUrl(sourceUrl);
+  if (!ids.webRid && !ids.roomId) {
+    throw invalidInput('无法从链接中识别直播间，请提供直播间链接或房间号');
+  }
+
+  console.log(`直播间输入已规范化: web_rid=${ids.webRid || '-'} room_id=${ids.roomId || '-'}`);
+  return { url: canonicalRoomUrl(ids), ...ids, sourceUrl };
+}
+
+module.exports = {
+  extractUrlFromText,
+  isDouyinHost,
+  parseRoomUrl,
+  normalizeRoomInput
+};
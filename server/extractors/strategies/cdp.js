@@ -0,0 +1,121 @@
+/**
+ * CDP响应嗅探策略
+ *
+ * 通过Chrome DevTools Protocol读取页面收到的JSON响应体，递归查找其中的媒体地址。
+ */
+
+const { isTestVideoUrl } = require('../utils');
+const { delay } = require('../../cancellation');
+
+// 键名中包含这些片段时视为媒体相关字段
+const MEDIA_KEYS = [
+  'url', 'streamUrl', 'playUrl', 'videoUrl', 'm3u8', 'flv', 
+  'hls', 'src', 'source', 'media', 'stream_url', 'play_url'
+];
+
+/**
+ * 递归搜索JSON对象中可能的媒体URL
+ * @param {Object} obj - 待搜索的对象
+ * @param {string[]} paths - 当前路径
+ * @returns {Array<{url: string, path: string}>} 找到的URL及其路径
+ */
+function findMediaUrls(obj, paths = []) {
+  if (!obj || typeof obj !== 'object') return [];
+  
+  let results = [];
+  
+  for (const key in obj) {
+    const value = obj[key];
+    const currentPath = [...paths, key];
+    
+    // 检查键名是否与媒体相关
+    const isMediaKey = MEDIA_KEYS.some(k => key.toLowerCase().includes(k));
+    
+    // 检查值是否是URL
+    if (isMediaKey && typeof value === 'string' && 
+        (value.includes('http') || value.startsWith('//') || 
+         value.includes('.m3u8') || value.includes('.flv')) &&
+        !isTestVideoUrl(value)) {
+      results.push({
+        url: value.startsWith('//') ? `https:${value}` : value,
+        path: currentPath.join('.')
+      });
+    }
+    
+    // 递归检查嵌套对象
+    if (value && typeof value === 'object') {
+      results = [...results, ...findMediaUrls(value, currentPath)];
+    }
+  }
+  
+  return results;
+}
+
+module.exports = {
+  name: 'cdp',
+  description: '通过CDP读取JSON接口响应',
+  findMediaUrls,
+
+  /**
+   * @param {Object} ctx - 提取上下文
+   * @returns {Promise<string[]>} 候选URL列表，最新的响应排在前面
+   */
+  async run(ctx) {
+    const { page } = ctx;
+    const found = [];
+
+    // 使用CDP会话分析网络通信
+    const client = await page.target().createCDPSession();
+    await client.send('Network.enable');
+    
+    // 分析网络响应内容
+    client.on('Network.responseReceived', async response => {
+      const url = response.response.url;
+      const mimeType = response.response.mimeType;
+      
+      // 检查是否是JSON响应，可能包含媒体信息
+      if (
+        (mimeType.includes('json') || mimeType.includes('javascript')) && 
+        (url.includes('/api/') || url.includes('/live/') || url.includes('/room/'))
+      ) {
+        try {
+          const responseBody = await client.send('Network.getResponseBody', {
+            requestId: response.requestId
+          });
+          
+          if (responseBody.body) {
+            try {
+              const data = JSON.parse(responseBody.body);
+              // 优先使用包含m3u8或flv的URL
+              const streamUrls = findMediaUrls(data)
+                .sort((a, b) => {
+                  const aScore = (a.url.includes('.m3u8') || a.url.includes('.flv')) ? 2 : 1;
+                  const bScore = (b.url.includes('.m3u8') || b.url.includes('.flv')) ? 2 : 1;
+                  return bScore - aScore;
+                });
+              
+              if (streamUrls.length > 0) {
+                found.unshift(streamUrls[0].url);
+                console.log('从JSON响应中找到直播流地址:', streamUrls[0].url);
+              }
+            } catch (e) {
+              console.log('解析JSON响应失败:', e.message);
+            }
+          }
+        } catch (e) {
+          console.log('获取响应体失败:', e.message);
+        }
+      }
+    });
+    
+    // 等待更长时间捕获网络请求
+    console.log('等待网络请求以获取直播流...');
+    try {
+      await delay(ctx.options.timings.cdpCapture, ctx.options.signal);
+    } finally {
+      await client.detach().catch(() => {});
+    }
+
+    return found;
+  }
+};
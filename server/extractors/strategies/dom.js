@@ -0,0 +1,195 @@
+/**
+ * DOM解析策略
+ *
+ * 在页面中查找视频元素、播放器配置、全局变量和内联脚本中的直播流地址。
+ */
+
+const { TEST_VIDEO_MARKER } = require('../utils');
+
+// 扩展视频元素选择器范围
+const videoSelectors = [
+  'video',
+  '.video-player video',
+  '.webcast-video video',
+  '[data-e2e="webcast-video"] video',
+  '.xg-video video',
+  '.xgplayer-video',
+  '.video-player-v2 video',
+  '.player-container video',
+  '.live-player video',
+  '.player-video video',
+  'video[preload]',
+  'video[autoplay]',
+  'video[src]',
+  '.xgplayer'
+];
+
+module.exports = {
+  name: 'dom',
+  description: '从DOM、播放器配置和页面全局变量中提取',
+
+  /**
+   * @param {Object} ctx - 提取上下文
+   * @returns {Promise<string[]>} 候选URL列表
+   */
+  async run(ctx) {
+    const { page } = ctx;
+
+    // 检查页面中是否存在视频元素
+    const hasVideo = await page.evaluate((selectors) => {
+      for (const selector of selectors) {
+        const elements = document.querySelectorAll(selector);
+        if (elements.length > 0) {
+          return true;
+        }
+      }
+      return false;
+    }, videoSelectors);
+
+    if (!hasVideo) {
+      return [];
+    }
+
+    console.log('找到视频元素，提取视频源');
+    // 提取直播流URL
+    const streamUrl = await page.evaluate((selectors, marker) => {
+      // 辅助函数：从对象深层提取属性
+      function getDeepProperty(obj, path) {
+        const parts = path.split('.');
+        let current = obj;
+        for (const part of parts) {
+          if (current && typeof current === 'object' && part in current) {
+            current = current[part];
+          } else {
+            return null;
+          }
+        }
+        return current;
+      }
+      
+      // 从视频元素中提取URL
+      for (const selector of selectors) {
+        const elements = document.querySelectorAll(selector);
+        for (const element of elements) {
+          if (element && element.src && !element.src.includes(marker)) {
+            return element.src;
+          }
+          // 检查是否有dataset中的src属性
+          if (element && element.dataset && element.dataset.src && !element.dataset.src.includes(marker)) {
+            return element.dataset.src;
+          }
+          // 检查currentSrc属性
+          if (element && element.currentSrc && !element.currentSrc.includes(marker)) {
+            return element.currentSrc;
+          }
+        }
+      }
+      
+      // 查找xgplayer播放器配置
+      const xgplayerConfig = window.__PLAYER_CONFIG__ || window.__PLAYER_INITIAL_STATE__;
+      if (xgplayerConfig) {
+        // 尝试从播放器配置中提取URL
+        const possiblePaths = [
+          'videoInfo.url', 
+          'videoData.url', 
+          'playInfo.url',
+          'videoData.sourceUrl',
+          'sourceInfo.source',
+          'stream.pull_url',
+          'stream.default_quality.main.play_url',
+          'streamData.stream_url',
+          'video.play_url'
+        ];
+        
+        for (const path of possiblePaths) {
+          const url = getDeepProperty(xgplayerConfig, path);
+          if (url && typeof url === 'string' && (url.includes('http') || url.includes('//')) && !url.includes(marker)) {
+            return url;
+          }
+        }
+      }
+      
+      // 尝试从全局变量中提取
+      const globalVars = [
+        '__INIT_PROPS__',
+        '__INITIAL_STATE__',
+        'window.LIVE_DATA',
+        'window.STREAM_CONFIG',
+        'window.PAGE_DATA'
+      ];
+      
+      for (const varName of globalVars) {
+        try {
+          let obj = window;
+          for (const key of varName.replace('window.', '').split('.')) {
+            obj = obj[key];
+            if (obj === undefined) break;
+          }
+          
+          if (obj && typeof obj === 'object') {
+            // 特别针对直播间数据结构
+            if (obj.roomInfo) {
+              if (obj.roomInfo.room && obj.roomInfo.room.stream_url) {
+                return obj.roomInfo.room.stream_url;
+              }
+              if (obj.roomInfo.liveUrl) return obj.roomInfo.liveUrl;
+              if (obj.roomInfo.streamUrl) return obj.roomInfo.streamUrl;
+            }
+            
+            // 检查直播流相关字段
+            const liveKeys = ['liveUrl', 'streamUrl', 'play_url', 'stream_url', 'flv_url', 'hls_url'];
+            for (const key of liveKeys) {
+              if (obj[key] && typeof obj[key] === 'string' && !obj[key].includes(marker)) {
+                return obj[key];
+              }
+            }
+            
+            // 递归寻找嵌套对象中的URL
+            const findMediaUrl = (object, path = []) => {
+              if (!object || typeof object !== 'object') return null;
+              
+              for (const key in object) {
+                const value = object[key];
+                const currentPath = [...path, key];
+                
+                if (typeof value === 'string' && 
+                    (value.includes('.m3u8') || value.includes('.flv') || currentPath.some(p => liveKeys.includes(p))) && 
+                    !value.includes(marker)) {
+                  return value;
+                }
+                
+                if (value && typeof value === 'object') {
+                  const result = findMediaUrl(value, currentPath);
+                  if (result) return result;
+                }
+              }
+              
+              return null;
+            };
+            
+            const urlFromObject = findMediaUrl(obj);
+            if (urlFromObject) return urlFromObject;
+          }
+        } catch (e) {
+          console.error('解析全局变量失败', e);
+        }
+      }
+      
+      // 尝试从XHR或其他请求中获取
+      const scripts = document.querySelectorAll('script');
+      for (const script of scripts) {
+        const content = script.textContent;
+        if (content && (content.includes('.m3u8') || content.includes('.flv'))) {
+          const matches = content.match(/(https?:\/\/[^"']+\.(m3u8|flv))/);
+          if (matches && matches[1] && !matches[1].includes(marker)) {
+            return matches[1];
+          }
+        }
+      }
+      
+      return null;
+    }, videoSelectors, TEST_VIDEO_MARKER);
+
+    return streamUrl ? [streamUrl] : [];
+  }
+};
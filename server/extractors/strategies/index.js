@@ -0,0 +1,44 @@
+/**
+ * 直播流提取策略注册表
+ *
+ * 每个策略都是一个对象：
+ * - name: 策略名称，用于配置和日志
+ * - description: 策略说明
+ * - setup(ctx): 可选，在页面导航前执行（例如注册监听器）
+ * - run(ctx): 页面加载并完成交互后执行，返回候选地址数组（按优先级排序），
+ *   元素可以是URL字符串，也可以是带url及quality/protocol/codec等已知字段的对象
+ */
+
+const dom = require('./dom');
+const network = require('./network');
+const cdp = require('./cdp');
+const performance = require('./performance');
+const reflowApi = require('./reflowApi');
+
+const strategies = {
+  [dom.name]: dom,
+  [network.name]: network,
+  [cdp.name]: cdp,
+  [performance.name]: performance,
+  [reflowApi.name]: reflowApi
+};
+
+/**
+ * 按名称列表解析策略，保持给定顺序
+ * @param {string[]} names - 策略名称列表
+ * @returns {Object[]} 策略对象列表
+ */
+function resolveStrategies(names) {
+  return names.map(name => {
+    const strategy = strategies[name];
+    if (!strategy) {
+      throw new Error(`未知的直播流提取策略: ${name}，可用策略: ${Object.keys(strategies).join(', ')}`);
+    }
+    return strategy;
+  });
+}
+
+module.exports = {
+  strategies,
+  resolveStrategies
+};
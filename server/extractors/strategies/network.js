@@ -0,0 +1,53 @@
+/**
+ * 网络请求捕获策略
+ *
+ * 在页面导航前开始监听所有请求，收集看起来像直播流或媒体资源的URL。
+ */
+
+const { isTestVideoUrl } = require('../utils');
+
+module.exports = {
+  name: 'network',
+  description: '捕获页面发出的媒体网络请求',
+
+  /**
+   * 导航前注册请求监听
+   * @param {Object} ctx - 提取上下文
+   */
+  async setup(ctx) {
+    ctx.liveStreamRequests = [];
+    ctx.mediaRequests = [];
+
+    ctx.page.on('request', request => {
+      const url = request.url();
+      if (
+        url.includes('.m3u8') || 
+        url.includes('.flv') || 
+        url.includes('.mp4') ||
+        url.includes('/stream/') ||
+        url.includes('/live/') ||
+        url.includes('/play/')
+      ) {
+        if (!isTestVideoUrl(url)) { // 排除测试视频
+          if (url.includes('.m3u8') || url.includes('.flv')) {
+            ctx.liveStreamRequests.push(url); // 可能的直播流
+          } else {
+            ctx.mediaRequests.push(url); // 其他媒体请求
+          }
+        }
+      }
+    });
+  },
+
+  /**
+   * 返回已捕获的请求，直播流优先，越晚出现的越靠前
+   * @param {Object} ctx - 提取上下文
+   * @returns {Promise<string[]>} 候选URL列表
+   */
+  async run(ctx) {
+    return [
+      ...ctx.liveStreamRequests.slice().reverse(),
+      ...ctx.mediaRequests.slice().reverse()
+    ];
+  }
+};
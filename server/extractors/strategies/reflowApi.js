@@ -0,0 +1,68 @@
+/**
+ * 直播间信息接口策略
+ *
+ * 从规范化结果或URL中解析直播间ID，在页面上下文中请求 webcast/room/reflow/info 接口获取拉流地址。
+ */
+
+const { candidatesFromStreamUrl } = require('../http');
+
+module.exports = {
+  name: 'reflowApi',
+  description: '查询抖音 webcast/room/reflow/info 接口',
+
+  /**
+   * @param {Object} ctx - 提取上下文
+   * @returns {Promise<Array<string|Object>>} 候选地址列表，FLV优先
+   */
+  async run(ctx) {
+    const { page, douyinUrl, options } = ctx;
+
+    // 优先使用规范化时解析出的直播间ID，否则从URL中提取
+    const room = options.room || {};
+    const roomIdMatch = douyinUrl.match(/\/live\/([^/?]+)/);
+    const roomId = room.roomId || room.webRid || (roomIdMatch && roomIdMatch[1]);
+    if (!roomId) {
+      console.log('无法从链接中解析直播间ID，跳过API查询');
+      return [];
+    }
+
+    console.log('提取到的直播间ID:', roomId);
+    
+    // 从页面中获取可用的cookie
+    const cookies = await page.cookies();
+    const cookieString = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+    
+    // 请求抖音API获取直播流信息
+    const apiUrl = `${options.reflowApiUrl}?live_id=${roomId}&room_id=${roomId}`;
+    
+    // 通过页面执行fetch请求，避免CORS和身份验证问题
+    const response = await page.evaluate(async (url, cookies) => {
+      try {
+        const resp = await fetch(url, {
+          method: 'GET',
+          headers: {
+            'Content-Type': 'application/json',
+            'Cookie': cookies,
+            'User-Agent': navigator.userAgent,
+            'Referer': location.href
+          }
+        });
+        return await resp.json();
+      } catch (e) {
+        return { error: e.message };
+      }
+    }, apiUrl, cookieString);
+    
+    console.log('API响应:', JSON.stringify(response).substring(0, 500) + '...');
+
+    const candidates = [];
+    if (response && response.data && response.data.room && response.data.room.stream_url) {
+      const streamUrl = response.data.room.stream_url;
+      if (streamUrl.flv_url) candidates.push(streamUrl.flv_url);
+      if (streamUrl.hls_url) candidates.push(streamUrl.hls_url);
+      // 接口同样会返回 flv_pull_url、hls_pull_url_map 等各清晰度地址
+      candidates.push(...candidatesFromStreamUrl(streamUrl, 'reflowApi'));
+    }
+    return candidates;
+  }
+};
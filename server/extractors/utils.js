@@ -0,0 +1,39 @@
+/**
+ * 直播流提取的通用工具函数
+ */
+
+// 抖音在检测到自动化访问时返回的测试视频地址特征
+const TEST_VIDEO_MARKER = 'douyin-pc-web/uuu_';
+
+/**
+ * 判断URL是否为抖音测试视频
+ * @param {string} url - 待检查的URL
+ * @returns {boolean} 是否为测试视频
+ */
+function isTestVideoUrl(url) {
+  return typeof url === 'string' && url.includes(TEST_VIDEO_MARKER);
+}
+
+/**
+ * 报告提取进度，未提供进度回调时忽略
+ * @param {Object} options - 提取选项，options.onProgress为进度回调
+ * @param {string} step - 步骤标识，同一步骤的后续事件会更新该步骤的状态
+ * @param {string} status - running、success、warning或error
+ * @param {string} message - 显示给用户的说明
+ */
+function reportProgress(options, step, status, message) {
+  if (!options || typeof options.onProgress !== 'function') {
+    return;
+  }
+  try {
+    options.onProgress({ step, status, message });
+  } catch (e) {
+    console.warn('进度回调执行失败:', e.message);
+  }
+}
+
+module.exports = {
+  TEST_VIDEO_MARKER,
+  isTestVideoUrl,
+  reportProgress
+};
@@ -10,7 +10,6 @@
 
 const express = require('express');
 const cors = require('cors');
-const puppeteer = require('puppeteer');
 const ffmpeg = require('fluent-ffmpeg');
 const http = require('http');
 const { Server } = require("socket.io");
@@ -18,6 +17,30 @@ const axios = require('axios');
 const path = require('path');
 const fs = require('fs');
 const os = require('os'); // 引入操作系统模块，用于检测操作系统类型
+const config = require('./config');
+const { extractLiveStreamUrl, normalizeRoomInput, orderCandidates } = require('./extractors');
+const { toCandidate } = require('./extractors/candidates');
+const { probeStream, setFfprobePath, validateCandidates } = require('./probe');
+const { ProgressTracker } = require('./progress');
+const { reportProgress } = require('./extractors/utils');
+const { shutdownBrowserPool } = require('./browserPool');
+const { STREAMS_DIR, removeStaleOutputs, disposeOutput } = require('./transcoder');
+const { StreamSession } = require('./streamSession');
+const { parseRecordOption } = require('./recorder');
+const { parseDestination, parseDestinations } = require('./restream');
+const {
+  resolveRecording,
+  describeRecording,
+  listRecordings,
+  inspectRecording,
+  deleteRecording,
+  deleteExpiredRecordings
+} = require('./recordings');
+const { ClipJobs } = require('./clips');
+const { throwIfCancelled, delay } = require('./cancellation');
+const { roomKey, SessionRegistry } = require('./sessionRegistry');
+const { SessionStore } = require('./sessionStore');
+const { Thumbnails } = require('./thumbnails');
 
 // 获取当前操作系统类型
 const isWindows = os.platform() === 'win32';
@@ -46,6 +69,7 @@ if (fs.existsSync(FFMPEG_PATH)) {
 if (fs.existsSync(FFPROBE_PATH)) {
   console.log(`使用自定义FFprobe路径: ${FFPROBE_PATH}`);
   ffmpeg.setFfprobePath(FFPROBE_PATH);
+  setFfprobePath(FFPROBE_PATH);
 }
 
 // 检查FFmpeg是否可用
@@ -81,748 +105,61 @@ app.use(express.json());
 // 存储活跃直播会话
 const activeLiveStreams = new Map();
 
+// 共享会话：同一直播间只运行一个会话，记录各会话的观众
+const sessionRegistry = new SessionRegistry();
+
+// 正在运行的会话的启动参数，服务端重启后据此恢复
+const sessionStore = new SessionStore();
+
+// 剪辑导出任务
+const clipJobs = new ClipJobs();
+
+// 管理页面的会话缩略图
+const thumbnails = new Thumbnails();
+
+// 正在获取直播流的启动请求，requestId -> { controller, socketId }
+const pendingRequests = new Map();
+
 /**
- * 从抖音直播页面提取直播流URL
- * @param {string} douyinUrl - 抖音直播间URL
- * @returns {Promise<string>} 直播流URL
+ * 登记一个启动请求，返回用于取消的signal
+ * @param {string} [requestId] - 客户端生成的请求ID，未提供时由服务端生成
+ * @param {string} [socketId] - 通过WebSocket发起时的socket ID，断开连接时自动取消
+ * @returns {Object} requestId和signal
  */
-async function extractLiveStreamUrl(douyinUrl) {
-  console.log('正在尝试提取直播流地址...');
-  
-  // 验证URL格式，确保是抖音直播链接
-  if (!douyinUrl.includes('douyin.com') && !douyinUrl.includes('tiktok.com')) {
-    if (!douyinUrl.includes('http')) {
-      douyinUrl = 'https://' + douyinUrl;
-    }
-    // 确保URL指向直播间
-    if (!douyinUrl.includes('/live/')) {
-      throw new Error('链接格式不正确，请提供有效的抖音直播间链接');
-    }
+function beginRequest(requestId, socketId = null) {
+  requestId = requestId ? String(requestId) : `req-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  // 同一ID的旧请求已被新请求取代
+  cancelRequest(requestId);
+  const controller = new AbortController();
+  pendingRequests.set(requestId, { controller, socketId });
+  return { requestId, signal: controller.signal };
+}
+
+/**
+ * 取消正在进行的启动请求
+ * @param {string} requestId - 请求ID
+ * @returns {boolean} 请求存在并被取消时为true
+ */
+function cancelRequest(requestId) {
+  const pending = pendingRequests.get(requestId);
+  if (!pending) {
+    return false;
   }
-  
-  // 获取可用的用户代理列表，随机选择一个，模拟真实浏览器
-  const userAgents = [
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36 Edg/122.0.0.0',
-    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
-    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:123.0) Gecko/20100101 Firefox/123.0'
-  ];
-  const randomUserAgent = userAgents[Math.floor(Math.random() * userAgents.length)];
-  
-  const browser = await puppeteer.launch({
-    headless: "new", // 使用新的headless模式
-    args: [
-      '--no-sandbox', 
-      '--disable-setuid-sandbox',
-      '--disable-web-security',
-      '--disable-features=IsolateOrigins,site-per-process',
-      '--window-size=1920,1080',
-      '--disable-blink-features=AutomationControlled', // 禁用自动化控制检测
-      '--disable-extensions',
-      '--disable-component-extensions-with-background-pages',
-      '--disable-default-apps',
-      '--lang=zh-CN,zh' // 设置中文语言环境
-    ],
-    defaultViewport: {
-      width: 1920,
-      height: 1080
-    }
-  });
-  
-  try {
-    // 创建隐身模式上下文，避免使用任何已保存数据
-    const context = await browser.createIncognitoBrowserContext();
-    const page = await context.newPage();
-    
-    // 修改WebDriver相关标记，避免被检测为自动化工具
-    await page.evaluateOnNewDocument(() => {
-      // 重写navigator.webdriver属性，防止被检测为自动化浏览器
-      Object.defineProperty(navigator, 'webdriver', {
-        get: () => false,
-      });
-      
-      // 移除window.navigator.chrome.runtime，这是自动化检测的一个标志
-      if (window.navigator.chrome) {
-        window.navigator.chrome = {};
-      }
-      
-      // 添加浏览器特征以模拟真实环境
-      const originalQuery = window.navigator.permissions.query;
-      window.navigator.permissions.query = (parameters) => (
-        parameters.name === 'notifications' ?
-          Promise.resolve({ state: Notification.permission }) :
-          originalQuery(parameters)
-      );
-      
-      // 模拟WebGL
-      const getParameter = WebGLRenderingContext.prototype.getParameter;
-      WebGLRenderingContext.prototype.getParameter = function(parameter) {
-        // 使用UNMASKED_VENDOR_WEBGL和UNMASKED_RENDERER_WEBGL模拟真实显卡信息
-        if (parameter === 37445) {
-          return 'Intel Inc.'; // UNMASKED_VENDOR_WEBGL
-        }
-        if (parameter === 37446) {
-          return 'Intel Iris Graphics 6100'; // UNMASKED_RENDERER_WEBGL
-        }
-        return getParameter.apply(this, arguments);
-      };
-      
-      // 添加更多浏览器插件，使浏览器特征更真实
-      Object.defineProperty(navigator, 'plugins', {
-        get: () => {
-          return [
-            {
-              description: "Portable Document Format",
-              filename: "internal-pdf-viewer",
-              name: "Chrome PDF Plugin"
-            },
-            {
-              description: "Portable Document Format",
-              filename: "internal-pdf-viewer",
-              name: "Chrome PDF Viewer"
-            },
-            {
-              description: "Microsoft Edge PDF Viewer",
-              filename: "internal-pdf-viewer",
-              name: "Microsoft Edge PDF Viewer"
-            }
-          ];
-        },
-      });
-    });
-    
-    // 设置用户代理，模拟真实浏览器环境
-    await page.setUserAgent(randomUserAgent);
-    
-    // 设置屏幕和窗口尺寸以模拟真实浏览环境
-    await page.setViewport({
-      width: 1920,
-      height: 1080,
-      deviceScaleFactor: 1,
-      hasTouch: false,
-      isLandscape: true,
-      isMobile: false
-    });
-    
-    // 设置语言和地区偏好头以模拟中国用户
-    await page.setExtraHTTPHeaders({
-      'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
-      'Sec-Fetch-Site': 'none',
-      'Sec-Fetch-Mode': 'navigate',
-      'Sec-Fetch-User': '?1',
-      'Sec-Fetch-Dest': 'document',
-      'Sec-Ch-Ua': '"Chromium";v="122", "Google Chrome";v="122", "Not(A:Brand";v="24"',
-      'Sec-Ch-Ua-Mobile': '?0',
-      'Sec-Ch-Ua-Platform': '"Windows"'
-    });
-    
-    // 设置超时时间更长
-    await page.setDefaultNavigationTimeout(60000);
-    
-    // 减少拦截，只拦截媒体文件和广告类资源
-    await page.setRequestInterception(true);
-    page.on('request', (req) => {
-      const url = req.url();
-      
-      // 只拦截广告或分析类资源，允许大部分资源加载
-      if (
-        url.includes('analytics') || 
-        url.includes('tracker') ||
-        url.includes('advertisement') ||
-        url.includes('doubleclick.net')
-      ) {
-        req.abort();
-      } else {
-        req.continue();
-      }
-    });
-    
-    // 监听控制台输出，帮助调试
-    page.on('console', msg => console.log('浏览器控制台:', msg.text()));
-    
-    // 保存媒体请求，用于后续分析
-    const mediaRequests = [];
-    const liveStreamRequests = [];
-    
-    // 监听网络请求，查找可能的视频流URL
-    page.on('request', request => {
-      const url = request.url();
-      if (
-        url.includes('.m3u8') || 
-        url.includes('.flv') || 
-        url.includes('.mp4') ||
-        url.includes('/stream/') ||
-        url.includes('/live/') ||
-        url.includes('/play/')
-      ) {
-        if (!url.includes('douyin-pc-web/uuu_')) { // 排除测试视频
-          if (url.includes('.m3u8') || url.includes('.flv')) {
-            liveStreamRequests.push(url); // 可能的直播流
-          } else {
-            mediaRequests.push(url); // 其他媒体请求
-          }
-        }
-      }
-    });
-    
-    // 随机模拟常见移动痕迹
-    async function simulateHumanBehavior() {
-      // 随机移动鼠标到页面的不同区域
-      for (let i = 0; i < 5; i++) {
-        const x = Math.floor(Math.random() * 1000);
-        const y = Math.floor(Math.random() * 600);
-        await page.mouse.move(x, y, { steps: 10 });
-        await page.waitForTimeout(Math.random() * 1000 + 500);
-      }
-      
-      // 随机滚动页面
-      await page.evaluate(() => {
-        const scrollHeight = Math.floor(Math.random() * 500);
-        window.scrollTo(0, scrollHeight);
-        setTimeout(() => {
-          window.scrollTo(0, 0);
-        }, 500);
-      });
-      
-      await page.waitForTimeout(1000);
-      
-      // 模拟用户鼠标悬停在视频播放器上
-      await page.evaluate(() => {
-        const videoElements = document.querySelectorAll('video, .player-container, .video-player, .webcast-video');
-        if (videoElements.length > 0) {
-          // 创建并触发鼠标悬停事件
-          const element = videoElements[0];
-          const rect = element.getBoundingClientRect();
-          const centerX = rect.left + rect.width / 2;
-          const centerY = rect.top + rect.height / 2;
-          
-          const hoverEvent = new MouseEvent('mouseover', {
-            view: window,
-            bubbles: true,
-            cancelable: true,
-            clientX: centerX,
-            clientY: centerY
-          });
-          element.dispatchEvent(hoverEvent);
-        }
-      });
-    }
-    
-    console.log('正在访问抖音直播间页面...');
-    
-    // 添加cookie以模拟已登录状态，这里使用空值作为示例
-    await page.setCookie({
-      name: 'sessionid_ss',
-      value: '',
-      domain: '.douyin.com',
-      path: '/',
-      httpOnly: true,
-      secure: true,
-      sameSite: 'None'
-    });
-    
-    // 访问页面
-    await page.goto(douyinUrl, { 
-      waitUntil: 'networkidle2',
-      timeout: 60000 
-    });
-    
-    console.log('页面加载完成，准备查找视频元素');
-    
-    // 模拟人类用户交互行为
-    console.log('模拟用户互动...');
-    await simulateHumanBehavior();
-    
-    // 先滚动页面以触发懒加载资源
-    await page.evaluate(() => {
-      window.scrollTo(0, 300);
-      setTimeout(() => window.scrollTo(0, 0), 300);
-    });
-    
-    // 模拟鼠标移动
-    await page.mouse.move(Math.random() * 1000, Math.random() * 600);
-    
-    // 等待更长时间，让页面完全加载
-    await page.waitForTimeout(8000);
-    
-    // 尝试点击可能的播放按钮和同意提示
-    try {
-      await page.evaluate(() => {
-        // 查找并点击同意条款按钮
-        const agreeButtons = document.querySelectorAll('[class*="agree"], [class*="consent"], [class*="allow"], [class*="accept"]');
-        for (const button of agreeButtons) {
-          if (button.offsetWidth > 0 && button.offsetHeight > 0) {
-            button.click();
-          }
-        }
-        
-        // 尝试查找并点击各种可能的播放按钮
-        const playButtons = document.querySelectorAll('button, [role="button"], .play-button, .xgplayer-play, .xgplayer-start, [class*="play"], [aria-label*="播放"]');
-        if (playButtons.length > 0) {
-          for (const button of playButtons) {
-            if (button.offsetWidth > 0 && button.offsetHeight > 0) { // 只点击可见元素
-              button.click();
-            }
-          }
-        }
-        
-        // 点击视频区域，可能会触发播放
-        const videoContainers = document.querySelectorAll('.video-container, .player-container, .webcast-video');
-        if (videoContainers.length > 0) {
-          videoContainers[0].click();
-        }
-      });
-    } catch (e) {
-      console.log('尝试点击播放按钮时出错:', e.message);
-    }
-    
-    // 等待视频加载并开始播放
-    await page.waitForTimeout(10000);
-    
-    // 再次模拟人类行为
-    await simulateHumanBehavior();
-    
-    // 查找页面中可能的媒体元素
-    console.log('正在查找视频元素和媒体资源...');
-    
-    // 扩展视频元素选择器范围
-    const videoSelectors = [
-      'video',
-      '.video-player video',
-      '.webcast-video video',
-      '[data-e2e="webcast-video"] video',
-      '.xg-video video',
-      '.xgplayer-video',
-      '.video-player-v2 video',
-      '.player-container video',
-      '.live-player video',
-      '.player-video video',
-      'video[preload]',
-      'video[autoplay]',
-      'video[src]',
-      '.xgplayer'
-    ];
-    
-    let streamUrl = null;
-    
-    // 尝试直接从DOM中提取媒体元素
-    try {
-      console.log('尝试从DOM中提取视频元素...');
-      
-      // 检查页面中是否存在视频元素
-      const hasVideo = await page.evaluate((selectors) => {
-        for (const selector of selectors) {
-          const elements = document.querySelectorAll(selector);
-          if (elements.length > 0) {
-            return true;
-          }
-        }
-        return false;
-      }, videoSelectors);
-      
-      if (hasVideo) {
-        console.log('找到视频元素，提取视频源');
-        // 提取直播流URL
-        streamUrl = await page.evaluate((selectors) => {
-          // 辅助函数：从对象深层提取属性
-          function getDeepProperty(obj, path) {
-            const parts = path.split('.');
-            let current = obj;
-            for (const part of parts) {
-              if (current && typeof current === 'object' && part in current) {
-                current = current[part];
-              } else {
-                return null;
-              }
-            }
-            return current;
-          }
-          
-          // 从视频元素中提取URL
-          for (const selector of selectors) {
-            const elements = document.querySelectorAll(selector);
-            for (const element of elements) {
-              if (element && element.src && !element.src.includes('douyin-pc-web/uuu_')) {
-                return element.src;
-              }
-              // 检查是否有dataset中的src属性
-              if (element && element.dataset && element.dataset.src && !element.dataset.src.includes('douyin-pc-web/uuu_')) {
-                return element.dataset.src;
-              }
-              // 检查currentSrc属性
-              if (element && element.currentSrc && !element.currentSrc.includes('douyin-pc-web/uuu_')) {
-                return element.currentSrc;
-              }
-            }
-          }
-          
-          // 查找xgplayer播放器配置
-          const xgplayerConfig = window.__PLAYER_CONFIG__ || window.__PLAYER_INITIAL_STATE__;
-          if (xgplayerConfig) {
-            // 尝试从播放器配置中提取URL
-            const possiblePaths = [
-              'videoInfo.url', 
-              'videoData.url', 
-              'playInfo.url',
-              'videoData.sourceUrl',
-              'sourceInfo.source',
-              'stream.pull_url',
-              'stream.default_quality.main.play_url',
-              'streamData.stream_url',
-              'video.play_url'
-            ];
-            
-            for (const path of possiblePaths) {
-              const url = getDeepProperty(xgplayerConfig, path);
-              if (url && typeof url === 'string' && (url.includes('http') || url.includes('//')) && !url.includes('douyin-pc-web/uuu_')) {
-                return url;
-              }
-            }
-          }
-          
-          // 尝试从全局变量中提取
-          const globalVars = [
-            '__INIT_PROPS__',
-            '__INITIAL_STATE__',
-            'window.LIVE_DATA',
-            'window.STREAM_CONFIG',
-            'window.PAGE_DATA'
-          ];
-          
-          for (const varName of globalVars) {
-            try {
-              let obj = window;
-              for (const key of varName.replace('window.', '').split('.')) {
-                obj = obj[key];
-                if (obj === undefined) break;
-              }
-              
-              if (obj && typeof obj === 'object') {
-                // 特别针对直播间数据结构
-                if (obj.roomInfo) {
-                  if (obj.roomInfo.room && obj.roomInfo.room.stream_url) {
-                    return obj.roomInfo.room.stream_url;
-                  }
-                  if (obj.roomInfo.liveUrl) return obj.roomInfo.liveUrl;
-                  if (obj.roomInfo.streamUrl) return obj.roomInfo.streamUrl;
-                }
-                
-                // 检查直播流相关字段
-                const liveKeys = ['liveUrl', 'streamUrl', 'play_url', 'stream_url', 'flv_url', 'hls_url'];
-                for (const key of liveKeys) {
-                  if (obj[key] && typeof obj[key] === 'string' && !obj[key].includes('douyin-pc-web/uuu_')) {
-                    return obj[key];
-                  }
-                }
-                
-                // 递归寻找嵌套对象中的URL
-                function findMediaUrl(object, path = []) {
-                  if (!object || typeof object !== 'object') return null;
-                  
-                  for (const key in object) {
-                    const value = object[key];
-                    const currentPath = [...path, key];
-                    
-                    if (typeof value === 'string' && 
-                        (value.includes('.m3u8') || value.includes('.flv') || currentPath.some(p => liveKeys.includes(p))) && 
-                        !value.includes('douyin-pc-web/uuu_')) {
-                      return value;
-                    }
-                    
-                    if (value && typeof value === 'object') {
-                      const result = findMediaUrl(value, currentPath);
-                      if (result) return result;
-                    }
-                  }
-                  
-                  return null;
-                }
-                
-                const urlFromObject = findMediaUrl(obj);
-                if (urlFromObject) return urlFromObject;
-              }
-            } catch (e) {
-              console.error('解析全局变量失败', e);
-            }
-          }
-          
-          // 尝试从XHR或其他请求中获取
-          const scripts = document.querySelectorAll('script');
-          for (const script of scripts) {
-            const content = script.textContent;
-            if (content && (content.includes('.m3u8') || content.includes('.flv'))) {
-              const matches = content.match(/(https?:\/\/[^"']+\.(m3u8|flv))/);
-              if (matches && matches[1] && !matches[1].includes('douyin-pc-web/uuu_')) {
-                return matches[1];
-              }
-            }
-          }
-          
-          return null;
-        }, videoSelectors);
-      }
-    } catch (e) {
-      console.error('从DOM提取视频源失败:', e);
-    }
-    
-    // 如果从DOM中找到了非测试视频，使用这个地址
-    if (streamUrl && !streamUrl.includes('douyin-pc-web/uuu_')) {
-      console.log('从DOM中找到了真实直播流地址');
-    } else {
-      // 检查之前收集的直播流请求
-      if (liveStreamRequests.length > 0) {
-        streamUrl = liveStreamRequests[liveStreamRequests.length - 1];
-        console.log('从网络请求中发现直播流地址:', streamUrl);
-      } else if (mediaRequests.length > 0) {
-        streamUrl = mediaRequests[mediaRequests.length - 1];
-        console.log('从网络请求中发现媒体地址:', streamUrl);
-      } else {
-        // 尝试分析网络请求寻找直播流
-        console.log('从DOM中未找到视频源，尝试分析网络请求...');
-        
-        // 使用CDP会话分析网络通信
-        const client = await page.target().createCDPSession();
-        await client.send('Network.enable');
-        
-        const responsePromises = [];
-        
-        // 分析网络响应内容
-        client.on('Network.responseReceived', async response => {
-          const url = response.response.url;
-          const mimeType = response.response.mimeType;
-          
-          // 检查是否是JSON响应，可能包含媒体信息
-          if (
-            (mimeType.includes('json') || mimeType.includes('javascript')) && 
-            (url.includes('/api/') || url.includes('/live/') || url.includes('/room/'))
-          ) {
-            try {
-              const responseBody = await client.send('Network.getResponseBody', {
-                requestId: response.requestId
-              });
-              
-              if (responseBody.body) {
-                try {
-                  const data = JSON.parse(responseBody.body);
-                  // 递归搜索JSON对象中可能的媒体URL
-                  const findMediaUrls = (obj, paths = []) => {
-                    if (!obj || typeof obj !== 'object') return [];
-                    
-                    let results = [];
-                    
-                    for (const key in obj) {
-                      const value = obj[key];
-                      const currentPath = [...paths, key];
-                      
-                      // 检查键名是否与媒体相关
-                      const isMediaKey = [
-                        'url', 'streamUrl', 'playUrl', 'videoUrl', 'm3u8', 'flv', 
-                        'hls', 'src', 'source', 'media', 'stream_url', 'play_url'
-                      ].some(k => key.toLowerCase().includes(k));
-                      
-                      // 检查值是否是URL
-                      if (isMediaKey && typeof value === 'string' && 
-                          (value.includes('http') || value.startsWith('//') || 
-                           value.includes('.m3u8') || value.includes('.flv')) &&
-                          !value.includes('douyin-pc-web/uuu_')) {
-                        results.push({
-                          url: value.startsWith('//') ? `https:${value}` : value,
-                          path: currentPath.join('.')
-                        });
-                      }
-                      
-                      // 递归检查嵌套对象
-                      if (value && typeof value === 'object') {
-                        results = [...results, ...findMediaUrls(value, currentPath)];
-                      }
-                    }
-                    
-                    return results;
-                  };
-                  
-                  const mediaUrls = findMediaUrls(data);
-                  if (mediaUrls.length > 0) {
-                    // 优先使用包含m3u8或flv的URL
-                    const streamUrls = mediaUrls
-                      .filter(item => !item.url.includes('douyin-pc-web/uuu_'))
-                      .sort((a, b) => {
-                        const aScore = (a.url.includes('.m3u8') || a.url.includes('.flv')) ? 2 : 1;
-                        const bScore = (b.url.includes('.m3u8') || b.url.includes('.flv')) ? 2 : 1;
-                        return bScore - aScore;
-                      });
-                    
-                    if (streamUrls.length > 0) {
-                      streamUrl = streamUrls[0].url;
-                      console.log('从JSON响应中找到直播流地址:', streamUrl);
-                    }
-                  }
-                } catch (e) {
-                  console.log('解析JSON响应失败:', e.message);
-                }
-              }
-            } catch (e) {
-              console.log('获取响应体失败:', e.message);
-            }
-          }
-        });
-        
-        // 等待更长时间捕获网络请求
-        console.log('等待网络请求以获取直播流...');
-        await page.waitForTimeout(15000);
-      }
-    }
-    
-    // 如果仍然找不到流地址或仅找到测试视频，尝试更进一步的方法
-    if (!streamUrl || streamUrl.includes('douyin-pc-web/uuu_')) {
-      console.log('找到的可能是测试视频，尝试更进一步的方法获取真实直播流...');
-      
-      // 尝试执行自定义脚本提取直播流
-      try {
-        const extractedUrl = await page.evaluate(() => {
-          // 先访问页面上的所有iframe，查找可能包含真实视频的框架
-          try {
-            const frames = document.querySelectorAll('iframe');
-            for (const frame of frames) {
-              try {
-                const frameDocument = frame.contentDocument || frame.contentWindow.document;
-                const videoInFrame = frameDocument.querySelector('video');
-                if (videoInFrame && videoInFrame.src && !videoInFrame.src.includes('douyin-pc-web/uuu_')) {
-                  return videoInFrame.src;
-                }
-              } catch (e) {
-                // 跨域iframe访问失败，忽略错误
-              }
-            }
-          } catch (e) {
-            console.error('检查iframe失败', e);
-          }
-          
-          // 尝试查看网络信息
-          if (window.performance && window.performance.getEntries) {
-            const entries = window.performance.getEntries();
-            const mediaEntries = entries.filter(entry => 
-              entry.name && 
-              (entry.name.includes('.m3u8') || 
-               entry.name.includes('.flv') ||
-               entry.name.includes('/live/') ||
-               entry.name.includes('/stream/')) &&
-              !entry.name.includes('douyin-pc-web/uuu_')
-            );
-            
-            if (mediaEntries.length > 0) {
-              return mediaEntries[mediaEntries.length - 1].name;
-            }
-          }
-          
-          // 尝试使用媒体会话API
-          if (navigator.mediaSession) {
-            const mediaMetadata = navigator.mediaSession.metadata;
-            if (mediaMetadata && mediaMetadata.artwork && mediaMetadata.artwork.length > 0) {
-              // 艺术品URL可能与视频URL相关，尝试寻找规律
-              const artworkUrl = mediaMetadata.artwork[0].src;
-              const urlParts = artworkUrl.split('/');
-              // 构造可能的视频URL
-              if (urlParts.length > 5) {
-                const basePath = urlParts.slice(0, 5).join('/');
-                return `${basePath}/stream.m3u8`;
-              }
-            }
-          }
-          
-          return null;
-        });
-        
-        if (extractedUrl && !extractedUrl.includes('douyin-pc-web/uuu_')) {
-          streamUrl = extractedUrl;
-          console.log('通过自定义脚本找到直播流地址:', streamUrl);
-        }
-      } catch (e) {
-        console.error('自定义脚本提取失败:', e);
-      }
-    }
-    
-    // 如果使用各种方法都找不到真实直播流，尝试查询抖音API
-    if (!streamUrl || streamUrl.includes('douyin-pc-web/uuu_')) {
-      console.log('尝试通过直接API查询获取直播流...');
-      
-      try {
-        // 从URL中提取直播间ID
-        const roomIdMatch = douyinUrl.match(/\/live\/([^/?]+)/);
-        if (roomIdMatch && roomIdMatch[1]) {
-          const roomId = roomIdMatch[1];
-          console.log('提取到的直播间ID:', roomId);
-          
-          // 从页面中获取可用的cookie
-          const cookies = await page.cookies();
-          const cookieString = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
-          
-          // 请求抖音API获取直播流信息
-          const apiUrl = `https://webcast.amemv.com/webcast/room/reflow/info/?live_id=${roomId}&room_id=${roomId}`;
-          
-          // 通过页面执行fetch请求，避免CORS和身份验证问题
-          const response = await page.evaluate(async (url, cookies) => {
-            try {
-              const resp = await fetch(url, {
-                method: 'GET',
-                headers: {
-                  'Content-Type': 'application/json',
-                  'Cookie': cookies,
-                  'User-Agent': navigator.userAgent,
-                  'Referer': location.href
-                }
-              });
-              return await resp.json();
-            } catch (e) {
-              return { error: e.message };
-            }
-          }, apiUrl, cookieString);
-          
-          console.log('API响应:', JSON.stringify(response).substring(0, 500) + '...');
-          
-          if (response && response.data && response.data.room) {
-            // 尝试从响应中提取流URL
-            if (response.data.room.stream_url && response.data.room.stream_url.flv_url) {
-              streamUrl = response.data.room.stream_url.flv_url;
-              console.log('从API响应中提取到FLV直播流:', streamUrl);
-            } else if (response.data.room.stream_url && response.data.room.stream_url.hls_url) {
-              streamUrl = response.data.room.stream_url.hls_url;
-              console.log('从API响应中提取到HLS直播流:', streamUrl);
-            }
-          }
-        }
-      } catch (e) {
-        console.error('API查询失败:', e);
-      }
-    }
-    
-    // 如果仍然没找到，或者找到的还是测试视频，则保存调试信息
-    if (!streamUrl || streamUrl.includes('douyin-pc-web/uuu_')) {
-      // 保存页面HTML内容和截图进行调试
-      const pageContent = await page.content();
-      require('fs').writeFileSync('debug-page-content.html', pageContent);
-      console.log('已保存页面HTML内容到debug-page-content.html');
-      
-      await page.screenshot({ path: 'debug-screenshot.png', fullPage: true });
-      console.log('已保存页面截图到debug-screenshot.png');
-      
-      // 如果找到了测试视频，可以返回它，同时提供警告
-      if (streamUrl && streamUrl.includes('douyin-pc-web/uuu_')) {
-        console.warn('只能找到测试视频，可能是抖音的反爬虫机制导致。可以尝试手动获取直播链接。');
-        return streamUrl;
-      }
-      
-      throw new Error('无法获取直播流地址，请查看截图和页面HTML内容了解详情');
-    }
-    
-    console.log('成功提取直播流地址:', streamUrl);
-    return streamUrl;
-  } catch (error) {
-    console.error('提取直播流地址失败:', error);
-    throw error;
-  } finally {
-    await browser.close();
+  pendingRequests.delete(requestId);
+  pending.controller.abort();
+  console.log(`已取消启动请求: ${requestId}`);
+  return true;
+}
+
+/**
+ * 启动请求结束（成功或失败）后移除登记
+ * @param {string} requestId - 请求ID
+ * @param {AbortSignal} signal - beginRequest返回的signal，避免误删同一ID的新请求
+ */
+function finishRequest(requestId, signal) {
+  const pending = pendingRequests.get(requestId);
+  if (pending && pending.controller.signal === signal) {
+    pendingRequests.delete(requestId);
   }
 }
 
@@ -830,9 +167,21 @@ async function extractLiveStreamUrl(douyinUrl) {
  * 处理直播流
  * @param {string} streamUrl - 直播流URL
  * @param {string} sessionId - 会话ID
- * @returns {Object} 包含转码后地址的对象
+ * @param {Object} [options] - 处理选项
+ * @param {Object} [options.headers] - 拉流时附带的请求头，如Referer、Cookie
+ * @param {Object} [options.probe] - 源直播流的探测结果，用于筛选输出的清晰度和决定是否需要转码
+ * @param {string} [options.quality] - 选中的清晰度，手动填写直播流地址时为null
+ * @param {Function} [options.refresh] - 输入中断后重新获取直播流来源的函数，参见StreamSession
+ * @param {Object} [options.recording] - 录制选项，参见Recorder，未提供时不录制
+ * @param {Object} [options.room] - 规范化后的直播间信息，手动填写直播流地址时为null
+ * @param {Object[]} [options.destinations] - 推流地址，参见parseDestinations
+ * @param {boolean} [options.playback] - 是否输出本地播放的转码流，为false时只推流
+ * @param {Object} [options.resumed] - 服务端重启后恢复的会话信息，参见StreamSession
+ * @returns {Object} 原始地址originalUrl、转码后地址transcodedUrl（只推流时为null）、输出格式output、输出的清晰度renditions，
+ *   转码方式mode（copy为直接转封装，transcode为转码）和原因modeReason、可以回看的时长dvrSeconds、录制状态recording，
+ *   以及是否本地播放playback和各推流地址的状态destinations
  */
-function processLiveStream(streamUrl, sessionId) {
+function processLiveStream(streamUrl, sessionId, options = {}) {
   // 检查URL是否是测试视频或静态资源
   if (streamUrl.includes('/douyin-pc-web/') || streamUrl.includes('uuu_')) {
     console.log(`警告: 提取的URL可能是测试视频或静态资源: ${streamUrl}`);
@@ -849,88 +198,38 @@ function processLiveStream(streamUrl, sessionId) {
   }
   
   try {
-    // 创建输出目录（如果不存在）
-    const outputDir = path.join(__dirname, 'public', 'streams');
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
-
-    // 使用path.join创建跨平台的文件路径
-    const outputPath = path.join(outputDir, `${sessionId}.mp4`);
-    const outputUrl = `/streams/${sessionId}.mp4`;
-    
-    // 使用FFmpeg进行转码，将HEVC转换为H.264
-    const ffmpegProcess = ffmpeg(streamUrl)
-      .videoBitrate('1000k')
-      .videoCodec('libx264')
-      .audioBitrate('128k')
-      .audioCodec('aac')
-      .outputOptions([
-        '-preset ultrafast',
-        '-tune zerolatency',
-        '-f mp4',
-        '-movflags frag_keyframe+empty_moov+default_base_moof' // 保留原有优化流式传输参数
-      ])
-      .output(outputPath)
-      .on('start', () => {
-        console.log(`开始处理直播流: ${sessionId}`);
-      })
-      .on('error', (err) => {
-        console.error(`处理直播流错误: ${err.message}`);
-        cleanupStream(sessionId);
-      })
-      .on('progress', (progress) => {
-        // 检查progress对象是否包含完整的信息
-        if (progress && typeof progress === 'object') {
-          // 格式化percent属性，如果不存在或为undefined则显示帧数或时间信息
-          let progressInfo = '';
-          
-          if (progress.percent !== undefined && !isNaN(parseFloat(progress.percent))) {
-            // percent存在且为有效数字，格式化为保留两位小数
-            progressInfo = `${parseFloat(progress.percent).toFixed(2)}%`;
-          } else if (progress.frames !== undefined) {
-            // 如果有帧数信息，则显示已处理的帧数
-            progressInfo = `已处理 ${progress.frames} 帧`;
-          } else if (progress.timemark !== undefined) {
-            // 如果有时间标记，则显示当前处理时间
-            progressInfo = `处理时间: ${progress.timemark}`;
-          } else {
-            // 如果没有任何有效的进度信息，显示处理中
-            progressInfo = "处理中...";
-          }
-          
-          // 构建更详细的进度日志
-          let detailInfo = [];
-          if (progress.frames !== undefined) detailInfo.push(`帧数: ${progress.frames}`);
-          if (progress.currentFps !== undefined) detailInfo.push(`FPS: ${progress.currentFps}`);
-          if (progress.targetSize !== undefined) detailInfo.push(`大小: ${progress.targetSize}KB`);
-          if (progress.timemark !== undefined) detailInfo.push(`时间: ${progress.timemark}`);
-          
-          // 输出进度信息
-          if (detailInfo.length > 0) {
-            console.log(`转码进度: ${progressInfo} (${detailInfo.join(', ')})`);
-          } else {
-            console.log(`转码进度: ${progressInfo}`);
-          }
-        } else {
-          // progress对象无效，输出基本处理信息
-          console.log(`转码处理中...`);
-        }
-      })
-      .on('end', () => {
-        console.log(`直播流处理结束: ${sessionId}`);
-        cleanupStream(sessionId);
-      });
-    
-    // 启动FFmpeg进程
-    ffmpegProcess.run();
+    // 源直播流已是H.264/AAC时直接转封装，否则使用FFmpeg转码（如将HEVC转换为H.264）
+    // 输入中断后由会话自动重新提取地址并重启FFmpeg
+    const session = new StreamSession(sessionId, {
+      streamUrl,
+      headers: options.headers,
+      probe: options.probe,
+      quality: options.quality
+    }, {
+      refresh: options.refresh,
+      recording: options.recording,
+      room: options.room,
+      destinations: options.destinations,
+      playback: options.playback,
+      resumed: options.resumed
+    });
+    watchSession(session);
+    const target = session.start();
     
-    // 保存FFmpeg进程以便后续清理
-    activeLiveStreams.set(sessionId, ffmpegProcess);
+    // 保存会话以便后续清理
+    activeLiveStreams.set(sessionId, session);
     
     return {
       originalUrl: streamUrl,
-      transcodedUrl: `http://localhost:${PORT}${outputUrl}`,
+      transcodedUrl: target.url ? `http://localhost:${PORT}${target.url}` : null,
+      output: target.output,
+      renditions: target.renditions.map(item => item.name),
+      mode: target.mode,
+      modeReason: target.modeReason,
+      dvrSeconds: target.dvrSeconds,
+      recording: session.recorder ? session.recorder.status() : null,
+      playback: session.playback,
+      destinations: session.status().destinations,
       ffmpegAvailable: true
     };
   } catch (error) {
@@ -945,47 +244,531 @@ function processLiveStream(streamUrl, sessionId) {
 }
 
 /**
- * 清理直播流资源
+ * 把会话的重连和结束通知给观看该会话的客户端，会话结束后删除或归档转码输出
+ * @param {StreamSession} session - 转播会话
+ */
+function watchSession(session) {
+  const { sessionId } = session;
+  const room = `session:${sessionId}`;
+
+  session.on('reconnecting', (info) => {
+    io.to(room).emit('stream-reconnecting', { sessionId, ...info });
+  });
+  session.on('resumed', (info) => {
+    io.to(room).emit('stream-resumed', { sessionId, ...info });
+  });
+  session.on('stalled', (info) => {
+    io.to(room).emit('stream-stalled', { sessionId, ...info });
+  });
+  session.on('destination', (destination) => {
+    io.to(room).emit('destination-status', { sessionId, destination });
+  });
+  session.on('ended', (info) => {
+    if (activeLiveStreams.get(sessionId) === session) {
+      activeLiveStreams.delete(sessionId);
+    }
+    sessionRegistry.unregister(sessionId);
+    io.to(room).emit('session-ended', { sessionId, ...info });
+    thumbnails.remove(sessionId);
+    broadcastSessions();
+    // 服务端关闭时保留记录和转码输出，下次启动后恢复会话并继续写入同一播放列表
+    if (info.reason === 'shutdown' && config.sessions.resume) {
+      return;
+    }
+    sessionStore.remove(sessionId);
+    try {
+      const archived = session.plan ? disposeOutput(session.plan) : null;
+      console.log(archived ? `已归档转码输出: ${archived}` : `已删除转码输出: ${sessionId}`);
+    } catch (error) {
+      // 留下的输出由定期清理删除
+      console.error(`处理转码输出失败: ${sessionId}`, error);
+    }
+  });
+}
+
+// 观众数量变化时通知会话中的所有观众
+sessionRegistry.on('viewers', (sessionId, viewers) => {
+  io.to(`session:${sessionId}`).emit('viewer-count', { sessionId, viewers });
+});
+
+// 最后一个观众离开且宽限期内没有人重新加入时停止会话
+sessionRegistry.on('idle', (sessionId) => {
+  console.log(`会话已没有观众，停止转播: ${sessionId}`);
+  cleanupStream(sessionId, 'idle', '没有观众，转播已自动停止');
+});
+
+/**
+ * 清理直播流资源，仍在观看的客户端会收到带有原因的session-ended
  * @param {string} sessionId - 会话ID
+ * @param {string} [reason] - 结束原因，参见StreamSession的ended事件
+ * @param {string} [message] - 给客户端的说明
+ * @returns {Promise<void>} 会话结束、录制文件写完后resolve
  */
-function cleanupStream(sessionId) {
+function cleanupStream(sessionId, reason = 'stopped', message = '已停止直播转播') {
   if (activeLiveStreams.has(sessionId)) {
-    const process = activeLiveStreams.get(sessionId);
-    process.kill('SIGTERM');
+    const session = activeLiveStreams.get(sessionId);
     activeLiveStreams.delete(sessionId);
     console.log(`已清理直播流: ${sessionId}`);
+    return session.stop(reason, message);
+  }
+  return Promise.resolve();
+}
+
+/**
+ * 根据请求参数整理会话的录制选项
+ * @param {Object} params - /api/start-stream或join-stream的请求参数，record为录制选项
+ * @param {Object|null} room - 规范化后的直播间信息，手动填写直播流地址时为null
+ * @returns {Object|null} 录制选项，未开启录制时为null
+ * @throws {Error} 录制选项不正确时抛出，error.invalidInput为true
+ */
+function recordingOptions(params, room) {
+  const options = parseRecordOption(params.record);
+  if (!options) {
+    return null;
+  }
+  return {
+    ...options,
+    roomUrl: room ? room.url : params.streamUrl,
+    room,
+    // 录制文件以直播间的web_rid或room_id开头，便于区分
+    label: room ? (room.webRid || room.roomId) : 'stream'
+  };
+}
+
+/**
+ * 整理提取结果，供响应返回给客户端
+ * @param {Object} extraction - extractLiveStreamUrl的返回值
+ * @returns {Object} 命中的策略及各策略执行记录
+ */
+function summarizeExtraction(extraction) {
+  return {
+    strategy: extraction.strategy,
+    isTestVideo: extraction.isTestVideo,
+    attempts: extraction.attempts
+  };
+}
+
+/**
+ * 按用户偏好从提取结果中选出要转播的直播流
+ *
+ * 候选地址按回退顺序逐个用ffprobe探测，无法访问、有固定时长（如测试视频）
+ * 或没有视频轨道的地址会被跳过。ffprobe不可用或探测被禁用时直接使用首选地址。
+ *
+ * @param {Object} extraction - extractLiveStreamUrl的返回值
+ * @param {Object} preference - 偏好的清晰度quality和协议protocol
+ * @param {Object} [options] - 选择选项
+ * @param {Object} [options.headers] - 探测时附带的请求头
+ * @param {Function} [options.onProgress] - 进度回调
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @returns {Promise<Object>} 选中的streamUrl、清晰度quality、探测结果probe、
+ *   各候选的探测记录probeResults以及按回退顺序排列的candidates
+ * @throws {Error} 所有探测过的候选都不可用时抛出，附带probeResults和isTestVideo
+ */
+async function selectStream(extraction, preference, options = {}) {
+  const candidates = orderCandidates(extraction.candidates, preference);
+  // 只找到测试视频时没有候选地址，仍然探测测试视频以便给出明确的原因
+  const fallbackOrder = candidates.length > 0
+    ? candidates
+    : [toCandidate(extraction.streamUrl, extraction.strategy)];
+
+  let validation = { selected: fallbackOrder[0], probe: null, results: [] };
+  if (config.probe.enabled) {
+    try {
+      validation = await validateCandidates(fallbackOrder, options);
+    } catch (error) {
+      if (!error.probeUnavailable) throw error;
+      console.warn('ffprobe不可用，跳过直播流检查:', error.message);
+      reportProgress(options, 'probe', 'warning', 'ffprobe不可用，跳过直播流检查');
+    }
+  }
+
+  const selected = validation.selected;
+  if (!selected) {
+    let reason = '所有候选直播流都无法播放或不是直播';
+    if (extraction.isTestVideo) {
+      reason = '只找到了抖音的测试视频，直播间可能未开播';
+    } else if (validation.results.length === 1) {
+      reason = `直播流不可用: ${validation.results[0].reason}`;
+    }
+    reportProgress(options, 'probe', 'error', reason);
+    const error = new Error(reason);
+    error.probeResults = validation.results;
+    error.isTestVideo = extraction.isTestVideo;
+    throw error;
+  }
+
+  if (candidates.length > 0 && preference.quality && preference.quality !== 'auto' && selected.quality !== preference.quality) {
+    console.log(`直播间没有可用的 ${preference.quality} 清晰度，回退到 ${selected.quality}`);
+  }
+  console.log(`选用直播流: ${selected.quality} ${selected.protocol || ''} (来源: ${selected.source})`);
+  if (validation.probe) {
+    const { video } = validation.probe;
+    reportProgress(options, 'probe', 'success', `直播流可用: ${selected.quality} ${video.width}x${video.height} ${video.codec}`);
+  }
+  return {
+    streamUrl: selected.url,
+    quality: candidates.length > 0 ? selected.quality : null,
+    probe: validation.probe,
+    probeResults: validation.results,
+    candidates
+  };
+}
+
+/**
+ * 使用用户直接提供的直播流地址，跳过直播间提取
+ * @param {Object} params - 请求参数
+ * @param {string} params.streamUrl - FLV或HLS直播流地址
+ * @param {string} [params.referer] - 拉流时附带的Referer
+ * @param {string} [params.cookie] - 拉流时附带的Cookie
+ * @returns {Object} 与extractLiveStreamUrl结果格式相同的extraction，以及拉流请求头headers
+ * @throws {Error} 地址格式不正确时抛出，error.invalidInput为true
+ */
+function manualExtraction({ streamUrl, referer, cookie }) {
+  let parsed = null;
+  try {
+    parsed = new URL(String(streamUrl).trim());
+  } catch (e) {
+    // 下面统一报错
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    const error = new Error('直播流地址格式不正确，请提供http或https开头的FLV/HLS地址');
+    error.invalidInput = true;
+    throw error;
+  }
+
+  const candidate = toCandidate(parsed.toString(), 'manual');
+  console.log(`使用手动提供的直播流地址: ${candidate.url}`);
+  return {
+    extraction: {
+      streamUrl: candidate.url,
+      strategy: 'manual',
+      isTestVideo: false,
+      attempts: [],
+      candidates: [candidate]
+    },
+    headers: {
+      Referer: referer || undefined,
+      Cookie: cookie || undefined
+    }
+  };
+}
+
+/**
+ * 规范化用户输入的链接、分享文案或房间号
+ * @param {string} url - 用户输入
+ * @param {ProgressTracker} progress - 启动进度
+ * @param {AbortSignal} [signal] - 取消信号
+ * @returns {Promise<Object>} normalizeRoomInput的结果
+ */
+async function normalizeRoom(url, progress, signal) {
+  progress.update('input', 'running', '识别直播间链接');
+  const room = await normalizeRoomInput(url, { signal });
+  progress.update('input', 'success', `识别直播间链接（${room.webRid ? `web_rid ${room.webRid}` : `room_id ${room.roomId}`}）`);
+  return room;
+}
+
+/**
+ * 根据请求参数确定要转播的直播流
+ *
+ * 提供了streamUrl时直接使用该地址，否则规范化直播间输入并提取直播流。
+ *
+ * @param {Object} params - /api/start-stream或join-stream的请求参数
+ * @param {ProgressTracker} progress - 启动进度
+ * @param {AbortSignal} [signal] - 取消信号
+ * @param {Object} [room] - 已经规范化的直播间信息，提供时不再重复规范化
+ * @returns {Promise<Object>} room（手动模式为null）、extraction、拉流请求头headers，以及selectStream的结果
+ */
+async function resolveStream(params, progress, signal, room = null) {
+  const { url, quality, protocol, streamUrl } = params;
+  const { onProgress } = progress;
+
+  if (streamUrl) {
+    const { extraction, headers } = manualExtraction(params);
+    progress.update('input', 'success', '使用手动填写的直播流地址');
+    const selected = await selectStream(extraction, {}, { headers, onProgress, signal });
+    return { room: null, extraction, headers, ...selected };
+  }
+
+  // 规范化用户输入的链接、分享文案或房间号
+  if (!room) {
+    room = await normalizeRoom(url, progress, signal);
+  }
+  
+  // 提取直播流URL，并按偏好的清晰度选择
+  const extraction = await extractLiveStreamUrl(room.url, { room, onProgress, signal });
+  if (extraction.isTestVideo) {
+    progress.update('candidates', 'warning', '只找到了抖音的测试视频');
+  } else {
+    progress.update('candidates', 'success', `找到 ${extraction.candidates.length} 个候选直播流（策略: ${extraction.strategy}）`);
+  }
+  const selected = await selectStream(extraction, { quality, protocol }, { onProgress, signal });
+  return { room, extraction, headers: {}, ...selected };
+}
+
+/**
+ * 获取源直播流的编码，用于决定能否直接转封装
+ *
+ * 选择直播流时已经探测过的直接使用；关闭了直播流检查或ffprobe不可用时单独探测一次，
+ * 仍然失败时返回null，此时会进行转码。
+ *
+ * @param {Object} resolved - resolveStream的返回值
+ * @returns {Promise<Object|null>} summarizeProbe整理后的探测结果
+ */
+async function detectSourceCodecs(resolved) {
+  if (resolved.probe || !ffmpegAvailable || config.transcode.mode !== 'auto') {
+    return resolved.probe;
+  }
+  try {
+    return await probeStream(resolved.streamUrl, { headers: resolved.headers });
+  } catch (error) {
+    console.warn('无法检测源直播流的编码，将进行转码:', error.message);
+    return null;
+  }
+}
+
+/**
+ * 检查请求中的录制和推流选项，在提取前调用，避免提取完成后才报错
+ * @param {Object} params - /api/start-stream或join-stream的请求参数
+ * @returns {Object} 推流地址destinations和是否本地播放playback
+ * @throws {Error} 选项不正确时抛出，error.invalidInput为true
+ */
+function parseRelayOptions(params) {
+  parseRecordOption(params.record);
+  const destinations = parseDestinations(params.destinations);
+  const playback = params.playback !== false;
+  if (!playback && destinations.length === 0) {
+    const error = new Error('关闭本地播放时至少需要一个推流地址');
+    error.invalidInput = true;
+    throw error;
+  }
+  return { destinations, playback };
+}
+
+/**
+ * 确定直播流并启动转码
+ * @param {Object} params - /api/start-stream或join-stream的请求参数
+ * @param {string} sessionId - 会话ID
+ * @param {ProgressTracker} progress - 启动进度
+ * @param {AbortSignal} [signal] - 取消信号，提取完成前触发时不会启动转码
+ * @param {Object} [room] - 已经规范化的直播间信息
+ * @param {Object} [resumed] - 服务端重启后恢复的会话信息，参见StreamSession
+ * @returns {Promise<Object>} describeStream整理后的响应内容
+ */
+async function startRelay(params, sessionId, progress, signal, room = null, resumed = null) {
+  const { destinations, playback } = parseRelayOptions(params);
+  // 提取直播流URL（或使用手动提供的地址），并按偏好的清晰度选择
+  const resolved = await resolveStream(params, progress, signal, room);
+  // 提取期间被取消时不再启动转码
+  throwIfCancelled(signal);
+
+  // 处理和转码视频流
+  progress.update('ffmpeg', 'running', '启动转码');
+  const sourceProbe = await detectSourceCodecs(resolved);
+  const processed = processLiveStream(resolved.streamUrl, sessionId, {
+    headers: resolved.headers,
+    probe: sourceProbe,
+    quality: resolved.quality,
+    // 签名地址过期或断流后，重新提取同一直播间的最新地址
+    refresh: async (refreshSignal) => {
+      const fresh = await resolveStream(params, new ProgressTracker(), refreshSignal, resolved.room);
+      return { streamUrl: fresh.streamUrl, headers: fresh.headers, quality: fresh.quality, probe: await detectSourceCodecs(fresh) };
+    },
+    recording: recordingOptions(params, resolved.room),
+    room: resolved.room,
+    destinations,
+    playback,
+    resumed
+  });
+  if (processed.ffmpegAvailable && !playback) {
+    progress.update('ffmpeg', 'success', `推流已启动（${destinations.length}个地址）`);
+  } else if (processed.ffmpegAvailable) {
+    const mode = processed.mode === 'copy' ? '转封装' : '转码';
+    progress.update('ffmpeg', 'success', `${mode}已启动（${processed.modeReason}）`);
+  } else if (processed.error) {
+    progress.update('ffmpeg', 'warning', `转码启动失败: ${processed.error}，将直接播放原始流`);
+  } else {
+    progress.update('ffmpeg', 'warning', 'FFmpeg不可用，将直接播放原始流');
+  }
+
+  return describeStream(sessionId, resolved, processed);
+}
+
+/**
+ * 获取直播间的会话，没有时以指定的会话ID启动一个，启动后登记并保存启动参数
+ * @param {Object} params - /api/start-stream或join-stream的请求参数
+ * @param {Object} options - 启动选项
+ * @param {string} options.sessionId - 需要启动时使用的会话ID
+ * @param {string} options.startedBy - 发起方式socket或api，通过WebSocket发起的会话在没有观众后自动停止
+ * @param {Object} options.record - 保存的会话记录中的其他字段：createdAt和resumeCount
+ * @param {ProgressTracker} options.progress - 启动进度
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @param {Object} [options.resumed] - 服务端重启后恢复的会话信息，参见StreamSession
+ * @returns {Promise<Object>} SessionRegistry.acquire的结果
+ */
+async function acquireRelay(params, { sessionId, startedBy, record, progress, signal, resumed = null }) {
+  const room = params.streamUrl ? null : await normalizeRoom(params.url, progress, signal);
+  const key = roomKey(room);
+  return sessionRegistry.acquire(key, async () => {
+    const started = await startRelay(params, sessionId, progress, signal, room, resumed);
+    if (activeLiveStreams.has(sessionId)) {
+      sessionRegistry.register(sessionId, key, started, startedBy === 'socket');
+      sessionStore.save({ ...record, sessionId, params, startedBy });
+      broadcastSessions();
+    }
+    return started;
+  }, signal);
+}
+
+/**
+ * 加入直播间的会话，没有时启动一个
+ *
+ * 同一直播间已有会话（或正在启动）时直接加入，不再重复提取和启动ffmpeg，
+ * 此时本次请求的清晰度、录制和推流选项不生效。手动填写直播流地址时总是启动新的会话。
+ *
+ * @param {Object} params - /api/start-stream或join-stream的请求参数
+ * @param {string|null} viewerId - 通过WebSocket加入时的socket ID，计入会话的观众
+ * @param {ProgressTracker} progress - 启动进度
+ * @param {AbortSignal} [signal] - 取消信号
+ * @returns {Promise<Object>} describeStream整理后的响应内容，以及是否加入了已有的会话shared和观众数量viewers
+ */
+async function joinRelay(params, viewerId, progress, signal) {
+  parseRelayOptions(params);
+  const sessionId = viewerId ? `${Date.now()}-${viewerId}` : Date.now().toString();
+  const { stream, shared } = await acquireRelay(params, {
+    sessionId,
+    startedBy: viewerId ? 'socket' : 'api',
+    record: { createdAt: Date.now(), resumeCount: 0 },
+    progress,
+    signal
+  });
+
+  if (viewerId) {
+    sessionRegistry.addViewer(stream.sessionId, viewerId);
+    // 启动期间观众已断开连接时立即离开，会话没有其他观众时在宽限期后停止
+    if (signal && signal.aborted) {
+      sessionRegistry.removeViewer(stream.sessionId, viewerId);
+      throwIfCancelled(signal);
+    }
+  }
+  if (shared) {
+    progress.update('ffmpeg', 'success', '加入正在进行的转播');
   }
+
+  const session = activeLiveStreams.get(stream.sessionId);
+  return {
+    ...stream,
+    // 录制和推流状态在会话运行期间会变化
+    ...(session ? { recording: session.status().recording, destinations: session.status().destinations } : {}),
+    shared,
+    viewers: sessionRegistry.viewerCount(stream.sessionId)
+  };
+}
+
+/**
+ * 整理转播启动结果，供响应返回给客户端
+ * @param {string} sessionId - 会话ID
+ * @param {Object} resolved - resolveStream的返回值
+ * @param {Object} processed - processLiveStream的返回值
+ * @returns {Object} 响应内容
+ */
+function describeStream(sessionId, resolved, processed) {
+  return {
+    sessionId,
+    streamUrl: processed.originalUrl,
+    transcodedUrl: processed.transcodedUrl,
+    // 转码输出格式hls或mp4，未转码时为undefined
+    output: processed.output,
+    // 转码输出的清晰度名称，多个时transcodedUrl为HLS主播放列表
+    renditions: processed.renditions,
+    // copy为直接转封装，transcode为转码，未启动FFmpeg时为undefined
+    transcodeMode: processed.mode,
+    transcodeReason: processed.modeReason,
+    // 转码流可以回看的时长（秒），0表示只能观看直播的最新位置
+    dvrSeconds: processed.dvrSeconds || 0,
+    // 录制状态，未开启录制或未启动FFmpeg时为null
+    recording: processed.recording || null,
+    // 为false时只推流，没有转码流
+    playback: processed.playback !== false,
+    // 各推流地址的状态，地址中的密钥已隐藏
+    destinations: processed.destinations || [],
+    ffmpegAvailable: processed.ffmpegAvailable,
+    error: processed.error,
+    // 浏览器无法附带自定义请求头，需要Referer/Cookie的直播流只能播放转码流
+    requiresHeaders: Object.values(resolved.headers).some(Boolean),
+    room: resolved.room,
+    quality: resolved.quality,
+    probe: resolved.probe,
+    probeResults: resolved.probeResults,
+    candidates: resolved.candidates,
+    extraction: summarizeExtraction(resolved.extraction)
+  };
+}
+
+/**
+ * 整理提取或探测失败时返回给客户端的附加信息
+ * @param {Error} error - extractLiveStreamUrl或selectStream抛出的错误
+ * @param {ProgressTracker} progress - 启动进度，失败的步骤会被标记出来
+ * @returns {Object} extraction、probeResults、isTestVideo以及各步骤状态progress，不存在的字段为undefined
+ */
+function describeFailure(error, progress) {
+  progress.fail(error);
+  return {
+    extraction: error.attempts ? { strategy: null, attempts: error.attempts } : undefined,
+    probeResults: error.probeResults,
+    isTestVideo: error.isTestVideo,
+    progress: progress.steps
+  };
 }
 
 // API路由
 app.post('/api/start-stream', async (req, res) => {
+  const progress = new ProgressTracker();
+  const { url, streamUrl } = req.body;
+  if (!url && !streamUrl) {
+    return res.status(400).json({ error: '缺少抖音直播间URL' });
+  }
+
+  const { requestId, signal } = beginRequest(req.body.requestId);
+  // 客户端在响应前断开连接时不再继续提取
+  res.on('close', () => {
+    if (!res.writableEnded) cancelRequest(requestId);
+  });
+
   try {
-    const { url } = req.body;
-    if (!url) {
-      return res.status(400).json({ error: '缺少抖音直播间URL' });
-    }
-    
-    const sessionId = Date.now().toString();
-    
-    // 提取直播流URL
-    const streamUrl = await extractLiveStreamUrl(url);
-    
-    // 处理和转码视频流
-    const { originalUrl, transcodedUrl, ffmpegAvailable, error } = processLiveStream(streamUrl, sessionId);
+    const stream = await joinRelay(req.body, null, progress, signal);
     
     // 将URL发送给客户端
     res.json({ 
       success: true, 
-      sessionId,
-      streamUrl: originalUrl,
-      transcodedUrl: transcodedUrl,
-      ffmpegAvailable: ffmpegAvailable,
-      error: error
+      requestId,
+      ...stream,
+      progress: progress.steps
     });
     
   } catch (error) {
+    if (error.cancelled) {
+      return res.status(409).json({ error: error.message, cancelled: true, requestId });
+    }
+    if (error.invalidInput) {
+      return res.status(400).json({ error: error.message, requestId });
+    }
     console.error('启动直播转播失败:', error);
-    res.status(500).json({ error: '无法连接到抖音直播间' });
+    const failure = describeFailure(error, progress);
+    res.status(500).json({
+      error: error.probeResults ? error.message : '无法连接到抖音直播间',
+      requestId,
+      ...failure
+    });
+  } finally {
+    finishRequest(requestId, signal);
+  }
+});
+
+app.post('/api/cancel-stream/:requestId', (req, res) => {
+  if (cancelRequest(req.params.requestId)) {
+    res.json({ success: true, message: '已取消获取直播流' });
+  } else {
+    res.status(404).json({ error: '启动请求不存在或已结束' });
   }
 });
 
@@ -996,77 +779,594 @@ app.get('/api/stream/:sessionId', (req, res) => {
     return res.status(404).json({ error: '直播会话不存在' });
   }
   
+  const session = activeLiveStreams.get(sessionId);
   res.json({ 
     success: true, 
-    status: '直播转播中'
+    status: session.state === 'reconnecting' ? '直播流中断，正在重连' : '直播转播中',
+    session: describeSession(session, true)
   });
 });
 
+/**
+ * 整理会话状态，供会话列表和详情接口返回
+ * @param {StreamSession} session - 转播会话
+ * @param {boolean} [detailed] - 为true时返回完整状态，否则只返回列表需要的概要
+ * @returns {Object} 会话状态，附带观众数量viewers和发起方式startedBy（socket或api）
+ */
+function describeSession(session, detailed = false) {
+  const status = session.status();
+  const presence = {
+    viewers: sessionRegistry.viewerCount(session.sessionId),
+    startedBy: sessionRegistry.startedOverSocket(session.sessionId) ? 'socket' : 'api'
+  };
+  if (detailed) {
+    return { ...status, ...presence, probe: session.source.probe || null };
+  }
+  const stats = status.stats || { fps: null, bitrate: null, speed: null };
+  return {
+    sessionId: status.sessionId,
+    state: status.state,
+    roomUrl: status.roomUrl,
+    streamUrl: status.streamUrl,
+    quality: status.quality,
+    startedAt: status.startedAt,
+    output: status.output,
+    transcodeMode: status.transcodeMode,
+    playback: status.playback,
+    ...presence,
+    fps: stats.fps,
+    bitrate: stats.bitrate,
+    speed: stats.speed,
+    health: status.health,
+    restarts: status.restarts,
+    reconnectAttempts: status.reconnectAttempts,
+    lastError: status.lastError,
+    resumed: Boolean(status.resumed),
+    // 是否开启了录制，录制进程中断后等待重试时也为true
+    recording: status.recording !== null,
+    destinations: status.destinations.length
+  };
+}
+
+/**
+ * 所有正在运行的会话的概要，按启动时间排列
+ * @returns {Object[]} describeSession整理后的概要
+ */
+function listSessions() {
+  return [...activeLiveStreams.values()]
+    .sort((a, b) => a.startedAt - b.startedAt)
+    .map(session => describeSession(session));
+}
+
+/**
+ * 向打开了管理页面的客户端推送所有会话的状态
+ */
+function broadcastSessions() {
+  const room = io.sockets.adapter.rooms.get('dashboard');
+  if (room && room.size > 0) {
+    io.to('dashboard').emit('dashboard-sessions', { sessions: listSessions() });
+  }
+}
+
+/**
+ * 返回会话操作接口的错误
+ * @param {Object} res - express响应
+ * @param {Error} error - StreamSession或缩略图抛出的错误
+ * @param {string} fallback - 其他错误时返回的说明
+ */
+function sendSessionError(res, error, fallback) {
+  if (error.invalidInput) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.notFound) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.busy) {
+    return res.status(409).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+app.get('/api/sessions', (req, res) => {
+  res.json({ success: true, sessions: listSessions() });
+});
+
+app.get('/api/sessions/:sessionId', (req, res) => {
+  const session = activeLiveStreams.get(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ error: '直播会话不存在' });
+  }
+  res.json({ success: true, session: describeSession(session, true) });
+});
+
+// 会话最近画面的缩略图（JPEG）
+app.get('/api/sessions/:sessionId/thumbnail', async (req, res) => {
+  const session = activeLiveStreams.get(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ error: '直播会话不存在' });
+  }
+  try {
+    const file = await thumbnails.capture(session);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.sendFile(file);
+  } catch (error) {
+    sendSessionError(res, error, '截取缩略图失败');
+  }
+});
+
+// 管理页面停止会话，不论是否还有观众；与关闭服务端时一样等待录制文件写完再响应
+app.post('/api/sessions/:sessionId/stop', async (req, res) => {
+  const { sessionId } = req.params;
+  if (!activeLiveStreams.has(sessionId)) {
+    return res.status(404).json({ error: '直播会话不存在' });
+  }
+  await Promise.race([cleanupStream(sessionId), delay(config.recording.stopTimeout + 5000)]);
+  res.json({ success: true, message: '已停止直播转播' });
+});
+
+// 重新获取直播流地址并重启ffmpeg，例如画面异常但没有被检测为卡住时
+app.post('/api/sessions/:sessionId/restart', (req, res) => {
+  const session = activeLiveStreams.get(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ error: '直播会话不存在' });
+  }
+  try {
+    session.restart('管理员重启');
+    res.json({ success: true, message: '正在重启' });
+  } catch (error) {
+    sendSessionError(res, error, '重启会话失败');
+  }
+});
+
+// 开始录制，请求体为录制选项（与启动接口的record相同），未提供时使用默认设置
+app.post('/api/sessions/:sessionId/recording', (req, res) => {
+  const session = activeLiveStreams.get(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ error: '直播会话不存在' });
+  }
+  try {
+    const record = req.body && Object.keys(req.body).length > 0 ? req.body : true;
+    const recording = session.startRecording(recordingOptions({ record, streamUrl: session.source.streamUrl }, session.room));
+    sessionStore.updateParams(session.sessionId, { record });
+    io.to(`session:${session.sessionId}`).emit('recording-status', { sessionId: session.sessionId, recording });
+    broadcastSessions();
+    res.status(201).json({ success: true, recording });
+  } catch (error) {
+    sendSessionError(res, error, '开始录制失败');
+  }
+});
+
+// 停止录制，等待当前文件写完后返回
+app.delete('/api/sessions/:sessionId/recording', async (req, res) => {
+  const session = activeLiveStreams.get(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ error: '直播会话不存在' });
+  }
+  try {
+    const recording = await session.stopRecording();
+    sessionStore.updateParams(session.sessionId, { record: undefined });
+    io.to(`session:${session.sessionId}`).emit('recording-status', { sessionId: session.sessionId, recording: null });
+    broadcastSessions();
+    res.json({ success: true, recording });
+  } catch (error) {
+    sendSessionError(res, error, '停止录制失败');
+  }
+});
+
+/**
+ * 返回推流地址接口的错误
+ * @param {Object} res - express响应
+ * @param {Error} error - parseDestination或StreamSession抛出的错误
+ */
+function sendDestinationError(res, error) {
+  if (error.invalidInput) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.notFound) {
+    return res.status(404).json({ error: error.message });
+  }
+  console.error('处理推流地址失败:', error);
+  res.status(500).json({ error: '处理推流地址失败' });
+}
+
+/**
+ * 会话当前的推流地址，用于保存会话记录
+ * @param {StreamSession} session - 转播会话
+ * @returns {Object[]} 推流地址url和名称name
+ */
+function sessionDestinations(session) {
+  return [...session.restreamers.values()].map(({ destination }) => ({ url: destination.url, name: destination.name }));
+}
+
+// 为正在运行的会话增加推流地址，请求体为 { url, name }
+app.post('/api/stream/:sessionId/destinations', (req, res) => {
+  const session = activeLiveStreams.get(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ error: '直播会话不存在' });
+  }
+  try {
+    const destination = session.addDestination(parseDestination(req.body));
+    sessionStore.updateParams(session.sessionId, { destinations: sessionDestinations(session) });
+    res.status(201).json({ success: true, destination });
+  } catch (error) {
+    sendDestinationError(res, error);
+  }
+});
+
+// 移除推流地址，等待推流进程退出后返回
+app.delete('/api/stream/:sessionId/destinations/:destinationId', async (req, res) => {
+  const session = activeLiveStreams.get(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ error: '直播会话不存在' });
+  }
+  try {
+    await session.removeDestination(req.params.destinationId);
+    sessionStore.updateParams(session.sessionId, { destinations: sessionDestinations(session) });
+    res.json({ success: true, message: '已停止推流' });
+  } catch (error) {
+    sendDestinationError(res, error);
+  }
+});
+
+// 观众停止观看，请求体的viewerId为通过WebSocket观看时的socket ID；
+// 会话还有其他观众或通过WebSocket发起时只离开会话，不停止
 app.post('/api/stop-stream/:sessionId', (req, res) => {
   const { sessionId } = req.params;
-  
-  if (activeLiveStreams.has(sessionId)) {
-    cleanupStream(sessionId);
-    res.json({ success: true, message: '已停止直播转播' });
-  } else {
-    res.status(404).json({ error: '直播会话不存在' });
+  if (!activeLiveStreams.has(sessionId)) {
+    return res.status(404).json({ error: '直播会话不存在' });
+  }
+
+  const viewerId = req.body && typeof req.body.viewerId === 'string' ? req.body.viewerId : null;
+  if (!sessionRegistry.release(sessionId, viewerId)) {
+    const viewers = sessionRegistry.viewerCount(sessionId);
+    return res.json({
+      success: true,
+      stopped: false,
+      viewers,
+      message: viewers > 0 ? '其他人仍在观看该直播，已离开会话' : '已离开会话，没有观众后自动停止'
+    });
   }
+  cleanupStream(sessionId);
+  res.json({ success: true, stopped: true, message: '已停止直播转播' });
 });
 
+/**
+ * 正在写入的录制文件名，这些文件不能被删除
+ * @returns {Set<string>} 文件名
+ */
+function activeRecordingFiles() {
+  const files = new Set();
+  for (const session of activeLiveStreams.values()) {
+    if (session.recorder && session.recorder.current) {
+      files.add(session.recorder.current.file);
+    }
+  }
+  return files;
+}
+
+/**
+ * 返回录制文件和剪辑接口的错误
+ * @param {Object} res - express响应
+ * @param {Error} error - recordings或clips模块抛出的错误
+ */
+function sendRecordingError(res, error) {
+  if (error.invalidInput) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.notFound) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.busy) {
+    return res.status(409).json({ error: error.message });
+  }
+  if (error.queueFull) {
+    return res.status(429).json({ error: error.message });
+  }
+  console.error('处理录制文件失败:', error);
+  res.status(500).json({ error: '处理录制文件失败' });
+}
+
+/**
+ * 注册录制文件或剪辑片段的列出、查看、播放、下载和删除接口
+ * @param {string} base - 接口路径，例如 /api/recordings
+ * @param {string} dir - 文件所在目录
+ * @param {Function} activeFiles - 返回正在写入的文件名的函数
+ */
+function registerLibraryRoutes(base, dir, activeFiles) {
+  app.get(base, (req, res) => {
+    res.json({ success: true, recordings: listRecordings({ dir, activeFiles: activeFiles() }) });
+  });
+
+  app.get(`${base}/:name`, async (req, res) => {
+    try {
+      const recording = await inspectRecording(req.params.name, { dir, activeFiles: activeFiles() });
+      res.json({ success: true, recording });
+    } catch (error) {
+      sendRecordingError(res, error);
+    }
+  });
+
+  // 在线播放，sendFile支持Range请求，播放器可以拖动进度
+  app.get(`${base}/:name/stream`, (req, res) => {
+    try {
+      res.sendFile(resolveRecording(req.params.name, dir));
+    } catch (error) {
+      sendRecordingError(res, error);
+    }
+  });
+
+  app.get(`${base}/:name/download`, (req, res) => {
+    try {
+      res.download(resolveRecording(req.params.name, dir), req.params.name);
+    } catch (error) {
+      sendRecordingError(res, error);
+    }
+  });
+
+  app.delete(`${base}/:name`, (req, res) => {
+    try {
+      deleteRecording(req.params.name, { dir, activeFiles: activeFiles() });
+      res.json({ success: true, message: '已删除' });
+    } catch (error) {
+      sendRecordingError(res, error);
+    }
+  });
+
+  // 批量删除，请求体为 { names: [...] }，逐个删除并返回每个文件的结果
+  app.delete(base, (req, res) => {
+    const names = req.body && req.body.names;
+    if (!Array.isArray(names) || names.length === 0) {
+      return res.status(400).json({ error: '请提供要删除的文件名' });
+    }
+
+    const active = activeFiles();
+    const deleted = [];
+    const failed = [];
+    for (const name of names) {
+      try {
+        deleteRecording(name, { dir, activeFiles: active });
+        deleted.push(name);
+      } catch (error) {
+        failed.push({ name, error: error.message });
+      }
+    }
+    res.json({ success: failed.length === 0, deleted, failed });
+  });
+}
+
+// 剪辑导出，body为 { recording, start, end, format } 或 { sessionId, start, end, format }
+app.post('/api/clips', (req, res) => {
+  const { recording: name, sessionId } = req.body;
+  try {
+    let job;
+    if (name) {
+      const file = resolveRecording(name);
+      const recording = { ...describeRecording(file, activeRecordingFiles()), file };
+      job = clipJobs.fromRecording(recording, req.body);
+    } else if (sessionId) {
+      const session = activeLiveStreams.get(sessionId);
+      if (!session) {
+        return res.status(404).json({ error: '直播会话不存在' });
+      }
+      job = clipJobs.fromSession(session, req.body, {
+        roomUrl: session.room ? session.room.url : session.source.streamUrl,
+        room: session.room
+      });
+    } else {
+      return res.status(400).json({ error: '请提供要剪辑的录制文件或直播会话' });
+    }
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    sendRecordingError(res, error);
+  }
+});
+
+app.get('/api/clips/jobs/:jobId', (req, res) => {
+  const job = clipJobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: '剪辑任务不存在或已过期' });
+  }
+  res.json({ success: true, job });
+});
+
+registerLibraryRoutes('/api/recordings', config.recording.dir, activeRecordingFiles);
+// 剪辑片段导出完成后才移动到剪辑目录，不存在正在写入的文件
+registerLibraryRoutes('/api/clips', config.clips.dir, () => new Set());
+
 // 添加静态文件服务
-app.use('/streams', express.static(path.join(__dirname, 'public', 'streams')));
+app.use('/streams', express.static(STREAMS_DIR, {
+  setHeaders: (res, filePath) => {
+    // 直播播放列表持续更新，不能被缓存
+    if (filePath.endsWith('.m3u8')) {
+      res.setHeader('Cache-Control', 'no-cache');
+    }
+  }
+}));
 
 // WebSocket连接处理
 io.on('connection', (socket) => {
   console.log('客户端已连接', socket.id);
   
-  socket.on('join-stream', async (data) => {
+  socket.on('join-stream', async (data = {}) => {
+    const { url, streamUrl } = data;
+    if (!url && !streamUrl) {
+      socket.emit('error', { message: '缺少抖音直播间URL', requestId: data.requestId });
+      return;
+    }
+
+    const { requestId, signal } = beginRequest(data.requestId, socket.id);
+    // 每个步骤的状态变化都实时推送给客户端
+    const progress = new ProgressTracker(step => socket.emit('extraction-progress', { ...step, requestId }));
     try {
-      const { url } = data;
-      if (!url) {
-        socket.emit('error', { message: '缺少抖音直播间URL' });
-        return;
-      }
-      
-      // 提取直播流URL
-      const streamUrl = await extractLiveStreamUrl(url);
-      
-      // 处理和转码视频流
-      const sessionId = `${Date.now()}-${socket.id}`;
-      const { originalUrl, transcodedUrl, ffmpegAvailable, error } = processLiveStream(streamUrl, sessionId);
+      const stream = await joinRelay(data, socket.id, progress, signal);
       
+      // 加入会话房间，接收重连、恢复、观众数量和结束通知
+      socket.join(`session:${stream.sessionId}`);
       // 发送直播流信息给客户端
-      socket.emit('stream-ready', { 
-        streamUrl: originalUrl,
-        transcodedUrl: transcodedUrl,
-        sessionId: sessionId,
-        ffmpegAvailable: ffmpegAvailable,
-        error: error
-      });
+      socket.emit('stream-ready', { ...stream, requestId });
     } catch (error) {
-      socket.emit('error', { message: error.message });
+      if (error.cancelled) {
+        socket.emit('stream-cancelled', { requestId, message: error.message });
+        return;
+      }
+      socket.emit('error', {
+        message: error.message,
+        requestId,
+        ...describeFailure(error, progress)
+      });
+    } finally {
+      finishRequest(requestId, signal);
+    }
+  });
+
+  // 观众停止观看，最后一个观众离开后会话在宽限期后停止
+  socket.on('leave-stream', (data = {}) => {
+    socket.leave(`session:${data.sessionId}`);
+    sessionRegistry.removeViewer(data.sessionId, socket.id);
+  });
+
+  // 重新连接后继续观看原来的会话，例如网络中断后重连，或服务端重启后恢复了会话
+  socket.on('rejoin-stream', (data = {}) => {
+    const { sessionId } = data;
+    const room = `session:${sessionId}`;
+    if (activeLiveStreams.has(sessionId)) {
+      socket.join(room);
+      sessionRegistry.addViewer(sessionId, socket.id);
+    } else if (sessionStore.has(sessionId)) {
+      // 会话正在恢复，恢复后房间中的socket计为观众
+      socket.join(room);
+    } else {
+      socket.emit('session-ended', { sessionId, reason: 'stopped', message: '直播会话已结束' });
+    }
+  });
+
+  // 管理页面订阅所有会话的状态，订阅后立即推送一次，之后定时推送
+  socket.on('dashboard-subscribe', () => {
+    socket.join('dashboard');
+    socket.emit('dashboard-sessions', { sessions: listSessions() });
+  });
+
+  socket.on('dashboard-unsubscribe', () => {
+    socket.leave('dashboard');
+  });
+
+  socket.on('cancel-stream', (data = {}) => {
+    const pending = pendingRequests.get(data.requestId);
+    // 只允许取消自己发起的请求
+    if (pending && pending.socketId === socket.id) {
+      cancelRequest(data.requestId);
     }
   });
   
   socket.on('disconnect', () => {
     console.log('客户端已断开连接', socket.id);
+    // 断开连接后没有人接收结果，取消该客户端仍在进行的启动请求
+    for (const [requestId, pending] of pendingRequests) {
+      if (pending.socketId === socket.id) {
+        cancelRequest(requestId);
+      }
+    }
+    sessionRegistry.removeViewerEverywhere(socket.id);
   });
 });
 
+/**
+ * 清理不再使用的转码输出和超过保留天数的录制文件
+ */
+function runCleanup() {
+  try {
+    const streams = removeStaleOutputs(new Set(activeLiveStreams.keys()), config.cleanup.streamsMaxAge);
+    const recordings = deleteExpiredRecordings(config.cleanup.recordingsMaxAgeDays, { activeFiles: activeRecordingFiles() })
+      .concat(deleteExpiredRecordings(config.cleanup.recordingsMaxAgeDays, { dir: config.clips.dir }));
+    if (streams.length > 0 || recordings.length > 0) {
+      console.log(`已清理 ${streams.length} 个过期转码输出、${recordings.length} 个过期录制文件`);
+    }
+  } catch (error) {
+    console.error('清理过期文件失败:', error);
+  }
+}
+
+/**
+ * 恢复上次运行时仍在运行的会话
+ *
+ * 逐个重新提取直播流，以原来的会话ID启动，录制从新的分段文件开始。无法恢复的会话（例如直播已结束）删除记录。
+ * 恢复期间重新连接的客户端已加入会话房间，恢复后计为观众；通过WebSocket发起、恢复后没有观众的会话在宽限期后停止。
+ *
+ * @returns {Promise<void>} 所有会话处理完后resolve
+ */
+async function resumeSessions() {
+  const records = sessionStore.load();
+  for (const record of records) {
+    const { sessionId } = record;
+    const room = `session:${sessionId}`;
+    if (!config.sessions.resume) {
+      sessionStore.remove(sessionId);
+      continue;
+    }
+    // 推流地址默认不保存，仅推流的会话恢复后没有任何输出
+    if (record.params.playback === false && !record.params.destinations) {
+      console.warn(`跳过恢复会话: ${sessionId}，仅推流的会话没有保存推流地址（需要设置SESSION_PERSIST_SECRETS=true）`);
+      sessionStore.remove(sessionId);
+      io.to(room).emit('session-ended', { sessionId, reason: 'source-ended', message: '服务端重启后无法恢复转播: 没有保存推流地址' });
+      continue;
+    }
+
+    const resumeCount = (record.resumeCount || 0) + 1;
+    console.log(`恢复会话: ${sessionId}（第${resumeCount}次）`);
+    try {
+      const { shared } = await acquireRelay(record.params, {
+        sessionId,
+        // 原来的socket已经断开，只沿用发起方式
+        startedBy: record.startedBy === 'socket' ? 'socket' : 'api',
+        record: { createdAt: record.createdAt, resumeCount },
+        progress: new ProgressTracker(),
+        resumed: { count: resumeCount, firstStartedAt: record.createdAt }
+      });
+      // 同一直播间已经恢复了其他会话，或FFmpeg不可用
+      if (shared || !activeLiveStreams.has(sessionId)) {
+        throw new Error(shared ? '同一直播间已有正在运行的会话' : 'FFmpeg不可用');
+      }
+      for (const viewerId of io.sockets.adapter.rooms.get(room) || []) {
+        sessionRegistry.addViewer(sessionId, viewerId);
+      }
+      sessionRegistry.startGrace(sessionId);
+      console.log(`已恢复会话: ${sessionId}`);
+    } catch (error) {
+      console.error(`恢复会话失败: ${sessionId}`, error.message);
+      sessionStore.remove(sessionId);
+      io.to(room).emit('session-ended', { sessionId, reason: 'source-ended', message: `服务端重启后无法恢复转播: ${error.message}` });
+    }
+  }
+}
+
 // 启动服务器
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
   console.log(`服务器运行在端口 ${PORT}`);
+  // 先恢复上次运行时的会话，再清理不再使用的输出，之后定期检查
+  resumeSessions().finally(() => {
+    runCleanup();
+    setInterval(runCleanup, config.cleanup.interval).unref();
+  });
+  setInterval(broadcastSessions, config.dashboard.interval).unref();
 });
 
 // 优雅关闭
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('收到SIGTERM信号，关闭所有直播转播');
   
-  // 清理所有活跃直播会话
-  for (const [sessionId] of activeLiveStreams.entries()) {
-    cleanupStream(sessionId);
+  // 取消仍在获取直播流的请求
+  for (const requestId of [...pendingRequests.keys()]) {
+    cancelRequest(requestId);
   }
+
+  // 清理所有活跃直播会话，等待录制文件写完，避免留下无法播放的文件
+  const stopping = [...activeLiveStreams.keys()].map(sessionId => cleanupStream(sessionId, 'shutdown', '服务端正在关闭'));
+  await Promise.race([Promise.all(stopping), delay(config.recording.stopTimeout + 5000)]);
+
+  // 关闭浏览器池中的所有浏览器
+  await shutdownBrowserPool();
   
   server.close(() => {
     console.log('服务器已关闭');
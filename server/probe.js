@@ -0,0 +1,270 @@
+/**
+ * 直播流探测
+ *
+ * 使用ffprobe检查候选直播流是否可访问、是否为直播（没有固定时长），
+ * 并读取编码、分辨率和帧率，避免把无效地址或测试视频交给转码流程。
+ */
+
+const { spawn } = require('child_process');
+const config = require('./config');
+const { reportProgress } = require('./extractors/utils');
+const { cancelledError, throwIfCancelled } = require('./cancellation');
+
+// ffprobe可执行文件，默认从PATH中查找，index.js启动时按FFPROBE_PATH设置
+let ffprobePath = 'ffprobe';
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36';
+
+/**
+ * 解析ffprobe的帧率字符串
+ * @param {string} rate - 如 "30/1"、"30000/1001"
+ * @returns {number|null} 保留两位小数的帧率
+ */
+function parseFrameRate(rate) {
+  if (!rate || rate === '0/0') return null;
+  const [numerator, denominator] = String(rate).split('/').map(Number);
+  if (!denominator) return numerator || null;
+  return Math.round((numerator / denominator) * 100) / 100;
+}
+
+/**
+ * 整理ffprobe输出
+ * @param {Object} metadata - ffprobe返回的format和streams
+ * @returns {Object} live、duration、format、bitrate以及video/audio轨道信息
+ */
+function summarizeProbe(metadata) {
+  const format = metadata.format || {};
+  const streams = metadata.streams || [];
+  const video = streams.find(stream => stream.codec_type === 'video');
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+
+  // 直播流没有固定时长，ffprobe会给出N/A或0
+  const duration = Number(format.duration);
+  const live = !Number.isFinite(duration) || duration <= 0;
+
+  return {
+    live,
+    duration: live ? null : duration,
+    format: format.format_name || null,
+    bitrate: Number(format.bit_rate) || null,
+    video: video ? {
+      codec: video.codec_name || null,
+      width: video.width || null,
+      height: video.height || null,
+      fps: parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate)
+    } : null,
+    audio: audio ? {
+      codec: audio.codec_name || null,
+      sampleRate: Number(audio.sample_rate) || null,
+      channels: audio.channels || null
+    } : null
+  };
+}
+
+/**
+ * 将请求头拼接为ffmpeg/ffprobe的-headers参数值
+ * @param {Object} [headers] - 请求头，值为空的项会被忽略
+ * @returns {string} 每行以\r\n结尾的请求头，没有请求头时为空字符串
+ */
+function formatHeaders(headers) {
+  return Object.entries(headers || {})
+    .filter(([, value]) => value)
+    .map(([name, value]) => `${name}: ${value}\r\n`)
+    .join('');
+}
+
+/**
+ * 拼接ffprobe的输入参数
+ * @param {Object} options - 探测选项
+ * @param {number} options.timeout - 网络读写超时（毫秒）
+ * @param {Object} [options.headers] - 额外的HTTP请求头
+ * @returns {string[]} ffprobe参数
+ */
+function buildProbeArgs(options) {
+  const args = [
+    '-v', 'error',
+    '-rw_timeout', String(options.timeout * 1000), // 单位为微秒
+    '-analyzeduration', '5000000',
+    '-probesize', '5000000',
+    '-user_agent', USER_AGENT
+  ];
+
+  const headers = formatHeaders(options.headers);
+  if (headers) {
+    args.push('-headers', headers);
+  }
+  return args;
+}
+
+/**
+ * 设置ffprobe可执行文件的路径
+ * @param {string} path - ffprobe路径
+ */
+function setFfprobePath(path) {
+  ffprobePath = path;
+}
+
+/**
+ * 启动ffprobe并解析其JSON输出
+ *
+ * 直接启动ffprobe进程而不使用fluent-ffmpeg的ffprobe()，超时或取消时可以结束卡住的进程。
+ *
+ * @param {string[]} args - 输入参数和输入地址，输出格式参数由本函数添加
+ * @param {Object} options - 选项
+ * @param {number} options.timeout - 超时时间（毫秒），超时后结束ffprobe
+ * @param {AbortSignal} [options.signal] - 取消信号，触发后结束ffprobe并以cancelledError拒绝
+ * @param {Function} [options.spawn] - 启动进程的函数，默认使用child_process.spawn，便于测试替换
+ * @returns {Promise<Object>} summarizeProbe整理后的探测结果
+ */
+function runProbe(args, options) {
+  const { signal } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(cancelledError());
+      return;
+    }
+
+    const input = args[args.length - 1];
+    const fullArgs = [...args.slice(0, -1), '-print_format', 'json', '-show_format', '-show_streams', input];
+    const child = (options.spawn || spawn)(ffprobePath, fullArgs, { windowsHide: true });
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+    // 超时或取消后结束进程，之后的退出事件不再处理
+    const stop = (error) => {
+      finish(error);
+      child.kill('SIGKILL');
+    };
+    const onAbort = () => stop(cancelledError());
+
+    const timer = setTimeout(() => stop(new Error(`探测超时（${options.timeout}ms）`)), options.timeout);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    child.on('error', error => finish(error));
+    child.on('close', (code) => {
+      if (code !== 0) {
+        finish(new Error(stderr.trim() || `ffprobe退出，退出码 ${code}`));
+        return;
+      }
+      try {
+        finish(null, summarizeProbe(JSON.parse(stdout)));
+      } catch (error) {
+        finish(new Error(`无法解析ffprobe输出: ${error.message}`));
+      }
+    });
+  });
+}
+
+/**
+ * 使用ffprobe探测直播流
+ * @param {string} url - 直播流地址
+ * @param {Object} [options] - 探测选项，未提供的项使用config.probe
+ * @param {number} [options.timeout] - 超时时间（毫秒）
+ * @param {Object} [options.headers] - 额外的HTTP请求头，如Referer、Cookie
+ * @param {AbortSignal} [options.signal] - 取消信号，触发后结束ffprobe并以cancelledError拒绝
+ * @param {Function} [options.spawn] - 启动进程的函数，默认使用child_process.spawn，便于测试替换
+ * @returns {Promise<Object>} summarizeProbe整理后的探测结果
+ */
+function probeStream(url, options = {}) {
+  options = { ...config.probe, ...options };
+  // ffprobe偶尔会在握手阶段卡住，-rw_timeout之外再加一层超时
+  return runProbe([...buildProbeArgs(options), url], { ...options, timeout: options.timeout + 2000 });
+}
+
+/**
+ * 判断错误是否由于ffprobe本身不可用
+ * @param {Error} error - 探测错误
+ * @returns {boolean} 是否找不到ffprobe
+ */
+function isProbeUnavailable(error) {
+  return error.code === 'ENOENT' || /Cannot find ffprobe/.test(error.message);
+}
+
+/**
+ * 按顺序探测候选直播流，返回第一个可用的直播
+ * @param {Object[]} candidates - 按回退顺序排列的候选地址
+ * @param {Object} [options] - 探测选项，未提供的项使用config.probe
+ * @param {number} [options.maxCandidates] - 最多探测的候选数量
+ * @param {Function} [options.probe] - 探测函数，默认使用probeStream
+ * @param {Function} [options.onProgress] - 进度回调，每探测一个候选报告一次
+ * @param {AbortSignal} [options.signal] - 取消信号，在探测下一个候选前检查，并传给探测函数以结束正在进行的探测
+ * @returns {Promise<Object>} selected为选中的候选地址（没有可用的时为null），probe为其探测结果，
+ *   results为每个已探测候选的结果
+ * @throws {Error} ffprobe不可用时抛出，error.probeUnavailable为true
+ */
+async function validateCandidates(candidates, options = {}) {
+  options = { ...config.probe, ...options };
+  const probe = options.probe || probeStream;
+  const results = [];
+
+  for (const candidate of candidates.slice(0, options.maxCandidates)) {
+    throwIfCancelled(options.signal);
+    const result = {
+      url: candidate.url,
+      quality: candidate.quality,
+      protocol: candidate.protocol,
+      valid: false,
+      reason: null,
+      probe: null
+    };
+
+    reportProgress(options, 'probe', 'running', `正在检查直播流 ${candidate.quality || ''} ${candidate.protocol || ''}`.trim());
+    try {
+      result.probe = await probe(candidate.url, options);
+      if (!result.probe.live) {
+        result.reason = `不是直播流（时长 ${result.probe.duration.toFixed(1)} 秒）`;
+      } else if (!result.probe.video) {
+        result.reason = '没有视频轨道';
+      } else {
+        result.valid = true;
+      }
+    } catch (error) {
+      if (error.cancelled) {
+        throw error;
+      }
+      if (isProbeUnavailable(error)) {
+        error.probeUnavailable = true;
+        throw error;
+      }
+      result.reason = `无法访问: ${error.message.split('\n')[0]}`;
+    }
+
+    console.log(`探测直播流 ${candidate.quality || ''} ${candidate.protocol || ''}: ${result.valid ? '可用' : result.reason}`);
+    results.push(result);
+
+    if (result.valid) {
+      return { selected: candidate, probe: result.probe, results };
+    }
+  }
+
+  return { selected: null, probe: null, results };
+}
+
+module.exports = {
+  formatHeaders,
+  parseFrameRate,
+  summarizeProbe,
+  runProbe,
+  probeStream,
+  setFfprobePath,
+  validateCandidates
+};
@@ -0,0 +1,58 @@
+/**
+ * 转播启动进度
+ *
+ * 记录一次启动请求中各步骤的状态，并通过回调实时推送给客户端。
+ * 请求失败时，仍在进行中的步骤会被标记为失败，客户端据此显示具体是哪一步出错。
+ */
+
+class ProgressTracker {
+  /**
+   * @param {Function} [listener] - 步骤状态变化时的回调，接收步骤记录的副本
+   */
+  constructor(listener) {
+    this.listener = listener;
+    this.steps = [];
+    // 供提取器、探测等模块使用的进度回调
+    this.onProgress = (event) => this.update(event.step, event.status, event.message);
+  }
+
+  /**
+   * 更新步骤状态，步骤不存在时追加到末尾
+   * @param {string} step - 步骤标识
+   * @param {string} status - running、success、warning或error
+   * @param {string} message - 显示给用户的说明
+   * @returns {Object} 步骤记录
+   */
+  update(step, status, message) {
+    let entry = this.steps.find(item => item.step === step);
+    if (!entry) {
+      entry = { step, startedAt: Date.now() };
+      this.steps.push(entry);
+    }
+    Object.assign(entry, { status, message, updatedAt: Date.now() });
+
+    if (this.listener) {
+      this.listener({ ...entry });
+    }
+    return entry;
+  }
+
+  /**
+   * 请求失败时把进行中的步骤标记为失败
+   * @param {Error} error - 失败原因
+   */
+  fail(error) {
+    const running = this.steps.filter(item => item.status === 'running');
+    for (const entry of running) {
+      this.update(entry.step, 'error', `${entry.message}（失败: ${error.message}）`);
+    }
+    // 出错的步骤已经自行报告过时不再重复
+    if (!this.steps.some(item => item.status === 'error')) {
+      this.update('failed', 'error', error.message);
+    }
+  }
+}
+
+module.exports = {
+  ProgressTracker
+};
@@ -0,0 +1,539 @@
+/**
+ * 直播录制
+ *
+ * 把会话的直播流不经转码保存到录制目录，按时长或大小分割为多个以开始时间命名的文件。
+ * 录制由一个持续运行的ffmpeg进程完成，使用segment封装按时长分割，文件之间没有间隔，
+ * 也不需要每个文件重新打开直播流；ffmpeg把写完的文件记录到分割列表（CSV），据此写完各文件的JSON记录。
+ * 设置了大小上限时定期检查当前文件的大小，超过后结束进程并立即开始新的进程。
+ * 停止录制时向ffmpeg发送SIGTERM，ffmpeg会写完当前文件的文件尾，文件可以直接播放。
+ * 每个文件旁边有一个同名的JSON文件，记录直播间地址、开始和结束时间以及源直播流的探测结果。
+ *
+ * 事件：
+ * - file-started：开始写入一个文件，参数为该文件的记录
+ * - file-finished：一个文件已写完，参数为该文件的记录
+ * - stopped：录制已停止，当前文件已写完
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const config = require('./config');
+const { formatHeaders } = require('./probe');
+
+// 各录制格式的扩展名、segment封装写入每个文件时使用的封装格式及其参数
+const RECORDING_FORMATS = {
+  // faststart在写完后把索引移到文件开头，便于边下载边播放
+  mp4: { extension: 'mp4', muxer: 'mp4', muxerOptions: 'movflags=+faststart' },
+  mkv: { extension: 'mkv', muxer: 'matroska' },
+  ts: { extension: 'ts', muxer: 'mpegts' }
+};
+
+// ffmpeg开始写入一个文件时输出的日志，例如 [segment @ 0x...] Opening '/path/123_20240501-203000.mp4' for writing
+const OPENING_PATTERN = /Opening '(.+)' for writing/;
+
+/**
+ * 把时间格式化为文件名中使用的本地时间
+ * @param {Date} date - 时间
+ * @returns {string} 例如 "20240501-203000"
+ */
+function formatTimestamp(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+    + `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * 去掉文件名中不安全的字符
+ * @param {string} label - 文件名前缀，例如直播间的web_rid
+ * @returns {string} 只包含字母、数字、下划线和连字符的前缀
+ */
+function sanitizeLabel(label) {
+  const safe = String(label || '').replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '');
+  return safe || 'stream';
+}
+
+/**
+ * 拼接录制的ffmpeg输出参数
+ *
+ * 输出文件名中的时间由ffmpeg在每个文件开始时按-strftime填入，参见outputPattern。
+ *
+ * @param {Object} options - 录制选项
+ * @param {string} options.format - mp4、mkv或ts
+ * @param {number} options.segmentMinutes - 每个文件的最长时长（分钟）
+ * @param {string} [options.listFile] - 分割列表文件，ffmpeg每写完一个文件追加一行
+ * @returns {string[]} ffmpeg输出参数
+ */
+function recordingArgs({ format, segmentMinutes, listFile }) {
+  const { muxer, muxerOptions } = RECORDING_FORMATS[format];
+  const args = [
+    // 保留源直播流的视频和音频，不重新编码
+    '-map', '0:v?',
+    '-map', '0:a?',
+    '-c', 'copy',
+    '-f', 'segment',
+    '-segment_time', String(Math.max(Math.round(segmentMinutes * 60), 1)),
+    // 每个文件的时间戳从0开始，单独播放时进度条正确
+    '-reset_timestamps', '1',
+    '-strftime', '1',
+    '-segment_format', muxer
+  ];
+  if (muxerOptions) {
+    args.push('-segment_format_options', muxerOptions);
+  }
+  if (listFile) {
+    args.push('-segment_list', listFile, '-segment_list_type', 'csv');
+  }
+  return args;
+}
+
+/**
+ * 录制文件名的模板，由ffmpeg按-strftime填入每个文件的开始时间
+ * @param {string} dir - 录制目录
+ * @param {string} label - 文件名前缀
+ * @param {string} format - mp4、mkv或ts
+ * @returns {string} 例如 "/recordings/123456_%Y%m%d-%H%M%S.mp4"，生成的文件名与formatTimestamp相同
+ */
+function outputPattern(dir, label, format) {
+  return path.join(dir, `${sanitizeLabel(label)}_%Y%m%d-%H%M%S.${RECORDING_FORMATS[format].extension}`);
+}
+
+/**
+ * 读取分割列表中已写完的文件
+ * @param {string} listFile - 分割列表文件
+ * @returns {Object[]} 按写完顺序排列的文件名file和时长duration（秒）
+ */
+function readSegmentList(listFile) {
+  let content = '';
+  try {
+    content = fs.readFileSync(listFile, 'utf8');
+  } catch (e) {
+    // 还没有写完任何文件
+    return [];
+  }
+  // 每行为 文件名,开始时间,结束时间，时间单位为秒
+  return content.split('\n').filter(Boolean).map((line) => {
+    const fields = line.split(',');
+    const end = Number(fields.pop());
+    const start = Number(fields.pop());
+    return { file: fields.join(',').replace(/^"|"$/g, ''), duration: Math.max(end - start, 0) };
+  });
+}
+
+/**
+ * 解析启动请求中的录制选项
+ * @param {boolean|Object} record - true使用默认配置，或包含format、segmentMinutes、segmentMegabytes的对象
+ * @returns {Object|null} 覆盖默认配置的录制选项，未开启录制时为null
+ * @throws {Error} 选项不正确时抛出，error.invalidInput为true
+ */
+function parseRecordOption(record) {
+  if (!record) {
+    return null;
+  }
+  if (record === true) {
+    return {};
+  }
+
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.invalidInput = true;
+    return error;
+  };
+  if (typeof record !== 'object') {
+    throw invalid('录制选项格式不正确');
+  }
+
+  const options = {};
+  if (record.format !== undefined) {
+    if (!RECORDING_FORMATS[record.format]) {
+      throw invalid(`录制格式只支持${Object.keys(RECORDING_FORMATS).join('、')}`);
+    }
+    options.format = record.format;
+  }
+  if (record.segmentMinutes !== undefined) {
+    const minutes = Number(record.segmentMinutes);
+    if (!(minutes > 0)) {
+      throw invalid('录制文件的分割时长必须大于0分钟');
+    }
+    options.segmentMinutes = minutes;
+  }
+  if (record.segmentMegabytes !== undefined) {
+    const megabytes = Number(record.segmentMegabytes);
+    if (!(megabytes >= 0)) {
+      throw invalid('录制文件的分割大小不能小于0MB');
+    }
+    options.segmentMegabytes = megabytes;
+  }
+  return options;
+}
+
+/**
+ * 获取文件大小
+ * @param {string} file - 文件路径
+ * @returns {number} 字节数，文件不存在时为0
+ */
+function fileSize(file) {
+  try {
+    return fs.statSync(file).size;
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * 写入录制文件旁边的JSON记录，先写临时文件再改名，避免进程退出时留下不完整的JSON
+ * @param {Object} entry - 录制文件的记录
+ */
+function writeSidecar(entry) {
+  const { path: file, ...data } = entry;
+  const sidecar = sidecarPath(file);
+  fs.writeFileSync(`${sidecar}.tmp`, JSON.stringify(data, null, 2));
+  fs.renameSync(`${sidecar}.tmp`, sidecar);
+}
+
+/**
+ * 录制文件对应的JSON记录路径
+ * @param {string} file - 录制文件路径
+ * @returns {string} 去掉扩展名后加上.json
+ */
+function sidecarPath(file) {
+  return `${file.slice(0, file.length - path.extname(file).length)}.json`;
+}
+
+class Recorder extends EventEmitter {
+  /**
+   * @param {string} sessionId - 会话ID
+   * @param {Object} [options] - 录制选项，未提供的项使用config.recording
+   * @param {string} [options.roomUrl] - 直播间地址，手动填写直播流时为直播流地址
+   * @param {Object} [options.room] - 规范化后的直播间信息
+   * @param {string} [options.label] - 文件名前缀，默认为stream
+   * @param {string} [options.dir] - 录制目录
+   * @param {string} [options.format] - mp4、mkv或ts
+   * @param {number} [options.segmentMinutes] - 每个文件的最长时长（分钟）
+   * @param {number} [options.segmentMegabytes] - 每个文件的最大大小（MB），0表示不限制
+   * @param {Function} [options.createCommand] - 创建ffmpeg命令的函数，默认使用fluent-ffmpeg，便于测试替换
+   */
+  constructor(sessionId, options = {}) {
+    super();
+    this.sessionId = sessionId;
+    this.options = { ...config.recording, ...options };
+    this.createCommand = options.createCommand || (url => ffmpeg(url));
+
+    this.source = null;
+    this.command = null;
+    // 当前ffmpeg进程的分割列表，以及其中已处理的文件数量
+    this.listFile = null;
+    this.listed = 0;
+    // 正在写入的文件的记录
+    this.current = null;
+    // 已写完的文件名
+    this.files = [];
+    this.parts = 0;
+    this.retryTimer = null;
+    this.killTimer = null;
+    this.sizeTimer = null;
+    // 当前文件超过大小上限，正在结束进程以开始新的文件
+    this.rotating = false;
+    this.stopping = false;
+  }
+
+  /**
+   * 使用指定的来源开始录制
+   *
+   * 会话重连后使用新的地址再次调用：录制进程仍在运行时只更新来源，
+   * 已因输入中断退出时立即开始写入新的文件。
+   *
+   * @param {Object} source - 直播流来源，与StreamSession相同
+   */
+  start(source) {
+    this.source = source;
+    if (this.stopping || this.command) {
+      return;
+    }
+    clearTimeout(this.retryTimer);
+    this.next();
+  }
+
+  /**
+   * 启动下一个录制进程，启动失败时稍后重试
+   */
+  next() {
+    try {
+      this.record();
+    } catch (error) {
+      console.error(`启动录制失败: ${this.sessionId}`, error);
+      this.scheduleRetry();
+    }
+  }
+
+  /**
+   * 启动ffmpeg录制，由segment封装按时长分割为多个文件
+   */
+  record() {
+    const { dir, format, label, segmentMegabytes } = this.options;
+    fs.mkdirSync(dir, { recursive: true });
+
+    // 以点开头，不会出现在录制文件列表中，进程结束后删除
+    const listFile = path.join(dir, `.${sanitizeLabel(label)}_${formatTimestamp(new Date())}_${this.sessionId}.csv`);
+    fs.rmSync(listFile, { force: true });
+
+    const command = this.createCommand(this.source.streamUrl);
+    const headers = formatHeaders(this.source.headers);
+    if (headers) {
+      // 分开传入参数，避免fluent-ffmpeg按空格拆分请求头
+      command.inputOptions('-headers', headers);
+    }
+    command
+      .outputOptions(...recordingArgs({ ...this.options, listFile }))
+      .output(outputPattern(dir, label, format))
+      .on('stderr', line => this.handleLog(command, line))
+      .on('error', (err) => this.handleExit(command, err))
+      .on('end', () => this.handleExit(command, null));
+
+    // 先记录当前进程，ffmpeg的日志和事件据此判断是否属于当前进程
+    this.command = command;
+    this.listFile = listFile;
+    this.listed = 0;
+    command.run();
+
+    if (segmentMegabytes > 0) {
+      this.sizeTimer = setInterval(() => this.checkSize(command), this.options.sizeCheckInterval);
+    }
+  }
+
+  /**
+   * 处理ffmpeg的日志，开始写入新的文件时前一个文件已经写完
+   * @param {Object} command - 输出日志的ffmpeg命令
+   * @param {string} line - 一行日志
+   */
+  handleLog(command, line) {
+    const match = OPENING_PATTERN.exec(line);
+    if (command !== this.command || !match || path.extname(match[1]) !== `.${RECORDING_FORMATS[this.options.format].extension}`) {
+      return;
+    }
+    this.collectSegments();
+    this.current = this.begin(path.resolve(match[1]));
+  }
+
+  /**
+   * 开始写入一个文件，写入状态为recording的JSON记录
+   * @param {string} file - 录制文件路径
+   * @param {Date} [startedAt] - 开始时间
+   * @returns {Object} 录制文件的记录
+   */
+  begin(file, startedAt = new Date()) {
+    const { format, segmentMinutes, segmentMegabytes } = this.options;
+    const entry = {
+      path: file,
+      file: path.basename(file),
+      sessionId: this.sessionId,
+      part: ++this.parts,
+      format,
+      roomUrl: this.options.roomUrl || null,
+      room: this.options.room || null,
+      streamUrl: this.source.streamUrl,
+      startedAt: startedAt.toISOString(),
+      endedAt: null,
+      duration: null,
+      size: 0,
+      status: 'recording',
+      endReason: null,
+      error: null,
+      probe: this.source.probe || null,
+      split: { segmentMinutes, segmentMegabytes }
+    };
+    writeSidecar(entry);
+    console.log(`开始录制: ${this.sessionId} -> ${entry.file}`);
+    this.emit('file-started', entry);
+    return entry;
+  }
+
+  /**
+   * 根据分割列表写完已完成的文件
+   *
+   * 进程退出后调用时，列表中的最后一个文件以endReason结束，其余文件都是按时长分割的。
+   * 进程被强制结束时最后一个文件不会出现在列表中，同样以endReason结束。
+   *
+   * @param {string} [endReason] - 进程退出的原因，进程仍在运行时不提供
+   * @param {Error|null} [err] - ffmpeg的错误
+   */
+  collectSegments(endReason, err = null) {
+    const segments = readSegmentList(this.listFile).slice(this.listed);
+    this.listed += segments.length;
+
+    segments.forEach((segment, index) => {
+      const last = endReason && index === segments.length - 1;
+      let entry;
+      if (this.current && this.current.file === segment.file) {
+        entry = this.current;
+        this.current = null;
+      } else {
+        // 没有收到开始写入的日志，按时长推算开始时间
+        entry = this.begin(path.join(this.options.dir, segment.file), new Date(Date.now() - segment.duration * 1000));
+      }
+      this.finalize(entry, last ? endReason : 'split', last ? err : null, segment.duration);
+    });
+
+    if (endReason && this.current) {
+      const entry = this.current;
+      this.current = null;
+      this.finalize(entry, endReason, err);
+    }
+  }
+
+  /**
+   * 当前文件超过大小上限时结束进程，退出后立即开始新的进程
+   * @param {Object} command - 当前的ffmpeg命令
+   */
+  checkSize(command) {
+    const limit = this.options.segmentMegabytes * 1024 * 1024;
+    if (command !== this.command || this.rotating || this.stopping || !this.current || fileSize(this.current.path) < limit) {
+      return;
+    }
+    console.log(`录制文件达到大小上限，开始新的文件: ${this.current.file}`);
+    this.rotating = true;
+    this.terminate(command);
+  }
+
+  /**
+   * 录制进程退出后写完JSON记录，然后开始新的进程、稍后重试或结束录制
+   * @param {Object} command - 退出的ffmpeg命令
+   * @param {Error|null} err - ffmpeg的错误，正常结束时为null
+   */
+  handleExit(command, err) {
+    if (command !== this.command) {
+      return;
+    }
+    this.command = null;
+    clearTimeout(this.killTimer);
+    clearInterval(this.sizeTimer);
+
+    const rotated = this.rotating && !this.stopping;
+    this.rotating = false;
+    let endReason = 'interrupted';
+    if (this.stopping) {
+      endReason = 'stopped';
+    } else if (rotated) {
+      endReason = 'split';
+    }
+    this.collectSegments(endReason, endReason === 'interrupted' ? err : null);
+    fs.rmSync(this.listFile, { force: true });
+
+    if (this.stopping) {
+      console.log(`录制已停止: ${this.sessionId}`);
+      this.emit('stopped');
+    } else if (rotated) {
+      this.next();
+    } else {
+      console.warn(`录制中断: ${this.sessionId}，${err ? err.message : '直播流输入已结束'}`);
+      this.scheduleRetry();
+    }
+  }
+
+  /**
+   * 写完文件的JSON记录，没有写入任何数据的文件直接删除
+   * @param {Object} entry - 录制文件的记录
+   * @param {string} endReason - split（达到上限）、stopped（停止录制）或interrupted（输入中断）
+   * @param {Error|null} err - ffmpeg的错误
+   * @param {number} [duration] - 分割列表中的时长（秒），未提供时按开始时间计算
+   */
+  finalize(entry, endReason, err, duration) {
+    const size = fileSize(entry.path);
+    if (size === 0) {
+      fs.rmSync(entry.path, { force: true });
+      fs.rmSync(sidecarPath(entry.path), { force: true });
+      return;
+    }
+
+    const startedAt = Date.parse(entry.startedAt);
+    const endedAt = duration === undefined ? new Date() : new Date(startedAt + duration * 1000);
+    Object.assign(entry, {
+      endedAt: endedAt.toISOString(),
+      duration: duration === undefined ? (endedAt.getTime() - startedAt) / 1000 : duration,
+      size,
+      status: 'completed',
+      endReason,
+      error: err ? err.message : null
+    });
+    try {
+      writeSidecar(entry);
+    } catch (error) {
+      console.error(`写入录制记录失败: ${entry.file}`, error);
+    }
+    this.files.push(entry.file);
+    console.log(`录制文件已写完: ${entry.file}（${(size / 1024 / 1024).toFixed(1)}MB）`);
+    this.emit('file-finished', entry);
+  }
+
+  /**
+   * 录制进程异常退出后，等待一段时间使用最新的来源重新开始
+   */
+  scheduleRetry() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      if (!this.stopping && !this.command) {
+        this.next();
+      }
+    }, this.options.retryDelay);
+  }
+
+  /**
+   * 停止录制，等待ffmpeg写完当前文件
+   * @returns {Promise<void>} 当前文件写完后resolve
+   */
+  stop() {
+    if (!this.stopping) {
+      this.stopping = true;
+      clearTimeout(this.retryTimer);
+      this.stopped = this.command ? new Promise((resolve) => {
+        this.once('stopped', resolve);
+        // 正在因为大小上限结束进程时已经发送过SIGTERM，只需等待退出
+        if (!this.rotating) {
+          this.terminate(this.command);
+        }
+      }) : Promise.resolve();
+    }
+    return this.stopped;
+  }
+
+  /**
+   * 结束录制进程，ffmpeg收到SIGTERM后写完当前文件再退出，超过stopTimeout仍未退出时强制结束
+   * @param {Object} command - ffmpeg命令
+   */
+  terminate(command) {
+    command.kill('SIGTERM');
+    this.killTimer = setTimeout(() => {
+      console.warn(`录制进程未能及时退出，强制结束: ${this.sessionId}`);
+      command.kill('SIGKILL');
+    }, this.options.stopTimeout);
+  }
+
+  /**
+   * 录制状态，供接口返回
+   * @returns {Object} 是否正在写入recording、录制目录、格式、分割条件、当前文件和已写完的文件
+   */
+  status() {
+    const { dir, format, segmentMinutes, segmentMegabytes } = this.options;
+    return {
+      recording: Boolean(this.command),
+      dir,
+      format,
+      segmentMinutes,
+      segmentMegabytes,
+      current: this.current ? this.current.file : null,
+      files: this.files.slice()
+    };
+  }
+}
+
+module.exports = {
+  RECORDING_FORMATS,
+  formatTimestamp,
+  sanitizeLabel,
+  recordingArgs,
+  outputPattern,
+  readSegmentList,
+  parseRecordOption,
+  sidecarPath,
+  Recorder
+};
@@ -0,0 +1,209 @@
+/**
+ * 录制文件库
+ *
+ * 读取录制目录中由Recorder写入的文件及其JSON记录，供录制文件接口列出、查看和删除。
+ * 剪辑导出的片段同样带有JSON记录，使用相同的函数管理剪辑目录（传入dir）。
+ * 接口只接受目录下的文件名，不接受路径。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { runProbe } = require('./probe');
+const { RECORDING_FORMATS, sidecarPath } = require('./recorder');
+
+// 录制文件和剪辑片段的扩展名
+const MEDIA_EXTENSIONS = Object.values(RECORDING_FORMATS).map(format => `.${format.extension}`).concat('.gif');
+
+// 探测本地录制文件的超时时间（毫秒）
+const PROBE_TIMEOUT = 10000;
+
+/**
+ * 检查文件名并返回录制文件的路径
+ * @param {string} name - 录制文件名
+ * @param {string} [dir] - 录制目录，默认使用config.recording.dir
+ * @returns {string} 录制文件路径
+ * @throws {Error} 文件名不正确时error.invalidInput为true，文件不存在时error.notFound为true
+ */
+function resolveRecording(name, dir = config.recording.dir) {
+  if (typeof name !== 'string' || name !== path.basename(name) || name.startsWith('.')
+    || !MEDIA_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+    const error = new Error('录制文件名不正确');
+    error.invalidInput = true;
+    throw error;
+  }
+
+  const file = path.join(dir, name);
+  if (!fs.existsSync(file)) {
+    const error = new Error('录制文件不存在');
+    error.notFound = true;
+    throw error;
+  }
+  return file;
+}
+
+/**
+ * 读取录制文件的JSON记录
+ * @param {string} file - 录制文件路径
+ * @returns {Object|null} JSON记录，不存在或无法解析时为null
+ */
+function readSidecar(file) {
+  try {
+    return JSON.parse(fs.readFileSync(sidecarPath(file), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 整理录制文件的信息，供接口返回
+ * @param {string} file - 录制文件路径
+ * @param {Set<string>} activeFiles - 正在写入的文件名
+ * @returns {Object} 文件名name、大小size、开始和结束时间、时长duration、直播间地址roomUrl、
+ *   状态status（recording正在写入、completed已写完、incomplete录制进程意外退出、unknown没有JSON记录）
+ *   以及录制时源直播流的视频video和音频audio编码
+ */
+function describeRecording(file, activeFiles) {
+  const name = path.basename(file);
+  const stat = fs.statSync(file);
+  const sidecar = readSidecar(file) || {};
+  let status = 'unknown';
+  if (activeFiles.has(name)) {
+    status = 'recording';
+  } else if (sidecar.status) {
+    // 记录仍为recording但没有对应的录制进程，说明服务端在写完前退出
+    status = sidecar.status === 'completed' ? 'completed' : 'incomplete';
+  }
+  const probe = sidecar.probe || {};
+
+  return {
+    name,
+    size: stat.size,
+    format: sidecar.format || path.extname(name).slice(1),
+    sessionId: sidecar.sessionId || null,
+    part: sidecar.part || null,
+    roomUrl: sidecar.roomUrl || null,
+    room: sidecar.room || null,
+    startedAt: sidecar.startedAt || stat.mtime.toISOString(),
+    endedAt: sidecar.endedAt || null,
+    duration: sidecar.duration || null,
+    endReason: sidecar.endReason || null,
+    error: sidecar.error || null,
+    status,
+    video: probe.video || null,
+    audio: probe.audio || null
+  };
+}
+
+/**
+ * 列出录制目录中的文件，最近开始的在前
+ * @param {Object} [options] - 选项
+ * @param {string} [options.dir] - 录制目录，默认使用config.recording.dir
+ * @param {Set<string>} [options.activeFiles] - 正在写入的文件名
+ * @returns {Object[]} describeRecording整理后的文件信息
+ */
+function listRecordings({ dir = config.recording.dir, activeFiles = new Set() } = {}) {
+  let names = [];
+  try {
+    names = fs.readdirSync(dir);
+  } catch (e) {
+    // 还没有录制过，目录不存在
+    return [];
+  }
+
+  const recordings = [];
+  for (const name of names) {
+    if (!MEDIA_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+      continue;
+    }
+    try {
+      recordings.push(describeRecording(path.join(dir, name), activeFiles));
+    } catch (e) {
+      // 文件在读取期间被删除
+    }
+  }
+  return recordings.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * 使用ffprobe探测本地录制文件，超时后结束ffprobe，避免仍在写入或损坏的文件留下卡住的进程
+ * @param {string} file - 录制文件路径
+ * @param {Object} [options] - 选项
+ * @param {number} [options.timeout] - 超时时间（毫秒），默认PROBE_TIMEOUT
+ * @param {Function} [options.spawn] - 启动进程的函数，便于测试替换
+ * @returns {Promise<Object>} summarizeProbe整理后的探测结果，包含实际时长、码率和编码
+ */
+function probeFile(file, { timeout = PROBE_TIMEOUT, spawn } = {}) {
+  return runProbe(['-v', 'error', file], { timeout, spawn });
+}
+
+/**
+ * 查看录制文件的详细信息
+ *
+ * 在JSON记录之外再用ffprobe探测文件本身，得到实际的时长和编码；
+ * ffprobe不可用或文件仍在写入无法探测时，media为null并附带probeError。
+ *
+ * @param {string} name - 录制文件名
+ * @param {Object} [options] - 选项，参见listRecordings
+ * @param {Function} [options.probe] - 探测函数，默认使用ffprobe
+ * @returns {Promise<Object>} describeRecording整理后的信息，以及探测结果media
+ * @throws {Error} 参见resolveRecording
+ */
+async function inspectRecording(name, { dir = config.recording.dir, activeFiles = new Set(), probe = probeFile } = {}) {
+  const file = resolveRecording(name, dir);
+  const recording = describeRecording(file, activeFiles);
+  try {
+    return { ...recording, media: await probe(file), probeError: null };
+  } catch (error) {
+    return { ...recording, media: null, probeError: error.message };
+  }
+}
+
+/**
+ * 删除录制文件及其JSON记录
+ * @param {string} name - 录制文件名
+ * @param {Object} [options] - 选项，参见listRecordings
+ * @throws {Error} 参见resolveRecording；文件正在写入时error.busy为true
+ */
+function deleteRecording(name, { dir = config.recording.dir, activeFiles = new Set() } = {}) {
+  const file = resolveRecording(name, dir);
+  if (activeFiles.has(name)) {
+    const error = new Error('录制文件正在写入，请先停止录制');
+    error.busy = true;
+    throw error;
+  }
+  fs.rmSync(file, { force: true });
+  fs.rmSync(sidecarPath(file), { force: true });
+  console.log(`已删除录制文件: ${name}`);
+}
+
+/**
+ * 删除超过保留天数的录制文件，正在写入的文件不会被删除
+ * @param {number} maxAgeDays - 保留天数，0表示不删除
+ * @param {Object} [options] - 选项，参见listRecordings
+ * @param {number} [options.now] - 当前时间，默认为Date.now()
+ * @returns {string[]} 已删除的文件名
+ */
+function deleteExpiredRecordings(maxAgeDays, { dir = config.recording.dir, activeFiles = new Set(), now = Date.now() } = {}) {
+  if (!(maxAgeDays > 0)) {
+    return [];
+  }
+  const deadline = now - maxAgeDays * 24 * 60 * 60 * 1000;
+  const expired = listRecordings({ dir, activeFiles })
+    .filter(item => item.status !== 'recording' && Date.parse(item.endedAt || item.startedAt) < deadline);
+  for (const item of expired) {
+    deleteRecording(item.name, { dir, activeFiles });
+  }
+  return expired.map(item => item.name);
+}
+
+module.exports = {
+  MEDIA_EXTENSIONS,
+  resolveRecording,
+  describeRecording,
+  listRecordings,
+  probeFile,
+  inspectRecording,
+  deleteRecording,
+  deleteExpiredRecordings
+};
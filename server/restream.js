@@ -0,0 +1,417 @@
+/**
+ * 推流到外部地址
+ *
+ * 把会话的直播流推送到自己的RTMP或SRT接收地址。直播流只由会话的ffmpeg拉取一次，
+ * 推流进程读取会话在本地的HLS播放列表（推流中转，参见planOutput），不再各自从CDN拉流。
+ * 每个推流地址由单独的ffmpeg进程负责，可以在会话运行期间随时增加或移除，不影响本地播放和其他推流地址。
+ * 推流失败（接收端不可用、连接被断开）后按退避时间重试；会话重连后继续写入同一个播放列表，推流进程继续读取。
+ *
+ * 事件：
+ * - state：推流状态变化，参数为status()
+ * - stopped：推流已停止
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+const config = require('./config');
+const { COMPATIBLE_VIDEO_CODECS, COMPATIBLE_AUDIO_CODECS } = require('./transcoder');
+
+// 支持的推流协议及其封装格式；flv只能承载H.264/AAC等编码
+const DESTINATION_PROTOCOLS = {
+  rtmp: { format: 'flv' },
+  rtmps: { format: 'flv' },
+  srt: { format: 'mpegts' }
+};
+
+// 各封装格式的ffmpeg参数
+const CONTAINER_ARGS = {
+  // 直播推流没有时长和文件大小，不回写FLV头
+  flv: ['-f', 'flv', '-flvflags', 'no_duration_filesize'],
+  mpegts: ['-f', 'mpegts']
+};
+
+// 读取推流中转的输入参数：按实际速率读取，从最新的分片开始
+const RELAY_INPUT_ARGS = ['-re', '-live_start_index', '-1'];
+
+// SRT地址中需要隐藏的参数
+const SECRET_PARAMS = ['passphrase', 'streamid'];
+
+/**
+ * 创建输入错误
+ * @param {string} message - 错误信息
+ * @returns {Error} error.invalidInput为true
+ */
+function invalidInput(message) {
+  const error = new Error(message);
+  error.invalidInput = true;
+  return error;
+}
+
+/**
+ * 隐藏推流地址中的密钥，供接口返回和日志输出
+ *
+ * RTMP地址的最后一段路径通常是推流码，SRT地址的passphrase和streamid参数为密钥。
+ *
+ * @param {string} url - 推流地址
+ * @returns {string} 隐藏密钥后的地址
+ */
+function maskUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return '****';
+  }
+  if (parsed.password) {
+    parsed.password = '****';
+  }
+  for (const key of SECRET_PARAMS) {
+    if (parsed.searchParams.has(key)) {
+      parsed.searchParams.set(key, '****');
+    }
+  }
+  if (parsed.protocol.startsWith('rtmp')) {
+    const parts = parsed.pathname.split('/');
+    if (parts.length > 2 && parts[parts.length - 1]) {
+      parts[parts.length - 1] = '****';
+      parsed.pathname = parts.join('/');
+    }
+  }
+  return parsed.toString();
+}
+
+/**
+ * 解析推流地址
+ * @param {string|Object} input - 推流地址，或包含url和名称name的对象
+ * @returns {Object} 地址url、协议protocol和名称name
+ * @throws {Error} 地址不正确时抛出，error.invalidInput为true
+ */
+function parseDestination(input) {
+  const value = typeof input === 'string' ? { url: input } : input;
+  if (!value || typeof value !== 'object' || typeof value.url !== 'string') {
+    throw invalidInput('推流地址格式不正确');
+  }
+
+  const url = value.url.trim();
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw invalidInput(`推流地址格式不正确: ${maskUrl(url)}`);
+  }
+  const protocol = parsed.protocol.slice(0, -1).toLowerCase();
+  if (!DESTINATION_PROTOCOLS[protocol] || !parsed.hostname) {
+    throw invalidInput(`推流地址只支持${Object.keys(DESTINATION_PROTOCOLS).map(item => `${item}://`).join('、')}`);
+  }
+
+  const name = typeof value.name === 'string' && value.name.trim()
+    ? value.name.trim().slice(0, 50)
+    : `${protocol.toUpperCase()} ${parsed.host}`;
+  return { url, protocol, name };
+}
+
+/**
+ * 解析启动请求中的推流地址列表
+ * @param {Array} [destinations] - 推流地址列表，参见parseDestination
+ * @param {number} [maxDestinations] - 最多的推流地址数量，默认使用config.restream.maxDestinations
+ * @returns {Object[]} parseDestination的结果，未提供时为空数组
+ * @throws {Error} 格式不正确、数量超过上限或地址重复时抛出，error.invalidInput为true
+ */
+function parseDestinations(destinations, maxDestinations = config.restream.maxDestinations) {
+  if (destinations === undefined || destinations === null) {
+    return [];
+  }
+  if (!Array.isArray(destinations)) {
+    throw invalidInput('推流地址列表格式不正确');
+  }
+  if (destinations.length > maxDestinations) {
+    throw invalidInput(`每个会话最多推流到${maxDestinations}个地址`);
+  }
+
+  const parsed = destinations.map(parseDestination);
+  parsed.forEach((item, index) => {
+    if (parsed.findIndex(other => other.url === item.url) !== index) {
+      throw invalidInput(`推流地址重复: ${maskUrl(item.url)}`);
+    }
+  });
+  return parsed;
+}
+
+/**
+ * 决定推流时是否重新编码
+ * @param {string} protocol - 推流协议
+ * @param {Object} [probe] - 源直播流的探测结果，参见summarizeProbe
+ * @param {string} [mode] - 配置的推流方式auto、copy或transcode，默认使用config.restream.mode
+ * @returns {Object} 推流方式mode（copy或transcode）及原因reason
+ */
+function chooseRestreamMode(protocol, probe, mode = config.restream.mode) {
+  if (mode === 'copy') {
+    return { mode: 'copy', reason: '配置为始终不重新编码' };
+  }
+  if (mode === 'transcode') {
+    return { mode: 'transcode', reason: '配置为始终转码' };
+  }
+
+  if (DESTINATION_PROTOCOLS[protocol].format !== 'flv') {
+    return { mode: 'copy', reason: `${protocol.toUpperCase()}可以直接传输源直播流的编码` };
+  }
+  if (!probe || !probe.video) {
+    return { mode: 'transcode', reason: '未能检测源直播流的编码' };
+  }
+  if (!COMPATIBLE_VIDEO_CODECS.includes(probe.video.codec)) {
+    return { mode: 'transcode', reason: `RTMP不支持源视频编码${(probe.video.codec || '未知').toUpperCase()}` };
+  }
+  if (probe.audio && !COMPATIBLE_AUDIO_CODECS.includes(probe.audio.codec)) {
+    return { mode: 'transcode', reason: `RTMP不支持源音频编码${(probe.audio.codec || '未知').toUpperCase()}` };
+  }
+  return { mode: 'copy', reason: '源直播流已是H.264/AAC，直接推流' };
+}
+
+/**
+ * 生成推流的ffmpeg输出参数
+ * @param {string} protocol - 推流协议
+ * @param {string} mode - copy或transcode
+ * @param {Object} [options] - 转码码率，默认使用config.restream
+ * @param {number} options.videoBitrate - 视频码率（kbps）
+ * @param {number} options.audioBitrate - 音频码率（kbps）
+ * @returns {string[]} ffmpeg输出参数
+ */
+function restreamArgs(protocol, mode, { videoBitrate, audioBitrate } = config.restream) {
+  const args = ['-map', '0:v?', '-map', '0:a?'];
+  if (mode === 'copy') {
+    args.push('-c', 'copy');
+  } else {
+    args.push(
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-tune', 'zerolatency',
+      '-b:v', `${videoBitrate}k`,
+      '-maxrate', `${videoBitrate}k`,
+      '-bufsize', `${videoBitrate * 2}k`,
+      // 直播平台通常要求2秒左右的关键帧间隔
+      '-force_key_frames', 'expr:gte(t,n_forced*2)',
+      '-c:a', 'aac',
+      '-b:a', `${audioBitrate}k`,
+      '-ar', '44100'
+    );
+  }
+  return args.concat(CONTAINER_ARGS[DESTINATION_PROTOCOLS[protocol].format]);
+}
+
+class Restreamer extends EventEmitter {
+  /**
+   * @param {string} sessionId - 会话ID
+   * @param {Object} destination - 推流地址，parseDestination的结果加上会话内的编号id
+   * @param {Object} [options] - 推流选项，未提供的项使用config.restream
+   * @param {number} [options.waitInterval] - 推流中转还没有写出时检查的间隔（毫秒）
+   * @param {Function} [options.createCommand] - 创建ffmpeg命令的函数，默认使用fluent-ffmpeg，便于测试替换
+   */
+  constructor(sessionId, destination, options = {}) {
+    super();
+    this.sessionId = sessionId;
+    this.destination = destination;
+    this.id = destination.id;
+    this.options = { ...config.restream, ...options };
+    this.createCommand = options.createCommand || (url => ffmpeg(url));
+
+    // idle、connecting、live、retrying或stopped
+    this.state = 'idle';
+    this.relay = null;
+    this.command = null;
+    this.decision = null;
+    // 连续失败的次数，推流成功后重置
+    this.failures = 0;
+    this.lastError = null;
+    this.liveSince = null;
+    this.retryTimer = null;
+    this.killTimer = null;
+    this.stopping = false;
+  }
+
+  /**
+   * 读取会话的推流中转开始推流
+   *
+   * 会话重连后再次调用：推流进程仍在运行时只更新中转，
+   * 正在等待重试时立即重新推流。
+   *
+   * @param {Object} relay - 会话输出规划中的推流中转：播放列表file和中转内容的编码probe
+   */
+  start(relay) {
+    this.relay = relay;
+    if (this.stopping || this.command) {
+      return;
+    }
+    clearTimeout(this.retryTimer);
+    this.next();
+  }
+
+  /**
+   * 启动推流进程，启动失败时稍后重试；会话刚启动、中转播放列表还没有写出时等待，不计为失败
+   */
+  next() {
+    if (!fs.existsSync(this.relay.file)) {
+      this.retryTimer = setTimeout(() => {
+        if (!this.stopping && !this.command) {
+          this.next();
+        }
+      }, this.options.waitInterval);
+      if (this.state !== 'connecting') {
+        this.setState('connecting');
+      }
+      return;
+    }
+    try {
+      this.push();
+    } catch (error) {
+      this.lastError = this.maskMessage(error.message);
+      console.error(`启动推流失败: ${this.sessionId} -> ${this.destination.name}，${this.lastError}`);
+      this.scheduleRetry();
+    }
+  }
+
+  /**
+   * 启动ffmpeg读取推流中转并推流到目标地址
+   */
+  push() {
+    const { protocol, url } = this.destination;
+    this.decision = chooseRestreamMode(protocol, this.relay.probe, this.options.mode);
+
+    const command = this.createCommand(this.relay.file);
+    command
+      .inputOptions(...RELAY_INPUT_ARGS)
+      .outputOptions(...restreamArgs(protocol, this.decision.mode, this.options))
+      .output(url)
+      .on('progress', () => {
+        // 有进度说明已连接到接收端并开始发送数据
+        if (command === this.command && this.state !== 'live') {
+          this.failures = 0;
+          this.lastError = null;
+          this.liveSince = Date.now();
+          this.setState('live');
+        }
+      })
+      .on('error', (err) => this.handleExit(command, err))
+      .on('end', () => this.handleExit(command, null));
+
+    command.run();
+    this.command = command;
+    console.log(`开始推流: ${this.sessionId} -> ${this.destination.name}（${maskUrl(url)}，${this.decision.reason}）`);
+    this.setState('connecting');
+  }
+
+  /**
+   * 推流进程退出后，主动停止时结束推流，否则稍后重试
+   * @param {Object} command - 退出的ffmpeg命令
+   * @param {Error|null} err - ffmpeg的错误，正常结束时为null
+   */
+  handleExit(command, err) {
+    if (command !== this.command) {
+      return;
+    }
+    this.command = null;
+    this.liveSince = null;
+    clearTimeout(this.killTimer);
+
+    if (this.stopping) {
+      console.log(`推流已停止: ${this.sessionId} -> ${this.destination.name}`);
+      this.setState('stopped');
+      this.emit('stopped');
+      return;
+    }
+    this.lastError = err ? this.maskMessage(err.message) : '推流已结束';
+    console.warn(`推流中断: ${this.sessionId} -> ${this.destination.name}，${this.lastError}`);
+    this.scheduleRetry();
+  }
+
+  /**
+   * 隐藏错误信息中的推流地址：ffmpeg的错误带有stderr的最后几行，其中会出现完整的推流地址
+   * @param {string} message - 错误信息
+   * @returns {string} 推流地址替换为maskUrl结果后的信息
+   */
+  maskMessage(message) {
+    return String(message).split(this.destination.url).join(maskUrl(this.destination.url));
+  }
+
+  /**
+   * 按退避时间重新推流，推流地址一直不可用时按maxRetryDelay的间隔重试
+   */
+  scheduleRetry() {
+    const { retryDelay, maxRetryDelay } = this.options;
+    this.failures++;
+    const wait = Math.min(retryDelay * 2 ** (this.failures - 1), maxRetryDelay);
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      if (!this.stopping && !this.command) {
+        this.next();
+      }
+    }, wait);
+    this.setState('retrying');
+  }
+
+  /**
+   * 更新推流状态并通知会话
+   * @param {string} state - 新的状态
+   */
+  setState(state) {
+    this.state = state;
+    this.emit('state', this.status());
+  }
+
+  /**
+   * 停止推流
+   *
+   * ffmpeg收到SIGTERM后会发送结束标记再断开，超过stopTimeout仍未退出时强制结束。
+   *
+   * @returns {Promise<void>} 推流进程退出后resolve
+   */
+  stop() {
+    if (!this.stopping) {
+      this.stopping = true;
+      clearTimeout(this.retryTimer);
+      if (this.command) {
+        const command = this.command;
+        this.stopped = new Promise(resolve => this.once('stopped', resolve));
+        command.kill('SIGTERM');
+        this.killTimer = setTimeout(() => {
+          console.warn(`推流进程未能及时退出，强制结束: ${this.sessionId} -> ${this.destination.name}`);
+          command.kill('SIGKILL');
+        }, this.options.stopTimeout);
+      } else {
+        this.setState('stopped');
+        this.stopped = Promise.resolve();
+      }
+    }
+    return this.stopped;
+  }
+
+  /**
+   * 推流状态，供接口返回，地址中的密钥已隐藏
+   * @returns {Object} 编号id、名称、协议、地址、状态、推流方式、开始推流的时间、连续失败次数和最近的错误
+   */
+  status() {
+    return {
+      id: this.id,
+      name: this.destination.name,
+      protocol: this.destination.protocol,
+      url: maskUrl(this.destination.url),
+      state: this.state,
+      mode: this.decision ? this.decision.mode : null,
+      modeReason: this.decision ? this.decision.reason : null,
+      liveSince: this.liveSince,
+      failures: this.failures,
+      error: this.lastError
+    };
+  }
+}
+
+module.exports = {
+  DESTINATION_PROTOCOLS,
+  RELAY_INPUT_ARGS,
+  maskUrl,
+  parseDestination,
+  parseDestinations,
+  chooseRestreamMode,
+  restreamArgs,
+  Restreamer
+};
@@ -0,0 +1,229 @@
+/**
+ * 共享会话登记
+ *
+ * 同一个直播间只运行一个转播会话：会话按规范化后的直播间（web_rid或room_id）登记，
+ * 后来打开同一直播间的观众直接加入已有的会话，不再重复提取直播流和启动ffmpeg；
+ * 同一直播间正在启动时，后来的请求等待该次启动完成后加入。
+ * 手动填写直播流地址的会话不共享，只记录观众。
+ *
+ * 每个会话记录是否通过WebSocket发起，以及正在观看的观众（socket ID）。通过WebSocket发起的会话在最后一个观众离开后
+ * 等待一段宽限期，期间没有人重新加入时触发idle事件，由调用方停止会话；服务端重启后恢复的会话同样如此，
+ * 不依赖发起者原来的socket。通过HTTP接口发起的会话不会因为没有观众而停止，需要调用停止接口；
+ * 停止接口只在会话不是通过WebSocket发起、也没有其他观众时才真正停止会话（参见release）。
+ *
+ * 事件：
+ * - viewers：观众数量变化，参数为 (sessionId, count)
+ * - idle：会话在宽限期内没有观众，参数为sessionId
+ */
+
+const EventEmitter = require('events');
+const config = require('./config');
+const { waitFor } = require('./cancellation');
+
+/**
+ * 计算直播间的共享键
+ * @param {Object|null} room - 规范化后的直播间信息，手动填写直播流地址时为null
+ * @returns {string|null} 例如 "web_rid:123456"，没有直播间时为null
+ */
+function roomKey(room) {
+  if (!room) {
+    return null;
+  }
+  return room.webRid ? `web_rid:${room.webRid}` : `room_id:${room.roomId}`;
+}
+
+class SessionRegistry extends EventEmitter {
+  /**
+   * @param {Object} [options] - 选项，未提供的项使用config.sessions
+   * @param {number} [options.graceMs] - 最后一个观众离开后保留会话的时间（毫秒）
+   */
+  constructor(options = {}) {
+    super();
+    this.options = { ...config.sessions, ...options };
+    // sessionId -> { sessionId, key, stream, viaSocket, viewers, idleTimer }
+    this.entries = new Map();
+    // 共享键 -> sessionId
+    this.rooms = new Map();
+    // 共享键 -> 正在进行的启动
+    this.starting = new Map();
+  }
+
+  /**
+   * 获取直播间的会话，不存在时启动一个
+   *
+   * 同一直播间已有会话时直接返回；正在启动时等待其完成，启动被发起者取消时由当前请求重新启动，
+   * 其他原因失败时返回同样的错误。
+   *
+   * @param {string|null} key - 共享键，为null时总是启动新的会话
+   * @param {Function} start - 启动会话的异步函数，需要在resolve前调用register登记会话
+   * @param {AbortSignal} [signal] - 当前请求的取消信号
+   * @returns {Promise<Object>} 会话的启动结果stream，以及是否加入了已有的会话shared
+   */
+  async acquire(key, start, signal) {
+    while (key) {
+      const sessionId = this.rooms.get(key);
+      if (sessionId) {
+        return { stream: this.entries.get(sessionId).stream, shared: true };
+      }
+      const pending = this.starting.get(key);
+      if (!pending) {
+        break;
+      }
+      try {
+        await waitFor(pending, signal);
+      } catch (error) {
+        // 当前请求被取消，或启动失败且不是因为发起者取消
+        if ((signal && signal.aborted) || !error.cancelled) {
+          throw error;
+        }
+      }
+    }
+
+    const promise = start();
+    if (key) {
+      this.starting.set(key, promise);
+    }
+    try {
+      return { stream: await promise, shared: false };
+    } finally {
+      if (this.starting.get(key) === promise) {
+        this.starting.delete(key);
+      }
+    }
+  }
+
+  /**
+   * 登记已启动的会话
+   * @param {string} sessionId - 会话ID
+   * @param {string|null} key - 共享键，为null时不共享
+   * @param {Object} stream - 会话的启动结果，后来的观众直接使用
+   * @param {boolean} [viaSocket] - 是否通过WebSocket发起，为true时没有观众后自动停止
+   */
+  register(sessionId, key, stream, viaSocket = false) {
+    this.entries.set(sessionId, { sessionId, key, stream, viaSocket, viewers: new Set(), idleTimer: null });
+    if (key) {
+      this.rooms.set(key, sessionId);
+    }
+  }
+
+  /**
+   * 会话结束后移除登记
+   * @param {string} sessionId - 会话ID
+   */
+  unregister(sessionId) {
+    const entry = this.entries.get(sessionId);
+    if (!entry) {
+      return;
+    }
+    clearTimeout(entry.idleTimer);
+    this.entries.delete(sessionId);
+    if (entry.key && this.rooms.get(entry.key) === sessionId) {
+      this.rooms.delete(entry.key);
+    }
+  }
+
+  /**
+   * 观众加入会话，取消正在等待的宽限期
+   * @param {string} sessionId - 会话ID
+   * @param {string} viewerId - 观众的socket ID
+   * @returns {number} 当前观众数量，会话未登记时为0
+   */
+  addViewer(sessionId, viewerId) {
+    const entry = this.entries.get(sessionId);
+    if (!entry) {
+      return 0;
+    }
+    clearTimeout(entry.idleTimer);
+    entry.idleTimer = null;
+    if (!entry.viewers.has(viewerId)) {
+      entry.viewers.add(viewerId);
+      this.emit('viewers', sessionId, entry.viewers.size);
+    }
+    return entry.viewers.size;
+  }
+
+  /**
+   * 观众离开会话，通过WebSocket发起的会话在最后一个观众离开后开始宽限期
+   * @param {string} sessionId - 会话ID
+   * @param {string} viewerId - 观众的socket ID
+   */
+  removeViewer(sessionId, viewerId) {
+    const entry = this.entries.get(sessionId);
+    if (!entry || !entry.viewers.delete(viewerId)) {
+      return;
+    }
+    this.emit('viewers', sessionId, entry.viewers.size);
+    this.startGrace(sessionId);
+  }
+
+  /**
+   * 通过WebSocket发起的会话没有观众时开始宽限期，例如服务端重启后恢复的会话还没有观众重新加入
+   * @param {string} sessionId - 会话ID
+   */
+  startGrace(sessionId) {
+    const entry = this.entries.get(sessionId);
+    if (!entry || entry.viewers.size > 0 || !entry.viaSocket || entry.idleTimer) {
+      return;
+    }
+    console.log(`会话已没有观众，${this.options.graceMs}ms后停止: ${sessionId}`);
+    entry.idleTimer = setTimeout(() => {
+      entry.idleTimer = null;
+      if (this.entries.get(sessionId) === entry && entry.viewers.size === 0) {
+        this.emit('idle', sessionId);
+      }
+    }, this.options.graceMs);
+  }
+
+  /**
+   * 处理停止请求：请求方先离开会话，会话不是通过WebSocket发起、也没有其他观众时才可以停止
+   *
+   * 共享的会话可能还有其他人在观看；通过WebSocket发起的会话在没有观众后由宽限期停止。
+   * 这两种情况下停止请求只相当于离开会话。
+   *
+   * @param {string} sessionId - 会话ID
+   * @param {string|null} [viewerId] - 请求方的socket ID，没有通过WebSocket观看时为null
+   * @returns {boolean} 可以立即停止会话时为true，会话未登记时也为true
+   */
+  release(sessionId, viewerId = null) {
+    if (viewerId) {
+      this.removeViewer(sessionId, viewerId);
+    }
+    const entry = this.entries.get(sessionId);
+    return !entry || (!entry.viaSocket && entry.viewers.size === 0);
+  }
+
+  /**
+   * 观众断开连接，离开其观看的所有会话
+   * @param {string} viewerId - 观众的socket ID
+   */
+  removeViewerEverywhere(viewerId) {
+    for (const sessionId of [...this.entries.keys()]) {
+      this.removeViewer(sessionId, viewerId);
+    }
+  }
+
+  /**
+   * 会话的观众数量
+   * @param {string} sessionId - 会话ID
+   * @returns {number} 观众数量，会话未登记时为0
+   */
+  viewerCount(sessionId) {
+    const entry = this.entries.get(sessionId);
+    return entry ? entry.viewers.size : 0;
+  }
+
+  /**
+   * 会话是否通过WebSocket发起
+   * @param {string} sessionId - 会话ID
+   * @returns {boolean} 通过WebSocket发起时为true，通过HTTP接口发起或会话未登记时为false
+   */
+  startedOverSocket(sessionId) {
+    const entry = this.entries.get(sessionId);
+    return entry ? entry.viaSocket : false;
+  }
+}
+
+module.exports = {
+  roomKey,
+  SessionRegistry
+};
@@ -0,0 +1,146 @@
+/**
+ * 会话持久化
+ *
+ * 正在运行的会话的启动参数保存在本地JSON文件中（默认 server/data/sessions.json），
+ * 服务端崩溃或重启后据此重新提取直播流并恢复会话。会话正常结束时删除记录，
+ * 服务端关闭（SIGTERM）时保留记录，下次启动后恢复。
+ *
+ * 拉流Cookie和推流地址（含推流码、SRT密钥）默认不保存，恢复的会话不再使用Cookie、也不再推流；
+ * 开启config.sessions.persistSecrets后才保存，此时文件只应由运行服务端的用户读取。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// 需要保存的启动参数，其他参数（如requestId）只对当次请求有意义
+const PERSISTED_PARAMS = ['url', 'streamUrl', 'referer', 'cookie', 'quality', 'protocol', 'record', 'playback', 'destinations'];
+
+// 含有密钥的启动参数，只在开启persistSecrets时保存
+const SECRET_PARAMS = ['cookie', 'destinations'];
+
+/**
+ * 挑选需要保存的启动参数
+ * @param {Object} params - /api/start-stream或join-stream的请求参数
+ * @param {boolean} [persistSecrets] - 是否保存SECRET_PARAMS，默认使用config.sessions.persistSecrets
+ * @returns {Object} 可以重新启动会话的参数
+ */
+function persistedParams(params, persistSecrets = config.sessions.persistSecrets) {
+  const result = {};
+  for (const key of PERSISTED_PARAMS) {
+    if (params[key] !== undefined && (persistSecrets || !SECRET_PARAMS.includes(key))) {
+      result[key] = params[key];
+    }
+  }
+  return result;
+}
+
+class SessionStore {
+  /**
+   * @param {string} [file] - 保存记录的文件，默认使用config.sessions.storeFile
+   * @param {boolean} [persistSecrets] - 是否保存Cookie和推流地址，默认使用config.sessions.persistSecrets
+   */
+  constructor(file = config.sessions.storeFile, persistSecrets = config.sessions.persistSecrets) {
+    this.file = file;
+    this.persistSecrets = persistSecrets;
+    // sessionId -> { sessionId, params, startedBy, createdAt, resumeCount }
+    this.records = new Map();
+  }
+
+  /**
+   * 读取文件中的记录，文件不存在或内容损坏时视为没有记录
+   * @returns {Object[]} 上次运行时仍在运行的会话记录
+   */
+  load() {
+    this.records.clear();
+    let items = [];
+    try {
+      items = JSON.parse(fs.readFileSync(this.file, 'utf8')).sessions || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`读取会话记录失败，将忽略: ${this.file}`, error.message);
+      }
+    }
+    for (const item of items) {
+      if (item && item.sessionId && item.params) {
+        this.records.set(item.sessionId, item);
+      }
+    }
+    return this.list();
+  }
+
+  /**
+   * 所有记录
+   * @returns {Object[]} 会话记录
+   */
+  list() {
+    return [...this.records.values()];
+  }
+
+  /**
+   * 是否有会话的记录
+   * @param {string} sessionId - 会话ID
+   * @returns {boolean} 有记录时为true
+   */
+  has(sessionId) {
+    return this.records.has(sessionId);
+  }
+
+  /**
+   * 保存或替换会话的记录
+   * @param {Object} record - 会话记录
+   * @param {string} record.sessionId - 会话ID
+   * @param {Object} record.params - 启动参数，只保存PERSISTED_PARAMS中的项
+   * @param {string} record.startedBy - 发起方式socket或api
+   */
+  save(record) {
+    this.records.set(record.sessionId, { ...record, params: persistedParams(record.params, this.persistSecrets) });
+    this.write();
+  }
+
+  /**
+   * 修改会话记录的启动参数，例如运行期间增加或移除了推流地址
+   * @param {string} sessionId - 会话ID
+   * @param {Object} changes - 要修改的参数
+   */
+  updateParams(sessionId, changes) {
+    const record = this.records.get(sessionId);
+    if (!record) {
+      return;
+    }
+    record.params = persistedParams({ ...record.params, ...changes }, this.persistSecrets);
+    this.write();
+  }
+
+  /**
+   * 删除会话记录
+   * @param {string} sessionId - 会话ID
+   */
+  remove(sessionId) {
+    if (this.records.delete(sessionId)) {
+      this.write();
+    }
+  }
+
+  /**
+   * 写入文件，先写临时文件再替换，避免写到一半时崩溃留下损坏的文件
+   */
+  write() {
+    const tmp = `${this.file}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify({ sessions: this.list() }, null, 2), { mode: 0o600 });
+      fs.renameSync(tmp, this.file);
+    } catch (error) {
+      // 保存失败不影响正在运行的会话，只是重启后无法恢复
+      console.error(`保存会话记录失败: ${this.file}`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  PERSISTED_PARAMS,
+  SECRET_PARAMS,
+  persistedParams,
+  SessionStore
+};
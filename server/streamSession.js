@@ -0,0 +1,575 @@
+/**
+ * 转播会话
+ *
+ * 负责一个会话的ffmpeg进程。抖音的拉流地址带有签名、会过期，CDN也偶尔断流，
+ * ffmpeg的输入中断后会话不会直接结束，而是等待一段时间后重新提取同一直播间的最新地址，
+ * 重新启动ffmpeg继续输出到同一会话（HLS沿用原播放列表和分片序号）。
+ * 连续重连失败超过次数上限后会话才结束。
+ *
+ * 运行期间由StallWatchdog检测卡住的ffmpeg（帧数不再增加、速度持续低于实时或输出不再更新），
+ * 卡住时按配置重启（与输入中断相同的重连流程）或结束会话。也可以手动重启，同样重新提取最新地址。
+ *
+ * 开启录制时由Recorder另外把直播流保存到录制目录，重连后使用新的地址继续录制，
+ * 会话结束时等待当前录制文件写完后才触发ended事件。运行期间也可以开始或停止录制。
+ *
+ * 配置了推流地址时由Restreamer另外把直播流推送到RTMP/SRT地址，运行期间可以增加或移除推流地址。
+ * 推流进程读取会话ffmpeg写出的本地HLS播放列表，直播流只拉取一次；MP4输出的会话在有推流地址时另外写出推流中转，
+ * 运行期间第一次增加推流地址时需要重启一次ffmpeg。关闭本地播放时会话的ffmpeg只写出推流中转。
+ *
+ * 事件：
+ * - started：ffmpeg首次启动，参数为输出规划
+ * - reconnecting：输入中断，准备重连，参数为 { attempt, maxRetries, delay, reason }
+ * - resumed：已使用新的地址重新启动ffmpeg，参数为 { attempt, streamUrl, mode }
+ * - progress：ffmpeg的进度信息
+ * - stalled：检测到ffmpeg卡住，参数为 { reason, action }
+ * - destination：推流状态变化，参数为Restreamer的status()
+ * - ended：会话结束，参数为 { reason, message }，reason为stopped（用户停止）、idle（没有观众）、
+ *   source-ended（直播流中断且无法恢复）、error（处理出错，例如卡住后被终止）或shutdown（服务端关闭）
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const config = require('./config');
+const { formatHeaders } = require('./probe');
+const { planOutput, outputTarget } = require('./transcoder');
+const { delay, throwIfCancelled } = require('./cancellation');
+const { StallWatchdog, lastModified, parseTimemark } = require('./watchdog');
+const { Recorder } = require('./recorder');
+const { Restreamer, maskUrl } = require('./restream');
+
+/**
+ * 输出ffmpeg的进度日志
+ * @param {string} sessionId - 会话ID
+ * @param {Object} progress - fluent-ffmpeg的进度信息
+ */
+function logProgress(sessionId, progress) {
+  // 检查progress对象是否包含完整的信息
+  if (!progress || typeof progress !== 'object') {
+    console.log(`转码处理中... (${sessionId})`);
+    return;
+  }
+
+  // 构建更详细的进度日志
+  const detailInfo = [];
+  if (progress.frames !== undefined) detailInfo.push(`帧数: ${progress.frames}`);
+  if (progress.currentFps !== undefined) detailInfo.push(`FPS: ${progress.currentFps}`);
+  if (progress.targetSize !== undefined) detailInfo.push(`大小: ${progress.targetSize}KB`);
+  if (progress.timemark !== undefined) detailInfo.push(`时间: ${progress.timemark}`);
+
+  console.log(`转码进度 ${sessionId}: ${detailInfo.length > 0 ? detailInfo.join(', ') : '处理中...'}`);
+}
+
+class StreamSession extends EventEmitter {
+  /**
+   * @param {string} sessionId - 会话ID
+   * @param {Object} source - 直播流来源
+   * @param {string} source.streamUrl - 直播流地址
+   * @param {Object} [source.headers] - 拉流时附带的请求头
+   * @param {Object} [source.probe] - 源直播流的探测结果
+   * @param {string} [source.quality] - 直播流的清晰度，手动填写直播流地址时为null
+   * @param {Object} [options] - 会话选项
+   * @param {Function} [options.refresh] - 重连前获取最新来源的异步函数，接收取消信号，返回新的source；
+   *   未提供时使用原来的地址重连
+   * @param {Object} [options.supervisor] - 重连配置，默认使用config.supervisor
+   * @param {Object} [options.watchdog] - 卡顿检测配置，默认使用config.watchdog
+   * @param {Object} [options.recording] - 录制选项，参见Recorder，未提供时不录制
+   * @param {Object} [options.room] - 规范化后的直播间信息，手动填写直播流地址时为null
+   * @param {Object[]} [options.destinations] - 推流地址，参见parseDestinations
+   * @param {Object} [options.restream] - 推流配置，默认使用config.restream
+   * @param {boolean} [options.playback] - 是否输出本地播放的转码流，默认为true；为false时必须提供推流地址
+   * @param {Object} [options.resumed] - 服务端重启后恢复的会话：恢复次数count和最初的启动时间firstStartedAt
+   * @param {Function} [options.createCommand] - 创建ffmpeg命令的函数，默认使用fluent-ffmpeg，便于测试替换
+   */
+  constructor(sessionId, source, options = {}) {
+    super();
+    this.sessionId = sessionId;
+    this.source = source;
+    this.refresh = options.refresh || null;
+    this.room = options.room || null;
+    this.playback = options.playback !== false;
+    this.resumed = options.resumed || null;
+    this.supervisor = { ...config.supervisor, ...options.supervisor };
+    this.watchdogOptions = { ...config.watchdog, ...options.watchdog };
+    this.createCommand = options.createCommand || (url => ffmpeg(url));
+
+    // starting、running、reconnecting或ended
+    this.state = 'starting';
+    this.command = null;
+    this.plan = null;
+    this.attempts = 0;
+    this.restarts = 0;
+    this.startedAt = null;
+    this.runStartedAt = null;
+    this.lastError = null;
+    // 当前ffmpeg最近一次的进度：帧数frames、FPS、码率bitrate（kbps）、已处理时长time（秒）和更新时间updatedAt
+    this.progress = null;
+    this.watchdog = null;
+    this.watchdogTimer = null;
+    // 卡住或手动重启时的原因，替代ffmpeg被终止的错误信息
+    this.restartReason = null;
+    // 主动结束会话的原因，未设置时为stopped
+    this.endReason = null;
+    this.stopping = false;
+    this.controller = new AbortController();
+    this.recorder = options.recording
+      ? new Recorder(sessionId, { createCommand: this.createCommand, ...options.recording })
+      : null;
+    // 推流地址编号 -> Restreamer
+    this.restreamers = new Map();
+    this.destinationCount = 0;
+    this.restreamOptions = { ...config.restream, ...options.restream, createCommand: this.createCommand };
+    for (const destination of options.destinations || []) {
+      this.addDestination(destination);
+    }
+    // 会话结束（包括录制文件写完、推流停止）后resolve
+    this.closed = new Promise(resolve => this.once('ended', resolve));
+  }
+
+  /**
+   * 增加推流地址，会话正在运行时立即开始推流，正在重连时在恢复后开始；
+   * MP4输出的会话还没有写出推流中转时重启一次ffmpeg
+   * @param {Object} destination - 推流地址，parseDestination的结果
+   * @returns {Object} 推流状态，参见Restreamer的status()
+   * @throws {Error} 会话已结束时error.notFound为true；数量超过上限或地址重复时error.invalidInput为true
+   */
+  addDestination(destination) {
+    if (this.state === 'ended' || this.stopping) {
+      const error = new Error('直播会话已结束');
+      error.notFound = true;
+      throw error;
+    }
+    const { maxDestinations } = this.restreamOptions;
+    if (this.restreamers.size >= maxDestinations) {
+      const error = new Error(`每个会话最多推流到${maxDestinations}个地址`);
+      error.invalidInput = true;
+      throw error;
+    }
+    if ([...this.restreamers.values()].some(item => item.destination.url === destination.url)) {
+      const error = new Error(`推流地址重复: ${maskUrl(destination.url)}`);
+      error.invalidInput = true;
+      throw error;
+    }
+
+    const id = String(++this.destinationCount);
+    const restreamer = new Restreamer(this.sessionId, { ...destination, id }, this.restreamOptions);
+    restreamer.on('state', status => this.emit('destination', status));
+    this.restreamers.set(id, restreamer);
+    if (this.state === 'running' && this.plan.relay) {
+      restreamer.start(this.plan.relay);
+    } else if (this.state === 'running' && this.command) {
+      // MP4输出还没有写出推流中转，重启后由run()开始推流
+      this.restart('增加推流地址，重新启动以写出推流中转');
+    }
+    return restreamer.status();
+  }
+
+  /**
+   * 移除推流地址
+   * @param {string} id - 推流地址编号
+   * @returns {Promise<void>} 推流进程退出后resolve
+   * @throws {Error} 推流地址不存在时error.notFound为true
+   */
+  removeDestination(id) {
+    const restreamer = this.restreamers.get(id);
+    if (!restreamer) {
+      const error = new Error('推流地址不存在');
+      error.notFound = true;
+      throw error;
+    }
+    this.restreamers.delete(id);
+    console.log(`移除推流地址: ${this.sessionId} -> ${restreamer.destination.name}`);
+    return restreamer.stop();
+  }
+
+  /**
+   * 手动重启：终止当前的ffmpeg，按输入中断的流程重新获取直播流地址后继续输出
+   * @param {string} [reason] - 重启的原因，作为重连事件的reason
+   * @throws {Error} 会话已结束时error.notFound为true；正在重连时error.busy为true
+   */
+  restart(reason = '手动重启') {
+    if (this.state === 'ended' || this.stopping) {
+      const error = new Error('直播会话已结束');
+      error.notFound = true;
+      throw error;
+    }
+    if (!this.command) {
+      const error = new Error('直播会话正在重连，请稍后再试');
+      error.busy = true;
+      throw error;
+    }
+    console.log(`重启直播会话: ${this.sessionId}（${reason}）`);
+    // 手动重启不计入连续重连失败的次数
+    this.attempts = 0;
+    this.restartReason = reason;
+    this.command.kill('SIGTERM');
+  }
+
+  /**
+   * 开始录制，会话正在运行时立即开始写入，正在重连时在恢复后开始
+   * @param {Object} recording - 录制选项，参见Recorder
+   * @returns {Object} 录制状态，参见Recorder的status()
+   * @throws {Error} 会话已结束时error.notFound为true；已在录制时error.busy为true
+   */
+  startRecording(recording) {
+    if (this.state === 'ended' || this.stopping) {
+      const error = new Error('直播会话已结束');
+      error.notFound = true;
+      throw error;
+    }
+    if (this.recorder) {
+      const error = new Error(this.recorder.stopping ? '正在停止录制，请稍后再试' : '会话已在录制');
+      error.busy = true;
+      throw error;
+    }
+    this.recorder = new Recorder(this.sessionId, { createCommand: this.createCommand, ...recording });
+    if (this.command) {
+      this.recorder.start(this.source);
+    }
+    return this.recorder.status();
+  }
+
+  /**
+   * 停止录制，等待当前文件写完
+   * @returns {Promise<Object>} 停止前的录制状态，包含已写完的文件
+   * @throws {Error} 没有在录制时error.notFound为true
+   */
+  async stopRecording() {
+    const recorder = this.recorder;
+    if (!recorder) {
+      const error = new Error('会话没有在录制');
+      error.notFound = true;
+      throw error;
+    }
+    await recorder.stop();
+    // 写完之前保留录制器，正在写入的文件不会被当作过期文件删除
+    if (this.recorder === recorder) {
+      this.recorder = null;
+    }
+    return recorder.status();
+  }
+
+  /**
+   * 启动ffmpeg
+   * @returns {Object} 输出规划，参见planOutput
+   * @throws {Error} 无法创建输出目录或启动ffmpeg时抛出
+   */
+  start() {
+    this.startedAt = Date.now();
+    // 服务端重启后恢复的会话继续写入上次留下的HLS播放列表
+    this.run(this.source, Boolean(this.resumed) && fs.existsSync(outputTarget(this.sessionId).dir));
+    this.emit('started', this.plan);
+    return this.plan;
+  }
+
+  /**
+   * 使用指定的来源启动一次ffmpeg
+   * @param {Object} source - 直播流来源
+   * @param {boolean} resume - 是否为重连后继续输出
+   */
+  run(source, resume) {
+    const plan = planOutput(this.sessionId, {
+      probe: source.probe,
+      resume,
+      output: this.playback ? undefined : 'none',
+      relay: this.restreamers.size > 0
+    });
+    for (const dir of [plan.dir, plan.relay && plan.relay.args ? path.dirname(plan.relay.file) : null]) {
+      if (dir && !fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+    }
+
+    const command = this.createCommand(source.streamUrl);
+    const headers = formatHeaders(source.headers);
+    if (headers) {
+      // 分开传入参数，避免fluent-ffmpeg按空格拆分请求头
+      command.inputOptions('-headers', headers);
+    }
+    // 展开传入参数，避免fluent-ffmpeg按空格拆分var_stream_map等参数
+    command
+      .outputOptions(...plan.args)
+      .output(plan.file);
+    if (plan.relay && plan.relay.args) {
+      // 同一个ffmpeg另外写出推流中转，后一个输出的参数写在output()之后
+      command.output(plan.relay.file).outputOptions(...plan.relay.args);
+    }
+    command
+      .on('start', () => {
+        const renditions = plan.renditions.map(item => item.name).join(', ');
+        console.log(`开始处理直播流: ${this.sessionId}（${plan.mode === 'copy' ? '转封装' : '转码'}，${plan.modeReason}，清晰度: ${renditions}）`);
+      })
+      .on('progress', (progress) => {
+        logProgress(this.sessionId, progress);
+        this.recordProgress(progress);
+        if (this.watchdog) this.watchdog.record(progress);
+        this.emit('progress', progress);
+      })
+      .on('error', (err) => this.handleExit(command, err))
+      .on('end', () => this.handleExit(command, null));
+
+    command.run();
+    this.command = command;
+    this.plan = plan;
+    this.source = source;
+    this.runStartedAt = Date.now();
+    this.progress = null;
+    this.state = 'running';
+    this.startWatchdog();
+    if (this.recorder) {
+      this.recorder.start(source);
+    }
+    if (plan.relay) {
+      for (const restreamer of this.restreamers.values()) {
+        restreamer.start(plan.relay);
+      }
+    }
+  }
+
+  /**
+   * 记录ffmpeg的进度，供状态接口返回
+   * @param {Object} progress - fluent-ffmpeg的进度信息
+   */
+  recordProgress(progress) {
+    if (!progress || typeof progress !== 'object') {
+      return;
+    }
+    const number = value => (value === undefined || value === null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+    this.progress = {
+      frames: number(progress.frames),
+      fps: number(progress.currentFps),
+      bitrate: number(progress.currentKbps),
+      time: parseTimemark(progress.timemark),
+      updatedAt: Date.now()
+    };
+  }
+
+  /**
+   * 当前ffmpeg的处理统计
+   *
+   * 处理速度优先使用卡顿检测窗口内的速度，关闭卡顿检测或采样不足时使用本次启动以来的平均速度。
+   *
+   * @returns {Object|null} 帧数frames、FPS、码率bitrate（kbps）、处理速度speed（1表示实时）和更新时间updatedAt，
+   *   还没有进度时为null
+   */
+  stats() {
+    if (!this.progress || this.state !== 'running') {
+      return null;
+    }
+    const { frames, fps, bitrate, time, updatedAt } = this.progress;
+    let speed = this.watchdog ? this.watchdog.speed() : null;
+    const elapsed = (updatedAt - this.runStartedAt) / 1000;
+    if (speed === null && time !== null && elapsed > 0) {
+      speed = time / elapsed;
+    }
+    return { frames, fps, bitrate, speed: speed === null ? null : Math.round(speed * 100) / 100, updatedAt };
+  }
+
+  /**
+   * 开始定时检查ffmpeg是否卡住
+   */
+  startWatchdog() {
+    this.stopWatchdog();
+    if (!this.watchdogOptions.enabled) {
+      return;
+    }
+    this.watchdog = new StallWatchdog(this.watchdogOptions);
+    // HLS输出和只推流时检查会话目录中最新的文件，MP4输出检查输出文件本身
+    const target = { hls: this.plan.dir, mp4: this.plan.file, none: this.plan.dir }[this.plan.output] || null;
+    this.watchdogTimer = setInterval(() => {
+      const reason = this.watchdog.check(target ? lastModified(target) : null);
+      if (reason) {
+        this.handleStall(reason);
+      }
+    }, this.watchdogOptions.interval);
+  }
+
+  /**
+   * 停止卡顿检查
+   */
+  stopWatchdog() {
+    clearInterval(this.watchdogTimer);
+    this.watchdogTimer = null;
+  }
+
+  /**
+   * ffmpeg卡住时按配置重启或结束会话
+   * @param {string} reason - 卡住的原因
+   */
+  handleStall(reason) {
+    const { action } = this.watchdogOptions;
+    this.stopWatchdog();
+    console.warn(`直播流处理卡住: ${this.sessionId}，${reason}，${action === 'terminate' ? '结束会话' : '重新启动'}`);
+    this.lastError = `直播流处理卡住: ${reason}`;
+    this.emit('stalled', { reason, action });
+
+    if (action === 'terminate') {
+      // 卡住的进程可能不响应SIGTERM
+      this.stop('error', `直播流处理卡住: ${reason}`, 'SIGKILL');
+    } else if (this.command) {
+      // 终止卡住的进程，退出后按输入中断的流程重连
+      this.restartReason = `直播流处理卡住: ${reason}`;
+      this.command.kill('SIGKILL');
+    }
+  }
+
+  /**
+   * ffmpeg退出后，主动停止时结束会话，否则视为输入中断并重连
+   * @param {Object} command - 退出的ffmpeg命令
+   * @param {Error|null} err - ffmpeg的错误，正常结束时为null
+   */
+  handleExit(command, err) {
+    if (command !== this.command) {
+      return;
+    }
+    this.command = null;
+    this.stopWatchdog();
+
+    if (this.stopping) {
+      this.finishStopped();
+      return;
+    }
+
+    const reason = this.restartReason || (err ? err.message : '直播流输入已结束');
+    this.restartReason = null;
+    console.error(`直播流输入中断: ${this.sessionId}，${reason}`);
+    this.reconnect(reason);
+  }
+
+  /**
+   * 按退避时间重新获取地址并重启ffmpeg，超过次数上限后结束会话
+   * @param {string} reason - 中断原因
+   */
+  async reconnect(reason) {
+    const { maxRetries, backoff, maxBackoff, stableAfter } = this.supervisor;
+    const { signal } = this.controller;
+    // 上次恢复后已稳定运行一段时间，重新计算重连次数
+    if (Date.now() - this.runStartedAt >= stableAfter) {
+      this.attempts = 0;
+    }
+
+    while (!this.stopping) {
+      if (this.attempts >= maxRetries) {
+        this.finish('source-ended', `重连${maxRetries}次后仍无法恢复直播流: ${reason}`);
+        return;
+      }
+
+      this.attempts++;
+      const wait = Math.min(backoff * 2 ** (this.attempts - 1), maxBackoff);
+      this.state = 'reconnecting';
+      this.lastError = reason;
+      console.log(`${wait}ms后第${this.attempts}/${maxRetries}次重连: ${this.sessionId}`);
+      this.emit('reconnecting', { attempt: this.attempts, maxRetries, delay: wait, reason });
+
+      try {
+        await delay(wait, signal);
+        const source = this.refresh ? await this.refresh(signal) : this.source;
+        throwIfCancelled(signal);
+        this.run(source, true);
+        this.restarts++;
+        console.log(`直播流已恢复: ${this.sessionId}`);
+        this.emit('resumed', { attempt: this.attempts, streamUrl: source.streamUrl, mode: this.plan.mode });
+        return;
+      } catch (error) {
+        if (error.cancelled) {
+          // 重连期间被停止
+          this.finishStopped();
+          return;
+        }
+        reason = error.message;
+        console.warn(`第${this.attempts}次重连失败: ${this.sessionId}，${reason}`);
+      }
+    }
+    this.finishStopped();
+  }
+
+  /**
+   * 停止会话，正在进行的重连会被取消
+   * @param {string} [reason] - ended事件的结束原因，默认stopped
+   * @param {string} [message] - ended事件的说明
+   * @param {string} [signal] - 发送给ffmpeg的信号，默认SIGTERM以便正常写完输出
+   * @returns {Promise<void>} 会话结束、录制文件写完后resolve
+   */
+  stop(reason = 'stopped', message = '已停止直播转播', signal = 'SIGTERM') {
+    if (this.state === 'ended' || this.stopping) {
+      return this.closed;
+    }
+    this.endReason = { reason, message };
+    this.stopping = true;
+    this.controller.abort();
+    if (this.command) {
+      this.command.kill(signal);
+    } else if (this.state !== 'reconnecting') {
+      this.finishStopped();
+    }
+    return this.closed;
+  }
+
+  /**
+   * 主动停止后结束会话，使用stop()传入的原因
+   */
+  finishStopped() {
+    const { reason, message } = this.endReason || { reason: 'stopped', message: '已停止直播转播' };
+    this.finish(reason, message);
+  }
+
+  /**
+   * 结束会话，只会触发一次ended事件，等待当前录制文件写完、推流进程退出
+   * @param {string} reason - 结束原因，参见ended事件
+   * @param {string} message - 显示给用户的说明
+   */
+  async finish(reason, message) {
+    if (this.state === 'ended') {
+      return;
+    }
+    this.state = 'ended';
+    this.stopWatchdog();
+    if (reason === 'source-ended' || reason === 'error') {
+      this.lastError = message;
+    }
+    await Promise.all([
+      this.recorder ? this.recorder.stop() : null,
+      ...[...this.restreamers.values()].map(item => item.stop())
+    ]);
+    console.log(`直播会话已结束: ${this.sessionId}（${message}）`);
+    this.emit('ended', { reason, message });
+  }
+
+  /**
+   * 会话状态，供接口返回
+   * @returns {Object} 会话ID、状态、直播间和当前直播流地址、重连次数、输出方式、处理统计等
+   */
+  status() {
+    return {
+      sessionId: this.sessionId,
+      state: this.state,
+      startedAt: this.startedAt,
+      // 服务端重启后恢复的会话为恢复次数count和最初的启动时间firstStartedAt，否则为null
+      resumed: this.resumed,
+      restarts: this.restarts,
+      reconnectAttempts: this.attempts,
+      lastError: this.lastError,
+      // 直播间地址，手动填写直播流地址时为null
+      roomUrl: this.room ? this.room.url : null,
+      streamUrl: this.source.streamUrl,
+      quality: this.source.quality || null,
+      output: this.plan ? this.plan.output : null,
+      transcodeMode: this.plan ? this.plan.mode : null,
+      // 已处理帧数、FPS、处理速度和最近一次进度的时间
+      health: this.watchdog && this.state === 'running' ? this.watchdog.status() : null,
+      // 当前ffmpeg的帧数、FPS、码率和处理速度
+      stats: this.stats(),
+      renditions: this.plan ? this.plan.renditions.map(item => item.name) : [],
+      // 录制状态，未开启录制时为null
+      recording: this.recorder ? this.recorder.status() : null,
+      // 是否输出本地播放的转码流，以及各推流地址的状态
+      playback: this.playback,
+      destinations: [...this.restreamers.values()].map(item => item.status())
+    };
+  }
+}
+
+module.exports = {
+  StreamSession
+};
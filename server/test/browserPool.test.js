@@ -0,0 +1,200 @@
+/**
+ * 浏览器池测试
+ *
+ * 使用模拟的浏览器对象，不需要真实的Chrome。
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { BrowserPool } = require('../browserPool');
+const { quietLogs } = require('./quietLogs');
+
+/**
+ * 创建模拟浏览器
+ * @returns {EventEmitter} 具有createIncognitoBrowserContext/version/close的对象
+ */
+function createFakeBrowser() {
+  const browser = new EventEmitter();
+  browser.contexts = 0;
+  browser.closed = false;
+  browser.hung = false;
+  browser.createIncognitoBrowserContext = async () => {
+    browser.contexts++;
+    return {
+      close: async () => {
+        browser.contexts--;
+      }
+    };
+  };
+  browser.version = () => (browser.hung ? new Promise(() => {}) : Promise.resolve('HeadlessChrome/fake'));
+  browser.close = async () => {
+    browser.closed = true;
+    browser.emit('disconnected');
+  };
+  return browser;
+}
+
+/**
+ * 创建使用模拟浏览器的池
+ * @param {Object} options - 池配置
+ * @returns {Object} pool以及已启动的浏览器列表launched
+ */
+function createPool(options = {}) {
+  const launched = [];
+  const pool = new BrowserPool({
+    size: 2,
+    maxConcurrency: 2,
+    maxQueue: 10,
+    acquireTimeout: 1000,
+    maxUsesPerBrowser: 100,
+    healthCheckInterval: 0,
+    healthCheckTimeout: 20,
+    launch: async () => {
+      const browser = createFakeBrowser();
+      launched.push(browser);
+      return browser;
+    },
+    ...options
+  });
+  return { pool, launched };
+}
+
+describe('BrowserPool', () => {
+  quietLogs();
+
+  it('复用已启动的浏览器，而不是每次都启动新的', async () => {
+    const { pool, launched } = createPool();
+
+    for (let i = 0; i < 3; i++) {
+      await pool.withContext(async () => {});
+    }
+
+    assert.strictEqual(launched.length, 1);
+    assert.strictEqual(launched[0].contexts, 0);
+    await pool.shutdown();
+  });
+
+  it('并发数达到上限时排队，归还后按顺序唤醒', async () => {
+    const { pool, launched } = createPool();
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+    assert.strictEqual(launched.length, 2);
+
+    let thirdAcquired = false;
+    const third = pool.acquire().then(lease => {
+      thirdAcquired = true;
+      return lease;
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(thirdAcquired, false);
+    assert.strictEqual(pool.stats().queued, 1);
+
+    await first.release();
+    const lease = await third;
+    assert.strictEqual(pool.stats().active, 2);
+
+    await second.release();
+    await lease.release();
+    assert.strictEqual(pool.stats().active, 0);
+    await pool.shutdown();
+  });
+
+  it('队列已满时直接拒绝', async () => {
+    const { pool } = createPool({ maxConcurrency: 1, maxQueue: 1 });
+    const lease = await pool.acquire();
+    const queued = pool.acquire();
+
+    await assert.rejects(pool.acquire(), /当前提取任务过多/);
+
+    await lease.release();
+    await (await queued).release();
+    await pool.shutdown();
+  });
+
+  it('排队超时后拒绝', async () => {
+    const { pool } = createPool({ maxConcurrency: 1, acquireTimeout: 20 });
+    const lease = await pool.acquire();
+
+    await assert.rejects(pool.acquire(), /等待可用浏览器超时/);
+
+    await lease.release();
+    await pool.shutdown();
+  });
+
+  it('排队中被取消时退出队列', async () => {
+    const { pool } = createPool({ maxConcurrency: 1 });
+    const lease = await pool.acquire();
+    const controller = new AbortController();
+
+    const queued = pool.acquire({ signal: controller.signal });
+    assert.strictEqual(pool.stats().queued, 1);
+    controller.abort();
+    await assert.rejects(queued, error => error.cancelled === true);
+    assert.strictEqual(pool.stats().queued, 0);
+
+    await assert.rejects(pool.acquire({ signal: controller.signal }), /已取消/);
+    await lease.release();
+    await pool.shutdown();
+  });
+
+  it('浏览器崩溃后移出池，下次借出时重新启动', async () => {
+    const { pool, launched } = createPool({ size: 1 });
+    await pool.withContext(async () => {});
+
+    launched[0].emit('disconnected');
+    assert.strictEqual(pool.stats().browsers, 0);
+
+    await pool.withContext(async () => {});
+    assert.strictEqual(launched.length, 2);
+    await pool.shutdown();
+  });
+
+  it('健康检查回收无响应的浏览器', async () => {
+    const { pool, launched } = createPool();
+    await pool.withContext(async () => {});
+
+    launched[0].hung = true;
+    await pool.checkHealth();
+
+    assert.strictEqual(launched[0].closed, true);
+    assert.strictEqual(pool.stats().browsers, 0);
+    await pool.shutdown();
+  });
+
+  it('达到使用次数上限后回收浏览器', async () => {
+    const { pool, launched } = createPool({ maxUsesPerBrowser: 2 });
+
+    await pool.withContext(async () => {});
+    await pool.withContext(async () => {});
+    await pool.withContext(async () => {});
+
+    assert.strictEqual(launched[0].closed, true);
+    assert.strictEqual(launched.length, 2);
+    await pool.shutdown();
+  });
+
+  it('启动失败时释放名额并把错误交给调用方', async () => {
+    const { pool } = createPool({
+      launch: async () => {
+        throw new Error('Failed to launch the browser process!');
+      }
+    });
+
+    await assert.rejects(pool.acquire(), /Failed to launch/);
+    assert.deepStrictEqual(pool.stats(), { browsers: 0, active: 0, queued: 0, maxConcurrency: 2 });
+    await pool.shutdown();
+  });
+
+  it('关闭时拒绝排队请求并关闭所有浏览器', async () => {
+    const { pool, launched } = createPool({ maxConcurrency: 1 });
+    await pool.acquire();
+    const queued = pool.acquire();
+
+    await pool.shutdown();
+
+    await assert.rejects(queued, /浏览器池已关闭/);
+    await assert.rejects(pool.acquire(), /浏览器池已关闭/);
+    assert.ok(launched.every(browser => browser.closed));
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * 取消工具函数测试
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { cancelledError, throwIfCancelled, delay } = require('../cancellation');
+const { validateCandidates } = require('../probe');
+
+describe('throwIfCancelled', () => {
+  it('signal未触发或未提供时不抛出', () => {
+    throwIfCancelled();
+    throwIfCancelled(new AbortController().signal);
+  });
+
+  it('signal已触发时抛出cancelled错误', () => {
+    const controller = new AbortController();
+    controller.abort();
+    assert.throws(() => throwIfCancelled(controller.signal), error => {
+      assert.strictEqual(error.cancelled, true);
+      assert.strictEqual(error.message, cancelledError().message);
+      return true;
+    });
+  });
+});
+
+describe('delay', () => {
+  it('没有取消时按时resolve', async () => {
+    await delay(5);
+    await delay(5, new AbortController().signal);
+  });
+
+  it('等待中取消时立即拒绝', async () => {
+    const controller = new AbortController();
+    const startedAt = Date.now();
+    const waiting = delay(10000, controller.signal);
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(waiting, error => error.cancelled === true);
+    assert.ok(Date.now() - startedAt < 1000);
+  });
+
+  it('signal已触发时直接拒绝', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(delay(10, controller.signal), /已取消/);
+  });
+});
+
+describe('validateCandidates', () => {
+  it('已取消时不再探测候选地址', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const candidates = [{ url: 'http://127.0.0.1:1/live.flv', quality: 'origin', protocol: 'flv' }];
+
+    await assert.rejects(validateCandidates(candidates, { signal: controller.signal }), error => error.cancelled === true);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * 候选地址排序与清晰度选择测试
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { inferQuality, toCandidate, orderCandidates } = require('../extractors/candidates');
+
+const CDN = 'https://pull-flv-l11.douyincdn.com/stage/stream-1';
+
+/**
+ * 构造候选地址
+ * @param {string} quality - 清晰度
+ * @param {string} protocol - 协议
+ */
+function candidate(quality, protocol) {
+  const ext = protocol === 'hls' ? 'm3u8' : 'flv';
+  return { url: `${CDN}_${quality}.${ext}`, protocol, quality, codec: null, source: 'test' };
+}
+
+/**
+ * 提取排序结果中的清晰度和协议
+ * @param {Object[]} candidates - 候选地址
+ */
+function labels(candidates) {
+  return candidates.map(item => `${item.quality}/${item.protocol}`);
+}
+
+describe('inferQuality', () => {
+  it('根据文件名后缀判断清晰度', () => {
+    assert.strictEqual(inferQuality(`${CDN}_or4.flv?sign=abc`), 'origin');
+    assert.strictEqual(inferQuality(`${CDN}_uhd.m3u8`), 'FULL_HD1');
+    assert.strictEqual(inferQuality(`${CDN}_hd.flv`), 'HD1');
+    assert.strictEqual(inferQuality(`${CDN}_sd.flv`), 'SD1');
+    assert.strictEqual(inferQuality(`${CDN}_ld.flv`), 'SD2');
+    assert.strictEqual(inferQuality(`${CDN}.flv`), 'unknown');
+  });
+});
+
+describe('toCandidate', () => {
+  it('补全地址字符串的协议、清晰度和来源', () => {
+    assert.deepStrictEqual(toCandidate(`${CDN}_hd.m3u8?expire=1`, 'network'), {
+      url: `${CDN}_hd.m3u8?expire=1`,
+      protocol: 'hls',
+      quality: 'HD1',
+      codec: null,
+      source: 'network'
+    });
+  });
+
+  it('保留对象中已知的字段', () => {
+    const result = toCandidate({ url: `${CDN}.flv`, quality: 'origin', codec: 'h265' }, 'reflowApi');
+    assert.strictEqual(result.quality, 'origin');
+    assert.strictEqual(result.codec, 'h265');
+    assert.strictEqual(result.protocol, 'flv');
+  });
+
+  it('无法识别的值返回null', () => {
+    assert.strictEqual(toCandidate({ flv_pull_url: {} }, 'dom'), null);
+    assert.strictEqual(toCandidate('', 'dom'), null);
+  });
+});
+
+describe('orderCandidates', () => {
+  const all = [
+    candidate('SD2', 'flv'),
+    candidate('HD1', 'hls'),
+    candidate('origin', 'flv'),
+    candidate('HD1', 'flv'),
+    candidate('SD1', 'flv'),
+    { ...candidate('FULL_HD1', 'flv'), quality: 'unknown' }
+  ];
+
+  it('未指定偏好时从最高清晰度开始', () => {
+    assert.deepStrictEqual(labels(orderCandidates(all)), [
+      'origin/flv', 'HD1/flv', 'HD1/hls', 'SD1/flv', 'SD2/flv', 'unknown/flv'
+    ]);
+  });
+
+  it('偏好的清晰度排在最前，之后依次降低，最后才是更高的清晰度', () => {
+    assert.deepStrictEqual(labels(orderCandidates(all, { quality: 'SD1' })), [
+      'SD1/flv', 'SD2/flv', 'HD1/flv', 'HD1/hls', 'origin/flv', 'unknown/flv'
+    ]);
+  });
+
+  it('偏好的清晰度不存在时回退到下一档', () => {
+    assert.strictEqual(orderCandidates(all, { quality: 'FULL_HD1' })[0].quality, 'HD1');
+  });
+
+  it('同一清晰度下优先使用偏好的协议', () => {
+    assert.deepStrictEqual(labels(orderCandidates(all, { quality: 'HD1', protocol: 'hls' })).slice(0, 2), [
+      'HD1/hls', 'HD1/flv'
+    ]);
+  });
+
+  it('去除重复地址', () => {
+    assert.strictEqual(orderCandidates([candidate('HD1', 'flv'), candidate('HD1', 'flv')]).length, 1);
+  });
+});
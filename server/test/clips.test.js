@@ -0,0 +1,292 @@
+/**
+ * 剪辑导出测试
+ *
+ * 使用模拟的ffmpeg命令，不需要真实的ffmpeg。
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parsePlaylist,
+  selectSegments,
+  sessionPlaylist,
+  parseSessionTime,
+  clipOutputArgs,
+  ClipJobs
+} = require('../clips');
+const { quietLogs } = require('./quietLogs');
+
+const ROOT = path.join(os.tmpdir(), 'douyin-clips-test');
+const CLIPS_DIR = path.join(ROOT, 'clips');
+const HLS_DIR = path.join(ROOT, 'hls');
+
+const PLAYLIST = [
+  '#EXTM3U',
+  '#EXT-X-VERSION:3',
+  '#EXT-X-TARGETDURATION:4',
+  '#EXT-X-MEDIA-SEQUENCE:10',
+  '#EXT-X-PROGRAM-DATE-TIME:2024-05-01T12:00:00.000+0000',
+  '#EXTINF:4.000000,',
+  'index10.ts',
+  '#EXTINF:4.000000,',
+  'index11.ts',
+  '#EXT-X-DISCONTINUITY',
+  '#EXT-X-PROGRAM-DATE-TIME:2024-05-01T12:00:10.000+0000',
+  '#EXTINF:4.000000,',
+  'index12.ts',
+  ''
+].join('\n');
+
+const T0 = Date.parse('2024-05-01T12:00:00.000Z');
+
+/**
+ * 创建模拟的ffmpeg命令工厂，运行后写入输出文件并正常结束
+ * @param {Error} [failure] - 设置时命令以该错误结束
+ * @returns {Object} createCommand以及已创建的命令列表commands
+ */
+function createFakeCommands(failure = null) {
+  const commands = [];
+  const createCommand = (input) => {
+    const command = new EventEmitter();
+    command.input = input;
+    command.inputArgs = [];
+    command.args = [];
+    command.inputOptions = (...args) => {
+      command.inputArgs.push(...args);
+      return command;
+    };
+    command.outputOptions = (...args) => {
+      command.args.push(...args);
+      return command;
+    };
+    command.output = (file) => {
+      command.file = file;
+      return command;
+    };
+    command.run = () => setImmediate(() => {
+      if (failure) {
+        command.emit('error', failure);
+        return;
+      }
+      fs.writeFileSync(command.file, 'clip');
+      command.emit('progress', { timemark: '00:00:05.00' });
+      command.emit('end');
+    });
+    commands.push(command);
+    return command;
+  };
+  return { commands, createCommand };
+}
+
+/**
+ * 等待任务结束
+ * @param {ClipJobs} jobs - 任务列表
+ * @param {string} id - 任务ID
+ * @returns {Promise<Object>} 结束后的任务状态
+ */
+async function waitForJob(jobs, id) {
+  for (;;) {
+    const job = jobs.get(id);
+    if (job.status === 'completed' || job.status === 'failed') {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('parsePlaylist', () => {
+  it('按时间标记计算每个分片的开始时间', () => {
+    const segments = parsePlaylist(PLAYLIST);
+    assert.deepStrictEqual(segments.map(item => item.uri), ['index10.ts', 'index11.ts', 'index12.ts']);
+    assert.deepStrictEqual(segments.map(item => item.start - T0), [0, 4000, 10000]);
+  });
+
+  it('没有时间标记时开始时间为null', () => {
+    const segments = parsePlaylist('#EXTM3U\n#EXTINF:4.0,\na.ts\n');
+    assert.strictEqual(segments[0].start, null);
+  });
+});
+
+describe('selectSegments', () => {
+  const segments = parsePlaylist(PLAYLIST);
+
+  it('选出覆盖范围的分片并计算偏移', () => {
+    const range = selectSegments(segments, T0 + 5000, T0 + 12000);
+    assert.deepStrictEqual(range.segments.map(item => item.uri), ['index11.ts', 'index12.ts']);
+    assert.strictEqual(range.offset, 1);
+    assert.strictEqual(range.end, T0 + 12000);
+  });
+
+  it('超出可用范围时截短', () => {
+    const range = selectSegments(segments, T0 - 30000, T0 + 60000);
+    assert.strictEqual(range.start, T0);
+    assert.strictEqual(range.end, T0 + 14000);
+  });
+
+  it('范围内没有分片时报错', () => {
+    assert.throws(() => selectSegments(segments, T0 - 60000, T0 - 30000), error => error.invalidInput);
+  });
+});
+
+describe('parseSessionTime', () => {
+  it('解析绝对时间和相对直播最新位置的秒数', () => {
+    const liveEdge = T0 + 14000;
+    assert.strictEqual(parseSessionTime(-10, liveEdge), T0 + 4000);
+    assert.strictEqual(parseSessionTime('0', liveEdge), liveEdge);
+    assert.strictEqual(parseSessionTime(T0, liveEdge), T0);
+    assert.strictEqual(parseSessionTime('2024-05-01T12:00:00.000Z', liveEdge), T0);
+    assert.throws(() => parseSessionTime('yesterday', liveEdge), error => error.invalidInput);
+  });
+});
+
+describe('sessionPlaylist', () => {
+  it('多清晰度时使用第一个带视频的子播放列表', () => {
+    const plan = {
+      output: 'hls',
+      dir: HLS_DIR,
+      file: path.join(HLS_DIR, 'stream_%v.m3u8'),
+      renditions: [{ name: 'audio', audioOnly: true }, { name: '720p' }]
+    };
+    assert.strictEqual(sessionPlaylist(plan), path.join(HLS_DIR, 'stream_720p.m3u8'));
+    assert.throws(() => sessionPlaylist({ output: 'mp4' }), error => error.invalidInput);
+  });
+});
+
+describe('clipOutputArgs', () => {
+  it('GIF使用调色板并去掉音频', () => {
+    const args = clipOutputArgs('gif', { gifFps: 12, gifWidth: 480 });
+    assert.ok(args.includes('-an'));
+    assert.match(args[args.indexOf('-vf') + 1], /^fps=12,scale=480:-1.*palettegen.*paletteuse$/);
+  });
+});
+
+describe('ClipJobs', () => {
+  quietLogs();
+
+  beforeEach(() => {
+    fs.rmSync(ROOT, { recursive: true, force: true });
+    fs.mkdirSync(HLS_DIR, { recursive: true });
+    fs.writeFileSync(path.join(HLS_DIR, 'index.m3u8'), PLAYLIST);
+    for (const name of ['index10.ts', 'index11.ts', 'index12.ts']) {
+      fs.writeFileSync(path.join(HLS_DIR, name), name);
+    }
+  });
+
+  after(() => {
+    fs.rmSync(ROOT, { recursive: true, force: true });
+  });
+
+  const recording = {
+    name: '123_20240501-200000.mp4',
+    file: path.join(ROOT, '123_20240501-200000.mp4'),
+    format: 'mp4',
+    status: 'completed',
+    roomUrl: 'https://live.douyin.com/123'
+  };
+
+  it('从录制文件导出并写入JSON记录', async () => {
+    const { commands, createCommand } = createFakeCommands();
+    const jobs = new ClipJobs({ dir: CLIPS_DIR, createCommand });
+
+    const queued = jobs.fromRecording(recording, { start: 60, end: 90 });
+    // 没有其他任务时立即开始执行
+    assert.strictEqual(queued.status, 'running');
+    const job = await waitForJob(jobs, queued.id);
+
+    assert.strictEqual(job.status, 'completed');
+    assert.match(job.file, /^123_20240501-200000_\d{8}-\d{6}_clip\.mp4$/);
+    assert.deepStrictEqual(commands[0].inputArgs, ['-ss', '60']);
+    assert.strictEqual(commands[0].args[commands[0].args.indexOf('-t') + 1], '30');
+
+    const sidecar = JSON.parse(fs.readFileSync(path.join(CLIPS_DIR, job.file.replace('.mp4', '.json')), 'utf8'));
+    assert.strictEqual(sidecar.status, 'completed');
+    assert.strictEqual(sidecar.roomUrl, recording.roomUrl);
+    assert.deepStrictEqual(sidecar.source, { type: 'recording', name: recording.name, start: 60, end: 90 });
+  });
+
+  it('拒绝不正确的范围、过长的GIF和正在写入的MP4', () => {
+    const jobs = new ClipJobs({ dir: CLIPS_DIR, createCommand: createFakeCommands().createCommand });
+    assert.throws(() => jobs.fromRecording(recording, { start: 30, end: 10 }), error => error.invalidInput);
+    assert.throws(() => jobs.fromRecording(recording, { start: 0, end: 60, format: 'gif' }), error => error.invalidInput);
+    assert.throws(() => jobs.fromRecording(recording, { start: 0, end: 10, format: 'avi' }), error => error.invalidInput);
+    assert.throws(
+      () => jobs.fromRecording({ ...recording, status: 'recording' }, { start: 0, end: 10 }),
+      error => error.busy
+    );
+  });
+
+  it('从会话的HLS输出导出时在开始执行时复制分片', async () => {
+    const { commands, createCommand } = createFakeCommands();
+    const jobs = new ClipJobs({ dir: CLIPS_DIR, createCommand });
+    const session = {
+      sessionId: 'clip-session',
+      plan: { output: 'hls', dir: HLS_DIR, file: path.join(HLS_DIR, 'index.m3u8'), renditions: [{ name: 'source' }] },
+      source: { probe: null }
+    };
+
+    const queued = jobs.fromSession(session, { start: T0 + 5000, end: T0 + 12000, format: 'gif' });
+    // 开始执行后分片被滚动删除也不影响
+    fs.rmSync(path.join(HLS_DIR, 'index11.ts'));
+    assert.strictEqual(queued.duration, 7);
+
+    const list = fs.readFileSync(commands[0].input, 'utf8');
+    assert.strictEqual(list.trim().split('\n').length, 2);
+    assert.deepStrictEqual(commands[0].inputArgs, ['-f', 'concat', '-safe', '0']);
+    assert.deepStrictEqual(commands[0].args.slice(0, 4), ['-ss', '1', '-t', '7']);
+
+    const job = await waitForJob(jobs, queued.id);
+    assert.strictEqual(job.status, 'completed');
+    assert.match(job.file, /^clip-session_.*_clip\.gif$/);
+    assert.strictEqual(job.source.start, new Date(T0 + 5000).toISOString());
+  });
+
+  it('排队期间不复制分片，开始执行时分片已被删除则任务失败', async () => {
+    const { commands, createCommand } = createFakeCommands();
+    const jobs = new ClipJobs({ dir: CLIPS_DIR, concurrency: 1, createCommand });
+    const session = {
+      sessionId: 'clip-session',
+      plan: { output: 'hls', dir: HLS_DIR, file: path.join(HLS_DIR, 'index.m3u8'), renditions: [{ name: 'source' }] },
+      source: { probe: null }
+    };
+
+    const first = jobs.fromRecording(recording, { start: 0, end: 10 });
+    const queued = jobs.fromSession(session, { start: T0 + 5000, end: T0 + 12000 });
+    assert.strictEqual(queued.status, 'queued');
+    const tmpDir = path.dirname(commands[0].file);
+    assert.ok(!fs.existsSync(path.join(path.dirname(tmpDir), queued.id)));
+    fs.rmSync(path.join(HLS_DIR, 'index11.ts'));
+
+    assert.strictEqual((await waitForJob(jobs, first.id)).status, 'completed');
+    // 任务结束后删除临时目录
+    assert.ok(!fs.existsSync(tmpDir));
+    const job = await waitForJob(jobs, queued.id);
+    assert.strictEqual(job.status, 'failed');
+    assert.match(job.error, /分片已被删除/);
+    assert.ok(!fs.existsSync(path.join(path.dirname(tmpDir), queued.id)));
+  });
+
+  it('排队的任务已满时拒绝新的任务', async () => {
+    const jobs = new ClipJobs({ dir: CLIPS_DIR, concurrency: 1, maxQueue: 1, createCommand: createFakeCommands().createCommand });
+    const running = jobs.fromRecording(recording, { start: 0, end: 10 });
+    const queued = jobs.fromRecording(recording, { start: 10, end: 20 });
+    assert.throws(() => jobs.fromRecording(recording, { start: 20, end: 30 }), error => error.queueFull);
+
+    await waitForJob(jobs, running.id);
+    await waitForJob(jobs, queued.id);
+    const next = jobs.fromRecording(recording, { start: 20, end: 30 });
+    assert.strictEqual(next.status, 'running');
+    await waitForJob(jobs, next.id);
+  });
+
+  it('导出失败时记录错误', async () => {
+    const { createCommand } = createFakeCommands(new Error('ffmpeg exited with code 1'));
+    const jobs = new ClipJobs({ dir: CLIPS_DIR, createCommand });
+    const job = await waitForJob(jobs, jobs.fromRecording(recording, { start: 0, end: 10 }).id);
+    assert.strictEqual(job.status, 'failed');
+    assert.match(job.error, /code 1/);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * 直播流提取策略测试
+ *
+ * 每个策略单独针对模拟直播间运行，确保页面结构变化时能定位到具体失效的策略。
+ * 需要可启动的Chrome，无法启动时跳过（可通过 PUPPETEER_EXECUTABLE_PATH 指定浏览器）。
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { extractLiveStreamUrl, runStrategies } = require('../extractors');
+const { shutdownBrowserPool } = require('../browserPool');
+const { startMockRoomServer, REFLOW_ROOM_ID } = require('./mockRoomServer');
+const { quietLogs } = require('./quietLogs');
+
+// 测试中缩短页面等待时间
+const FAST_TIMINGS = {
+  navigationTimeout: 15000,
+  settle: 200,
+  playback: 200,
+  cdpCapture: 1500
+};
+
+/**
+ * 检查当前环境能否启动Chrome
+ * @returns {Promise<string|null>} 无法启动时返回原因
+ */
+async function checkBrowser() {
+  try {
+    const browser = await puppeteer.launch({ headless: 'new', args: ['--no-sandbox'] });
+    await browser.close();
+    return null;
+  } catch (e) {
+    return e.message.split('\n')[0];
+  }
+}
+
+describe('extractLiveStreamUrl', () => {
+  let mock;
+  let debugDir;
+  let skipReason = null;
+
+  before(async () => {
+    skipReason = await checkBrowser();
+    mock = await startMockRoomServer();
+    debugDir = fs.mkdtempSync(path.join(os.tmpdir(), 'extractor-debug-'));
+  });
+
+  after(async () => {
+    await shutdownBrowserPool();
+    await mock.close();
+    fs.rmSync(debugDir, { recursive: true, force: true });
+  });
+
+  quietLogs();
+
+  /**
+   * 只启用指定策略提取模拟直播间
+   * @param {string} roomId - 模拟直播间ID
+   * @param {string[]} strategies - 启用的策略
+   */
+  function extract(roomId, strategies) {
+    return extractLiveStreamUrl(mock.roomUrl(roomId), {
+      httpFastPath: false,
+      strategies,
+      simulateHuman: false,
+      timings: FAST_TIMINGS,
+      reflowApiUrl: `${mock.baseUrl}/webcast/room/reflow/info/`,
+      debugDir
+    });
+  }
+
+  it('dom策略从视频元素中提取地址', async (t) => {
+    if (skipReason) return t.skip(skipReason);
+    const result = await extract('dom-video', ['dom']);
+    assert.strictEqual(result.strategy, 'dom');
+    assert.strictEqual(result.streamUrl, `${mock.baseUrl}/media/dom-video/stream.flv`);
+  });
+
+  it('dom策略从__INIT_PROPS__中提取地址', async (t) => {
+    if (skipReason) return t.skip(skipReason);
+    const result = await extract('dom-init-props', ['dom']);
+    assert.strictEqual(result.strategy, 'dom');
+    assert.strictEqual(result.streamUrl, `${mock.baseUrl}/media/init-props/stream.flv`);
+  });
+
+  it('network策略捕获页面发出的拉流请求', async (t) => {
+    if (skipReason) return t.skip(skipReason);
+    const result = await extract('network', ['network']);
+    assert.strictEqual(result.strategy, 'network');
+    assert.strictEqual(result.streamUrl, `${mock.baseUrl}/media/network/stream.m3u8`);
+  });
+
+  it('cdp策略从JSON接口响应中提取地址', async (t) => {
+    if (skipReason) return t.skip(skipReason);
+    const result = await extract('cdp', ['cdp']);
+    assert.strictEqual(result.strategy, 'cdp');
+    assert.strictEqual(result.streamUrl, `${mock.baseUrl}/media/cdp/stream.flv`);
+  });
+
+  it('performance策略从性能条目中提取地址', async (t) => {
+    if (skipReason) return t.skip(skipReason);
+    const result = await extract('performance', ['performance']);
+    assert.strictEqual(result.strategy, 'performance');
+    assert.strictEqual(result.streamUrl, `${mock.baseUrl}/media/performance/stream.flv`);
+  });
+
+  it('reflowApi策略查询直播间信息接口', async (t) => {
+    if (skipReason) return t.skip(skipReason);
+    const result = await extract(REFLOW_ROOM_ID, ['reflowApi']);
+    assert.strictEqual(result.strategy, 'reflowApi');
+    assert.strictEqual(result.streamUrl, `${mock.baseUrl}/media/reflow/stream.flv`);
+    assert.ok(mock.requests.some(url => url.includes(`room_id=${REFLOW_ROOM_ID}`)));
+  });
+
+  it('按配置顺序执行，命中后跳过剩余策略', async (t) => {
+    if (skipReason) return t.skip(skipReason);
+    const result = await extract(REFLOW_ROOM_ID, ['dom', 'reflowApi', 'performance']);
+    assert.strictEqual(result.strategy, 'reflowApi');
+    assert.deepStrictEqual(
+      result.attempts.map(attempt => [attempt.strategy, attempt.status]),
+      [['dom', 'empty'], ['reflowApi', 'found'], ['performance', 'skipped']]
+    );
+  });
+
+  it('只有测试视频时不把它当作直播流，并保存调试信息', async (t) => {
+    if (skipReason) return t.skip(skipReason);
+    await assert.rejects(
+      extract('test-video', ['dom', 'network', 'performance']),
+      (error) => {
+        assert.match(error.message, /无法获取直播流地址/);
+        assert.ok(error.attempts.every(attempt => attempt.status === 'empty'));
+        return true;
+      }
+    );
+    assert.ok(fs.existsSync(path.join(debugDir, 'debug-page-content.html')));
+  });
+
+  it('未知策略名称直接报错', async () => {
+    await assert.rejects(extract('dom-video', ['dom', 'unknown']), /未知的直播流提取策略/);
+  });
+});
+
+describe('runStrategies', () => {
+  quietLogs();
+
+  it('跳过测试视频，记录每个策略的结果', async () => {
+    const result = await runStrategies([
+      { name: 'a', description: '', run: async () => ['https://example.com/douyin-pc-web/uuu_1.mp4'] },
+      { name: 'b', description: '', run: async () => { throw new Error('页面结构已变化'); } },
+      { name: 'c', description: '', run: async () => [{ flv_url: 'x' }, 'https://example.com/live.flv'] },
+      { name: 'd', description: '', run: async () => ['https://example.com/other.flv'] }
+    ], {}, false);
+
+    assert.strictEqual(result.strategy, 'c');
+    assert.strictEqual(result.streamUrl, 'https://example.com/live.flv');
+    assert.strictEqual(result.testVideoUrl, 'https://example.com/douyin-pc-web/uuu_1.mp4');
+    assert.deepStrictEqual(
+      result.attempts.map(attempt => attempt.status),
+      ['test-video', 'error', 'found', 'skipped']
+    );
+    assert.strictEqual(result.attempts[1].error, '页面结构已变化');
+  });
+
+  it('exhaustive模式下继续执行剩余策略', async () => {
+    const result = await runStrategies([
+      { name: 'a', description: '', run: async () => ['https://example.com/a.flv'] },
+      { name: 'b', description: '', run: async () => ['https://example.com/b.flv'] }
+    ], {}, true);
+
+    assert.strictEqual(result.strategy, 'a');
+    assert.deepStrictEqual(result.attempts[1].urls, ['https://example.com/b.flv']);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * HTTP快速提取测试
+ *
+ * 不依赖浏览器，直接请求模拟直播间页面并解析内嵌数据。
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { extractLiveStreamUrl } = require('../extractors');
+const { extractWithHttp, parseRoomHtml } = require('../extractors/http');
+const { startMockRoomServer } = require('./mockRoomServer');
+const { quietLogs } = require('./quietLogs');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'rooms');
+
+/**
+ * 读取直播间页面模板
+ * @param {string} name - 模板文件名
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8');
+}
+
+describe('parseRoomHtml', () => {
+  it('解析RENDER_DATA中的全部清晰度，原画FLV排在最前', () => {
+    const candidates = parseRoomHtml(readFixture('render-data.html'));
+
+    assert.deepStrictEqual(
+      candidates.map(candidate => `${candidate.quality}/${candidate.protocol}`),
+      [
+        'origin/flv', 'origin/hls',
+        'FULL_HD1/flv', 'FULL_HD1/hls',
+        'HD1/flv', 'HD1/hls',
+        'SD1/flv', 'SD1/hls',
+        'SD2/flv', 'SD2/hls'
+      ]
+    );
+    assert.match(candidates[0].url, /_or4\.flv\?/);
+    assert.strictEqual(candidates[0].codec, 'h265');
+    assert.strictEqual(candidates[0].source, 'http');
+  });
+
+  it('解析self.__pace_f数据块中的stream_url', () => {
+    const candidates = parseRoomHtml(readFixture('pace-f.html'));
+
+    assert.strictEqual(candidates.length, 4);
+    assert.strictEqual(candidates[0].quality, 'HD1');
+    assert.match(candidates[0].url, /_hd\.flv\?/);
+  });
+
+  it('已下播的直播间没有候选地址', () => {
+    assert.deepStrictEqual(parseRoomHtml(readFixture('offline.html')), []);
+  });
+
+  it('没有内嵌数据的页面返回空列表', () => {
+    assert.deepStrictEqual(parseRoomHtml(readFixture('dom-video.html')), []);
+  });
+});
+
+describe('extractWithHttp', () => {
+  quietLogs();
+
+  let mock;
+  const options = { httpTimeout: 5000, httpCookie: '' };
+
+  before(async () => {
+    mock = await startMockRoomServer();
+  });
+
+  after(async () => {
+    await mock.close();
+  });
+
+  it('请求页面并返回候选地址', async () => {
+    const candidates = await extractWithHttp(mock.roomUrl('render-data'), options);
+    assert.strictEqual(candidates[0].quality, 'origin');
+  });
+
+  it('首次访问只下发Cookie时携带Cookie重试', async () => {
+    const candidates = await extractWithHttp(mock.roomUrl('cookie-gate'), options);
+    assert.strictEqual(candidates.length, 10);
+    assert.strictEqual(mock.requests.filter(url => url === '/live/cookie-gate').length, 2);
+  });
+
+  it('extractLiveStreamUrl优先使用HTTP快速提取，不启动浏览器', async () => {
+    const result = await extractLiveStreamUrl(mock.roomUrl('render-data'));
+
+    assert.strictEqual(result.strategy, 'http');
+    assert.strictEqual(result.streamUrl, result.candidates[0].url);
+    assert.deepStrictEqual(result.attempts.map(attempt => attempt.strategy), ['http']);
+  });
+
+  it('通过onProgress报告快速提取的进度', async () => {
+    const events = [];
+    await extractLiveStreamUrl(mock.roomUrl('render-data'), { onProgress: event => events.push(event) });
+
+    assert.deepStrictEqual(events.map(event => `${event.step}:${event.status}`), ['http:running', 'http:success']);
+    assert.match(events[1].message, /找到 10 个地址/);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * 本地模拟直播间服务
+ *
+ * 提供保存好的直播间页面（test/fixtures/rooms）、假的拉流地址、
+ * webcast/room/reflow/info 接口以及模拟短链接跳转，使提取器可以在无网络环境下测试。
+ *
+ * 单独运行时监听固定端口，便于手动调试：
+ *   node test/mockRoomServer.js
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'rooms');
+
+// 直播间ID与页面模板的对应关系
+const ROOMS = {
+  'dom-video': 'dom-video.html',
+  'dom-init-props': 'dom-init-props.html',
+  'network': 'network.html',
+  'cdp': 'cdp.html',
+  'performance': 'performance.html',
+  '7300000000000000042': 'reflow.html',
+  'test-video': 'test-video.html',
+  'render-data': 'render-data.html',
+  'pace-f': 'pace-f.html',
+  'offline': 'offline.html',
+  'cookie-gate': 'render-data.html'
+};
+
+// 假接口中可以查到拉流地址的直播间
+const REFLOW_ROOM_ID = '7300000000000000042';
+
+// 模拟 v.douyin.com 短链接的跳转目标，以/开头的目标为本服务的另一个短链接
+const SHORT_LINKS = {
+  'web-rid': 'https://live.douyin.com/123456789?enter_from_merge=link_share',
+  'share': `https://www.iesdouyin.com/share/live/${REFLOW_ROOM_ID}?u_code=abc&did=1`,
+  'chain': '/s/share',
+  'loop': '/s/loop',
+  'phishing': 'https://example.com/live/123456789'
+};
+
+const CONTENT_TYPES = {
+  '.flv': 'video/x-flv',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.mp4': 'video/mp4'
+};
+
+/**
+ * 启动模拟直播间服务
+ * @param {number} [port=0] - 监听端口，0表示随机端口
+ * @returns {Promise<Object>} baseUrl、roomUrl(roomId)、shortLink(code)、requests（收到的请求路径）和close()
+ */
+function startMockRoomServer(port = 0) {
+  const app = express();
+  const requests = [];
+  let baseUrl = '';
+
+  app.use((req, res, next) => {
+    requests.push(req.originalUrl);
+    next();
+  });
+
+  // 直播间页面，{{BASE}} 替换为当前服务地址
+  app.get('/live/:roomId', (req, res) => {
+    const fixture = ROOMS[req.params.roomId];
+    if (!fixture) {
+      return res.status(404).send('直播间不存在');
+    }
+    // 模拟抖音首次访问只下发Cookie、不返回直播间数据的情况
+    if (req.params.roomId === 'cookie-gate' && !(req.headers.cookie || '').includes('__ac_nonce=')) {
+      res.set('Set-Cookie', '__ac_nonce=0123456789abcdef; Path=/');
+      return res.type('html').send('<!DOCTYPE html><html><body></body></html>');
+    }
+    const html = fs.readFileSync(path.join(FIXTURE_DIR, fixture), 'utf8');
+    res.type('html').send(html.split('{{BASE}}').join(baseUrl));
+  });
+
+  // 短链接跳转
+  app.get('/s/:code', (req, res) => {
+    const target = SHORT_LINKS[req.params.code];
+    if (!target) {
+      return res.status(404).send('链接已失效');
+    }
+    res.redirect(302, target);
+  });
+
+  // 假的拉流地址和测试视频，只返回少量字节
+  app.get(['/media/*', '/obj/*'], (req, res) => {
+    const contentType = CONTENT_TYPES[path.extname(req.path)] || 'application/octet-stream';
+    res.type(contentType).send(Buffer.alloc(16));
+  });
+
+  // 播放器轮询的直播间信息接口，供CDP策略读取
+  app.get('/api/live/room/info', (req, res) => {
+    res.json({
+      status_code: 0,
+      data: {
+        room: {
+          stream_url: {
+            rtmp_pull_url: `${baseUrl}/media/cdp/stream.flv`,
+            hls_pull_url: `${baseUrl}/media/cdp/stream.m3u8`
+          }
+        }
+      }
+    });
+  });
+
+  // 模拟 webcast/room/reflow/info 接口
+  app.get('/webcast/room/reflow/info/', (req, res) => {
+    if (req.query.room_id !== REFLOW_ROOM_ID) {
+      return res.json({ status_code: 30003, data: { message: '直播间不存在' } });
+    }
+    res.json({
+      status_code: 0,
+      data: {
+        room: {
+          id_str: REFLOW_ROOM_ID,
+          status: 2,
+          stream_url: {
+            flv_url: `${baseUrl}/media/reflow/stream.flv`,
+            hls_url: `${baseUrl}/media/reflow/stream.m3u8`
+          }
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        baseUrl,
+        requests,
+        roomUrl: roomId => `${baseUrl}/live/${roomId}`,
+        shortLink: code => `${baseUrl}/s/${code}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = {
+  ROOMS,
+  REFLOW_ROOM_ID,
+  startMockRoomServer
+};
+
+if (require.main === module) {
+  startMockRoomServer(parseInt(process.env.PORT, 10) || 4000).then(mock => {
+    console.log(`模拟直播间服务运行在 ${mock.baseUrl}`);
+    for (const roomId of Object.keys(ROOMS)) {
+      console.log(`  ${mock.roomUrl(roomId)}`);
+    }
+  });
+}
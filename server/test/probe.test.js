@@ -0,0 +1,192 @@
+/**
+ * 直播流探测测试
+ *
+ * 使用ffprobe的样例输出和模拟的探测函数，不需要安装ffprobe。
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { parseFrameRate, summarizeProbe, probeStream, validateCandidates } = require('../probe');
+const { quietLogs } = require('./quietLogs');
+
+// 直播FLV流的ffprobe输出（节选）
+const LIVE_FLV = {
+  format: { format_name: 'flv', duration: 'N/A', bit_rate: 'N/A' },
+  streams: [
+    { codec_type: 'video', codec_name: 'hevc', width: 1920, height: 1080, r_frame_rate: '30/1', avg_frame_rate: '0/0' },
+    { codec_type: 'audio', codec_name: 'aac', sample_rate: '44100', channels: 2 }
+  ]
+};
+
+// 抖音测试视频的ffprobe输出（节选）
+const TEST_VIDEO_MP4 = {
+  format: { format_name: 'mov,mp4,m4a,3gp,3g2,mj2', duration: '15.023000', bit_rate: '1203456' },
+  streams: [
+    { codec_type: 'video', codec_name: 'h264', width: 720, height: 1280, r_frame_rate: '30000/1001', avg_frame_rate: '30000/1001' }
+  ]
+};
+
+const candidate = (quality, protocol = 'flv') => ({
+  url: `http://pull.example.com/stream-1_${quality}.${protocol}`,
+  protocol,
+  quality,
+  codec: null,
+  source: 'http'
+});
+
+describe('summarizeProbe', () => {
+  it('没有时长的流视为直播，并读取编码、分辨率和帧率', () => {
+    assert.deepStrictEqual(summarizeProbe(LIVE_FLV), {
+      live: true,
+      duration: null,
+      format: 'flv',
+      bitrate: null,
+      video: { codec: 'hevc', width: 1920, height: 1080, fps: 30 },
+      audio: { codec: 'aac', sampleRate: 44100, channels: 2 }
+    });
+  });
+
+  it('有固定时长的文件不是直播', () => {
+    const summary = summarizeProbe(TEST_VIDEO_MP4);
+    assert.strictEqual(summary.live, false);
+    assert.strictEqual(summary.duration, 15.023);
+    assert.strictEqual(summary.video.fps, 29.97);
+    assert.strictEqual(summary.audio, null);
+  });
+
+  it('解析各种帧率写法', () => {
+    assert.strictEqual(parseFrameRate('25/1'), 25);
+    assert.strictEqual(parseFrameRate('0/0'), null);
+    assert.strictEqual(parseFrameRate('60'), 60);
+    assert.strictEqual(parseFrameRate(undefined), null);
+  });
+});
+
+/**
+ * 创建模拟的ffprobe进程，不会自行退出
+ * @returns {Object} spawn函数以及已启动的进程列表children
+ */
+function createFakeSpawn() {
+  const children = [];
+  const spawn = (file, args) => {
+    const child = new EventEmitter();
+    child.args = args;
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.killed = null;
+    child.kill = (signal) => {
+      child.killed = signal;
+      setImmediate(() => child.emit('close', null, signal));
+    };
+    children.push(child);
+    return child;
+  };
+  return { spawn, children };
+}
+
+describe('probeStream', () => {
+  it('解析ffprobe输出的JSON', async () => {
+    const { spawn, children } = createFakeSpawn();
+    const probing = probeStream('http://cdn.example.com/live.flv', { spawn, timeout: 1000 });
+    children[0].stdout.emit('data', JSON.stringify(LIVE_FLV));
+    children[0].emit('close', 0);
+
+    const result = await probing;
+    assert.strictEqual(result.live, true);
+    assert.strictEqual(result.video.codec, 'hevc');
+    assert.strictEqual(children[0].args[children[0].args.length - 1], 'http://cdn.example.com/live.flv');
+  });
+
+  it('退出码不为0时以stderr作为错误', async () => {
+    const { spawn, children } = createFakeSpawn();
+    const probing = probeStream('http://cdn.example.com/live.flv', { spawn, timeout: 1000 });
+    children[0].stderr.emit('data', 'Server returned 403 Forbidden\n');
+    children[0].emit('close', 1);
+
+    await assert.rejects(probing, /403 Forbidden/);
+  });
+
+  it('超时后结束卡住的ffprobe', async () => {
+    const { spawn, children } = createFakeSpawn();
+    // 额外的2秒超时余量之外只等待10毫秒
+    await assert.rejects(probeStream('http://cdn.example.com/live.flv', { spawn, timeout: -1990 }), /探测超时/);
+    assert.strictEqual(children[0].killed, 'SIGKILL');
+  });
+
+  it('取消时结束正在进行的探测', async () => {
+    const { spawn, children } = createFakeSpawn();
+    const controller = new AbortController();
+    const probing = validateCandidates([candidate('origin'), candidate('HD1')], {
+      signal: controller.signal,
+      timeout: 60000,
+      probe: (url, options) => probeStream(url, { ...options, spawn })
+    });
+    setImmediate(() => controller.abort());
+
+    await assert.rejects(probing, error => error.cancelled === true);
+    assert.strictEqual(children.length, 1);
+    assert.strictEqual(children[0].killed, 'SIGKILL');
+  });
+});
+
+describe('validateCandidates', () => {
+  quietLogs();
+
+  it('跳过无法访问和非直播的候选，选中第一个可用的直播', async () => {
+    const probed = [];
+    const responses = [
+      () => { throw new Error('Server returned 404 Not Found\nmore details'); },
+      () => summarizeProbe(TEST_VIDEO_MP4),
+      () => summarizeProbe(LIVE_FLV)
+    ];
+    const candidates = [candidate('origin'), candidate('FULL_HD1'), candidate('HD1'), candidate('SD1')];
+
+    const result = await validateCandidates(candidates, {
+      maxCandidates: 4,
+      probe: async (url) => responses[probed.push(url) - 1]()
+    });
+
+    assert.strictEqual(result.selected, candidates[2]);
+    assert.strictEqual(result.probe.video.codec, 'hevc');
+    assert.deepStrictEqual(probed, candidates.slice(0, 3).map(c => c.url));
+    assert.deepStrictEqual(result.results.map(r => r.valid), [false, false, true]);
+    assert.strictEqual(result.results[0].reason, '无法访问: Server returned 404 Not Found');
+    assert.match(result.results[1].reason, /不是直播流（时长 15\.0 秒）/);
+  });
+
+  it('拒绝没有视频轨道的流', async () => {
+    const result = await validateCandidates([candidate('origin')], {
+      probe: async () => ({ ...summarizeProbe(LIVE_FLV), video: null })
+    });
+
+    assert.strictEqual(result.selected, null);
+    assert.strictEqual(result.results[0].reason, '没有视频轨道');
+  });
+
+  it('最多探测maxCandidates个候选', async () => {
+    let calls = 0;
+    const result = await validateCandidates([candidate('origin'), candidate('HD1'), candidate('SD1')], {
+      maxCandidates: 2,
+      probe: async () => {
+        calls++;
+        throw new Error('Connection timed out');
+      }
+    });
+
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(result.selected, null);
+    assert.strictEqual(result.results.length, 2);
+  });
+
+  it('找不到ffprobe时抛出并标记probeUnavailable', async () => {
+    await assert.rejects(
+      validateCandidates([candidate('origin')], {
+        probe: async () => {
+          throw new Error('Cannot find ffprobe');
+        }
+      }),
+      error => error.probeUnavailable === true
+    );
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * 转播启动进度测试
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ProgressTracker } = require('../progress');
+
+describe('ProgressTracker', () => {
+  it('同一步骤的事件更新原有记录，并通知监听者', () => {
+    const received = [];
+    const progress = new ProgressTracker(step => received.push(step));
+
+    progress.onProgress({ step: 'http', status: 'running', message: '直接解析直播间页面' });
+    progress.update('http', 'success', '直接解析直播间页面（找到 2 个地址）');
+    progress.update('probe', 'running', '正在检查直播流');
+
+    assert.deepStrictEqual(progress.steps.map(step => `${step.step}:${step.status}`), ['http:success', 'probe:running']);
+    assert.deepStrictEqual(received.map(step => step.status), ['running', 'success', 'running']);
+    assert.ok(progress.steps[0].updatedAt >= progress.steps[0].startedAt);
+  });
+
+  it('失败时把进行中的步骤标记为失败', () => {
+    const progress = new ProgressTracker();
+    progress.update('browser', 'success', '浏览器已就绪');
+    progress.update('page', 'running', '正在加载直播间页面');
+
+    progress.fail(new Error('Navigation timeout of 60000 ms exceeded'));
+
+    assert.strictEqual(progress.steps[1].status, 'error');
+    assert.strictEqual(progress.steps[1].message, '正在加载直播间页面（失败: Navigation timeout of 60000 ms exceeded）');
+    assert.strictEqual(progress.steps.length, 2);
+  });
+
+  it('没有进行中的步骤时追加失败步骤，已报告过错误时不重复', () => {
+    const progress = new ProgressTracker();
+    progress.fail(new Error('直播间不存在'));
+    assert.deepStrictEqual(progress.steps.map(step => step.step), ['failed']);
+
+    const reported = new ProgressTracker();
+    reported.update('probe', 'error', '所有候选直播流都无法播放或不是直播');
+    reported.fail(new Error('所有候选直播流都无法播放或不是直播'));
+    assert.deepStrictEqual(reported.steps.map(step => step.step), ['probe']);
+  });
+});
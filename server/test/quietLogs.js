@@ -0,0 +1,17 @@
+/**
+ * 测试中屏蔽console.log
+ *
+ * node --test通过子进程的stdout回传测试结果，被测代码打印的日志较多时
+ * 可能与结果混在一起导致无法解析。在describe中调用，
+ * 为该组的每个测试替换console.log，测试结束后自动恢复。
+ */
+
+const { beforeEach } = require('node:test');
+
+function quietLogs() {
+  beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+  });
+}
+
+module.exports = { quietLogs };
@@ -0,0 +1,297 @@
+/**
+ * 直播录制测试
+ *
+ * 使用模拟的ffmpeg命令，不需要真实的ffmpeg。
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter, once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  formatTimestamp,
+  sanitizeLabel,
+  recordingArgs,
+  outputPattern,
+  readSegmentList,
+  parseRecordOption,
+  sidecarPath,
+  Recorder
+} = require('../recorder');
+const { quietLogs } = require('./quietLogs');
+
+const DIR = path.join(os.tmpdir(), 'douyin-recorder-test');
+
+/**
+ * 创建模拟的ffmpeg命令工厂
+ *
+ * 调用命令的open()模拟segment封装开始写入一个文件：前一个文件记入分割列表，新文件写入数据并输出日志。
+ * 收到SIGTERM时同样把当前文件记入分割列表再退出。
+ *
+ * @returns {Object} createCommand以及已创建的命令列表commands
+ */
+function createFakeCommands() {
+  const commands = [];
+  const createCommand = (url) => {
+    const command = new EventEmitter();
+    command.url = url;
+    command.args = [];
+    command.files = [];
+    command.current = null;
+    command.time = 0;
+    command.killed = null;
+    command.inputOptions = () => command;
+    command.outputOptions = (...args) => {
+      command.args.push(...args);
+      return command;
+    };
+    command.output = (pattern) => {
+      command.pattern = pattern;
+      return command;
+    };
+    command.run = () => {};
+    command.listFile = () => command.args[command.args.indexOf('-segment_list') + 1];
+    // 当前文件写完，每个文件10秒
+    command.finishCurrent = () => {
+      if (command.current) {
+        fs.appendFileSync(command.listFile(), `${path.basename(command.current)},${command.time},${command.time + 10}\n`);
+        command.time += 10;
+        command.current = null;
+      }
+    };
+    command.open = (name) => {
+      command.finishCurrent();
+      command.current = path.join(path.dirname(command.pattern), name);
+      command.files.push(command.current);
+      fs.writeFileSync(command.current, 'data');
+      command.emit('stderr', `[segment @ 0x55d0c8a3e2c0] Opening '${command.current}' for writing`);
+    };
+    command.kill = (signal) => {
+      command.killed = signal;
+      setImmediate(() => {
+        if (signal === 'SIGTERM') {
+          command.finishCurrent();
+        }
+        command.emit('error', new Error(`ffmpeg was killed with signal ${signal}`));
+      });
+    };
+    commands.push(command);
+    return command;
+  };
+  return { commands, createCommand };
+}
+
+/**
+ * 读取录制文件的JSON记录
+ * @param {string} file - 录制文件路径
+ * @returns {Object} JSON记录
+ */
+function readSidecar(file) {
+  return JSON.parse(fs.readFileSync(sidecarPath(file), 'utf8'));
+}
+
+describe('recordingArgs', () => {
+  it('在同一个进程中按时长分割并直接复制音视频', () => {
+    const args = recordingArgs({ format: 'mp4', segmentMinutes: 30, listFile: '/tmp/list.csv' });
+    assert.deepStrictEqual(args.slice(0, 6), ['-map', '0:v?', '-map', '0:a?', '-c', 'copy']);
+    assert.strictEqual(args[args.indexOf('-f') + 1], 'segment');
+    assert.strictEqual(args[args.indexOf('-segment_time') + 1], '1800');
+    assert.strictEqual(args[args.indexOf('-reset_timestamps') + 1], '1');
+    assert.strictEqual(args[args.indexOf('-strftime') + 1], '1');
+    assert.strictEqual(args[args.indexOf('-segment_format') + 1], 'mp4');
+    assert.strictEqual(args[args.indexOf('-segment_format_options') + 1], 'movflags=+faststart');
+    assert.strictEqual(args[args.indexOf('-segment_list') + 1], '/tmp/list.csv');
+    assert.ok(!args.includes('-t'));
+    assert.ok(!args.includes('-fs'));
+  });
+
+  it('其他格式使用对应的封装', () => {
+    const args = recordingArgs({ format: 'mkv', segmentMinutes: 10 });
+    assert.strictEqual(args[args.indexOf('-segment_format') + 1], 'matroska');
+    assert.ok(!args.includes('-segment_format_options'));
+    assert.ok(!args.includes('-segment_list'));
+  });
+});
+
+describe('readSegmentList', () => {
+  it('读取已写完的文件和时长', () => {
+    fs.mkdirSync(DIR, { recursive: true });
+    const listFile = path.join(DIR, 'list.csv');
+    fs.writeFileSync(listFile, '123_20240501-200000.mp4,0.000000,1800.040000\n123_20240501-203000.mp4,1800.040000,1830.040000\n');
+    assert.deepStrictEqual(readSegmentList(listFile).map(item => item.file), ['123_20240501-200000.mp4', '123_20240501-203000.mp4']);
+    assert.strictEqual(Math.round(readSegmentList(listFile)[1].duration), 30);
+    assert.deepStrictEqual(readSegmentList(path.join(DIR, 'missing.csv')), []);
+    fs.rmSync(DIR, { recursive: true, force: true });
+  });
+});
+
+describe('parseRecordOption', () => {
+  it('true使用默认配置，未开启时为null', () => {
+    assert.deepStrictEqual(parseRecordOption(true), {});
+    assert.strictEqual(parseRecordOption(undefined), null);
+    assert.strictEqual(parseRecordOption(false), null);
+  });
+
+  it('解析格式和分割条件', () => {
+    assert.deepStrictEqual(
+      parseRecordOption({ format: 'ts', segmentMinutes: '15', segmentMegabytes: 200 }),
+      { format: 'ts', segmentMinutes: 15, segmentMegabytes: 200 }
+    );
+  });
+
+  it('拒绝不支持的格式和不正确的分割条件', () => {
+    assert.throws(() => parseRecordOption({ format: 'avi' }), error => error.invalidInput);
+    assert.throws(() => parseRecordOption({ segmentMinutes: 0 }), error => error.invalidInput);
+    assert.throws(() => parseRecordOption({ segmentMegabytes: -1 }), error => error.invalidInput);
+    assert.throws(() => parseRecordOption('yes'), error => error.invalidInput);
+  });
+});
+
+describe('文件名', () => {
+  it('使用本地时间的时间戳', () => {
+    assert.strictEqual(formatTimestamp(new Date(2024, 4, 1, 20, 3, 9)), '20240501-200309');
+  });
+
+  it('去掉不安全的字符', () => {
+    assert.strictEqual(sanitizeLabel('123456'), '123456');
+    assert.strictEqual(sanitizeLabel('../a b'), 'a_b');
+    assert.strictEqual(sanitizeLabel(''), 'stream');
+  });
+
+  it('文件名模板由ffmpeg填入开始时间', () => {
+    assert.strictEqual(outputPattern('/recordings', '../123', 'mkv'), path.join('/recordings', '123_%Y%m%d-%H%M%S.mkv'));
+  });
+});
+
+describe('Recorder', () => {
+  quietLogs();
+
+  beforeEach(() => {
+    fs.rmSync(DIR, { recursive: true, force: true });
+  });
+
+  after(() => {
+    fs.rmSync(DIR, { recursive: true, force: true });
+  });
+
+  /**
+   * 创建使用模拟命令的录制
+   * @param {Object} [options] - 录制选项
+   * @returns {Object} recorder以及已创建的命令列表commands
+   */
+  function createRecorder(options = {}) {
+    const { commands, createCommand } = createFakeCommands();
+    const recorder = new Recorder('test-recorder', {
+      dir: DIR,
+      format: 'mp4',
+      segmentMinutes: 30,
+      segmentMegabytes: 0,
+      retryDelay: 5,
+      stopTimeout: 1000,
+      label: '123456',
+      roomUrl: 'https://live.douyin.com/123456',
+      createCommand,
+      ...options
+    });
+    return { recorder, commands };
+  }
+
+  const source = {
+    streamUrl: 'http://cdn.example.com/live.flv?sign=old',
+    probe: { live: true, video: { codec: 'h264' } }
+  };
+
+  it('停止时写完文件和JSON记录', async () => {
+    const { recorder, commands } = createRecorder();
+    recorder.start(source);
+    assert.strictEqual(commands[0].pattern, path.join(DIR, '123456_%Y%m%d-%H%M%S.mp4'));
+
+    commands[0].open('123456_20240501-200000.mp4');
+    const file = commands[0].files[0];
+    assert.strictEqual(readSidecar(file).status, 'recording');
+    assert.strictEqual(recorder.status().current, '123456_20240501-200000.mp4');
+
+    await recorder.stop();
+    assert.strictEqual(commands[0].killed, 'SIGTERM');
+    const sidecar = readSidecar(file);
+    assert.strictEqual(sidecar.status, 'completed');
+    assert.strictEqual(sidecar.endReason, 'stopped');
+    assert.strictEqual(sidecar.roomUrl, 'https://live.douyin.com/123456');
+    assert.strictEqual(sidecar.streamUrl, source.streamUrl);
+    assert.deepStrictEqual(sidecar.probe, source.probe);
+    assert.strictEqual(sidecar.duration, 10);
+    assert.strictEqual(sidecar.size, 4);
+    assert.deepStrictEqual(recorder.status().files, [path.basename(file)]);
+    // 分割列表在进程结束后删除
+    assert.ok(!fs.existsSync(commands[0].listFile()));
+  });
+
+  it('按时长分割时在同一个进程中继续写入下一个文件', async () => {
+    const { recorder, commands } = createRecorder();
+    recorder.start(source);
+    commands[0].open('123456_20240501-200000.mp4');
+    commands[0].open('123456_20240501-203000.mp4');
+
+    assert.strictEqual(commands.length, 1);
+    const sidecar = readSidecar(commands[0].files[0]);
+    assert.strictEqual(sidecar.endReason, 'split');
+    assert.strictEqual(sidecar.duration, 10);
+    assert.strictEqual(readSidecar(commands[0].files[1]).status, 'recording');
+    assert.strictEqual(readSidecar(commands[0].files[1]).part, 2);
+
+    await recorder.stop();
+    assert.strictEqual(readSidecar(commands[0].files[1]).endReason, 'stopped');
+    assert.strictEqual(recorder.status().files.length, 2);
+  });
+
+  it('超过大小上限后结束进程并立即开始新的进程', async () => {
+    const { recorder, commands } = createRecorder({ segmentMegabytes: 1 / 1024 / 1024, sizeCheckInterval: 5 });
+    recorder.start(source);
+    commands[0].open('123456_20240501-200000.mp4');
+
+    const [entry] = await once(recorder, 'file-finished');
+    assert.strictEqual(entry.endReason, 'split');
+    assert.strictEqual(commands[0].killed, 'SIGTERM');
+    assert.strictEqual(commands.length, 2);
+
+    await recorder.stop();
+  });
+
+  it('输入中断后使用新的地址写入新的文件', async () => {
+    const { recorder, commands } = createRecorder();
+    recorder.start(source);
+    commands[0].open('123456_20240501-200000.mp4');
+
+    commands[0].emit('error', new Error('Connection reset by peer'));
+    const sidecar = readSidecar(commands[0].files[0]);
+    assert.strictEqual(sidecar.endReason, 'interrupted');
+    assert.strictEqual(sidecar.error, 'Connection reset by peer');
+
+    // 会话重连后使用新的地址
+    recorder.start({ streamUrl: 'http://cdn.example.com/live.flv?sign=new' });
+    assert.strictEqual(commands.length, 2);
+    assert.strictEqual(commands[1].url, 'http://cdn.example.com/live.flv?sign=new');
+    commands[1].open('123456_20240501-201000.mp4');
+
+    await recorder.stop();
+    assert.strictEqual(recorder.status().files.length, 2);
+  });
+
+  it('没有写入数据的文件会被删除', async () => {
+    const { recorder, commands } = createRecorder();
+    recorder.start(source);
+    commands[0].open('123456_20240501-200000.mp4');
+    fs.truncateSync(commands[0].files[0], 0);
+
+    commands[0].emit('error', new Error('Server returned 404 Not Found'));
+    assert.ok(!fs.existsSync(commands[0].files[0]));
+    assert.ok(!fs.existsSync(sidecarPath(commands[0].files[0])));
+
+    // 稍后自动重试
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(commands.length, 2);
+    await recorder.stop();
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * 录制文件库测试
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  resolveRecording,
+  listRecordings,
+  probeFile,
+  inspectRecording,
+  deleteRecording,
+  deleteExpiredRecordings
+} = require('../recordings');
+const { quietLogs } = require('./quietLogs');
+
+const DIR = path.join(os.tmpdir(), 'douyin-recordings-test');
+
+/**
+ * 写入一个录制文件及其JSON记录
+ * @param {string} name - 文件名
+ * @param {Object|null} sidecar - JSON记录，为null时不写入
+ */
+function writeRecording(name, sidecar) {
+  fs.writeFileSync(path.join(DIR, name), 'data');
+  if (sidecar) {
+    fs.writeFileSync(path.join(DIR, name.replace(/\.\w+$/, '.json')), JSON.stringify(sidecar));
+  }
+}
+
+describe('录制文件库', () => {
+  quietLogs();
+
+  beforeEach(() => {
+    fs.rmSync(DIR, { recursive: true, force: true });
+    fs.mkdirSync(DIR, { recursive: true });
+    writeRecording('123_20240501-200000.mp4', {
+      status: 'completed',
+      startedAt: '2024-05-01T12:00:00.000Z',
+      endedAt: '2024-05-01T12:30:00.000Z',
+      duration: 1800,
+      roomUrl: 'https://live.douyin.com/123',
+      probe: { video: { codec: 'h264', width: 1920, height: 1080 }, audio: { codec: 'aac' } }
+    });
+    writeRecording('123_20240501-203000.mp4', { status: 'recording', startedAt: '2024-05-01T12:30:00.000Z' });
+    writeRecording('123_20240501-210000.mp4', { status: 'recording', startedAt: '2024-05-01T13:00:00.000Z' });
+    writeRecording('manual.mkv', null);
+    fs.writeFileSync(path.join(DIR, 'notes.txt'), 'not a recording');
+  });
+
+  after(() => {
+    fs.rmSync(DIR, { recursive: true, force: true });
+  });
+
+  it('列出录制文件并区分状态', () => {
+    const activeFiles = new Set(['123_20240501-210000.mp4']);
+    const recordings = listRecordings({ dir: DIR, activeFiles });
+    const byName = Object.fromEntries(recordings.map(item => [item.name, item]));
+
+    assert.strictEqual(recordings.length, 4);
+    assert.strictEqual(byName['123_20240501-200000.mp4'].status, 'completed');
+    assert.strictEqual(byName['123_20240501-200000.mp4'].video.codec, 'h264');
+    assert.strictEqual(byName['123_20240501-200000.mp4'].size, 4);
+    // 服务端在写完前退出
+    assert.strictEqual(byName['123_20240501-203000.mp4'].status, 'incomplete');
+    assert.strictEqual(byName['123_20240501-210000.mp4'].status, 'recording');
+    assert.strictEqual(byName['manual.mkv'].status, 'unknown');
+    assert.strictEqual(byName['manual.mkv'].format, 'mkv');
+  });
+
+  it('目录不存在时返回空列表', () => {
+    assert.deepStrictEqual(listRecordings({ dir: path.join(DIR, 'missing') }), []);
+  });
+
+  it('拒绝路径和非录制文件', () => {
+    assert.throws(() => resolveRecording('../secret.mp4', DIR), error => error.invalidInput);
+    assert.throws(() => resolveRecording('notes.txt', DIR), error => error.invalidInput);
+    assert.throws(() => resolveRecording('missing.mp4', DIR), error => error.notFound);
+    assert.strictEqual(resolveRecording('manual.mkv', DIR), path.join(DIR, 'manual.mkv'));
+  });
+
+  it('查看时附带探测结果，探测失败时给出原因', async () => {
+    const probed = await inspectRecording('123_20240501-200000.mp4', {
+      dir: DIR,
+      probe: async () => ({ duration: 1799.5, video: { codec: 'h264' } })
+    });
+    assert.strictEqual(probed.media.duration, 1799.5);
+    assert.strictEqual(probed.probeError, null);
+
+    const failed = await inspectRecording('manual.mkv', {
+      dir: DIR,
+      probe: async () => { throw new Error('Cannot find ffprobe'); }
+    });
+    assert.strictEqual(failed.media, null);
+    assert.match(failed.probeError, /ffprobe/);
+  });
+
+  it('删除文件和JSON记录，正在写入的文件不能删除', () => {
+    deleteRecording('123_20240501-200000.mp4', { dir: DIR });
+    assert.ok(!fs.existsSync(path.join(DIR, '123_20240501-200000.mp4')));
+    assert.ok(!fs.existsSync(path.join(DIR, '123_20240501-200000.json')));
+
+    const activeFiles = new Set(['123_20240501-210000.mp4']);
+    assert.throws(() => deleteRecording('123_20240501-210000.mp4', { dir: DIR, activeFiles }), error => error.busy);
+  });
+
+  it('删除超过保留天数的录制文件', () => {
+    const activeFiles = new Set(['123_20240501-210000.mp4']);
+    const now = Date.parse('2024-05-03T12:45:00.000Z');
+    const removed = deleteExpiredRecordings(2, { dir: DIR, activeFiles, now });
+    // 结束（未写完时为开始）时间早于两天前的文件被删除，正在写入的文件和刚复制进来的文件保留
+    assert.deepStrictEqual(removed.sort(), ['123_20240501-200000.mp4', '123_20240501-203000.mp4']);
+    assert.ok(fs.existsSync(path.join(DIR, '123_20240501-210000.mp4')));
+    assert.ok(fs.existsSync(path.join(DIR, 'manual.mkv')));
+    assert.deepStrictEqual(deleteExpiredRecordings(0, { dir: DIR, now }), []);
+  });
+});
+
+describe('probeFile', () => {
+  it('超时后结束卡住的ffprobe', async () => {
+    let child = null;
+    const spawn = (file, args) => {
+      child = new EventEmitter();
+      child.args = args;
+      child.stdout = new EventEmitter();
+      child.stderr = new EventEmitter();
+      child.kill = (signal) => {
+        child.killed = signal;
+        setImmediate(() => child.emit('close', null, signal));
+      };
+      return child;
+    };
+
+    await assert.rejects(probeFile('/recordings/growing.mp4', { timeout: 10, spawn }), /探测超时/);
+    assert.strictEqual(child.killed, 'SIGKILL');
+    assert.strictEqual(child.args[child.args.length - 1], '/recordings/growing.mp4');
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * 推流测试
+ *
+ * 使用模拟的ffmpeg命令，不需要真实的ffmpeg。
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter, once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  maskUrl,
+  parseDestination,
+  parseDestinations,
+  chooseRestreamMode,
+  restreamArgs,
+  Restreamer
+} = require('../restream');
+const { quietLogs } = require('./quietLogs');
+
+const RTMP_URL = 'rtmp://ingest.example.com/live/secret-key';
+
+const RELAY_DIR = path.join(os.tmpdir(), 'douyin-restream-test');
+
+/**
+ * 创建模拟的ffmpeg命令工厂
+ * @returns {Object} createCommand以及已创建的命令列表commands
+ */
+function createFakeCommands() {
+  const commands = [];
+  const createCommand = (url) => {
+    const command = new EventEmitter();
+    command.url = url;
+    command.inputArgs = [];
+    command.args = [];
+    command.killed = null;
+    command.inputOptions = (...args) => {
+      command.inputArgs.push(...args);
+      return command;
+    };
+    command.outputOptions = (...args) => {
+      command.args.push(...args);
+      return command;
+    };
+    command.output = (target) => {
+      command.target = target;
+      return command;
+    };
+    command.run = () => {};
+    command.kill = (signal) => {
+      command.killed = signal;
+      setImmediate(() => command.emit('error', new Error(`ffmpeg was killed with signal ${signal}`)));
+    };
+    commands.push(command);
+    return command;
+  };
+  return { commands, createCommand };
+}
+
+/**
+ * 创建使用模拟命令的推流
+ * @param {Object} [options] - 推流选项
+ * @returns {Object} restreamer以及已创建的命令列表commands
+ */
+function createRestreamer(options = {}) {
+  const { commands, createCommand } = createFakeCommands();
+  const restreamer = new Restreamer('s1', { id: '1', ...parseDestination(RTMP_URL) }, {
+    createCommand,
+    mode: 'auto',
+    retryDelay: 5,
+    maxRetryDelay: 20,
+    waitInterval: 5,
+    stopTimeout: 1000,
+    ...options
+  });
+  return { restreamer, commands };
+}
+
+const H264 = { video: { codec: 'h264' }, audio: { codec: 'aac' } };
+
+// 会话写出的推流中转
+const RELAY = { file: path.join(RELAY_DIR, 'index.m3u8'), probe: H264 };
+
+describe('maskUrl', () => {
+  it('隐藏RTMP推流码和SRT密钥', () => {
+    assert.strictEqual(maskUrl(RTMP_URL), 'rtmp://ingest.example.com/live/****');
+    assert.strictEqual(
+      maskUrl('srt://127.0.0.1:9000?streamid=publish:abc&passphrase=secret&latency=200'),
+      'srt://127.0.0.1:9000?streamid=****&passphrase=****&latency=200'
+    );
+    assert.strictEqual(maskUrl('not a url'), '****');
+  });
+});
+
+describe('parseDestination', () => {
+  it('解析RTMP和SRT地址并生成名称', () => {
+    assert.deepStrictEqual(parseDestination(RTMP_URL), {
+      url: RTMP_URL,
+      protocol: 'rtmp',
+      name: 'RTMP ingest.example.com'
+    });
+    const srt = parseDestination({ url: ' srt://127.0.0.1:9000?mode=caller ', name: '备用线路' });
+    assert.strictEqual(srt.protocol, 'srt');
+    assert.strictEqual(srt.url, 'srt://127.0.0.1:9000?mode=caller');
+    assert.strictEqual(srt.name, '备用线路');
+  });
+
+  it('拒绝其他协议和格式不正确的地址', () => {
+    for (const input of ['http://example.com/live', 'rtmp:///live/key', 'not a url', {}, null]) {
+      assert.throws(() => parseDestination(input), error => error.invalidInput);
+    }
+  });
+});
+
+describe('parseDestinations', () => {
+  it('未提供时为空列表', () => {
+    assert.deepStrictEqual(parseDestinations(undefined), []);
+  });
+
+  it('限制数量并拒绝重复地址', () => {
+    assert.throws(() => parseDestinations([RTMP_URL, RTMP_URL]), error => error.invalidInput);
+    assert.throws(() => parseDestinations([RTMP_URL, 'srt://127.0.0.1:9000'], 1), error => error.invalidInput);
+    assert.throws(() => parseDestinations(RTMP_URL), error => error.invalidInput);
+    assert.strictEqual(parseDestinations([RTMP_URL, 'srt://127.0.0.1:9000']).length, 2);
+  });
+});
+
+describe('chooseRestreamMode', () => {
+  it('RTMP只在源直播流为H.264/AAC时直接推流', () => {
+    assert.strictEqual(chooseRestreamMode('rtmp', H264, 'auto').mode, 'copy');
+    assert.strictEqual(chooseRestreamMode('rtmp', { video: { codec: 'hevc' }, audio: { codec: 'aac' } }, 'auto').mode, 'transcode');
+    assert.strictEqual(chooseRestreamMode('rtmp', null, 'auto').mode, 'transcode');
+  });
+
+  it('SRT直接传输任何编码，也可以配置为始终转码', () => {
+    assert.strictEqual(chooseRestreamMode('srt', { video: { codec: 'hevc' } }, 'auto').mode, 'copy');
+    assert.strictEqual(chooseRestreamMode('srt', H264, 'transcode').mode, 'transcode');
+  });
+});
+
+describe('restreamArgs', () => {
+  it('按协议选择封装格式', () => {
+    const rtmp = restreamArgs('rtmp', 'copy');
+    assert.deepStrictEqual(rtmp.slice(0, 6), ['-map', '0:v?', '-map', '0:a?', '-c', 'copy']);
+    assert.strictEqual(rtmp[rtmp.indexOf('-f') + 1], 'flv');
+    const srt = restreamArgs('srt', 'copy');
+    assert.strictEqual(srt[srt.indexOf('-f') + 1], 'mpegts');
+  });
+
+  it('转码时使用配置的码率', () => {
+    const args = restreamArgs('rtmp', 'transcode', { videoBitrate: 3000, audioBitrate: 160 });
+    assert.strictEqual(args[args.indexOf('-c:v') + 1], 'libx264');
+    assert.strictEqual(args[args.indexOf('-b:v') + 1], '3000k');
+    assert.strictEqual(args[args.indexOf('-b:a') + 1], '160k');
+    for (const arg of args) {
+      assert.ok(!arg.includes(' '), arg);
+    }
+  });
+});
+
+describe('Restreamer', () => {
+  before(() => {
+    fs.mkdirSync(RELAY_DIR, { recursive: true });
+    fs.writeFileSync(RELAY.file, '#EXTM3U\n');
+  });
+
+  quietLogs();
+
+  after(() => {
+    fs.rmSync(RELAY_DIR, { recursive: true, force: true });
+  });
+
+  it('读取会话的推流中转，收到进度后视为推流成功', () => {
+    const { restreamer, commands } = createRestreamer();
+    const states = [];
+    restreamer.on('state', status => states.push(status.state));
+
+    restreamer.start(RELAY);
+    assert.strictEqual(commands[0].url, RELAY.file);
+    assert.deepStrictEqual(commands[0].inputArgs, ['-re', '-live_start_index', '-1']);
+    assert.strictEqual(commands[0].target, RTMP_URL);
+    assert.strictEqual(restreamer.status().mode, 'copy');
+
+    commands[0].emit('progress', { frames: 10 });
+    commands[0].emit('progress', { frames: 20 });
+    assert.deepStrictEqual(states, ['connecting', 'live']);
+    assert.strictEqual(restreamer.status().url, 'rtmp://ingest.example.com/live/****');
+    assert.ok(restreamer.status().liveSince);
+  });
+
+  it('推流失败后按退避时间重试，成功后重置失败次数', async () => {
+    const { restreamer, commands } = createRestreamer();
+    restreamer.start(RELAY);
+
+    commands[0].emit('error', new Error('Connection refused'));
+    assert.strictEqual(restreamer.state, 'retrying');
+    assert.strictEqual(restreamer.status().failures, 1);
+    assert.strictEqual(restreamer.status().error, 'Connection refused');
+
+    await once(restreamer, 'state');
+    assert.strictEqual(commands.length, 2);
+    commands[1].emit('progress', {});
+    assert.strictEqual(restreamer.status().failures, 0);
+    assert.strictEqual(restreamer.status().error, null);
+    await restreamer.stop();
+  });
+
+  it('错误信息中的推流地址被隐藏', async (t) => {
+    const { restreamer, commands } = createRestreamer();
+    const warnings = [];
+    t.mock.method(console, 'warn', (...args) => warnings.push(args.join(' ')));
+    restreamer.start(RELAY);
+
+    commands[0].emit('error', new Error(`ffmpeg exited with code 1: ${RTMP_URL}: Input/output error`));
+    const { error } = restreamer.status();
+    assert.strictEqual(error, 'ffmpeg exited with code 1: rtmp://ingest.example.com/live/****: Input/output error');
+    assert.ok(!warnings.join('\n').includes('secret-key'));
+    await restreamer.stop();
+  });
+
+  it('等待重试时会话恢复后立即重新推流', () => {
+    const { restreamer, commands } = createRestreamer({ retryDelay: 60000, maxRetryDelay: 60000 });
+    restreamer.start(RELAY);
+    commands[0].emit('end');
+    assert.strictEqual(restreamer.state, 'retrying');
+
+    restreamer.start(RELAY);
+    assert.strictEqual(commands.length, 2);
+    assert.strictEqual(commands[1].url, RELAY.file);
+    return restreamer.stop();
+  });
+
+  it('推流中转还没有写出时等待，不计为失败', async () => {
+    const { restreamer, commands } = createRestreamer();
+    const relay = { file: path.join(RELAY_DIR, 'relay.m3u8'), probe: H264 };
+    restreamer.start(relay);
+    assert.strictEqual(commands.length, 0);
+    assert.strictEqual(restreamer.state, 'connecting');
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(commands.length, 0);
+    fs.writeFileSync(relay.file, '#EXTM3U\n');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(commands.length, 1);
+    assert.strictEqual(restreamer.status().failures, 0);
+    await restreamer.stop();
+  });
+
+  it('停止时等待推流进程退出且不再重试', async () => {
+    const { restreamer, commands } = createRestreamer();
+    restreamer.start(RELAY);
+
+    await restreamer.stop();
+    assert.strictEqual(commands[0].killed, 'SIGTERM');
+    assert.strictEqual(restreamer.state, 'stopped');
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.strictEqual(commands.length, 1);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * 直播间输入规范化测试
+ *
+ * 短链接跳转使用本地模拟服务代替 v.douyin.com。
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { extractUrlFromText, isDouyinHost, parseRoomUrl, normalizeRoomInput } = require('../extractors/roomInput');
+const { REFLOW_ROOM_ID, startMockRoomServer } = require('./mockRoomServer');
+const { quietLogs } = require('./quietLogs');
+
+describe('extractUrlFromText', () => {
+  it('从分享文案中找出链接', () => {
+    const text = '9- 长按复制此条消息，打开抖音搜索，查看TA的更多作品。【某某的直播间】正在直播，来和我一起支持TA吧🔥 https://v.douyin.com/iRNBho6u/ 8@5.com :0pm';
+    assert.strictEqual(extractUrlFromText(text), 'https://v.douyin.com/iRNBho6u/');
+  });
+
+  it('链接紧跟中文标点时截断', () => {
+    assert.strictEqual(extractUrlFromText('快来看（https://live.douyin.com/123456）！'), 'https://live.douyin.com/123456');
+    assert.strictEqual(extractUrlFromText('直播间：https://live.douyin.com/123456。'), 'https://live.douyin.com/123456');
+  });
+
+  it('没有协议的抖音链接补上https', () => {
+    assert.strictEqual(extractUrlFromText('live.douyin.com/123456'), 'https://live.douyin.com/123456');
+  });
+
+  it('没有链接时返回null', () => {
+    assert.strictEqual(extractUrlFromText('今晚八点开播'), null);
+  });
+});
+
+describe('isDouyinHost', () => {
+  it('接受抖音域名及其子域名', () => {
+    assert.ok(isDouyinHost('live.douyin.com'));
+    assert.ok(isDouyinHost('www.iesdouyin.com'));
+    assert.ok(isDouyinHost('webcast.amemv.com'));
+  });
+
+  it('拒绝仿冒的域名', () => {
+    assert.ok(!isDouyinHost('douyin.com.example.com'));
+    assert.ok(!isDouyinHost('notdouyin.com'));
+    assert.ok(!isDouyinHost('www.tiktok.com'));
+  });
+});
+
+describe('parseRoomUrl', () => {
+  it('解析各种直播间链接', () => {
+    assert.deepStrictEqual(parseRoomUrl('https://live.douyin.com/123456789?enter_from_merge=link_share'), { webRid: '123456789', roomId: null });
+    assert.deepStrictEqual(parseRoomUrl('https://www.douyin.com/follow/live/123456789'), { webRid: '123456789', roomId: null });
+    assert.deepStrictEqual(parseRoomUrl('https://www.douyin.com/root/live/123456789'), { webRid: '123456789', roomId: null });
+    assert.deepStrictEqual(parseRoomUrl(`https://www.iesdouyin.com/share/live/${REFLOW_ROOM_ID}?did=1`), { webRid: null, roomId: REFLOW_ROOM_ID });
+    assert.deepStrictEqual(parseRoomUrl(`https://webcast.amemv.com/douyin/webcast/reflow/${REFLOW_ROOM_ID}`), { webRid: null, roomId: REFLOW_ROOM_ID });
+  });
+
+  it('查询参数中的ID优先', () => {
+    assert.deepStrictEqual(
+      parseRoomUrl(`https://www.douyin.com/?web_rid=987654&room_id=${REFLOW_ROOM_ID}`),
+      { webRid: '987654', roomId: REFLOW_ROOM_ID }
+    );
+  });
+
+  it('不是直播间的链接没有ID', () => {
+    assert.deepStrictEqual(parseRoomUrl('https://www.douyin.com/video/7300000000000000001'), { webRid: null, roomId: null });
+  });
+});
+
+describe('normalizeRoomInput', () => {
+  let mock;
+  let options;
+
+  before(async () => {
+    mock = await startMockRoomServer();
+    options = { shortLinkHosts: ['127.0.0.1'], resolveTimeout: 2000 };
+  });
+
+  after(async () => {
+    await mock.close();
+  });
+
+  quietLogs();
+
+  it('直播间链接转换为标准地址', async () => {
+    const room = await normalizeRoomInput('https://www.douyin.com/follow/live/123456789', options);
+    assert.deepStrictEqual(room, {
+      url: 'https://live.douyin.com/123456789',
+      webRid: '123456789',
+      roomId: null,
+      sourceUrl: 'https://www.douyin.com/follow/live/123456789'
+    });
+  });
+
+  it('只输入房间号', async () => {
+    assert.strictEqual((await normalizeRoomInput(' 123456789 ')).url, 'https://live.douyin.com/123456789');
+
+    const room = await normalizeRoomInput(REFLOW_ROOM_ID);
+    assert.strictEqual(room.roomId, REFLOW_ROOM_ID);
+    assert.strictEqual(room.url, `https://webcast.amemv.com/douyin/webcast/reflow/${REFLOW_ROOM_ID}`);
+  });
+
+  it('跟随分享文案中的短链接跳转到直播间', async () => {
+    const room = await normalizeRoomInput(`【某某的直播间】正在直播 ${mock.shortLink('web-rid')} 复制此链接`, options);
+    assert.strictEqual(room.webRid, '123456789');
+    assert.strictEqual(room.url, 'https://live.douyin.com/123456789');
+  });
+
+  it('连续跳转后从分享页解析room_id', async () => {
+    const room = await normalizeRoomInput(mock.shortLink('chain'), options);
+    assert.strictEqual(room.roomId, REFLOW_ROOM_ID);
+    assert.match(room.sourceUrl, /iesdouyin\.com\/share\/live\//);
+  });
+
+  it('拒绝跳转到非抖音网站的短链接', async () => {
+    await assert.rejects(normalizeRoomInput(mock.shortLink('phishing'), options), /非抖音网站/);
+  });
+
+  it('短链接失效或循环跳转时报错', async () => {
+    await assert.rejects(normalizeRoomInput(mock.shortLink('missing'), options), /短链接已失效/);
+    await assert.rejects(normalizeRoomInput(mock.shortLink('loop'), options), /跳转次数过多/);
+  });
+
+  it('拒绝非抖音链接和无法识别的输入', async () => {
+    await assert.rejects(normalizeRoomInput('https://www.youtube.com/live/abc'), error => {
+      assert.strictEqual(error.invalidInput, true);
+      assert.match(error.message, /只支持抖音直播间链接/);
+      return true;
+    });
+    await assert.rejects(normalizeRoomInput('今晚八点开播'), /没有找到直播间链接/);
+    await assert.rejects(normalizeRoomInput('https://www.douyin.com/video/7300000000000000001'), /无法从链接中识别直播间/);
+    await assert.rejects(normalizeRoomInput(''), /缺少抖音直播间链接/);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * 共享会话登记测试
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { roomKey, SessionRegistry } = require('../sessionRegistry');
+const { cancelledError, delay } = require('../cancellation');
+const { quietLogs } = require('./quietLogs');
+
+/**
+ * 创建启动函数，启动后登记会话
+ * @param {SessionRegistry} registry - 会话登记
+ * @param {string} sessionId - 会话ID
+ * @param {string|null} key - 共享键
+ * @param {boolean} [viaSocket] - 是否通过WebSocket发起
+ * @returns {Function} 启动函数，calls记录调用次数
+ */
+function starter(registry, sessionId, key, viaSocket = false) {
+  const start = async () => {
+    start.calls++;
+    await delay(10);
+    const stream = { sessionId };
+    registry.register(sessionId, key, stream, viaSocket);
+    return stream;
+  };
+  start.calls = 0;
+  return start;
+}
+
+describe('roomKey', () => {
+  it('优先使用web_rid，手动填写的直播流没有共享键', () => {
+    assert.strictEqual(roomKey({ webRid: '123', roomId: '456' }), 'web_rid:123');
+    assert.strictEqual(roomKey({ webRid: null, roomId: '456' }), 'room_id:456');
+    assert.strictEqual(roomKey(null), null);
+  });
+});
+
+describe('SessionRegistry', () => {
+  quietLogs();
+
+  it('同一直播间后来的请求加入已有的会话', async () => {
+    const registry = new SessionRegistry();
+    const start = starter(registry, 's1', 'web_rid:1');
+
+    const first = await registry.acquire('web_rid:1', start);
+    const second = await registry.acquire('web_rid:1', starter(registry, 's2', 'web_rid:1'));
+    assert.strictEqual(first.shared, false);
+    assert.strictEqual(second.shared, true);
+    assert.strictEqual(second.stream.sessionId, 's1');
+  });
+
+  it('同时打开同一直播间只启动一次', async () => {
+    const registry = new SessionRegistry();
+    const start = starter(registry, 's1', 'web_rid:1');
+
+    const results = await Promise.all([
+      registry.acquire('web_rid:1', start),
+      registry.acquire('web_rid:1', start),
+      registry.acquire('web_rid:1', start)
+    ]);
+    assert.strictEqual(start.calls, 1);
+    assert.deepStrictEqual(results.map(item => item.stream.sessionId), ['s1', 's1', 's1']);
+    assert.deepStrictEqual(results.map(item => item.shared), [false, true, true]);
+  });
+
+  it('没有共享键时总是启动新的会话', async () => {
+    const registry = new SessionRegistry();
+    await registry.acquire(null, starter(registry, 's1', null));
+    const second = await registry.acquire(null, starter(registry, 's2', null));
+    assert.strictEqual(second.stream.sessionId, 's2');
+  });
+
+  it('发起者取消启动后由等待的请求重新启动', async () => {
+    const registry = new SessionRegistry();
+    const cancelled = async () => {
+      await delay(10);
+      throw cancelledError();
+    };
+    const start = starter(registry, 's2', 'web_rid:1');
+
+    const first = registry.acquire('web_rid:1', cancelled);
+    const second = registry.acquire('web_rid:1', start);
+    await assert.rejects(first, error => error.cancelled);
+    const result = await second;
+    assert.strictEqual(start.calls, 1);
+    assert.strictEqual(result.stream.sessionId, 's2');
+    assert.strictEqual(result.shared, false);
+  });
+
+  it('启动失败时等待的请求得到同样的错误', async () => {
+    const registry = new SessionRegistry();
+    const failing = async () => {
+      await delay(10);
+      throw new Error('直播间未开播');
+    };
+    const results = await Promise.allSettled([
+      registry.acquire('web_rid:1', failing),
+      registry.acquire('web_rid:1', failing)
+    ]);
+    assert.deepStrictEqual(results.map(item => item.reason.message), ['直播间未开播', '直播间未开播']);
+  });
+
+  it('等待期间当前请求被取消时立即返回', async () => {
+    const registry = new SessionRegistry();
+    const controller = new AbortController();
+    const first = registry.acquire('web_rid:1', starter(registry, 's1', 'web_rid:1'));
+    const second = registry.acquire('web_rid:1', starter(registry, 's2', 'web_rid:1'), controller.signal);
+    controller.abort();
+    await assert.rejects(second, error => error.cancelled);
+    await first;
+  });
+
+  it('最后一个观众离开并超过宽限期后触发idle', async () => {
+    const registry = new SessionRegistry({ graceMs: 10 });
+    registry.register('s1', 'web_rid:1', { sessionId: 's1' }, true);
+    const counts = [];
+    registry.on('viewers', (sessionId, count) => counts.push(count));
+
+    assert.strictEqual(registry.addViewer('s1', 'a'), 1);
+    assert.strictEqual(registry.addViewer('s1', 'b'), 2);
+    registry.removeViewer('s1', 'a');
+    registry.removeViewerEverywhere('b');
+    const [sessionId] = await once(registry, 'idle');
+    assert.strictEqual(sessionId, 's1');
+    assert.deepStrictEqual(counts, [1, 2, 1, 0]);
+  });
+
+  it('宽限期内有人重新加入时不触发idle', async () => {
+    const registry = new SessionRegistry({ graceMs: 20 });
+    registry.register('s1', 'web_rid:1', { sessionId: 's1' }, true);
+    let idle = false;
+    registry.on('idle', () => {
+      idle = true;
+    });
+
+    registry.addViewer('s1', 'a');
+    registry.removeViewer('s1', 'a');
+    registry.addViewer('s1', 'b');
+    await delay(40);
+    assert.strictEqual(idle, false);
+    assert.strictEqual(registry.viewerCount('s1'), 1);
+  });
+
+  it('通过HTTP接口发起的会话没有观众时也不停止', async () => {
+    const registry = new SessionRegistry({ graceMs: 0 });
+    registry.register('s1', 'web_rid:1', { sessionId: 's1' });
+    let idle = false;
+    registry.on('idle', () => {
+      idle = true;
+    });
+
+    registry.addViewer('s1', 'a');
+    registry.removeViewer('s1', 'a');
+    await delay(10);
+    assert.strictEqual(idle, false);
+    assert.strictEqual(registry.startedOverSocket('s1'), false);
+  });
+
+  it('两个观众共享会话时，其中一个停止只离开会话，会话继续运行', async () => {
+    const registry = new SessionRegistry({ graceMs: 10 });
+    registry.register('s1', 'web_rid:1', { sessionId: 's1' });
+    registry.addViewer('s1', 'a');
+    registry.addViewer('s1', 'b');
+
+    assert.strictEqual(registry.release('s1', 'a'), false);
+    assert.strictEqual(registry.release('s1'), false);
+    assert.strictEqual(registry.viewerCount('s1'), 1);
+    assert.strictEqual(registry.release('s1', 'b'), true);
+
+    // 通过WebSocket发起的会话由宽限期停止
+    registry.register('s2', 'web_rid:2', { sessionId: 's2' }, true);
+    registry.addViewer('s2', 'a');
+    registry.addViewer('s2', 'b');
+    assert.strictEqual(registry.release('s2', 'a'), false);
+    assert.strictEqual(registry.release('s2', 'b'), false);
+    const [sessionId] = await once(registry, 'idle');
+    assert.strictEqual(sessionId, 's2');
+    assert.strictEqual(registry.release('missing'), true);
+  });
+
+  it('恢复后还没有观众的会话在宽限期后触发idle', async () => {
+    const registry = new SessionRegistry({ graceMs: 10 });
+    registry.register('s1', 'web_rid:1', { sessionId: 's1' }, true);
+    registry.register('s2', 'web_rid:2', { sessionId: 's2' });
+    const idle = [];
+    registry.on('idle', sessionId => idle.push(sessionId));
+
+    registry.startGrace('s1');
+    registry.startGrace('s2');
+    await delay(30);
+    assert.deepStrictEqual(idle, ['s1']);
+  });
+
+  it('会话结束后直播间可以启动新的会话', async () => {
+    const registry = new SessionRegistry({ graceMs: 10 });
+    await registry.acquire('web_rid:1', starter(registry, 's1', 'web_rid:1', true));
+    registry.addViewer('s1', 'a');
+    registry.removeViewer('s1', 'a');
+    registry.unregister('s1');
+
+    const result = await registry.acquire('web_rid:1', starter(registry, 's2', 'web_rid:1'));
+    assert.strictEqual(result.stream.sessionId, 's2');
+    assert.strictEqual(registry.viewerCount('s1'), 0);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * 会话持久化测试
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { persistedParams, SessionStore } = require('../sessionStore');
+
+/**
+ * 创建使用临时文件的会话记录
+ * @returns {Object} store以及临时目录dir
+ */
+function createStore(persistSecrets = false) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-sessions-'));
+  return { store: new SessionStore(path.join(dir, 'data', 'sessions.json'), persistSecrets), dir };
+}
+
+describe('persistedParams', () => {
+  it('只保存重新启动会话需要的参数', () => {
+    assert.deepStrictEqual(
+      persistedParams({ url: 'https://live.douyin.com/123', quality: 'hd', record: true, requestId: 'req-1', playback: undefined }),
+      { url: 'https://live.douyin.com/123', quality: 'hd', record: true }
+    );
+  });
+
+  it('默认不保存Cookie和推流地址，开启后才保存', () => {
+    const params = { url: 'https://live.douyin.com/123', cookie: 'sessionid=secret', destinations: ['rtmp://ingest.example.com/live/key'] };
+    assert.deepStrictEqual(persistedParams(params, false), { url: 'https://live.douyin.com/123' });
+    assert.deepStrictEqual(persistedParams(params, true), params);
+  });
+});
+
+describe('SessionStore', () => {
+  it('保存后重新读取得到同样的记录', () => {
+    const { store, dir } = createStore();
+    store.save({ sessionId: 's1', params: { url: 'https://live.douyin.com/123', requestId: 'req-1' }, startedBy: 'api', createdAt: 1, resumeCount: 0 });
+    store.save({ sessionId: 's2', params: { streamUrl: 'http://cdn.example.com/live.flv', cookie: 'sessionid=secret' }, startedBy: 'socket', createdAt: 2, resumeCount: 1 });
+
+    const loaded = new SessionStore(store.file).load();
+    assert.deepStrictEqual(loaded.map(item => item.sessionId), ['s1', 's2']);
+    assert.deepStrictEqual(loaded[0].params, { url: 'https://live.douyin.com/123' });
+    assert.strictEqual(loaded[1].startedBy, 'socket');
+    assert.ok(!fs.readFileSync(store.file, 'utf8').includes('secret'));
+    assert.ok(!fs.existsSync(`${store.file}.tmp`));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('开启保存密钥时修改推流地址和删除记录后写入文件', () => {
+    const { store, dir } = createStore(true);
+    store.save({ sessionId: 's1', params: { url: 'https://live.douyin.com/123', destinations: [] } });
+    store.updateParams('s1', { destinations: [{ url: 'rtmp://ingest.example.com/live/key', name: 'RTMP' }] });
+    store.updateParams('missing', { destinations: [] });
+    assert.strictEqual(new SessionStore(store.file).load()[0].params.destinations.length, 1);
+
+    store.remove('s1');
+    assert.deepStrictEqual(new SessionStore(store.file).load(), []);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('文件不存在或内容损坏时视为没有记录', () => {
+    const { store, dir } = createStore();
+    assert.deepStrictEqual(store.load(), []);
+    fs.mkdirSync(path.dirname(store.file), { recursive: true });
+    fs.writeFileSync(store.file, '{"sessions": [');
+    assert.deepStrictEqual(store.load(), []);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,387 @@
+/**
+ * 转播会话断线重连测试
+ *
+ * 使用模拟的ffmpeg命令，不需要真实的ffmpeg。
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter, once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { StreamSession } = require('../streamSession');
+const { STREAMS_DIR } = require('../transcoder');
+const { quietLogs } = require('./quietLogs');
+
+const SESSION_ID = 'test-stream-session';
+
+/**
+ * 写出会话的播放列表，推流进程等到播放列表出现后才开始
+ * @param {string} name - 播放列表文件名
+ * @returns {string} 播放列表路径
+ */
+function writePlaylist(name) {
+  const file = path.join(STREAMS_DIR, SESSION_ID, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '#EXTM3U\n');
+  return file;
+}
+
+/**
+ * 创建模拟的ffmpeg命令工厂
+ * @returns {Object} createCommand以及已创建的命令列表commands
+ */
+function createFakeCommands() {
+  const commands = [];
+  const createCommand = (url) => {
+    const command = new EventEmitter();
+    command.url = url;
+    command.args = [];
+    command.targets = [];
+    command.killed = null;
+    command.inputOptions = () => command;
+    command.outputOptions = (...args) => {
+      command.args.push(...args);
+      return command;
+    };
+    command.output = (target) => {
+      command.target = command.target || target;
+      command.targets.push(target);
+      return command;
+    };
+    command.run = () => command.emit('start');
+    command.kill = (signal) => {
+      command.killed = signal;
+      setImmediate(() => command.emit('error', new Error(`ffmpeg was killed with signal ${signal}`)));
+    };
+    commands.push(command);
+    return command;
+  };
+  return { commands, createCommand };
+}
+
+/**
+ * 创建使用模拟命令的会话
+ * @param {Object} [options] - 会话选项
+ * @returns {Object} session以及已创建的命令列表commands
+ */
+function createSession(options = {}) {
+  const { commands, createCommand } = createFakeCommands();
+  const session = new StreamSession(SESSION_ID, { streamUrl: 'http://cdn.example.com/live.flv?sign=old' }, {
+    createCommand,
+    supervisor: { maxRetries: 3, backoff: 5, maxBackoff: 20, stableAfter: 60000 },
+    watchdog: { enabled: false },
+    ...options
+  });
+  return { session, commands };
+}
+
+describe('StreamSession', () => {
+  quietLogs();
+
+  after(() => {
+    fs.rmSync(path.join(STREAMS_DIR, SESSION_ID), { recursive: true, force: true });
+  });
+
+  it('输入中断后重新获取地址并继续输出到同一播放列表', async () => {
+    let refreshed = 0;
+    const { session, commands } = createSession({
+      refresh: async () => {
+        refreshed++;
+        return { streamUrl: 'http://cdn.example.com/live.flv?sign=new' };
+      }
+    });
+    const events = [];
+    session.on('reconnecting', info => events.push(['reconnecting', info.attempt]));
+
+    session.start();
+    assert.strictEqual(session.state, 'running');
+    assert.ok(!commands[0].args.join(' ').includes('append_list'));
+
+    commands[0].emit('error', new Error('Connection reset by peer'));
+    const [resumed] = await once(session, 'resumed');
+
+    assert.strictEqual(refreshed, 1);
+    assert.deepStrictEqual(events, [['reconnecting', 1]]);
+    assert.strictEqual(resumed.streamUrl, 'http://cdn.example.com/live.flv?sign=new');
+    assert.strictEqual(commands.length, 2);
+    assert.strictEqual(commands[1].url, 'http://cdn.example.com/live.flv?sign=new');
+    // 沿用原播放列表继续编号
+    assert.match(commands[1].args.join(' '), /append_list/);
+    assert.strictEqual(session.status().restarts, 1);
+
+    session.stop();
+    const [ended] = await once(session, 'ended');
+    assert.strictEqual(ended.reason, 'stopped');
+  });
+
+  it('重连失败超过次数上限后结束会话', async () => {
+    const { session, commands } = createSession({
+      refresh: async () => {
+        throw new Error('直播间已下播');
+      }
+    });
+    const delays = [];
+    session.on('reconnecting', info => delays.push(info.delay));
+
+    session.start();
+    commands[0].emit('end');
+    const [ended] = await once(session, 'ended');
+
+    assert.strictEqual(ended.reason, 'source-ended');
+    assert.match(ended.message, /直播间已下播/);
+    // 退避时间翻倍，不超过上限
+    assert.deepStrictEqual(delays, [5, 10, 20]);
+    assert.strictEqual(commands.length, 1);
+    assert.strictEqual(session.state, 'ended');
+    assert.strictEqual(session.status().lastError, ended.message);
+  });
+
+  it('状态包含直播间、清晰度和ffmpeg的处理统计', async () => {
+    const { session, commands } = createSession({
+      room: { url: 'https://live.douyin.com/123456', webRid: '123456' }
+    });
+    session.source.quality = 'hd';
+    session.start();
+    assert.strictEqual(session.status().stats, null);
+
+    session.runStartedAt = Date.now() - 10000;
+    commands[0].emit('progress', { frames: 250, currentFps: 25, currentKbps: 2048.5, timemark: '00:00:10.00' });
+    const status = session.status();
+    assert.strictEqual(status.roomUrl, 'https://live.douyin.com/123456');
+    assert.strictEqual(status.quality, 'hd');
+    assert.strictEqual(status.stats.frames, 250);
+    assert.strictEqual(status.stats.fps, 25);
+    assert.strictEqual(status.stats.bitrate, 2048.5);
+    assert.ok(status.stats.speed > 0.9 && status.stats.speed <= 1, String(status.stats.speed));
+
+    await session.stop();
+    assert.strictEqual(session.status().stats, null);
+  });
+
+  it('服务端重启后恢复的会话继续写入原来的播放列表', async () => {
+    fs.mkdirSync(path.join(STREAMS_DIR, SESSION_ID), { recursive: true });
+    const { session, commands } = createSession({ resumed: { count: 1, firstStartedAt: 1000 } });
+    session.start();
+    assert.match(commands[0].args[commands[0].args.indexOf('-hls_flags') + 1], /append_list/);
+    assert.deepStrictEqual(session.status().resumed, { count: 1, firstStartedAt: 1000 });
+    await session.stop();
+  });
+
+  it('重连等待期间停止时不再重启', async () => {
+    const { session, commands } = createSession({
+      supervisor: { maxRetries: 3, backoff: 10000, maxBackoff: 10000, stableAfter: 60000 }
+    });
+
+    session.start();
+    const reconnecting = once(session, 'reconnecting');
+    commands[0].emit('error', new Error('Connection timed out'));
+    await reconnecting;
+    session.stop();
+    const [ended] = await once(session, 'ended');
+
+    assert.strictEqual(ended.reason, 'stopped');
+    assert.strictEqual(commands.length, 1);
+  });
+
+  it('主动停止时结束会话而不是重连', async () => {
+    const { session, commands } = createSession();
+    let reconnecting = false;
+    session.on('reconnecting', () => {
+      reconnecting = true;
+    });
+
+    session.start();
+    session.stop();
+    const [ended] = await once(session, 'ended');
+
+    assert.strictEqual(commands[0].killed, 'SIGTERM');
+    assert.strictEqual(ended.reason, 'stopped');
+    assert.strictEqual(reconnecting, false);
+  });
+
+  it('处理卡住时终止ffmpeg并重连', async () => {
+    const { session, commands } = createSession({
+      watchdog: { enabled: true, window: 30, interval: 10, minSpeed: 0.8, action: 'restart' }
+    });
+
+    session.start();
+    const [stalled] = await once(session, 'stalled');
+    assert.match(stalled.reason, /没有处理进度/);
+    assert.strictEqual(stalled.action, 'restart');
+
+    const [reconnecting] = await once(session, 'reconnecting');
+    assert.strictEqual(commands[0].killed, 'SIGKILL');
+    assert.match(reconnecting.reason, /处理卡住/);
+
+    await once(session, 'resumed');
+    session.stop();
+    await once(session, 'ended');
+  });
+
+  it('配置为结束时卡住后结束会话', async () => {
+    const { session, commands } = createSession({
+      watchdog: { enabled: true, window: 30, interval: 10, minSpeed: 0.8, action: 'terminate' }
+    });
+
+    session.start();
+    const [ended] = await once(session, 'ended');
+    assert.strictEqual(ended.reason, 'error');
+    assert.strictEqual(commands[0].killed, 'SIGKILL');
+    assert.strictEqual(commands.length, 1);
+  });
+
+  it('开启录制时同时启动录制进程，结束前等待录制停止', async () => {
+    const dir = path.join(os.tmpdir(), 'douyin-session-recording-test');
+    const { session, commands } = createSession({ recording: { dir, label: 'test', stopTimeout: 1000 } });
+
+    session.start();
+    assert.strictEqual(commands.length, 2);
+    assert.ok(commands[1].args.includes('copy'));
+    assert.strictEqual(session.status().recording.recording, true);
+
+    await session.stop();
+    assert.strictEqual(commands[0].killed, 'SIGTERM');
+    assert.strictEqual(commands[1].killed, 'SIGTERM');
+    assert.strictEqual(session.state, 'ended');
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('运行期间可以开始和停止录制', async () => {
+    const dir = path.join(os.tmpdir(), 'douyin-session-recording-toggle-test');
+    const { session, commands } = createSession();
+    session.start();
+
+    const recording = session.startRecording({ dir, label: 'test', stopTimeout: 1000 });
+    assert.strictEqual(recording.recording, true);
+    assert.strictEqual(commands.length, 2);
+    assert.throws(() => session.startRecording({ dir, label: 'test' }), error => error.busy);
+
+    await session.stopRecording();
+    assert.strictEqual(commands[1].killed, 'SIGTERM');
+    assert.strictEqual(session.status().recording, null);
+    await assert.rejects(session.stopRecording(), error => error.notFound);
+    await session.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('手动重启时重新获取地址，不计入连续失败次数', async () => {
+    const { session, commands } = createSession({
+      refresh: async () => ({ streamUrl: 'http://cdn.example.com/live.flv?sign=new' })
+    });
+    session.start();
+    session.attempts = 2;
+
+    const reconnecting = once(session, 'reconnecting');
+    session.restart('管理员重启');
+    const [info] = await reconnecting;
+    assert.strictEqual(info.attempt, 1);
+    assert.strictEqual(info.reason, '管理员重启');
+    assert.strictEqual(commands[0].killed, 'SIGTERM');
+
+    await once(session, 'resumed');
+    assert.strictEqual(commands[1].url, 'http://cdn.example.com/live.flv?sign=new');
+    await session.stop();
+    assert.throws(() => session.restart(), error => error.notFound);
+  });
+
+  it('推流地址随会话启动，读取会话的HLS输出，运行期间可以增加和移除', async () => {
+    const playlist = writePlaylist('index.m3u8');
+    const { session, commands } = createSession({
+      destinations: [{ url: 'rtmp://ingest.example.com/live/key', protocol: 'rtmp', name: '主线路' }],
+      restream: { retryDelay: 5, maxRetryDelay: 20, stopTimeout: 1000 }
+    });
+    const events = [];
+    session.on('destination', status => events.push(status));
+
+    session.start();
+    assert.strictEqual(commands.length, 2);
+    assert.deepStrictEqual(commands[0].targets, [playlist]);
+    // 推流不再从CDN拉流
+    assert.strictEqual(commands[1].url, playlist);
+    assert.strictEqual(commands[1].target, 'rtmp://ingest.example.com/live/key');
+
+    const added = session.addDestination({ url: 'srt://127.0.0.1:9000', protocol: 'srt', name: '备用线路' });
+    assert.strictEqual(added.id, '2');
+    assert.strictEqual(commands.length, 3);
+    assert.throws(
+      () => session.addDestination({ url: 'srt://127.0.0.1:9000', protocol: 'srt', name: '重复' }),
+      error => error.invalidInput
+    );
+
+    await session.removeDestination('1');
+    assert.strictEqual(commands[1].killed, 'SIGTERM');
+    assert.deepStrictEqual(session.status().destinations.map(item => item.id), ['2']);
+    assert.ok(events.some(item => item.id === '1' && item.state === 'stopped'));
+    assert.throws(() => session.removeDestination('1'), error => error.notFound);
+
+    await session.stop();
+    assert.strictEqual(commands[2].killed, 'SIGTERM');
+  });
+
+  it('重连后推流继续读取同一个播放列表，只有会话重新拉流', async () => {
+    const playlist = writePlaylist('index.m3u8');
+    const { session, commands } = createSession({
+      refresh: async () => ({ streamUrl: 'http://cdn.example.com/live.flv?sign=new' }),
+      destinations: [{ url: 'srt://127.0.0.1:9000', protocol: 'srt', name: 'SRT' }],
+      restream: { retryDelay: 60000, maxRetryDelay: 60000, stopTimeout: 1000 }
+    });
+    session.start();
+    commands[1].emit('error', new Error('Input/output error'));
+    commands[0].emit('error', new Error('Connection reset by peer'));
+    await once(session, 'resumed');
+
+    const restream = commands.filter(command => command.target === 'srt://127.0.0.1:9000');
+    assert.strictEqual(restream.length, 2);
+    assert.strictEqual(restream[1].url, playlist);
+    assert.deepStrictEqual(
+      commands.filter(command => command.url.startsWith('http')).map(command => command.url),
+      ['http://cdn.example.com/live.flv?sign=old', 'http://cdn.example.com/live.flv?sign=new']
+    );
+    await session.stop();
+  });
+
+  it('关闭本地播放时只写出推流中转，不输出转码流', async () => {
+    const { session, commands } = createSession({
+      playback: false,
+      destinations: [{ url: 'srt://127.0.0.1:9000', protocol: 'srt', name: 'SRT' }],
+      restream: { stopTimeout: 1000 }
+    });
+    const plan = session.start();
+    assert.strictEqual(plan.output, 'none');
+    assert.strictEqual(plan.url, null);
+    assert.strictEqual(commands[0].target, path.join(STREAMS_DIR, SESSION_ID, 'relay.m3u8'));
+    assert.strictEqual(commands[0].args[commands[0].args.indexOf('-c') + 1], 'copy');
+    assert.strictEqual(session.status().playback, false);
+    // 中转还没有写出，推流等待
+    assert.strictEqual(commands.length, 1);
+    assert.strictEqual(session.status().destinations[0].state, 'connecting');
+    await session.stop();
+  });
+
+  it('MP4输出第一次增加推流地址时重启ffmpeg，另外写出推流中转', async (t) => {
+    const { output } = config.transcode;
+    config.transcode.output = 'mp4';
+    t.after(() => {
+      config.transcode.output = output;
+    });
+    const { session, commands } = createSession({ restream: { stopTimeout: 1000 } });
+    session.start();
+    assert.deepStrictEqual(commands[0].targets, [path.join(STREAMS_DIR, `${SESSION_ID}.mp4`)]);
+
+    session.addDestination({ url: 'srt://127.0.0.1:9000', protocol: 'srt', name: 'SRT' });
+    assert.strictEqual(commands[0].killed, 'SIGTERM');
+    await once(session, 'resumed');
+    assert.deepStrictEqual(commands[1].targets, [
+      path.join(STREAMS_DIR, `${SESSION_ID}.mp4`),
+      path.join(STREAMS_DIR, SESSION_ID, 'relay.m3u8')
+    ]);
+
+    // 已有推流中转时增加推流地址不再重启
+    session.addDestination({ url: 'srt://127.0.0.1:9001', protocol: 'srt', name: 'SRT 2' });
+    assert.strictEqual(commands[1].killed, null);
+    await session.stop();
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * 会话缩略图测试
+ *
+ * 使用模拟的ffmpeg命令，不需要真实的ffmpeg。
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { thumbnailArgs, thumbnailInput, Thumbnails } = require('../thumbnails');
+
+/**
+ * 创建模拟的ffmpeg命令工厂，运行后写出图片文件
+ * @returns {Object} createCommand以及已创建的命令列表commands
+ */
+function createFakeCommands() {
+  const commands = [];
+  // 截图进程结束前等待的Promise，默认立即结束
+  const gate = { wait: Promise.resolve() };
+  const createCommand = (input) => {
+    const command = new EventEmitter();
+    command.input = input;
+    command.args = [];
+    command.inputOptions = () => command;
+    command.outputOptions = (...args) => {
+      command.args.push(...args);
+      return command;
+    };
+    command.output = (target) => {
+      command.target = target;
+      return command;
+    };
+    command.run = () => gate.wait.then(() => {
+      fs.writeFileSync(command.target, 'jpeg');
+      command.emit('end');
+    });
+    command.kill = () => {};
+    commands.push(command);
+    return command;
+  };
+  return { commands, createCommand, gate };
+}
+
+/**
+ * 创建HLS输出的模拟会话
+ * @param {string} dir - 会话的输出目录
+ * @param {string} playlist - 播放列表内容
+ * @returns {Object} 会话
+ */
+function hlsSession(dir, playlist) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'index.m3u8'), playlist);
+  return {
+    sessionId: 's1',
+    plan: {
+      output: 'hls',
+      dir,
+      file: path.join(dir, 'index.m3u8'),
+      renditions: [{ name: 'source' }],
+      relay: { file: path.join(dir, 'index.m3u8'), args: null }
+    },
+    source: { streamUrl: 'http://cdn.example.com/live.flv' }
+  };
+}
+
+const PLAYLIST = '#EXTM3U\n#EXTINF:4.0,\nindex0.ts\n#EXTINF:4.0,\nindex1.ts\n';
+
+describe('thumbnailArgs', () => {
+  it('只输出一帧，参数中不含空格', () => {
+    const args = thumbnailArgs(320);
+    assert.strictEqual(args[args.indexOf('-frames:v') + 1], '1');
+    assert.strictEqual(args[args.indexOf('-vf') + 1], 'scale=320:-2');
+    for (const arg of args) {
+      assert.ok(!arg.includes(' '), arg);
+    }
+  });
+});
+
+describe('thumbnailInput', () => {
+  it('使用HLS输出或推流中转的最新分片', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-thumbnails-'));
+    const session = hlsSession(path.join(dir, 's1'), PLAYLIST);
+    assert.deepStrictEqual(thumbnailInput(session), { input: path.join(dir, 's1', 'index1.ts'), inputOptions: [] });
+
+    const relayDir = path.join(dir, 's2');
+    fs.mkdirSync(relayDir);
+    fs.writeFileSync(path.join(relayDir, 'relay.m3u8'), PLAYLIST);
+    const input = thumbnailInput({
+      plan: { output: 'mp4', relay: { file: path.join(relayDir, 'relay.m3u8'), args: [] } },
+      source: { streamUrl: 'http://cdn.example.com/live.flv' }
+    });
+    assert.strictEqual(input.input, path.join(relayDir, 'index1.ts'));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('没有本地分片的会话不从直播流来源截取', () => {
+    const session = { plan: { output: 'mp4', relay: null }, source: { streamUrl: 'http://cdn.example.com/live.flv' } };
+    assert.throws(() => thumbnailInput(session), error => error.notFound);
+  });
+
+  it('还没有分片时视为没有画面', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-thumbnails-'));
+    const session = hlsSession(path.join(dir, 's1'), '#EXTM3U\n');
+    assert.throws(() => thumbnailInput(session), error => error.notFound);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('Thumbnails', () => {
+  it('缓存期内和截取期间的请求共用同一张图片', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-thumbnails-'));
+    const session = hlsSession(path.join(dir, 's1'), PLAYLIST);
+    const { commands, createCommand } = createFakeCommands();
+    const thumbnails = new Thumbnails({ thumbnailDir: path.join(dir, 'thumbnails'), thumbnailTtl: 60000, createCommand });
+
+    const files = await Promise.all([thumbnails.capture(session), thumbnails.capture(session)]);
+    assert.strictEqual(commands.length, 1);
+    assert.deepStrictEqual(files, [thumbnails.file('s1'), thumbnails.file('s1')]);
+    assert.strictEqual(fs.readFileSync(files[0], 'utf8'), 'jpeg');
+
+    await thumbnails.capture(session);
+    assert.strictEqual(commands.length, 1);
+
+    thumbnails.remove('s1');
+    assert.ok(!fs.existsSync(thumbnails.file('s1')));
+    await thumbnails.capture(session);
+    assert.strictEqual(commands.length, 2);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('截图期间会话被删除时不再写出图片', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-thumbnails-'));
+    const session = hlsSession(path.join(dir, 's1'), PLAYLIST);
+    const { createCommand, gate } = createFakeCommands();
+    let finish;
+    gate.wait = new Promise((resolve) => {
+      finish = resolve;
+    });
+    const thumbnails = new Thumbnails({ thumbnailDir: path.join(dir, 'thumbnails'), thumbnailTtl: 60000, createCommand });
+
+    const pending = thumbnails.capture(session);
+    thumbnails.remove('s1');
+    finish();
+    await assert.rejects(pending, error => error.notFound);
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'thumbnails')), []);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
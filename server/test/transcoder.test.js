@@ -0,0 +1,335 @@
+/**
+ * 转码输出测试
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  STREAMS_DIR,
+  parseRendition,
+  parseRenditions,
+  selectRenditions,
+  chooseMode,
+  outputTarget,
+  removeStaleOutputs,
+  disposeOutput,
+  hlsListSize,
+  dvrWindowSeconds,
+  hlsOutputOptions,
+  containerOptions,
+  planOutput
+} = require('../transcoder');
+
+/**
+ * 取出参数列表中某个选项的值
+ * @param {string[]} args - ffmpeg参数
+ * @param {string} name - 选项名
+ * @returns {string|undefined} 选项值
+ */
+function argValue(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+describe('outputTarget', () => {
+  it('HLS输出时每个会话一个目录', () => {
+    const target = outputTarget('123-abc', 'hls');
+    assert.strictEqual(target.output, 'hls');
+    assert.strictEqual(target.dir, path.join(STREAMS_DIR, '123-abc'));
+    assert.strictEqual(target.file, path.join(STREAMS_DIR, '123-abc', 'index.m3u8'));
+    assert.strictEqual(target.url, '/streams/123-abc/index.m3u8');
+  });
+
+  it('MP4输出时写到单个文件', () => {
+    const target = outputTarget('123-abc', 'mp4');
+    assert.strictEqual(target.dir, STREAMS_DIR);
+    assert.strictEqual(target.url, '/streams/123-abc.mp4');
+  });
+});
+
+describe('removeStaleOutputs', () => {
+  it('只删除不属于活跃会话且长时间没有修改的输出', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-streams-'));
+    fs.mkdirSync(path.join(dir, 'active'));
+    fs.mkdirSync(path.join(dir, 'stale'));
+    fs.writeFileSync(path.join(dir, 'stale', 'index.m3u8'), '');
+    fs.writeFileSync(path.join(dir, 'old.mp4'), '');
+    fs.mkdirSync(path.join(dir, 'recent'));
+
+    // 把会话已结束的输出的修改时间改为一小时前
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    for (const name of ['active', 'stale', 'old.mp4']) {
+      fs.utimesSync(path.join(dir, name), hourAgo, hourAgo);
+    }
+
+    const removed = removeStaleOutputs(new Set(['active']), 30 * 60 * 1000, { dir });
+    assert.deepStrictEqual(removed.sort(), ['old.mp4', 'stale']);
+    assert.ok(fs.existsSync(path.join(dir, 'active')));
+    assert.ok(fs.existsSync(path.join(dir, 'recent')));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('disposeOutput', () => {
+  it('删除会话的MP4文件，不影响其他会话', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-streams-'));
+    fs.writeFileSync(path.join(dir, 's1.mp4'), '');
+    fs.writeFileSync(path.join(dir, 's2.mp4'), '');
+
+    assert.strictEqual(disposeOutput({ output: 'mp4', dir, file: path.join(dir, 's1.mp4') }, 'delete'), null);
+    assert.deepStrictEqual(fs.readdirSync(dir), ['s2.mp4']);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('归档HLS目录并补上播放列表的结束标记', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-streams-'));
+    const dir = path.join(root, 'streams', 's1');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'index.m3u8'), '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=1000\nstream_720p.m3u8\n');
+    fs.writeFileSync(path.join(dir, 'stream_720p.m3u8'), '#EXTM3U\n#EXTINF:4.0,\nsegment_0.ts');
+
+    const archived = disposeOutput({ output: 'hls', dir, file: path.join(dir, 'index.m3u8') }, 'archive', path.join(root, 'archive'));
+    assert.strictEqual(archived, path.join(root, 'archive', 's1'));
+    assert.ok(!fs.existsSync(dir));
+    assert.ok(!fs.readFileSync(path.join(archived, 'index.m3u8'), 'utf8').includes('#EXT-X-ENDLIST'));
+    assert.strictEqual(fs.readFileSync(path.join(archived, 'stream_720p.m3u8'), 'utf8'), '#EXTM3U\n#EXTINF:4.0,\nsegment_0.ts\n#EXT-X-ENDLIST\n');
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('只推流的会话没有输出', () => {
+    assert.strictEqual(disposeOutput({ output: 'none', dir: null, file: '-' }, 'archive'), null);
+  });
+
+  it('推流中转直接删除，不归档', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-streams-'));
+    const dir = path.join(root, 's1');
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'relay.m3u8'), '#EXTM3U\n');
+    const relay = { file: path.join(dir, 'relay.m3u8'), args: [] };
+
+    assert.strictEqual(disposeOutput({ output: 'none', dir, file: relay.file, relay: { ...relay, args: null } }, 'archive', path.join(root, 'archive')), null);
+    assert.ok(!fs.existsSync(dir));
+
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(root, 's1.mp4'), '');
+    const archived = disposeOutput({ output: 'mp4', dir: root, file: path.join(root, 's1.mp4'), relay }, 'archive', path.join(root, 'archive'));
+    assert.strictEqual(archived, path.join(root, 'archive', 's1.mp4'));
+    assert.ok(!fs.existsSync(dir));
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+});
+
+describe('hlsOutputOptions', () => {
+  it('按配置设置分片时长和窗口大小', () => {
+    const args = hlsOutputOptions({ segmentSeconds: 2, listSize: 10 });
+    assert.strictEqual(args[args.indexOf('-hls_time') + 1], '2');
+    assert.strictEqual(args[args.indexOf('-hls_list_size') + 1], '10');
+    assert.strictEqual(args[args.indexOf('-force_key_frames') + 1], 'expr:gte(t,n_forced*2)');
+    assert.match(args[args.indexOf('-hls_flags') + 1], /delete_segments/);
+  });
+
+  it('开启时移时保留覆盖整个窗口的分片', () => {
+    const args = hlsOutputOptions({ segmentSeconds: 4, listSize: 6, dvrMinutes: 120 });
+    assert.strictEqual(args[args.indexOf('-hls_list_size') + 1], '1800');
+    assert.match(args[args.indexOf('-hls_flags') + 1], /delete_segments/);
+  });
+
+  it('参数中不含空格，避免被fluent-ffmpeg拆分', () => {
+    for (const arg of containerOptions('hls', { segmentSeconds: 4, listSize: 6 }).concat(containerOptions('mp4'))) {
+      assert.ok(!arg.includes(' '), arg);
+    }
+  });
+});
+
+describe('hlsListSize', () => {
+  it('未开启时移时使用listSize', () => {
+    assert.strictEqual(hlsListSize({ segmentSeconds: 4, listSize: 6 }), 6);
+    assert.strictEqual(hlsListSize({ segmentSeconds: 4, listSize: 6, dvrMinutes: 0 }), 6);
+  });
+
+  it('窗口按分片时长向上取整，且不少于listSize', () => {
+    assert.strictEqual(hlsListSize({ segmentSeconds: 4, listSize: 6, dvrMinutes: 1.1 }), 17);
+    assert.strictEqual(hlsListSize({ segmentSeconds: 4, listSize: 30, dvrMinutes: 1 }), 30);
+  });
+});
+
+describe('dvrWindowSeconds', () => {
+  it('只有HLS输出支持时移', () => {
+    const hls = { segmentSeconds: 4, listSize: 6, dvrMinutes: 10 };
+    assert.strictEqual(dvrWindowSeconds('hls', hls), 600);
+    assert.strictEqual(dvrWindowSeconds('mp4', hls), 0);
+    assert.strictEqual(dvrWindowSeconds('hls', { segmentSeconds: 4, listSize: 6 }), 0);
+  });
+});
+
+describe('parseRendition', () => {
+  it('解析预置清晰度和自定义码率', () => {
+    assert.deepStrictEqual(parseRendition('720p'), { name: '720p', height: 720, videoBitrate: 2500, audioBitrate: 128, audioOnly: false });
+    assert.strictEqual(parseRendition('720p@1800k').videoBitrate, 1800);
+    assert.strictEqual(parseRendition('540p@1500k').height, 540);
+    assert.strictEqual(parseRendition('audio').audioOnly, true);
+    assert.strictEqual(parseRendition('source').height, null);
+  });
+
+  it('无法识别或非预置高度缺少码率时为null', () => {
+    assert.strictEqual(parseRendition('540p'), null);
+    assert.strictEqual(parseRendition('hd'), null);
+  });
+
+  it('列表忽略无效和重复的项，为空时使用source', () => {
+    assert.deepStrictEqual(parseRenditions(['720p', 'hd', '720p', '480p']).map(item => item.name), ['720p', '480p']);
+    assert.deepStrictEqual(parseRenditions([]).map(item => item.name), ['source']);
+  });
+});
+
+describe('selectRenditions', () => {
+  const ladder = parseRenditions(['1080p', '720p', '480p', 'audio']);
+
+  it('跳过高于源分辨率的清晰度', () => {
+    const selected = selectRenditions(ladder, { video: { height: 720 }, audio: { codec: 'aac' } });
+    assert.deepStrictEqual(selected.map(item => item.name), ['720p', '480p', 'audio']);
+  });
+
+  it('全部高于源分辨率时保留最低的一个', () => {
+    const selected = selectRenditions(ladder, { video: { height: 360 }, audio: { codec: 'aac' } });
+    assert.deepStrictEqual(selected.map(item => item.name), ['480p', 'audio']);
+  });
+
+  it('源没有音频时跳过只有音频的清晰度', () => {
+    const selected = selectRenditions(ladder, { video: { height: 1080 }, audio: null });
+    assert.deepStrictEqual(selected.map(item => item.name), ['1080p', '720p', '480p']);
+  });
+
+  it('没有探测结果时保留全部', () => {
+    assert.strictEqual(selectRenditions(ladder, null).length, 4);
+  });
+});
+
+describe('chooseMode', () => {
+  const source = parseRenditions(['source']);
+  const h264 = { video: { codec: 'h264', height: 1080 }, audio: { codec: 'aac' } };
+
+  it('H.264/AAC的源直接转封装', () => {
+    assert.strictEqual(chooseMode(source, h264, 'auto').mode, 'copy');
+    assert.strictEqual(chooseMode(source, { video: { codec: 'h264', height: 720 }, audio: null }, 'auto').mode, 'copy');
+    assert.strictEqual(chooseMode(parseRenditions(['1080p']), h264, 'auto').mode, 'copy');
+  });
+
+  it('HEVC或不兼容的音频需要转码', () => {
+    const hevc = chooseMode(source, { video: { codec: 'hevc', height: 1080 }, audio: { codec: 'aac' } }, 'auto');
+    assert.strictEqual(hevc.mode, 'transcode');
+    assert.match(hevc.reason, /HEVC/);
+    assert.strictEqual(chooseMode(source, { video: { codec: 'h264' }, audio: { codec: 'opus' } }, 'auto').mode, 'transcode');
+  });
+
+  it('没有探测结果、需要缩放或多清晰度时转码', () => {
+    assert.strictEqual(chooseMode(source, null, 'auto').mode, 'transcode');
+    assert.strictEqual(chooseMode(parseRenditions(['720p']), h264, 'auto').mode, 'transcode');
+    assert.strictEqual(chooseMode(parseRenditions(['720p', '480p']), h264, 'auto').mode, 'transcode');
+  });
+
+  it('按配置强制转封装或转码', () => {
+    assert.strictEqual(chooseMode(source, null, 'copy').mode, 'copy');
+    assert.strictEqual(chooseMode(source, h264, 'transcode').mode, 'transcode');
+  });
+});
+
+describe('planOutput', () => {
+  const hls = { segmentSeconds: 4, listSize: 6 };
+
+  it('转封装时使用流复制，不强制插入关键帧', () => {
+    const plan = planOutput('s1', {
+      output: 'hls',
+      hls,
+      mode: 'auto',
+      renditions: parseRenditions(['source']),
+      probe: { video: { codec: 'h264', height: 1080 }, audio: { codec: 'aac' } }
+    });
+    assert.strictEqual(plan.mode, 'copy');
+    assert.strictEqual(argValue(plan.args, '-c'), 'copy');
+    assert.ok(!plan.args.includes('-force_key_frames'));
+    assert.ok(!plan.args.includes('libx264'));
+    assert.strictEqual(plan.url, '/streams/s1/index.m3u8');
+  });
+
+  it('单个清晰度直接输出index.m3u8', () => {
+    const plan = planOutput('s1', { output: 'hls', hls, mode: 'transcode', renditions: parseRenditions(['source']) });
+    assert.strictEqual(plan.mode, 'transcode');
+    assert.strictEqual(plan.file, path.join(STREAMS_DIR, 's1', 'index.m3u8'));
+    assert.strictEqual(argValue(plan.args, '-c:v'), 'libx264');
+    assert.strictEqual(argValue(plan.args, '-b:v'), '1000k');
+    assert.strictEqual(argValue(plan.args, '-vf'), undefined);
+    assert.strictEqual(argValue(plan.args, '-var_stream_map'), undefined);
+  });
+
+  it('多个清晰度生成主播放列表和子播放列表', () => {
+    const plan = planOutput('s1', {
+      output: 'hls',
+      hls,
+      renditions: parseRenditions(['1080p', '720p', 'audio']),
+      probe: { video: { height: 1080 }, audio: { codec: 'aac' } }
+    });
+    assert.strictEqual(plan.url, '/streams/s1/index.m3u8');
+    assert.strictEqual(plan.file, path.join(STREAMS_DIR, 's1', 'stream_%v.m3u8'));
+    assert.strictEqual(argValue(plan.args, '-master_pl_name'), 'index.m3u8');
+    assert.strictEqual(argValue(plan.args, '-var_stream_map'), 'v:0,a:0,name:1080p v:1,a:1,name:720p a:2,name:audio');
+    assert.strictEqual(argValue(plan.args, '-filter_complex'), '[0:v:0]split=2[s0][s1];[s0]scale=-2:1080[v0];[s1]scale=-2:720[v1]');
+    assert.strictEqual(argValue(plan.args, '-b:v:1'), '2500k');
+  });
+
+  it('源没有音频时子播放列表只包含视频', () => {
+    const plan = planOutput('s1', {
+      output: 'hls',
+      hls,
+      renditions: parseRenditions(['720p', '480p']),
+      probe: { video: { height: 720 }, audio: null }
+    });
+    assert.strictEqual(argValue(plan.args, '-var_stream_map'), 'v:0,name:720p v:1,name:480p');
+    assert.ok(!plan.args.includes('0:a:0'));
+  });
+
+  it('只有视频的源不映射音频，没有探测结果时音频映射为可选', () => {
+    const renditions = parseRenditions(['720p', '480p', 'audio']);
+    const videoOnly = planOutput('s1', { output: 'hls', hls, renditions, probe: { video: { codec: 'h264', height: 720 }, audio: null } });
+    assert.deepStrictEqual(videoOnly.renditions.map(item => item.name), ['720p', '480p']);
+    assert.ok(!videoOnly.args.some(arg => arg.startsWith('0:a')));
+    assert.ok(!videoOnly.args.some(arg => arg.startsWith('-c:a')));
+
+    const unknown = planOutput('s1', { output: 'hls', hls, renditions });
+    assert.deepStrictEqual(unknown.args.filter(arg => arg.startsWith('0:a')), ['0:a:0?', '0:a:0?', '0:a:0?']);
+    assert.strictEqual(argValue(unknown.args, '-var_stream_map'), 'v:0,a:0,name:720p v:1,a:1,name:480p a:2,name:audio');
+  });
+
+  it('推流读取HLS输出的媒体播放列表，只推流和MP4输出另外写出推流中转', () => {
+    const probe = { video: { codec: 'hevc', height: 1080 }, audio: { codec: 'aac' } };
+    const copy = planOutput('s1', { output: 'hls', hls, mode: 'copy', renditions: parseRenditions(['source']), probe });
+    assert.deepStrictEqual(copy.relay, { file: copy.file, args: null, probe });
+
+    const variants = planOutput('s1', { output: 'hls', hls, renditions: parseRenditions(['720p', '480p']), probe });
+    assert.strictEqual(variants.relay.file, path.join(STREAMS_DIR, 's1', 'stream_720p.m3u8'));
+    assert.deepStrictEqual(variants.relay.probe, { video: { codec: 'h264' }, audio: { codec: 'aac' } });
+
+    const none = planOutput('s1', { output: 'none', hls, probe });
+    assert.strictEqual(none.url, null);
+    assert.strictEqual(none.file, path.join(STREAMS_DIR, 's1', 'relay.m3u8'));
+    assert.strictEqual(argValue(none.args, '-c'), 'copy');
+    assert.strictEqual(argValue(none.args, '-f'), 'hls');
+    assert.deepStrictEqual(none.relay, { file: none.file, args: null, probe });
+
+    assert.strictEqual(planOutput('s1', { output: 'mp4', hls, probe }).relay, null);
+    const mp4 = planOutput('s1', { output: 'mp4', hls, probe, relay: true });
+    assert.strictEqual(mp4.relay.file, path.join(STREAMS_DIR, 's1', 'relay.m3u8'));
+    assert.strictEqual(argValue(mp4.relay.args, '-f'), 'hls');
+    assert.ok(!mp4.relay.args.includes('-force_key_frames'));
+  });
+
+  it('MP4输出只使用第一个清晰度', () => {
+    const plan = planOutput('s1', { output: 'mp4', hls, renditions: parseRenditions(['720p', '480p']) });
+    assert.deepStrictEqual(plan.renditions.map(item => item.name), ['720p']);
+    assert.strictEqual(argValue(plan.args, '-vf'), 'scale=-2:720');
+    assert.strictEqual(argValue(plan.args, '-f'), 'mp4');
+  });
+});
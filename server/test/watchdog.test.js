@@ -0,0 +1,72 @@
+/**
+ * 转码卡顿检测测试
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseTimemark, StallWatchdog } = require('../watchdog');
+
+const WINDOW = 10000;
+
+/**
+ * 模拟ffmpeg按指定速度持续输出进度
+ * @param {StallWatchdog} watchdog - 卡顿检测
+ * @param {Object} options - 模拟选项
+ * @param {number} options.from - 开始时间（毫秒）
+ * @param {number} options.to - 结束时间（毫秒）
+ * @param {number} options.speed - 处理速度
+ * @param {boolean} [options.freezeFrames] - 帧数是否停止增加
+ */
+function feed(watchdog, { from, to, speed, freezeFrames = false }) {
+  for (let now = from; now <= to; now += 1000) {
+    const seconds = (now / 1000) * speed;
+    const time = new Date(seconds * 1000).toISOString().slice(11, 22);
+    watchdog.record({
+      frames: freezeFrames ? 100 : Math.round(seconds * 25),
+      currentFps: 25 * speed,
+      timemark: time
+    }, now);
+  }
+}
+
+describe('parseTimemark', () => {
+  it('解析ffmpeg的时间标记', () => {
+    assert.strictEqual(parseTimemark('00:01:02.50'), 62.5);
+    assert.strictEqual(parseTimemark('01:00:00'), 3600);
+    assert.strictEqual(parseTimemark('N/A'), null);
+  });
+});
+
+describe('StallWatchdog', () => {
+  it('实时处理时不报告卡住', () => {
+    const watchdog = new StallWatchdog({ window: WINDOW, minSpeed: 0.8 }, 0);
+    feed(watchdog, { from: 1000, to: 30000, speed: 1 });
+    assert.strictEqual(watchdog.check(29000, 30000), null);
+    assert.ok(Math.abs(watchdog.status(30000).speed - 1) < 0.05);
+  });
+
+  it('启动后一个窗口内没有任何进度时报告卡住', () => {
+    const watchdog = new StallWatchdog({ window: WINDOW, minSpeed: 0.8 }, 0);
+    assert.strictEqual(watchdog.check(null, 5000), null);
+    assert.match(watchdog.check(null, 11000), /没有处理进度/);
+  });
+
+  it('帧数停止增加时报告画面冻结', () => {
+    const watchdog = new StallWatchdog({ window: WINDOW, minSpeed: 0.8 }, 0);
+    feed(watchdog, { from: 1000, to: 5000, speed: 1 });
+    feed(watchdog, { from: 6000, to: 20000, speed: 1, freezeFrames: true });
+    assert.match(watchdog.check(20000, 20000), /没有新的视频帧/);
+  });
+
+  it('处理速度持续低于实时时报告卡住', () => {
+    const watchdog = new StallWatchdog({ window: WINDOW, minSpeed: 0.8 }, 0);
+    feed(watchdog, { from: 1000, to: 30000, speed: 0.5 });
+    assert.match(watchdog.check(30000, 30000), /实时的0\.50倍/);
+  });
+
+  it('输出文件长时间没有更新时报告卡住', () => {
+    const watchdog = new StallWatchdog({ window: WINDOW, minSpeed: 0.8 }, 0);
+    feed(watchdog, { from: 1000, to: 30000, speed: 1 });
+    assert.match(watchdog.check(15000, 30000), /输出文件/);
+  });
+});
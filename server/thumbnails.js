@@ -0,0 +1,156 @@
+/**
+ * 会话缩略图
+ *
+ * 管理页面为每个会话显示一张最近的画面。从HLS输出或推流中转的最新分片中截取第一帧（分片以关键帧开始，截取很快），
+ * 不另外从直播流来源拉流；没有本地分片的会话（MP4输出且没有推流中转）显示占位图。
+ * 截取的图片缓存一段时间，期间重复请求直接返回上次的图片；同一会话同时只运行一个截图进程。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const config = require('./config');
+const { parsePlaylist } = require('./clips');
+
+/**
+ * 拼接截取缩略图的ffmpeg输出参数
+ * @param {number} width - 图片宽度（像素），高度按比例缩放
+ * @returns {string[]} ffmpeg输出参数
+ */
+function thumbnailArgs(width) {
+  return ['-an', '-frames:v', '1', '-vf', `scale=${width}:-2`, '-q:v', '5', '-f', 'image2'];
+}
+
+/**
+ * 选择截取缩略图的输入，即推流中转播放列表（HLS输出时为输出本身）中最新的分片
+ * @param {Object} session - 转播会话，使用plan.relay
+ * @returns {Object} 分片文件input，以及输入参数inputOptions
+ * @throws {Error} 没有本地播放列表或还没有分片时抛出，error.notFound为true
+ */
+function thumbnailInput(session) {
+  const playlist = session.plan && session.plan.relay ? session.plan.relay.file : null;
+  let segments = [];
+  if (playlist) {
+    try {
+      segments = parsePlaylist(fs.readFileSync(playlist, 'utf8'));
+    } catch (e) {
+      // 播放列表还没有生成
+    }
+  }
+  if (segments.length === 0) {
+    const error = new Error('还没有可以截取的画面');
+    error.notFound = true;
+    throw error;
+  }
+  const latest = segments[segments.length - 1];
+  return { input: path.resolve(path.dirname(playlist), latest.uri), inputOptions: [] };
+}
+
+class Thumbnails {
+  /**
+   * @param {Object} [options] - 选项，未提供的项使用config.dashboard
+   * @param {string} [options.thumbnailDir] - 保存缩略图的目录
+   * @param {number} [options.thumbnailTtl] - 缩略图的缓存时间（毫秒）
+   * @param {number} [options.thumbnailWidth] - 缩略图宽度（像素）
+   * @param {number} [options.thumbnailTimeout] - 截取超时（毫秒），超时后结束ffmpeg
+   * @param {Function} [options.createCommand] - 创建ffmpeg命令的函数，默认使用fluent-ffmpeg，便于测试替换
+   */
+  constructor(options = {}) {
+    this.options = { ...config.dashboard, ...options };
+    this.createCommand = options.createCommand || (input => ffmpeg(input));
+    // sessionId -> { capturedAt, pending }
+    this.entries = new Map();
+  }
+
+  /**
+   * 缩略图的文件路径
+   * @param {string} sessionId - 会话ID
+   * @returns {string} JPEG文件路径
+   */
+  file(sessionId) {
+    return path.join(this.options.thumbnailDir, `${sessionId}.jpg`);
+  }
+
+  /**
+   * 获取会话的缩略图，缓存过期时重新截取
+   * @param {Object} session - 转播会话
+   * @returns {Promise<string>} 缩略图的文件路径
+   * @throws {Error} 还没有画面时error.notFound为true，截取失败时为ffmpeg的错误
+   */
+  capture(session) {
+    const { sessionId } = session;
+    const entry = this.entries.get(sessionId) || { capturedAt: 0, pending: null };
+    this.entries.set(sessionId, entry);
+    if (entry.pending) {
+      return entry.pending;
+    }
+    if (Date.now() - entry.capturedAt < this.options.thumbnailTtl && fs.existsSync(this.file(sessionId))) {
+      return Promise.resolve(this.file(sessionId));
+    }
+
+    entry.pending = this.run(session, entry)
+      .then((file) => {
+        entry.capturedAt = Date.now();
+        return file;
+      })
+      .finally(() => {
+        entry.pending = null;
+      });
+    return entry.pending;
+  }
+
+  /**
+   * 运行一次截图，先写临时文件再替换，避免返回写到一半的图片
+   * @param {Object} session - 转播会话
+   * @param {Object} entry - 发起截图时会话的缓存记录，截图期间会话被删除后不再写出图片
+   * @returns {Promise<string>} 缩略图的文件路径
+   * @throws {Error} 截图期间会话被删除时error.notFound为true
+   */
+  async run(session, entry) {
+    const { input, inputOptions } = thumbnailInput(session);
+    const file = this.file(session.sessionId);
+    const tmpFile = `${file}.tmp`;
+    fs.mkdirSync(this.options.thumbnailDir, { recursive: true });
+
+    await new Promise((resolve, reject) => {
+      const command = this.createCommand(input);
+      const timer = setTimeout(() => command.kill('SIGKILL'), this.options.thumbnailTimeout);
+      command
+        .inputOptions(...inputOptions)
+        .outputOptions(...thumbnailArgs(this.options.thumbnailWidth))
+        .output(tmpFile)
+        .on('error', (error) => {
+          clearTimeout(timer);
+          reject(error);
+        })
+        .on('end', () => {
+          clearTimeout(timer);
+          resolve();
+        });
+      command.run();
+    });
+    if (this.entries.get(session.sessionId) !== entry) {
+      fs.rmSync(tmpFile, { force: true });
+      const error = new Error('直播会话不存在');
+      error.notFound = true;
+      throw error;
+    }
+    fs.renameSync(tmpFile, file);
+    return file;
+  }
+
+  /**
+   * 会话结束后删除缩略图
+   * @param {string} sessionId - 会话ID
+   */
+  remove(sessionId) {
+    this.entries.delete(sessionId);
+    fs.rmSync(this.file(sessionId), { force: true });
+  }
+}
+
+module.exports = {
+  thumbnailArgs,
+  thumbnailInput,
+  Thumbnails
+};
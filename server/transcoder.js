@@ -0,0 +1,602 @@
+/**
+ * 转码输出
+ *
+ * 决定转码结果写到哪里、以什么格式写出。默认输出HLS：每个会话一个目录，
+ * 其中是滚动更新的 index.m3u8 播放列表和分片，旧分片会被删除，
+ * 观众随时加入都从直播的最新位置开始播放。
+ * 也可以通过 TRANSCODE_OUTPUT=mp4 回到原来单个分片MP4文件的输出方式。
+ *
+ * 配置了多个清晰度（TRANSCODE_RENDITIONS）时，每个清晰度单独编码为一个HLS子播放列表，
+ * index.m3u8 为主播放列表，播放器根据带宽自动切换。
+ *
+ * 源直播流已经是浏览器能直接解码的H.264/AAC、且只输出一个源分辨率的清晰度时，
+ * 使用流复制直接转封装，不重新编码，大幅降低CPU占用。
+ *
+ * 推流进程不再单独拉取直播流，而是读取会话在本地的HLS播放列表（推流中转）：HLS输出直接使用播放的播放列表，
+ * 只推流和MP4输出的会话由同一个ffmpeg另外写出一个流复制的 relay.m3u8。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// 所有会话输出的根目录，通过 /streams 静态路由对外提供
+const STREAMS_DIR = path.join(__dirname, 'public', 'streams');
+
+// HLS播放列表的文件名，多清晰度输出时为主播放列表
+const HLS_PLAYLIST = 'index.m3u8';
+
+// 多清晰度输出时各清晰度的子播放列表，%v由ffmpeg替换为清晰度名称
+const HLS_VARIANT_PLAYLIST = 'stream_%v.m3u8';
+
+// 推流中转的播放列表，写在会话的HLS目录中
+const RELAY_PLAYLIST = 'relay.m3u8';
+
+// 预置的清晰度，码率单位为kbps；source表示保持源分辨率
+const RENDITION_PRESETS = {
+  source: { height: null, videoBitrate: 1000, audioBitrate: 128 },
+  '1080p': { height: 1080, videoBitrate: 4500, audioBitrate: 128 },
+  '720p': { height: 720, videoBitrate: 2500, audioBitrate: 128 },
+  '480p': { height: 480, videoBitrate: 1000, audioBitrate: 96 },
+  '360p': { height: 360, videoBitrate: 600, audioBitrate: 64 },
+  audio: { audioOnly: true, audioBitrate: 128 }
+};
+
+// 浏览器能直接解码、可以直接转封装的编码
+const COMPATIBLE_VIDEO_CODECS = ['h264'];
+const COMPATIBLE_AUDIO_CODECS = ['aac', 'mp3'];
+
+/**
+ * 解析清晰度配置
+ *
+ * 支持预置名称（source、1080p、720p、480p、360p、audio），
+ * 以及 "<高度>p@<码率>k" 的自定义写法，例如 720p@1800k、540p@1500k。
+ *
+ * @param {string} spec - 清晰度配置
+ * @returns {Object|null} 名称name、高度height、视频码率videoBitrate、音频码率audioBitrate、
+ *   是否只有音频audioOnly，无法识别时为null
+ */
+function parseRendition(spec) {
+  const name = String(spec).trim().toLowerCase();
+  if (RENDITION_PRESETS[name]) {
+    return { name, audioOnly: false, ...RENDITION_PRESETS[name] };
+  }
+
+  const match = name.match(/^(\d+)p(?:@(\d+)k)?$/);
+  if (!match) {
+    return null;
+  }
+  const preset = RENDITION_PRESETS[`${match[1]}p`];
+  const videoBitrate = match[2] ? parseInt(match[2], 10) : null;
+  if (!preset && !videoBitrate) {
+    // 非预置的高度必须指定码率
+    return null;
+  }
+  return {
+    name: `${match[1]}p`,
+    height: parseInt(match[1], 10),
+    videoBitrate: videoBitrate || preset.videoBitrate,
+    audioBitrate: preset ? preset.audioBitrate : 128,
+    audioOnly: false
+  };
+}
+
+/**
+ * 解析清晰度列表，忽略无法识别的项
+ * @param {string[]} specs - 清晰度配置列表
+ * @returns {Object[]} parseRendition的结果，列表为空时为source
+ */
+function parseRenditions(specs) {
+  const renditions = [];
+  for (const spec of specs) {
+    const rendition = parseRendition(spec);
+    if (!rendition) {
+      console.warn(`无法识别的转码清晰度配置，已忽略: ${spec}`);
+    } else if (!renditions.some(item => item.name === rendition.name)) {
+      renditions.push(rendition);
+    }
+  }
+  return renditions.length > 0 ? renditions : [parseRendition('source')];
+}
+
+/**
+ * 根据源直播流的探测结果筛选清晰度
+ *
+ * 高于源分辨率的清晰度没有意义，会被跳过（全部高于源分辨率时保留最低的一个）；
+ * 源直播流没有音频时跳过只有音频的清晰度。没有探测结果时保留全部清晰度。
+ *
+ * @param {Object[]} renditions - 配置的清晰度
+ * @param {Object} [probe] - 源直播流的探测结果，参见summarizeProbe
+ * @returns {Object[]} 实际输出的清晰度
+ */
+function selectRenditions(renditions, probe) {
+  const sourceHeight = probe && probe.video ? probe.video.height : null;
+  const hasAudio = !probe || !!probe.audio;
+
+  const videos = renditions.filter(item => !item.audioOnly);
+  let selected = videos.filter(item => !item.height || !sourceHeight || item.height <= sourceHeight);
+  if (videos.length > 0 && selected.length === 0) {
+    selected = [videos.reduce((lowest, item) => (item.height < lowest.height ? item : lowest))];
+  }
+
+  if (hasAudio) {
+    selected = selected.concat(renditions.filter(item => item.audioOnly));
+  }
+  return selected.length > 0 ? selected : [parseRendition('source')];
+}
+
+/**
+ * 决定转封装还是转码
+ * @param {Object[]} renditions - 实际输出的清晰度
+ * @param {Object} [probe] - 源直播流的探测结果
+ * @param {string} [mode] - 配置的转码方式auto、copy或transcode，默认使用config.transcode.mode
+ * @returns {Object} 转码方式mode（copy或transcode）及原因reason
+ */
+function chooseMode(renditions, probe, mode = config.transcode.mode) {
+  if (mode === 'copy') {
+    return { mode: 'copy', reason: '配置为始终转封装' };
+  }
+  if (mode === 'transcode') {
+    return { mode: 'transcode', reason: '配置为始终转码' };
+  }
+
+  if (!probe || !probe.video) {
+    return { mode: 'transcode', reason: '未能检测源直播流的编码' };
+  }
+  const { video, audio } = probe;
+  if (!COMPATIBLE_VIDEO_CODECS.includes(video.codec)) {
+    return { mode: 'transcode', reason: `源视频编码为${(video.codec || '未知').toUpperCase()}，浏览器无法直接播放` };
+  }
+  if (audio && !COMPATIBLE_AUDIO_CODECS.includes(audio.codec)) {
+    return { mode: 'transcode', reason: `源音频编码为${(audio.codec || '未知').toUpperCase()}，浏览器无法直接播放` };
+  }
+
+  // 流复制无法缩放或输出多个清晰度
+  const rendition = renditions[0];
+  if (renditions.length > 1) {
+    return { mode: 'transcode', reason: '多清晰度输出需要转码' };
+  }
+  if (rendition.audioOnly || (rendition.height && video.height && rendition.height < video.height)) {
+    return { mode: 'transcode', reason: `输出${rendition.name}需要转码` };
+  }
+  return { mode: 'copy', reason: '源直播流已是H.264/AAC，直接转封装' };
+}
+
+/**
+ * 计算会话的输出位置
+ * @param {string} sessionId - 会话ID
+ * @param {string} [output] - 输出格式hls或mp4，默认使用config.transcode.output
+ * @param {boolean} [variants] - 是否输出多个清晰度，为true时file为子播放列表的模板
+ * @returns {Object} 输出格式output、需要创建的目录dir、ffmpeg输出文件file，以及对外的路径url
+ */
+function outputTarget(sessionId, output = config.transcode.output, variants = false) {
+  if (output === 'mp4') {
+    return {
+      output,
+      dir: STREAMS_DIR,
+      file: path.join(STREAMS_DIR, `${sessionId}.mp4`),
+      url: `/streams/${sessionId}.mp4`
+    };
+  }
+
+  const dir = path.join(STREAMS_DIR, sessionId);
+  return {
+    output: 'hls',
+    dir,
+    file: path.join(dir, variants ? HLS_VARIANT_PLAYLIST : HLS_PLAYLIST),
+    url: `/streams/${sessionId}/${HLS_PLAYLIST}`
+  };
+}
+
+/**
+ * 删除已经没有会话使用的输出
+ *
+ * 会话异常退出或服务端重启后，STREAMS_DIR中会留下不再更新的HLS目录和MP4文件。
+ * 不属于任何活跃会话、且超过maxAge没有修改的输出会被删除。
+ *
+ * @param {Set<string>} activeSessionIds - 活跃会话的ID
+ * @param {number} maxAge - 最后一次修改后保留的时间（毫秒）
+ * @param {Object} [options] - 选项
+ * @param {string} [options.dir] - 输出根目录，默认为STREAMS_DIR
+ * @param {number} [options.now] - 当前时间，默认为Date.now()
+ * @returns {string[]} 已删除的目录或文件名
+ */
+function removeStaleOutputs(activeSessionIds, maxAge, { dir = STREAMS_DIR, now = Date.now() } = {}) {
+  let names = [];
+  try {
+    names = fs.readdirSync(dir);
+  } catch (e) {
+    return [];
+  }
+
+  const removed = [];
+  for (const name of names) {
+    const sessionId = name.endsWith('.mp4') ? name.slice(0, -'.mp4'.length) : name;
+    if (activeSessionIds.has(sessionId)) {
+      continue;
+    }
+    const target = path.join(dir, name);
+    try {
+      // HLS目录在分片增删时会更新修改时间
+      if (now - fs.statSync(target).mtimeMs > maxAge) {
+        fs.rmSync(target, { recursive: true, force: true });
+        removed.push(name);
+      }
+    } catch (e) {
+      // 已被删除
+    }
+  }
+  return removed;
+}
+
+/**
+ * 会话结束后删除或归档转码输出
+ *
+ * 归档时把HLS目录或MP4文件移动到归档目录，并在HLS媒体播放列表末尾补上#EXT-X-ENDLIST，
+ * 归档的播放列表按点播播放。HLS只保留了滚动窗口（或时移窗口）内的分片，完整内容请使用录制。
+ *
+ * @param {Object} plan - planOutput的返回值
+ * @param {string} [action] - delete或archive，默认使用config.sessions.outputOnEnd
+ * @param {string} [archiveDir] - 归档目录，默认使用config.sessions.archiveDir
+ * @returns {string|null} 归档后的路径，删除或没有输出时为null
+ */
+function disposeOutput(plan, action = config.sessions.outputOnEnd, archiveDir = config.sessions.archiveDir) {
+  // 推流中转的分片只供推流进程读取，不归档
+  if (plan.output === 'none' || (plan.relay && plan.relay.args)) {
+    const relayDir = plan.output === 'none' ? plan.dir : path.dirname(plan.relay.file);
+    if (relayDir) {
+      fs.rmSync(relayDir, { recursive: true, force: true });
+    }
+  }
+  // MP4输出的dir是所有会话共用的根目录，只处理会话自己的文件
+  const target = { hls: plan.dir, mp4: plan.file }[plan.output];
+  if (!target || !fs.existsSync(target)) {
+    return null;
+  }
+  if (action !== 'archive') {
+    fs.rmSync(target, { recursive: true, force: true });
+    return null;
+  }
+
+  fs.mkdirSync(archiveDir, { recursive: true });
+  const destination = path.join(archiveDir, path.basename(target));
+  try {
+    fs.renameSync(target, destination);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    // 归档目录在其他磁盘上时不能直接移动
+    fs.cpSync(target, destination, { recursive: true });
+    fs.rmSync(target, { recursive: true, force: true });
+  }
+
+  if (plan.output === 'hls') {
+    for (const name of fs.readdirSync(destination).filter(item => item.endsWith('.m3u8'))) {
+      const playlist = path.join(destination, name);
+      const content = fs.readFileSync(playlist, 'utf8');
+      // 主播放列表没有分片，不需要结束标记
+      if (content.includes('#EXTINF') && !content.includes('#EXT-X-ENDLIST')) {
+        fs.appendFileSync(playlist, `${content.endsWith('\n') ? '' : '\n'}#EXT-X-ENDLIST\n`);
+      }
+    }
+  }
+  return destination;
+}
+
+/**
+ * 计算HLS播放列表保留的分片数量
+ *
+ * 开启时移时保留足够覆盖整个时移窗口的分片，但不少于listSize；
+ * 超出的旧分片由ffmpeg的delete_segments删除。
+ *
+ * @param {Object} hls - HLS配置，参见hlsOutputOptions
+ * @returns {number} 分片数量
+ */
+function hlsListSize(hls) {
+  if (!(hls.dvrMinutes > 0)) {
+    return hls.listSize;
+  }
+  return Math.max(hls.listSize, Math.ceil(hls.dvrMinutes * 60 / hls.segmentSeconds));
+}
+
+/**
+ * 计算可以回看的时长
+ * @param {string} output - 输出格式hls或mp4
+ * @param {Object} [hls] - HLS配置，默认使用config.transcode.hls
+ * @returns {number} 播放列表覆盖的时长（秒），MP4输出不支持时移，为0
+ */
+function dvrWindowSeconds(output, hls = config.transcode.hls) {
+  if (output !== 'hls' || !(hls.dvrMinutes > 0)) {
+    return 0;
+  }
+  return hlsListSize(hls) * hls.segmentSeconds;
+}
+
+/**
+ * 生成HLS输出参数
+ *
+ * 分片默认与播放列表写在同一目录（index0.ts、index1.ts...），播放列表中使用相对路径。
+ *
+ * @param {Object} [hls] - HLS配置，默认使用config.transcode.hls
+ * @param {number} hls.segmentSeconds - 分片时长（秒）
+ * @param {number} hls.listSize - 播放列表保留的分片数量
+ * @param {number} [hls.dvrMinutes] - 时移窗口（分钟），参见hlsListSize
+ * @param {boolean} [copy] - 是否为流复制，流复制时分片只能在源直播流的关键帧处切分
+ * @param {boolean} [resume] - 是否为断线重连后继续输出，继续使用原播放列表和分片序号
+ * @returns {string[]} ffmpeg输出参数
+ */
+function hlsOutputOptions(hls = config.transcode.hls, copy = false, resume = false) {
+  // 转码时按分片时长强制插入关键帧，保证每个分片都能独立解码、时长稳定
+  const keyFrames = copy ? [] : ['-force_key_frames', `expr:gte(t,n_forced*${hls.segmentSeconds})`];
+  // 输入中断时ffmpeg不写结束标记，播放器在重连期间继续等待新分片；
+  // program_date_time记录每个分片的绝对时间，用于按播放器上的时间剪辑
+  const flags = ['delete_segments', 'independent_segments', 'omit_endlist', 'program_date_time'];
+  if (resume) {
+    flags.push('append_list');
+  }
+  return [
+    ...keyFrames,
+    '-f', 'hls',
+    '-hls_time', String(hls.segmentSeconds),
+    '-hls_list_size', String(hlsListSize(hls)),
+    '-hls_flags', flags.join('+')
+  ];
+}
+
+/**
+ * 生成输出格式相关的ffmpeg参数
+ * @param {string} output - 输出格式hls或mp4
+ * @param {Object} [hls] - HLS配置，参见hlsOutputOptions
+ * @param {boolean} [copy] - 是否为流复制
+ * @param {boolean} [resume] - 是否为断线重连后继续输出
+ * @returns {string[]} ffmpeg输出参数
+ */
+function containerOptions(output, hls, copy = false, resume = false) {
+  if (output === 'mp4') {
+    return [
+      '-f', 'mp4',
+      '-movflags', 'frag_keyframe+empty_moov+default_base_moof'
+    ];
+  }
+  return hlsOutputOptions(hls, copy, resume);
+}
+
+/**
+ * 生成单个视频流的编码参数
+ * @param {Object} rendition - 清晰度
+ * @param {string} [specifier] - 流序号后缀，例如 ":0"，单清晰度时为空
+ * @returns {string[]} ffmpeg输出参数
+ */
+function videoEncodingOptions(rendition, specifier = '') {
+  return [
+    `-c:v${specifier}`, 'libx264',
+    `-b:v${specifier}`, `${rendition.videoBitrate}k`,
+    `-maxrate:v${specifier}`, `${Math.round(rendition.videoBitrate * 1.1)}k`,
+    `-bufsize:v${specifier}`, `${rendition.videoBitrate * 2}k`
+  ];
+}
+
+/**
+ * 生成单个清晰度的编码参数
+ * @param {Object} rendition - 清晰度
+ * @returns {string[]} ffmpeg输出参数
+ */
+function singleRenditionOptions(rendition) {
+  if (rendition.audioOnly) {
+    return ['-vn', '-c:a', 'aac', '-b:a', `${rendition.audioBitrate}k`];
+  }
+  const args = videoEncodingOptions(rendition);
+  if (rendition.height) {
+    args.push('-vf', `scale=-2:${rendition.height}`);
+  }
+  return args.concat(['-c:a', 'aac', '-b:a', `${rendition.audioBitrate}k`]);
+}
+
+/**
+ * 生成多清晰度HLS输出的编码和映射参数
+ *
+ * 源视频经split滤镜复制后分别缩放编码，每个视频清晰度搭配一路音频，
+ * 通过var_stream_map组合成各个子播放列表，并生成主播放列表。
+ *
+ * @param {Object[]} renditions - 实际输出的清晰度
+ * @param {boolean} hasAudio - 源直播流是否有音频，为false时var_stream_map中不包含音频
+ * @returns {string[]} ffmpeg输出参数
+ */
+function variantOptions(renditions, hasAudio) {
+  const videos = renditions.filter(item => !item.audioOnly);
+  const args = [];
+  const streamMap = [];
+
+  if (videos.length > 0) {
+    const splits = videos.map((item, index) => `[s${index}]`).join('');
+    const scales = videos.map((item, index) => (
+      item.height ? `[s${index}]scale=-2:${item.height}[v${index}]` : `[s${index}]null[v${index}]`
+    ));
+    args.push('-filter_complex', [`[0:v:0]split=${videos.length}${splits}`, ...scales].join(';'));
+  }
+
+  let audioIndex = 0;
+  // 没有探测结果时也会映射音频，使用可选映射，源没有音频时不会因为找不到音频流而退出
+  const addAudio = (rendition) => {
+    args.push('-map', '0:a:0?', `-c:a:${audioIndex}`, 'aac', `-b:a:${audioIndex}`, `${rendition.audioBitrate}k`);
+    return audioIndex++;
+  };
+
+  videos.forEach((rendition, index) => {
+    args.push('-map', `[v${index}]`, ...videoEncodingOptions(rendition, `:${index}`));
+    const entry = [`v:${index}`];
+    if (hasAudio) {
+      entry.push(`a:${addAudio(rendition)}`);
+    }
+    entry.push(`name:${rendition.name}`);
+    streamMap.push(entry.join(','));
+  });
+
+  for (const rendition of renditions.filter(item => item.audioOnly)) {
+    streamMap.push(`a:${addAudio(rendition)},name:${rendition.name}`);
+  }
+
+  return args.concat([
+    '-var_stream_map', streamMap.join(' '),
+    '-master_pl_name', HLS_PLAYLIST
+  ]);
+}
+
+/**
+ * 会话HLS输出中供剪辑、截图和推流读取的媒体播放列表
+ *
+ * 单清晰度时为index.m3u8本身，多清晰度时为第一个视频清晰度的子播放列表。
+ *
+ * @param {Object} plan - HLS输出的planOutput结果
+ * @returns {string} 媒体播放列表的路径
+ */
+function mediaPlaylist(plan) {
+  if (plan.renditions.length <= 1) {
+    return plan.file;
+  }
+  const rendition = plan.renditions.find(item => !item.audioOnly) || plan.renditions[0];
+  return path.join(plan.dir, HLS_VARIANT_PLAYLIST.replace('%v', rendition.name));
+}
+
+/**
+ * 生成推流中转的输出：流复制写出一个只保留listSize个分片的HLS播放列表，不开启时移
+ * @param {string} sessionId - 会话ID
+ * @param {Object} [hls] - HLS配置，参见hlsOutputOptions
+ * @param {boolean} [resume] - 是否为断线重连后继续输出
+ * @returns {Object} 会话目录dir、播放列表file和ffmpeg输出参数args
+ */
+function relayOutput(sessionId, hls = config.transcode.hls, resume = false) {
+  const { dir } = outputTarget(sessionId, 'hls');
+  return {
+    dir,
+    file: path.join(dir, RELAY_PLAYLIST),
+    args: ['-map', '0:v?', '-map', '0:a?', '-c', 'copy', ...hlsOutputOptions({ ...hls, dvrMinutes: 0 }, true, resume)]
+  };
+}
+
+/**
+ * 规划只推流、不在本地播放的会话输出
+ *
+ * 会话的ffmpeg只写出推流中转（流复制），同时用于发现输入中断和卡住，
+ * 重新获取地址后推流进程继续读取同一个播放列表。
+ *
+ * @param {string} sessionId - 会话ID
+ * @param {Object} [hls] - HLS配置
+ * @param {boolean} [resume] - 是否为断线重连后继续输出
+ * @param {Object} [probe] - 源直播流的探测结果
+ * @returns {Object} 与planOutput相同的结构，output为none、url为null
+ */
+function monitorPlan(sessionId, hls, resume, probe) {
+  const relay = relayOutput(sessionId, hls, resume);
+  return {
+    output: 'none',
+    dir: relay.dir,
+    file: relay.file,
+    url: null,
+    renditions: [],
+    mode: 'copy',
+    modeReason: '只推流，不输出本地播放',
+    dvrSeconds: 0,
+    args: relay.args,
+    relay: { file: relay.file, args: null, probe }
+  };
+}
+
+/**
+ * 规划会话的转码输出
+ * @param {string} sessionId - 会话ID
+ * @param {Object} [options] - 输出选项，未提供的项使用config.transcode
+ * @param {string} [options.output] - 输出格式hls或mp4，none表示只推流，参见monitorPlan
+ * @param {Object[]} [options.renditions] - 配置的清晰度，参见parseRenditions
+ * @param {Object} [options.hls] - HLS配置，参见hlsOutputOptions
+ * @param {Object} [options.probe] - 源直播流的探测结果，用于筛选清晰度和决定是否转码
+ * @param {string} [options.mode] - 转码方式auto、copy或transcode
+ * @param {boolean} [options.resume] - 是否为断线重连后继续输出到同一会话
+ * @param {boolean} [options.relay] - MP4输出时是否另外写出推流中转，HLS和只推流的输出总是可以推流
+ * @returns {Object} outputTarget的结果，以及实际输出的清晰度renditions、转码方式mode（copy或transcode）、
+ *   选择该方式的原因modeReason、可以回看的时长dvrSeconds、ffmpeg输出参数args，
+ *   和推流中转relay：推流读取的播放列表file、需要另外输出时的参数args（否则为null）、
+ *   中转内容的编码probe；没有推流中转时为null
+ */
+function planOutput(sessionId, options = {}) {
+  const output = options.output || config.transcode.output;
+  const hls = options.hls || config.transcode.hls;
+  const probe = options.probe || null;
+  if (output === 'none') {
+    return monitorPlan(sessionId, hls, options.resume, probe);
+  }
+  let renditions = selectRenditions(options.renditions || parseRenditions(config.transcode.renditions), probe);
+
+  if (output === 'mp4' && renditions.length > 1) {
+    // MP4只能输出一个清晰度，使用第一个
+    console.warn('MP4输出只支持一个清晰度，多清晰度输出需要使用HLS');
+    renditions = renditions.slice(0, 1);
+  }
+
+  const decision = chooseMode(renditions, probe, options.mode || config.transcode.mode);
+  // MP4文件还在写入时推流进程无法跟随读取，另外写出推流中转
+  const mp4Relay = output === 'mp4' && options.relay ? relayOutput(sessionId, hls, options.resume) : null;
+  const relay = mp4Relay ? { file: mp4Relay.file, args: mp4Relay.args, probe } : null;
+  if (decision.mode === 'copy') {
+    const target = outputTarget(sessionId, output);
+    return {
+      ...target,
+      renditions: [parseRendition('source')],
+      mode: 'copy',
+      modeReason: decision.reason,
+      dvrSeconds: dvrWindowSeconds(output, hls),
+      args: ['-c', 'copy', ...containerOptions(output, hls, true, options.resume)],
+      relay: output === 'hls' ? { file: target.file, args: null, probe } : relay
+    };
+  }
+
+  const variants = renditions.length > 1;
+  const target = outputTarget(sessionId, output, variants);
+  const encoding = variants
+    ? variantOptions(renditions, !probe || !!probe.audio)
+    : singleRenditionOptions(renditions[0]);
+
+  const plan = {
+    ...target,
+    renditions,
+    mode: 'transcode',
+    modeReason: decision.reason,
+    dvrSeconds: dvrWindowSeconds(output, hls),
+    args: [
+      ...encoding,
+      '-preset', 'ultrafast',
+      '-tune', 'zerolatency',
+      ...containerOptions(output, hls, false, options.resume)
+    ],
+    relay
+  };
+  if (output === 'hls') {
+    // 推流读取转码后的第一个视频清晰度，编码已是H.264/AAC
+    const video = renditions.some(item => !item.audioOnly) ? { codec: 'h264' } : null;
+    plan.relay = { file: mediaPlaylist(plan), args: null, probe: { video, audio: { codec: 'aac' } } };
+  }
+  return plan;
+}
+
+module.exports = {
+  STREAMS_DIR,
+  HLS_PLAYLIST,
+  HLS_VARIANT_PLAYLIST,
+  RELAY_PLAYLIST,
+  RENDITION_PRESETS,
+  COMPATIBLE_VIDEO_CODECS,
+  COMPATIBLE_AUDIO_CODECS,
+  parseRendition,
+  parseRenditions,
+  selectRenditions,
+  chooseMode,
+  outputTarget,
+  removeStaleOutputs,
+  disposeOutput,
+  hlsListSize,
+  dvrWindowSeconds,
+  hlsOutputOptions,
+  containerOptions,
+  mediaPlaylist,
+  relayOutput,
+  planOutput
+};
@@ -0,0 +1,162 @@
+/**
+ * 转码卡顿检测
+ *
+ * 记录ffmpeg的进度（帧数、时间戳、FPS）和输出文件的更新时间，
+ * 在一个检测窗口内帧数不再增加、处理时间不再前进、处理速度持续低于实时，
+ * 或输出文件长时间没有更新时，判定会话已卡住。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+/**
+ * 把ffmpeg的时间标记转换为秒数
+ * @param {string} timemark - 例如 "00:01:02.50"
+ * @returns {number|null} 秒数，无法解析时为null
+ */
+function parseTimemark(timemark) {
+  const match = typeof timemark === 'string' && timemark.match(/^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/);
+  if (!match) {
+    return null;
+  }
+  return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+}
+
+/**
+ * 获取输出文件最近一次更新的时间
+ * @param {string} target - 输出文件，或HLS输出目录（取目录中最新的文件）
+ * @returns {number|null} 修改时间（毫秒），文件不存在时为null
+ */
+function lastModified(target) {
+  try {
+    const stat = fs.statSync(target);
+    if (!stat.isDirectory()) {
+      return stat.mtimeMs;
+    }
+    let latest = null;
+    for (const name of fs.readdirSync(target)) {
+      const mtime = fs.statSync(path.join(target, name)).mtimeMs;
+      if (latest === null || mtime > latest) {
+        latest = mtime;
+      }
+    }
+    return latest;
+  } catch (e) {
+    return null;
+  }
+}
+
+class StallWatchdog {
+  /**
+   * @param {Object} [options] - 检测选项，未提供的项使用config.watchdog
+   * @param {number} [options.window] - 检测窗口（毫秒）
+   * @param {number} [options.minSpeed] - 最低处理速度，1表示实时
+   * @param {number} [now] - 开始时间，默认为当前时间
+   */
+  constructor(options = {}, now = Date.now()) {
+    this.options = { ...config.watchdog, ...options };
+    this.startedAt = now;
+    this.frames = 0;
+    this.time = null;
+    this.fps = null;
+    this.lastFrameAt = now;
+    this.lastTimeAt = now;
+    // 窗口内的处理时间采样，用于计算处理速度
+    this.samples = [];
+  }
+
+  /**
+   * 记录一次ffmpeg进度
+   * @param {Object} progress - fluent-ffmpeg的进度信息
+   * @param {number} [now] - 记录时间，默认为当前时间
+   */
+  record(progress, now = Date.now()) {
+    if (!progress || typeof progress !== 'object') {
+      return;
+    }
+
+    const frames = Number(progress.frames);
+    if (frames > this.frames) {
+      this.frames = frames;
+      this.lastFrameAt = now;
+    }
+    if (progress.currentFps !== undefined) {
+      this.fps = Number(progress.currentFps);
+    }
+
+    const time = parseTimemark(progress.timemark);
+    if (time !== null && (this.time === null || time > this.time)) {
+      this.time = time;
+      this.lastTimeAt = now;
+      this.samples.push({ at: now, time });
+    }
+    this.samples = this.samples.filter(sample => now - sample.at <= this.options.window);
+  }
+
+  /**
+   * 计算检测窗口内的处理速度
+   * @param {number} [now] - 当前时间
+   * @returns {number|null} 处理时间与实际时间之比，采样不足一个窗口时为null
+   */
+  speed(now = Date.now()) {
+    const samples = this.samples.filter(sample => now - sample.at <= this.options.window);
+    if (samples.length < 2 || now - this.startedAt < this.options.window) {
+      return null;
+    }
+    const first = samples[0];
+    const elapsed = (now - first.at) / 1000;
+    if (elapsed <= 0) {
+      return null;
+    }
+    return (samples[samples.length - 1].time - first.time) / elapsed;
+  }
+
+  /**
+   * 检查是否卡住
+   * @param {number|null} [outputUpdatedAt] - 输出文件最近一次更新的时间，未知时为null
+   * @param {number} [now] - 当前时间
+   * @returns {string|null} 卡住的原因，正常时为null
+   */
+  check(outputUpdatedAt = null, now = Date.now()) {
+    const { window, minSpeed } = this.options;
+    const seconds = Math.round(window / 1000);
+
+    // 有视频帧的会话按帧数判断画面是否冻结，只有音频时按处理时间判断
+    if (this.frames > 0 && now - this.lastFrameAt > window) {
+      return `超过${seconds}秒没有新的视频帧`;
+    }
+    if (now - this.lastTimeAt > window) {
+      return `超过${seconds}秒没有处理进度`;
+    }
+    if (outputUpdatedAt !== null && now - Math.max(outputUpdatedAt, this.startedAt) > window) {
+      return `输出文件超过${seconds}秒没有更新`;
+    }
+
+    const speed = this.speed(now);
+    if (speed !== null && speed < minSpeed) {
+      return `处理速度只有实时的${speed.toFixed(2)}倍，持续${seconds}秒`;
+    }
+    return null;
+  }
+
+  /**
+   * 当前的处理状态，供接口返回
+   * @param {number} [now] - 当前时间
+   * @returns {Object} 已处理帧数frames、FPS、处理速度speed和最近一次进度的时间lastProgressAt
+   */
+  status(now = Date.now()) {
+    return {
+      frames: this.frames,
+      fps: this.fps,
+      speed: this.speed(now),
+      lastProgressAt: Math.max(this.lastFrameAt, this.lastTimeAt)
+    };
+  }
+}
+
+module.exports = {
+  parseTimemark,
+  lastModified,
+  StallWatchdog
+};